@@ -48,12 +48,23 @@ export * from './js/workingTools/elementOps/uiAndElementManipulation/overlayUtil
 
 // Request
 export * from './js/requests/ajaxRequest.js';
+export * from './js/requests/ajaxErrors.js';
+export * from './js/requests/requestScheduler.js';
+export * from './js/requests/responseCache.js';
+export * from './js/requests/requestOutbox.js';
+export * from './js/requests/requestBatcher.js';
+export * from './js/requests/mockServer.js';
+export * from './js/requests/sessionManager.js';
+export * from './js/requests/graphqlClient.js';
+export * from './js/requests/csrfStrategies.js';
 export * from './js/requests/oAuth.js';
 
 // File Oprations
 export * from './js/fileOperations/codes.js';
 export * from './js/fileOperations/file.js';
 export * from './js/fileOperations/image.js';
+export * from './js/fileOperations/imageMetadata.js';
+export * from './js/fileOperations/imageCropper.js';
 export * from './js/fileOperations/video.js';
 export * from './js/fileOperations/audio.js';
 export * from './js/fileOperations/pdf.js';
@@ -2,6 +2,7 @@ import { isColorValue, getColorHex } from "../workingTools/colorOps.js";
 import { isDataString } from "../workingTools/dataTypes.js";
 import { isHTMLSelector } from "../workingTools/elementOps/ops.js";
 import { changeElementTagName } from "../workingTools/elementOps/ops.js";
+import { ajaxRequest } from "../requests/ajaxRequest.js";
 
 /**
  * loaderAnimation is a configurable loader/spinner utility for displaying loading animations in web applications.
@@ -10,12 +11,12 @@ import { changeElementTagName } from "../workingTools/elementOps/ops.js";
  * It can render loaders into any container element or selector, and provides methods to update style, size, and color dynamically.
  *
  * ### Features
- * - Multiple loader styles: spinner, spinner-fade, spinner-fade-smooth, spinner-gear, pulse, progress, progress-infinity, progress-percent.
+ * - Multiple loader styles: spinner, spinner-fade, spinner-fade-smooth, spinner-gear, pulse, progress, progress-infinity, progress-percent, progress-request.
  * - Configurable size: large, normal, small, mini.
  * - Customizable color (CSS color formats supported).
  * - Flexible container: accepts HTMLElement or CSS selector.
  * - Dynamic updates: change style/size of all rendered loaders.
- * - Progress tracking for XHR requests.
+ * - Progress tracking for XHR requests and ajaxRequest instances (fetch or xhr transport).
  * - Validates all configuration options and throws descriptive errors.
  *
  * ### Example Usage
@@ -36,12 +37,19 @@ import { changeElementTagName } from "../workingTools/elementOps/ops.js";
  * // Render loader in a specific container
  * loader.setContainer('#myModal');
  * loader.start();
+ *
+ * // Show the upload progress of an ajaxRequest
+ * const bar = new loaderAnimation('progress-request');
+ * bar.setRequestInstance(uploadRequest, 'upload');
+ * bar.start();
+ * await uploadRequest.send(formData);
+ * bar.clearLoader();
  * ```
  * 
  * @class loaderAnimation
  * @classdesc Configurable loader/spinner utility for web applications.
  *
- * @param {string} [style='spinner'] - Loader style ('spinner', 'spinner-fade', 'spinner-fade-smooth', 'spinner-gear', 'pulse', 'progress', 'progress-infinity', 'progress-percent').
+ * @param {string} [style='spinner'] - Loader style ('spinner', 'spinner-fade', 'spinner-fade-smooth', 'spinner-gear', 'pulse', 'progress', 'progress-infinity', 'progress-percent', 'progress-request').
  * @param {string} [size='normal'] - Loader size ('large', 'normal', 'small', 'mini').
  * @param {string} [color='#FC1436'] - Loader color (CSS color value).
  * @param {?HTMLElement|string} [container=null] - Container element or selector for rendering the loader.
@@ -81,10 +89,10 @@ import { changeElementTagName } from "../workingTools/elementOps/ops.js";
  * @throws {Error} If container is invalid.
  *
  * @method setRequestInstance
- * @description Sets the XMLHttpRequest instance and progress direction for progress tracking.
- * @param {XMLHttpRequest} XHR - The XMLHttpRequest instance to track.
+ * @description Sets the request (XMLHttpRequest or ajaxRequest) and progress direction for progress tracking.
+ * @param {XMLHttpRequest|ajaxRequest} XHR - The request to track.
  * @param {string} [progressToTrack='download'] - Progress type to track: 'download' or 'upload'.
- * @throws {Error} If loader style is not 'progress-request', XHR is invalid, or tracking type is invalid.
+ * @throws {Error} If loader style is not 'progress-request', the request is invalid, or tracking type is invalid.
  *
  * @method changeStyle
  * @description Updates the style of all active loaders in the DOM or within a specific container.
@@ -115,6 +123,7 @@ export class loaderAnimation
 
     #XHR;
     #XHR_TrackingProgress;
+    #removeProgressListener = null;
 
     /**
      * Creates a new loader instance with the specified configuration.
@@ -240,7 +249,8 @@ export class loaderAnimation
     }
 
     /**
-     * Attaches the progress event handler to the previously stored XHR instance.
+     * Attaches the progress event handler to the previously stored request: the
+     * XHR progress events, or a progress listener of an ajaxRequest.
      *
      * You must call `setRequestInstance()` before calling this.
      *
@@ -255,19 +265,27 @@ export class loaderAnimation
             throw new Error(`Missing XHR instance or progress tracking type. Call setRequestInstance() first.`);
         }
 
+        const loader = this.#loader;
+
         const handleProgress = (event) => {
             if (event.lengthComputable) {
                 const percentComplete = (event.loaded / event.total) * 100;
-                this.#loader.value = Math.round(percentComplete);
-                this.#loader.max = 100;
+                loader.value = Math.round(percentComplete);
+                loader.max = 100;
             } else {
                 // Indeterminate fallback if length is not computable
-                this.#loader.removeAttribute('max');
-                this.#loader.value = event.loaded || 0;
+                loader.removeAttribute('max');
+                loader.value = event.loaded || 0;
             }
         };
 
-        if (this.#XHR_TrackingProgress === 'upload') {
+        if (this.#XHR instanceof ajaxRequest) {
+            // ajaxRequest reports both directions to the same listener
+            this.#removeProgressListener?.();
+            this.#removeProgressListener = this.#XHR.addProgressListener((progress) => {
+                if (progress.direction === this.#XHR_TrackingProgress) handleProgress(progress);
+            });
+        } else if (this.#XHR_TrackingProgress === 'upload') {
             this.#XHR.upload.onprogress = handleProgress;
         } else {
             this.#XHR.onprogress = handleProgress;
@@ -427,11 +445,12 @@ export class loaderAnimation
     }
 
     /**
-     * Validates and stores the XMLHttpRequest instance and progress direction to track.
+     * Validates and stores the request and progress direction to track.
      *
-     * Does not start progress tracking yet — call `startRequestProgress()` separately.
+     * Accepts an XMLHttpRequest, or an ajaxRequest instance with either transport;
+     * an ajaxRequest can be set before it is sent. Tracking starts with `start()`.
      *
-     * @param {XMLHttpRequest} XHR - The XMLHttpRequest instance to track.
+     * @param {XMLHttpRequest|ajaxRequest} XHR - The request to track.
      * @param {string} [progressToTrack='download'] - Progress type to track: 'download' or 'upload'.
      * @throws {Error} If loader style is invalid, XHR is not a valid object, or tracking type is invalid.
      */
@@ -440,8 +459,8 @@ export class loaderAnimation
             throw new Error(`Current loader style must be 'progress-request' to use request tracking.`);
         }
 
-        if (!(XHR instanceof XMLHttpRequest)) {
-            throw new Error(`XHR must be a valid XMLHttpRequest instance.`);
+        if (!(XHR instanceof XMLHttpRequest) && !(XHR instanceof ajaxRequest)) {
+            throw new Error(`XHR must be a valid XMLHttpRequest or ajaxRequest instance.`);
         }
 
         const allowedTypes = ['download', 'upload'];
@@ -554,7 +573,7 @@ export class loaderAnimation
     #validLoaderStyles() {
         return [
             'spinner', 'spinner-fade', 'spinner-fade-smooth', 'spinner-gear',
-            'pulse', 'progress', 'progress-infinity', 'progress-percent'
+            'pulse', 'progress', 'progress-infinity', 'progress-percent', 'progress-request'
         ];
     }
 
@@ -612,6 +631,10 @@ export class loaderAnimation
      * clearLoader('#containerSelector');
      */
     clearLoader(container = null) {
+        // Stop following the request that fed the progress bar
+        this.#removeProgressListener?.();
+        this.#removeProgressListener = null;
+
         if (container === true) container = document.body;
         let targetContainer = container ?? this.#loaderContainer;
         
@@ -173,6 +173,26 @@ export async function deleteLocalDatabaseData(key, dbName = 'lcsLocalDatabase')
   });
 }
 
+/**
+ * Retrieves all keys from the 'store' object store of the specified IndexedDB database.
+ *
+ * @async
+ * @param {string} [dbName='lcsLocalDatabase'] - The name of the IndexedDB database.
+ * @returns {Promise<Array<*>>} A promise that resolves with the stored keys.
+ * @throws {LCSError} If retrieving the keys fails.
+ */
+export async function getLocalDatabaseKeys(dbName = 'lcsLocalDatabase') {
+  const db = await initializeLocalDatabase(dbName);
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('store', 'readonly');
+    const store = tx.objectStore('store');
+    const keysRequest = store.getAllKeys();
+    keysRequest.onsuccess = () => resolve(keysRequest.result);
+    keysRequest.onerror = () => reject(`Failed to get keys from: ${dbName}`);
+  });
+}
+
 /**
  * Clears all data from the 'store' object store of the specified IndexedDB database.
  * Optionally, it can also delete the entire database.
@@ -113,6 +113,284 @@ const mimeTypeExtension = Object.fromEntries(
     Object.entries(extensionMimeType).map(([ext, mime]) => [mime, ext])
 );
 
+/**
+ * Turns a string into the byte values of its characters (for readable signatures).
+ *
+ * @param {string} text - ASCII text
+ * @returns {number[]} Byte values
+ */
+const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+/**
+ * File signatures ("magic numbers"): bytes found at a fixed `offset` at the
+ * start of a file, whatever its name or reported type. `null` matches any byte.
+ * Checked in order, so longer signatures come before shorter ones they share
+ * bytes with. Containers (ZIP, ISO media, EBML, Ogg) are refined by
+ * `refineSignature`. `weak` signatures are so short that ordinary text (or a
+ * Latin-1 file) can start with them; see `resolveSignature`.
+ *
+ * @constant
+ * @type {Array<{mime: string, bytes: Array<number|null>, offset?: number, weak?: boolean}>}
+ */
+const fileSignatures = [
+    // Images
+    { mime: 'image/png',  bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { mime: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { mime: 'image/gif',  bytes: ascii('GIF8') },
+    { mime: 'image/webp', bytes: [...ascii('RIFF'), null, null, null, null, ...ascii('WEBP')] },
+    { mime: 'image/tiff', bytes: [0x49, 0x49, 0x2A, 0x00] },
+    { mime: 'image/tiff', bytes: [0x4D, 0x4D, 0x00, 0x2A] },
+    { mime: 'image/x-icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+    { mime: 'image/bmp',  bytes: ascii('BM'), weak: true },
+
+    // Video and audio containers
+    { mime: 'video/mp4',  bytes: ascii('ftyp'), offset: 4 },
+    { mime: 'video/webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] },
+    { mime: 'video/x-msvideo', bytes: [...ascii('RIFF'), null, null, null, null, ...ascii('AVI ')] },
+    { mime: 'video/mpeg', bytes: [0x00, 0x00, 0x01, 0xBA] },
+    { mime: 'video/mpeg', bytes: [0x00, 0x00, 0x01, 0xB3] },
+    { mime: 'audio/wav',  bytes: [...ascii('RIFF'), null, null, null, null, ...ascii('WAVE')] },
+    { mime: 'audio/ogg',  bytes: ascii('OggS') },
+    { mime: 'audio/flac', bytes: ascii('fLaC') },
+    { mime: 'audio/amr',  bytes: ascii('#!AMR') },
+    { mime: 'audio/mpeg', bytes: ascii('ID3'), weak: true },
+    { mime: 'audio/aac',  bytes: [0xFF, 0xF1], weak: true },
+    { mime: 'audio/aac',  bytes: [0xFF, 0xF9], weak: true },
+    { mime: 'audio/aac',  bytes: [0xFF, 0xF0], weak: true },
+    { mime: 'audio/aac',  bytes: [0xFF, 0xF8], weak: true },
+    { mime: 'audio/mpeg', bytes: [0xFF, 0xFB], weak: true },
+    { mime: 'audio/mpeg', bytes: [0xFF, 0xFA], weak: true },
+    { mime: 'audio/mpeg', bytes: [0xFF, 0xF3], weak: true },
+    { mime: 'audio/mpeg', bytes: [0xFF, 0xF2], weak: true },
+    { mime: 'audio/mpeg', bytes: [0xFF, 0xE3], weak: true },
+    { mime: 'audio/mpeg', bytes: [0xFF, 0xE2], weak: true },
+
+    // Documents
+    { mime: 'application/pdf', bytes: ascii('%PDF-') },
+    { mime: 'application/x-cfb', bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] }, // doc, xls, ppt
+    { mime: 'application/rtf', bytes: ascii('{\\rtf') },
+
+    // Archives (ZIP also holds docx, xlsx, pptx, epub, odt, ...)
+    { mime: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+    { mime: 'application/zip', bytes: [0x50, 0x4B, 0x05, 0x06] },
+    { mime: 'application/zip', bytes: [0x50, 0x4B, 0x07, 0x08] },
+    { mime: 'application/x-rar-compressed', bytes: [...ascii('Rar!'), 0x1A, 0x07] },
+    { mime: 'application/x-7z-compressed', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+    { mime: 'application/gzip', bytes: [0x1F, 0x8B] },
+    { mime: 'application/x-bzip2', bytes: ascii('BZh'), weak: true },
+    { mime: 'application/x-tar', bytes: ascii('ustar'), offset: 257 },
+
+    // Fonts
+    { mime: 'font/woff',  bytes: ascii('wOFF') },
+    { mime: 'font/woff2', bytes: ascii('wOF2') },
+    { mime: 'font/otf',   bytes: ascii('OTTO') },
+    { mime: 'font/ttf',   bytes: [0x00, 0x01, 0x00, 0x00, 0x00] },
+
+    // Executables and libraries
+    { mime: 'application/x-msdownload', bytes: ascii('MZ'), weak: true },
+    { mime: 'application/x-executable', bytes: [0x7F, ...ascii('ELF')] },
+    { mime: 'application/x-mach-binary', bytes: [0xFE, 0xED, 0xFA, 0xCE] },
+    { mime: 'application/x-mach-binary', bytes: [0xFE, 0xED, 0xFA, 0xCF] },
+    { mime: 'application/x-mach-binary', bytes: [0xCE, 0xFA, 0xED, 0xFE] },
+    { mime: 'application/x-mach-binary', bytes: [0xCF, 0xFA, 0xED, 0xFE] },
+    { mime: 'application/x-mach-binary', bytes: [0xCA, 0xFE, 0xBA, 0xBE] }, // Also Java classes
+    { mime: 'application/wasm', bytes: [0x00, ...ascii('asm')] },
+];
+
+/**
+ * MIME types that may legitimately share a signature: a file whose content
+ * matches one member may claim any other member.
+ *
+ * @constant
+ * @type {string[][]}
+ */
+const signatureFamilies = [
+    [
+        'application/zip',
+        'application/x-zip-compressed',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/vnd.oasis.opendocument.text',
+        'application/vnd.oasis.opendocument.spreadsheet',
+        'application/vnd.oasis.opendocument.presentation',
+        'application/epub+zip',
+        'application/java-archive',
+    ],
+    ['application/x-cfb', 'application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'],
+    ['video/mp4', 'audio/mp4', 'audio/x-m4a', 'video/quicktime', 'video/3gpp', 'video/3gpp2', 'audio/3gpp'],
+    ['image/heic', 'image/heif'],
+    ['video/webm', 'audio/webm', 'video/x-matroska'],
+    ['audio/ogg', 'audio/opus', 'video/ogg', 'application/ogg'],
+    ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+    ['audio/mpeg', 'audio/mp3'],
+    ['audio/aac', 'audio/x-aac'],
+    ['image/x-icon', 'image/vnd.microsoft.icon'],
+    ['application/gzip', 'application/x-gzip'],
+    ['application/x-rar-compressed', 'application/vnd.rar'],
+    ['application/x-msdownload', 'application/vnd.microsoft.portable-executable', 'application/x-msdos-program'],
+    ['font/ttf', 'font/otf'],
+];
+
+/**
+ * Every MIME type a signature can identify. Files claiming one of these must
+ * carry its signature to pass content verification.
+ *
+ * @constant
+ * @type {Set<string>}
+ */
+const signatureMimeTypes = new Set([
+    ...fileSignatures.map(({ mime }) => mime),
+    ...signatureFamilies.flat(),
+    'image/avif',
+]);
+
+/**
+ * Detected types a file may never pass for another type with: executables and
+ * archives, which could smuggle anything.
+ *
+ * @constant
+ * @type {Set<string>}
+ */
+const executableOrArchiveTypes = new Set([
+    'application/x-msdownload',
+    'application/x-executable',
+    'application/x-mach-binary',
+    'application/wasm',
+    'application/zip',
+    'application/java-archive',
+    'application/x-rar-compressed',
+    'application/x-7z-compressed',
+    'application/gzip',
+    'application/x-bzip2',
+    'application/x-tar',
+]);
+
+/**
+ * Brands of ISO base media files (the `ftyp` box) that are not plain MP4.
+ *
+ * @constant
+ * @type {Object<string, string>}
+ */
+const isoBrandMimeType = {
+    heic: 'image/heic', heix: 'image/heic', hevc: 'image/heic', heim: 'image/heic', heis: 'image/heic',
+    mif1: 'image/heif', msf1: 'image/heif',
+    avif: 'image/avif', avis: 'image/avif',
+    'qt  ': 'video/quicktime',
+    'M4A ': 'audio/mp4', 'M4B ': 'audio/mp4', 'M4P ': 'audio/mp4',
+    '3gp4': 'video/3gpp', '3gp5': 'video/3gpp', '3gp6': 'video/3gpp', '3g2a': 'video/3gpp2',
+};
+
+/**
+ * Markers inside ZIP containers (file names, or the `mimetype` entry) that
+ * identify the document format.
+ *
+ * @constant
+ * @type {Array<[string, string]>}
+ */
+const zipContentMarkers = [
+    ['word/', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    ['xl/', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    ['ppt/', 'application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    ['mimetypeapplication/epub+zip', 'application/epub+zip'],
+    ['mimetypeapplication/vnd.oasis.opendocument.text', 'application/vnd.oasis.opendocument.text'],
+    ['mimetypeapplication/vnd.oasis.opendocument.spreadsheet', 'application/vnd.oasis.opendocument.spreadsheet'],
+    ['mimetypeapplication/vnd.oasis.opendocument.presentation', 'application/vnd.oasis.opendocument.presentation'],
+    ['META-INF/MANIFEST.MF', 'application/java-archive'],
+];
+
+/**
+ * Bytes read from the start of a file to look for signatures (enough for the
+ * TAR header at 257 and the first ZIP entries of office documents).
+ *
+ * @constant
+ * @type {number}
+ */
+const SIGNATURE_BYTES = 8192;
+
+/**
+ * Detected signatures by file, so repeated checks read a file once.
+ *
+ * @type {WeakMap<Blob, Promise<{mime: string, weak: boolean}>>}
+ */
+const detectedMimeTypes = new WeakMap();
+
+/**
+ * Checks whether bytes match a signature.
+ *
+ * @param {Uint8Array} header - First bytes of the file
+ * @param {{bytes: Array<number|null>, offset?: number}} signature - Signature
+ * @returns {boolean} True if every byte matches
+ */
+const matchesSignature = (header, { bytes, offset = 0 }) => {
+    if (header.length < offset + bytes.length) return false;
+    return bytes.every((byte, index) => byte === null || header[offset + index] === byte);
+};
+
+/**
+ * Narrows a container signature down to the format inside it.
+ *
+ * @param {string} mime - MIME type of the matched signature
+ * @param {Uint8Array} header - First bytes of the file
+ * @returns {string} Refined MIME type
+ */
+const refineSignature = (mime, header) => {
+    const text = () => String.fromCharCode(...header);
+
+    if (mime === 'video/mp4') {
+        const brand = String.fromCharCode(...header.subarray(8, 12));
+        return isoBrandMimeType[brand] || (brand.startsWith('3gp') ? 'video/3gpp' : mime);
+    }
+    if (mime === 'video/webm') {
+        return text().includes('webm') ? mime : 'video/x-matroska';
+    }
+    if (mime === 'audio/ogg') {
+        return text().includes('OpusHead') ? 'audio/opus' : (text().includes('theora') ? 'video/ogg' : mime);
+    }
+    if (mime === 'application/zip') {
+        const content = text();
+        return zipContentMarkers.find(([marker]) => content.includes(marker))?.[1] || mime;
+    }
+    return mime;
+};
+
+/**
+ * Checks whether the MIME type found in a file's content is consistent with
+ * the type it claims (from the browser or its extension).
+ *
+ * @param {string} detected - MIME type detected from the content
+ * @param {string|string[]} claimed - Claimed MIME type(s)
+ * @returns {boolean} True if they are the same type or in the same signature family
+ */
+const isSignatureCompatible = (detected, claimed) => {
+    const claimedTypes = (Array.isArray(claimed) ? claimed : String(claimed).split(','))
+        .map((type) => type.trim().toLowerCase())
+        .filter(Boolean);
+
+    return claimedTypes.some((type) => type === detected
+        || signatureFamilies.some((family) => family.includes(type) && family.includes(detected)));
+};
+
+/**
+ * Gives the MIME type a file's content proves, given the type it claims. A weak
+ * signature only counts when the claim agrees with it (or the file claims
+ * nothing), so a CSV starting with "MZ" or "BM" is not taken for an executable
+ * or a bitmap.
+ *
+ * @param {{mime: string, weak: boolean}} signature - Signature detected in the content
+ * @param {string|string[]} claimed - Claimed MIME type(s)
+ * @returns {string} Detected MIME type, or empty string if the content proves nothing
+ */
+const resolveSignature = ({ mime, weak }, claimed) => {
+    if (!mime || !weak) return mime;
+
+    const claimedTypes = (Array.isArray(claimed) ? claimed : String(claimed || '').split(','))
+        .map((type) => type.trim().toLowerCase())
+        .filter((type) => type && type !== 'application/octet-stream');
+
+    return claimedTypes.length === 0 || isSignatureCompatible(mime, claimedTypes) ? mime : '';
+};
+
 /**
  * The `lcsFileOps` class provides a set of utilities for handling file operations.
  * It supports initializing with a file (either a URL or a `File` object), retrieving
@@ -122,6 +400,7 @@ const mimeTypeExtension = Object.fromEntries(
  * - Initialize with a file URL or `File` object.
  * - Retrieve file metadata such as name, size, type, and extension.
  * - Validate file size and type against constraints.
+ * - Detect the real type of a file from its content (magic bytes), so renamed files can't pass as another type.
  * - Determine if a file is an image, video, or audio based on its MIME type.
  * - Convert files to data URLs for easy embedding.
  * - Format file sizes into human-readable strings.
@@ -365,6 +644,20 @@ class lcsFileOps {
         return mimeTypePattern.test(input) && allFileMimeTypes.includes(input);
     }
 
+    /**
+     * Checks whether a MIME type is that of an executable or an archive, which a
+     * file's content may not reveal when it claims another type.
+     * @param {string} mimeType - MIME type, e.g. from `getSignatureMimeType`
+     * @returns {boolean} True for executables and archives
+     * @example
+     * const fileOps = new lcsFileOps();
+     * console.log(fileOps.isExecutableOrArchiveType('application/x-msdownload')); // true
+     * console.log(fileOps.isExecutableOrArchiveType('image/png')); // false
+     */
+    isExecutableOrArchiveType(mimeType) {
+        return executableOrArchiveTypes.has(String(mimeType).toLowerCase());
+    }
+
     /**
      * Validates if the given input is a valid file extension.
      * A valid file extension consists of alphanumeric characters and may optionally start with a dot.
@@ -409,11 +702,113 @@ class lcsFileOps {
         await this.#initFile();
         
         if (this.#file instanceof File) {
-            return this.#file.type || this.getExtensionMimeType(await this.getExtension());
+            const claimedType = await this.#getClaimedMimeType();
+            const detectedType = resolveSignature(await this.#detectSignature(), claimedType);
+
+            // The content wins when it contradicts the name or the reported type
+            if (detectedType && !isSignatureCompatible(detectedType, claimedType)) {
+                return detectedType;
+            }
+            return (Array.isArray(claimedType) ? claimedType[0] : claimedType) || detectedType;
         }
         return '';
     }
 
+    /**
+     * Gets the MIME type the file claims: the browser-reported type, or the one
+     * matching its extension.
+     * @private
+     * @returns {Promise<string|string[]>} Claimed MIME type(s), or empty string if unknown
+     */
+    async #getClaimedMimeType() {
+        return this.#file.type || this.getExtensionMimeType(await this.getExtension());
+    }
+
+    /**
+     * Detects the MIME type of the file from its content by matching its first
+     * bytes against known file signatures, ignoring its name and reported type.
+     * If a file is provided, sets and initializes it before detection.
+     * @param {string|File|null} [file=null] - Optional file to set and inspect
+     * @returns {Promise<string>} Detected MIME type, or empty string if no signature matches
+     * @example
+     * const fileOps = new lcsFileOps();
+     * const file = new File([pngBytes], 'photo.jpg', { type: 'image/jpeg' });
+     * console.log(await fileOps.getSignatureMimeType(file)); // 'image/png'
+     *
+     * const exe = new File([exeBytes], 'cat.jpg', { type: 'image/jpeg' });
+     * console.log(await fileOps.getSignatureMimeType(exe)); // 'application/x-msdownload'
+     */
+    async getSignatureMimeType(file = null) {
+        if (!isDataEmpty(file)) {
+            this.setFile(file);
+        }
+
+        await this.#initFile();
+
+        return (await this.#detectSignature()).mime;
+    }
+
+    /**
+     * Matches the first bytes of the file against known file signatures.
+     * @private
+     * @returns {Promise<{mime: string, weak: boolean}>} Detected MIME type (empty if none matches),
+     *          and whether the matching signature is weak
+     */
+    async #detectSignature() {
+        if (!(this.#file instanceof Blob)) {
+            return { mime: '', weak: false };
+        }
+
+        if (!detectedMimeTypes.has(this.#file)) {
+            const detection = this.#file.slice(0, SIGNATURE_BYTES).arrayBuffer().then((buffer) => {
+                const header = new Uint8Array(buffer);
+                const signature = fileSignatures.find((entry) => matchesSignature(header, entry));
+                return signature
+                    ? { mime: refineSignature(signature.mime, header), weak: !!signature.weak }
+                    : { mime: '', weak: false };
+            });
+            detectedMimeTypes.set(this.#file, detection);
+        }
+        return detectedMimeTypes.get(this.#file);
+    }
+
+    /**
+     * Checks whether the file content matches the type it claims through its
+     * reported MIME type or extension. Files of a type without a known signature
+     * (e.g. plain text) always match; files claiming a type that has one must
+     * carry it, except audio and video, whose formats don't all start with one.
+     * If a file is provided, sets and initializes it before verification.
+     * @param {string|File|null} [file=null] - Optional file to set and verify
+     * @returns {Promise<boolean>} True if the content is consistent with the claimed type
+     * @example
+     * const fileOps = new lcsFileOps();
+     * const exe = new File([exeBytes], 'cat.jpg', { type: 'image/jpeg' });
+     * console.log(await fileOps.verifyFileContent(exe)); // false
+     */
+    async verifyFileContent(file = null) {
+        if (!isDataEmpty(file)) {
+            this.setFile(file);
+        }
+
+        await this.#initFile();
+
+        if (!(this.#file instanceof File)) {
+            return false;
+        }
+
+        const claimedType = await this.#getClaimedMimeType();
+        const detectedType = resolveSignature(await this.#detectSignature(), claimedType);
+
+        if (detectedType) {
+            return !claimedType || isSignatureCompatible(detectedType, claimedType);
+        }
+
+        // Nothing recognised: only acceptable when the claimed type has no signature to look for
+        const claimedTypes = (Array.isArray(claimedType) ? claimedType : [claimedType])
+            .map((type) => String(type).toLowerCase());
+        return !claimedTypes.some((type) => signatureMimeTypes.has(type) && !/^(audio|video)\//.test(type));
+    }
+
     /**
      * Checks if the file is of a specific type based on its MIME type.
      * @param {string} type - Type to check (e.g., 'image', 'video', 'audio')
@@ -747,7 +1142,10 @@ class lcsFileOps {
      * Validates the file type against a list of allowed types.
      * If a file is provided, sets and initializes it before validation.
      * @param {string|File|null} [file=null] - Optional file to set and validate
-     * @param {string[]} [allowedTypes=[]] - Array of allowed MIME types or extensions (e.g., 'image/jpeg', '.png')
+     * @param {string[]} [allowedTypes=[]] - Array of allowed MIME types, MIME wildcards or extensions (e.g., 'image/jpeg', 'image/*', '.png')
+     * @param {Object} [options={}] - Validation options
+     * @param {boolean} [options.verifyContent=true] - Judge files whose content doesn't match their claimed type (see `verifyFileContent`)
+     *        by the detected type instead, and reject them when it is unknown, an executable or an archive
      * @returns {Promise<boolean>} True if type or extension matches an allowed type
      * @throws {Error} If file is not initialized and no file is provided
      * @example
@@ -757,18 +1155,40 @@ class lcsFileOps {
      *
      * fileOps.setFile('https://example.com/video.mp4');
      * console.log(await fileOps.validateFileType(null, ['image/jpeg'])); // false
+     *
+     * // A renamed executable is rejected even though its extension is allowed
+     * const exe = new File([exeBytes], 'cat.jpg', { type: 'image/jpeg' });
+     * console.log(await fileOps.validateFileType(exe, ['.jpg'])); // false
+     *
+     * // A PNG named .jpg is judged as a PNG
+     * const png = new File([pngBytes], 'photo.jpg', { type: 'image/jpeg' });
+     * console.log(await fileOps.validateFileType(png, ['image/*'])); // true
      */
-    async validateFileType(file = null, allowedTypes = []) {
+    async validateFileType(file = null, allowedTypes = [], { verifyContent = true } = {}) {
         if (!isDataEmpty(file)) {
             this.setFile(file);
         }
         
         await this.#initFile();
 
-        const fileType = await this.getMimeType();
-        const fileExt = await this.getExtension();
+        let fileType = await this.getMimeType();
+        let fileExt = await this.getExtension();
+
+        if (verifyContent && !await this.verifyFileContent()) {
+            // The content is of another type: only that type counts, e.g. a PNG named .jpg is a PNG
+            const detectedType = await this.getSignatureMimeType();
+            if (!detectedType || this.isExecutableOrArchiveType(detectedType)) {
+                return false;
+            }
+            fileType = detectedType;
+            fileExt = this.getMimeTypeExtension(detectedType);
+        }
+
         return allowedTypes.some(type => {
             type = type.toLowerCase();
+            if (type.endsWith('/*')) {
+                return fileType.startsWith(type.slice(0, -1));
+            }
             return type === fileType || type === fileExt || type === `.${fileExt}`;
         });
     }
@@ -1,9 +1,10 @@
 import { arrayDifference } from "../workingTools/arrayOps.js";
 import { filterObjectValuesByKeys } from "../workingTools/objectOps.js";
-import { isDataArray, isDataEmpty, isDataString } from "../workingTools/dataTypes.js";
+import { isDataArray, isDataEmpty, isDataObject, isDataString } from "../workingTools/dataTypes.js";
 import { audio } from "./audio.js";
 import { video } from "./video.js";
-import { image } from "./image.js";
+import lcsLoadImage, { image } from "./image.js";
+import { cropImage } from "./imageCropper.js";
 import { pdf } from "./pdf.js";
 import { docx } from "./docx.js";
 import { textDoc } from "./textDoc.js";
@@ -312,6 +313,243 @@ const resetInputEventListers = (configs, inputElement) => {
     }
 }
 
+/**
+ * Relative paths of files collected from dropped folders.
+ * @type {WeakMap<File, string>}
+ */
+const droppedFilePaths = new WeakMap();
+
+/**
+ * Drop zone and paste listeners by selection name, so a new `selectFiles`
+ * call for the same name replaces them instead of adding duplicates.
+ * @type {Map<string, Function[]>}
+ */
+const boundFileSources = new Map();
+
+/**
+ * Removes the drop zone and paste listeners bound for a selection name.
+ * @param {string} name - The selection name.
+ */
+const unbindFileSources = (name) => {
+    (boundFileSources.get(name) || []).forEach((unbind) => unbind());
+    boundFileSources.delete(name);
+};
+
+/**
+ * Reads every entry of a directory (readEntries returns them in batches).
+ * @param {FileSystemDirectoryEntry} directory - The directory.
+ * @returns {Promise<FileSystemEntry[]>} Its entries.
+ */
+const readDirectoryEntries = async (directory) => {
+    const reader = directory.createReader();
+    const entries = [];
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        entries.push(...batch);
+    } while (batch.length > 0);
+    return entries;
+};
+
+/**
+ * Collects the files of dropped entries, walking into folders.
+ * Hidden files (e.g. .DS_Store) are skipped, and collection stops once more
+ * files than `limit` are found (the count validation rejects them anyway).
+ * @param {FileSystemEntry[]} entries - Dropped entries.
+ * @param {number|null} [limit] - Maximum number of files wanted (0, null or undefined for no limit).
+ * @returns {Promise<File[]>} The files, with their relative paths in `droppedFilePaths`.
+ */
+const collectEntryFiles = async (entries, limit) => {
+    const files = [];
+    const queue = [...entries];
+    const hasLimit = limit > 0;
+    while (queue.length > 0 && (!hasLimit || files.length <= limit)) {
+        const entry = queue.shift();
+        if (entry.name.startsWith('.')) continue;
+
+        if (entry.isDirectory) {
+            queue.push(...await readDirectoryEntries(entry));
+        } else if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            droppedFilePaths.set(file, entry.fullPath.replace(/^\//, ''));
+            files.push(file);
+        }
+    }
+    return files;
+};
+
+/**
+ * Checks the number of files coming from a drop or paste against a single-file selection.
+ * @param {File[]} files - The files.
+ * @param {Object} configs - The selectFiles configs.
+ * @returns {boolean} True if the files can be handled.
+ */
+const acceptsFileCount = (files, configs) => {
+    if (files.length === 0) return false;
+    if (configs.multiple !== true && files.length > 1) {
+        lcsAlert.send('You can only select one file.', 'error', 'top-right', 5);
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Makes an element accept dropped files and folders.
+ * @param {HTMLElement} dropZone - The drop zone.
+ * @param {Object} configs - The selectFiles configs.
+ * @param {Function} handleSelectedFiles - Handler receiving the dropped files.
+ * @returns {Function} Removes the listeners.
+ */
+const bindDropZone = (dropZone, configs, handleSelectedFiles) => {
+    let dragDepth = 0;
+    const carriesFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+    const onDragEnter = (event) => {
+        if (!carriesFiles(event)) return;
+        event.preventDefault();
+        dragDepth++;
+        dropZone.classList.add('_drag_over');
+    };
+    const onDragOver = (event) => {
+        if (!carriesFiles(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    };
+    const onDragLeave = (event) => {
+        if (!carriesFiles(event)) return;
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) dropZone.classList.remove('_drag_over');
+    };
+    const onDrop = async (event) => {
+        if (!carriesFiles(event)) return;
+        event.preventDefault();
+        dragDepth = 0;
+        dropZone.classList.remove('_drag_over');
+
+        // Entries must be read during the drop event; the data transfer is cleared afterwards
+        const entries = configs.allowFolderDrop
+            ? Array.from(event.dataTransfer.items || [])
+                .filter((item) => item.kind === 'file')
+                .map((item) => item.webkitGetAsEntry?.())
+            : [];
+        const files = entries.length > 0 && entries.every(Boolean)
+            ? await collectEntryFiles(entries, configs.maxFileCount)
+            : Array.from(event.dataTransfer.files);
+
+        if (acceptsFileCount(files, configs)) {
+            // Rejected files have already been reported to the user
+            await handleSelectedFiles(files).catch(() => {});
+        }
+    };
+
+    dropZone.classList.add('_drop_zone');
+    dropZone.addEventListener('dragenter', onDragEnter);
+    dropZone.addEventListener('dragover', onDragOver);
+    dropZone.addEventListener('dragleave', onDragLeave);
+    dropZone.addEventListener('drop', onDrop);
+
+    return () => {
+        dropZone.classList.remove('_drop_zone', '_drag_over');
+        dropZone.removeEventListener('dragenter', onDragEnter);
+        dropZone.removeEventListener('dragover', onDragOver);
+        dropZone.removeEventListener('dragleave', onDragLeave);
+        dropZone.removeEventListener('drop', onDrop);
+    };
+};
+
+/**
+ * Selects files pasted from the clipboard (e.g. screenshots) on a target.
+ * Pastes without files are left alone, so text fields keep working.
+ * @param {HTMLElement|Document} pasteTarget - Where pastes are listened for.
+ * @param {Object} configs - The selectFiles configs.
+ * @param {Function} handleSelectedFiles - Handler receiving the pasted files.
+ * @returns {Function} Removes the listener.
+ */
+const bindPasteTarget = (pasteTarget, configs, handleSelectedFiles) => {
+    const onPaste = async (event) => {
+        const pastedFiles = Array.from(event.clipboardData?.files || []);
+        if (pastedFiles.length === 0) return;
+        event.preventDefault();
+
+        // Clipboard images are all named "image.png": give them unique names
+        const files = pastedFiles.map((file, index) => /^image\.\w+$/i.test(file.name)
+            ? new File([file], `pasted-${Date.now()}${index ? `-${index}` : ''}.${file.name.split('.').pop()}`, {
+                type: file.type,
+                lastModified: file.lastModified,
+            })
+            : file);
+
+        if (acceptsFileCount(files, configs)) {
+            // Rejected files have already been reported to the user
+            await handleSelectedFiles(files).catch(() => {});
+        }
+    };
+
+    pasteTarget.addEventListener('paste', onPaste);
+    return () => pasteTarget.removeEventListener('paste', onPaste);
+};
+
+/**
+ * Image types the processing pipeline leaves untouched (animation or vectors would be lost on a canvas).
+ * @type {string[]}
+ */
+const unprocessedImageTypes = ['image/gif', 'image/svg+xml'];
+
+/**
+ * Replaces the file in a file data object, keeping the original as `originalFile`.
+ *
+ * @param {Object} fd - The file data object ({ file, name, size, type }).
+ * @param {File} file - The replacement file.
+ * @returns {Object} The updated file data.
+ */
+const swapSelectedFile = (fd, file) => ({
+    ...fd,
+    file,
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    originalFile: fd.originalFile || fd.file,
+});
+
+/**
+ * Runs a selected image through the `lcsLoadImage` pipeline (or only strips its
+ * metadata) and swaps the result into the file data.
+ *
+ * @param {Object} fd - The file data object ({ file, name, size, type }).
+ * @param {Object} configs - The selectFiles configs.
+ * @param {Object|Function|null} configs.imageProcessing - Pipeline options, or a function receiving
+ *   the `lcsLoadImage` instance and the file data to queue operations itself. It may
+ *   return encoding options for `toFile`.
+ * @param {boolean} configs.stripImageMetadata - Remove EXIF/GPS and other metadata.
+ * @returns {Promise<Object>} The updated file data.
+ */
+const processSelectedImage = async (fd, { imageProcessing, stripImageMetadata }) => {
+    const loader = new lcsLoadImage(fd.file);
+    try {
+        // Without a pipeline, only remove metadata (lossless)
+        if (!imageProcessing) {
+            return swapSelectedFile(fd, await loader.stripMetadata());
+        }
+
+        let encoding;
+        if (typeof imageProcessing === 'function') {
+            encoding = await imageProcessing(loader, fd);
+        } else {
+            const { resize, crop, rotate, flip, ...options } = imageProcessing;
+            if (crop) loader.crop(crop);
+            if (rotate) loader.rotate(rotate);
+            if (flip) loader.flip(flip);
+            if (resize) loader.resize(resize);
+            encoding = options;
+        }
+
+        // Canvas output never carries metadata, so stripImageMetadata needs no extra step
+        return swapSelectedFile(fd, await loader.toFile(encoding || {}));
+    } finally {
+        loader.dispose();
+    }
+};
+
 /**
  * Initiates a file selection process, validates uploaded files, and generates previews for selected files.
  *
@@ -332,6 +570,10 @@ const resetInputEventListers = (configs, inputElement) => {
  * @param {boolean} [configs.useCustomFileTypes=false] - If true, treats `fileTypes` as a custom string (e.g., '.php,image/*').
  * @param {string[]|string} [configs.fileTypes=[]] - Array of valid file type categories (e.g., ['image', 'pdf']) or a custom string if `useCustomFileTypes` is true.
  * @param {string|string[]} [configs.imageAspectRatio=[]] - Allowed image aspect ratios (e.g., '16:9', ['16:9', '4:3']).
+ * @param {boolean|Object} [configs.imageCropper=false] - If enabled, images that don't match `imageAspectRatio` open a cropping
+ *   dialog locked to those ratios instead of being rejected; the cropped image replaces the selected file (the original is
+ *   kept as `originalFile`) and goes through the size limits. Cancelling rejects the image as before. Pass an object to set `cropImage` options
+ *   (title, confirmText, cancelText, maxZoom, output).
  * @param {string|string[]} [configs.videoAspectRatio=[]] - Allowed video aspect ratios (e.g., '16:9', ['16:9', '4:3']).
  * @param {Function|null} [configs.fileSelectedCallback=null] - Callback invoked with an array of selected file data (or a single file object if `multiple` is false).
  * @param {boolean} [configs.filePreview=true] - If true, generates previews for supported file types.
@@ -347,6 +589,21 @@ const resetInputEventListers = (configs, inputElement) => {
  * @param {HTMLElement|string|null} [configs.fileChooserTrigger=null] - Element or selector (e.g., '#id', '.class') to trigger the file input dialog.
  * @param {boolean} [configs.playOnPreview=false] - If true, enables playback or interactivity for media previews.
  * @param {boolean} [configs.required=false] - If true, marks the file input as required, enforcing selection.
+ * @param {HTMLElement|string|boolean|null} [configs.dropZone=null] - Element or selector where files can be dropped (`true` uses `elementInControl`).
+ *   Gets the `_drop_zone` class, and `_drag_over` while files are dragged over it.
+ * @param {boolean} [configs.allowFolderDrop=true] - If true, dropped folders are traversed and their files selected (each with a `relativePath`).
+ * @param {HTMLElement|string|boolean} [configs.pasteFiles=false] - If enabled, files and images pasted from the clipboard are selected.
+ *   `true` listens on the whole document; pass an element or selector to limit it.
+ * @param {boolean} [configs.verifyFileContent=true] - If true, files whose content (magic bytes) doesn't match their extension or reported type
+ *   are checked against the allowed types under the type their content shows, and rejected when that type is unknown, an executable
+ *   or an archive, e.g. a renamed executable.
+ * @param {Object|Function|null} [configs.imageProcessing=null] - Processes selected images before they are stored (and submitted), e.g.
+ *   `{ resize: { width: 1920, height: 1920 }, format: 'webp', quality: 0.8, maxFileSize: 2 * 1024 * 1024 }`.
+ *   Accepts `crop`, `rotate`, `flip` and `resize` options of `lcsLoadImage` (applied in that order) plus the
+ *   `toFile` encoding options, or a function `(loader, fileData)` that queues operations itself and may return
+ *   encoding options. Size limits apply to the processed file; the original is kept as `originalFile`.
+ * @param {boolean} [configs.stripImageMetadata=false] - If true, removes EXIF (GPS position, camera details), XMP, IPTC and PNG text
+ *   metadata from selected images before they are stored. Lossless for JPEG, PNG and WebP; processed images never carry metadata.
  * @throws {Error} If the control element is invalid, configurations are incorrect, file validations fail, or maximum file count is reached.
  * @example
  * // Basic usage with a button
@@ -378,6 +635,7 @@ export async function selectFiles(elementInControl, configs = {}) {
         fileTypes: [],
         imageAspectRatio: [],
         videoAspectRatio: [],
+        imageCropper: false,
         fileSelectedCallback: null,
         filePreview: true,
         filePreviewLocation: null, // If not provided, will use elementInControl or create a new preview container.
@@ -392,6 +650,12 @@ export async function selectFiles(elementInControl, configs = {}) {
         fileChooserTrigger: null,
         playOnPreview: false,
         required: false,
+        verifyFileContent: true,
+        imageProcessing: null,
+        stripImageMetadata: false,
+        dropZone: null,
+        allowFolderDrop: true,
+        pasteFiles: false,
         returnInputElement: false // Better name: returnInputElement
     };
 
@@ -517,8 +781,12 @@ export async function selectFiles(elementInControl, configs = {}) {
     window.lcsFileSelection = window.lcsFileSelection || { files: {} };
     window.lcsFileSelection.files[configs.name] = window.lcsFileSelection.files[configs.name] || {};
 
-    // Handle file selection
-    inputElement.addEventListener('change', async (event) => {
+    /**
+     * Validates, stores and previews selected files, whatever their source
+     * (file input, drop zone or paste).
+     * @param {File[]} selectedFiles - The selected files.
+     */
+    const handleSelectedFiles = async (selectedFiles) => {
         if (configs.multiple !== true && alreadySelectedFile(window.lcsFileSelection.files[configs.name])) {
             inputElement.value = '';
             if (EIC_is_FileChooserTrigger) elementInControl.classList.add('_hide');
@@ -528,9 +796,6 @@ export async function selectFiles(elementInControl, configs = {}) {
             throw new Error("Multiple file selection is not allowed for this input.");
         }
 
-        // Get and build file data
-        const selectedFiles = configs.multiple === true ? Array.from(event.target.files) : [event.target.files[0]].filter(Boolean);
-
         // Prepare file data
         let fileData = await Promise.all(
             selectedFiles.map(async (file) => ({
@@ -538,6 +803,7 @@ export async function selectFiles(elementInControl, configs = {}) {
                 type: file.type || 'unknown',
                 name: file.name || 'unknown',
                 file,
+                ...(droppedFilePaths.has(file) ? { relativePath: droppedFilePaths.get(file) } : {}),
             }))
         );
 
@@ -552,45 +818,125 @@ export async function selectFiles(elementInControl, configs = {}) {
         }
 
         // Filter by allowed MIME types
-        fileData = fileData.filter((fd) => {
-            let normalizedSFT = specifiedFileTypesArray
-                .map((sft) => {
-                    if (sft === 'image/*') return 'image';
-                    if (sft === 'video/*') return 'video';
-                    if (sft === 'audio/*') return 'audio';
-                    if (fileOps.isExtension(sft)) return fileOps.getExtensionMimeType(sft);
-                    if (fileOps.isMimeType(sft)) return sft;
-                    return null;
-                })
-                .filter(Boolean);
+        let normalizedSFT = specifiedFileTypesArray
+            .map((sft) => {
+                if (sft === 'image/*') return 'image';
+                if (sft === 'video/*') return 'video';
+                if (sft === 'audio/*') return 'audio';
+                if (fileOps.isExtension(sft)) return fileOps.getExtensionMimeType(sft);
+                if (fileOps.isMimeType(sft)) return sft;
+                return null;
+            })
+            .filter(Boolean);
+
+        // For each normalizedSFT item, check comma-separated values and split them
+        normalizedSFT = normalizedSFT.flatMap((sft) =>
+            Array.isArray(sft)
+                ? sft.flatMap((innerSFT) => innerSFT.split(',').map((_type) => _type.trim()))
+                : sft.split(',').map((type) => type.trim())
+        );
 
-            // For each normalizedSFT item, check comma-separated values and split them
-            normalizedSFT = normalizedSFT.flatMap((sft) =>
-                Array.isArray(sft)
-                    ? sft.flatMap((innerSFT) => innerSFT.split(',').map((_type) => _type.trim()))
-                    : sft.split(',').map((type) => type.trim())
-            );
+        // Checked one file at a time: fileOps holds a single file while it inspects it
+        const allowedFileData = [];
+        for (let fd of fileData) {
+            let typeErrorMsg = null;
+
+            if (configs.verifyFileContent && !(await fileOps.verifyFileContent(fd.file))) {
+                const detectedType = await fileOps.getSignatureMimeType(fd.file);
+                if (!detectedType || fileOps.isExecutableOrArchiveType(detectedType)) {
+                    typeErrorMsg = `File "${fd.name}" (type: ${fd.type || 'unknown'}) content does not match its type` +
+                        (detectedType ? ` (detected: ${detectedType}).` : '.');
+                } else {
+                    // Judged (and kept) under the type its content shows, e.g. a PNG named .jpg
+                    fd = swapSelectedFile(fd, new File([fd.file], fd.name, { type: detectedType, lastModified: fd.file.lastModified }));
+                }
+            }
+
+            if (!typeErrorMsg) {
+                const isAllowed = (normalizedSFT.includes('image') && await fileOps.isImage(fd.file))
+                || (normalizedSFT.includes('video') && await fileOps.isVideo(fd.file))
+                || (normalizedSFT.includes('audio') && await fileOps.isAudio(fd.file))
+                || (isDataEmpty(fd.type) && (isFileTypesIncludesTextDocExtension(normalizedSFT) || isDataEmpty(normalizedSFT)))
+                || normalizedSFT.includes(fd.type);
 
-            const isAllowed = (normalizedSFT.includes('image') && fileOps.isImage(fd.file)) 
-            || (normalizedSFT.includes('video') && fileOps.isVideo(fd.file)) 
-            || (normalizedSFT.includes('audio') && fileOps.isAudio(fd.file)) 
-            || (isDataEmpty(fd.type) && (isFileTypesIncludesTextDocExtension(normalizedSFT) || isDataEmpty(normalizedSFT))) 
-            || normalizedSFT.includes(fd.type);
+                if (!isAllowed) {
+                    typeErrorMsg = `File "${fd.name}" (type: ${fd.type}) is not an allowed type. Allowed types includes: ${normalizedSFT.join(',')}`;
+                }
+            }
 
-            if (!isAllowed) {
+            if (typeErrorMsg) {
                 if (fileData.length <= 1) {
                     resetInputEventListers(configs, inputElement);
-                    throw new Error(`File "${fd.name}" (type: ${fd.type}) is not an allowed type. Allowed types includes: ${normalizedSFT.join(',')}`);
+                    throw new Error(typeErrorMsg);
                 } else {
-                    console.warn(`File "${fd.name}" (type: ${fd.type}) is not an allowed type. Allowed types includes: ${normalizedSFT.join(',')}`);
+                    console.warn(typeErrorMsg);
                 }
+                continue;
             }
-            return isAllowed;
-        });
+            allowedFileData.push(fd);
+        }
+        fileData = allowedFileData;
+
+        // Process images (resize, compress, strip metadata, ...) so size limits apply to what gets submitted
+        if (configs.imageProcessing || configs.stripImageMetadata) {
+            for (const [index, fd] of fileData.entries()) {
+                const mimeType = await fileOps.getMimeType(fd.file);
+                if (!mimeType.startsWith('image/') || unprocessedImageTypes.includes(mimeType)) continue;
+
+                try {
+                    fileData[index] = await processSelectedImage(fd, configs);
+                } catch (error) {
+                    console.warn(`Image "${fd.name}" could not be processed, keeping the original: ${error.message}`);
+                }
+            }
+        }
+
+        // Validate image aspect ratios, offering to crop mismatching images if enabled.
+        // Before the size checks, so they apply to the cropped files.
+        // One image at a time: fileOps holds a single file, and only one cropper opens at once.
+        if (configs.imageAspectRatio.length > 0) {
+            const ratioFileData = [];
+            for (const fd of fileData) {
+                const isImg = await fileOps.isImage(fd.file);
+                if (!isImg) {
+                    ratioFileData.push(fd);
+                    continue;
+                }
+                const fRatio = await fileOps.getAspectRatio(fd.file);
+                const aspectRatioMatched = fileOps.isAspectRatioMatching(fRatio, configs.imageAspectRatio);
+                if (aspectRatioMatched) {
+                    ratioFileData.push(fd);
+                    continue;
+                }
+
+                if (configs.imageCropper) {
+                    const croppedFile = await cropImage(fd.file, {
+                        ...(isDataObject(configs.imageCropper) ? configs.imageCropper : {}),
+                        aspectRatios: configs.imageAspectRatio,
+                    });
+                    if (croppedFile) {
+                        ratioFileData.push(swapSelectedFile(fd, croppedFile));
+                        continue;
+                    }
+                }
+
+                const ratioWarningMsg = `Image "${fd.name}" (ratio: ${fRatio}) does not match required aspect ratios: ` + `${configs.imageAspectRatio.join(', ')}.`;
+                if (fileData.length <= 1) {
+                    lcsAlert.send(ratioWarningMsg, 'error');
+                    resetInputEventListers(configs, inputElement);
+                    throw new Error(ratioWarningMsg);
+                } else {
+                    lcsAlert.send(ratioWarningMsg, 'warning');
+                    console.warn(ratioWarningMsg);
+                }
+            }
+            fileData = ratioFileData;
+        }
 
         // Validate individual file sizes
-        fileData = fileData.filter((fd) => {
-            const isValidFileSize = fileOps.validateFileSize(fd.file, {
+        const sizedFileData = [];
+        for (const fd of fileData) {
+            const isValidFileSize = await fileOps.validateFileSize(fd.file, {
                 maxSize: configs.maxFileSize,
                 minSize: configs.minFileSize,
             });
@@ -607,9 +953,11 @@ export async function selectFiles(elementInControl, configs = {}) {
                     `Allowed range: ${configs.minFileSize} to ${configs.maxFileSize} bytes.`
                     );
                 }
+                continue;
             }
-            return isValidFileSize;
-        });
+            sizedFileData.push(fd);
+        }
+        fileData = sizedFileData;
 
         // Validate total file size
         const totalFileSize = fileData.reduce((sum, fd) => sum + fd.size, 0);
@@ -622,31 +970,6 @@ export async function selectFiles(elementInControl, configs = {}) {
             );
         }
 
-        // Validate image aspect ratios
-        if (configs.imageAspectRatio.length > 0) {
-            fileData = await Promise.all(
-                fileData.map(async (fd) => {
-                    const isImg = await fileOps.isImage(fd.file);
-                    if (!isImg) return fd;
-                    const fRatio = await fileOps.getAspectRatio(fd.file);
-                    const aspectRatioMatched = fileOps.isAspectRatioMatching(fRatio, configs.imageAspectRatio);
-                    if (!aspectRatioMatched) {
-                        const ratioWarningMsg = `Image "${fd.name}" (ratio: ${fRatio}) does not match required aspect ratios: ` + `${configs.imageAspectRatio.join(', ')}.`;
-                        if (fileData.length <= 1) {
-                            lcsAlert.send(ratioWarningMsg, 'error');
-                            resetInputEventListers(configs, inputElement);
-                            throw new Error(ratioWarningMsg);
-                        } else {
-                            lcsAlert.send(ratioWarningMsg, 'warning');
-                            console.warn(ratioWarningMsg);
-                        }
-                        return null;
-                    }
-                    return fd;
-                })
-            ).then((results) => results.filter(Boolean));
-        }
-
         // Validate video aspect ratios
         if (configs.videoAspectRatio.length > 0) {
             fileData = await Promise.all(
@@ -800,8 +1123,30 @@ export async function selectFiles(elementInControl, configs = {}) {
          * to avoid duplicate change events. This is effective only if fileChooserTrigger is not set.
          */
         resetInputEventListers(configs, inputElement);
+    };
+
+    // Handle file selection
+    inputElement.addEventListener('change', async (event) => {
+        // Get and build file data
+        const selectedFiles = configs.multiple === true ? Array.from(event.target.files) : [event.target.files[0]].filter(Boolean);
+        await handleSelectedFiles(selectedFiles);
     });
 
+    // Drop zone and paste sources, replacing any bound by a previous call for this name
+    unbindFileSources(configs.name);
+    const fileSources = [];
+    if (configs.dropZone) {
+        const dropZone = validateElement(configs.dropZone === true ? elementInControl : configs.dropZone);
+        fileSources.push(bindDropZone(dropZone, configs, handleSelectedFiles));
+    }
+    if (configs.pasteFiles) {
+        const pasteTarget = configs.pasteFiles === true ? document : validateElement(configs.pasteFiles);
+        fileSources.push(bindPasteTarget(pasteTarget, configs, handleSelectedFiles));
+    }
+    if (fileSources.length > 0) {
+        boundFileSources.set(configs.name, fileSources);
+    }
+
     // Append new input element if created
     if (inputElementIsNew) {
         elementInControl.insertAdjacentElement('beforebegin', inputElement);
@@ -1230,8 +1575,9 @@ export function resetFiles(name, clearConfigs = false) {
     // Check if the files object exists for the given name
     if (window.lcsFileSelection.files[name]) delete window.lcsFileSelection.files[name];
 
-    // Clear the configs if specified
+    // Clear the configs (and drop zone / paste listeners) if specified
     if (clearConfigs && window.lcsFileSelection.configs[name]) delete window.lcsFileSelection.configs[name];
+    if (clearConfigs) unbindFileSources(name);
 
     // Also remove the file selection preview container (data-ftn) if exists
     const fileSelectionPreviewContainer = document.querySelector(`.lcsFileSelectionPreview[data-ftn="${name}"]`);
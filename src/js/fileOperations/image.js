@@ -1,14 +1,172 @@
 import { isDataEmpty } from "../workingTools/dataTypes.js";
 import { file as fileOps } from "./file.js";
+import { readImageMetadata, stripImageMetadata } from "./imageMetadata.js";
+
+/**
+ * Output formats the canvas pipeline can encode, keyed by their short names.
+ * @constant
+ * @type {Object<string, string>}
+ */
+const imageOutputFormats = {
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    webp: 'image/webp',
+    png: 'image/png',
+};
+
+/**
+ * Fit modes accepted by `lcsLoadImage.resize`.
+ * @constant
+ * @type {string[]}
+ */
+const resizeFitModes = ['inside', 'outside', 'cover', 'contain', 'fill'];
+
+/**
+ * Creates a canvas of the given size.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement} The canvas
+ */
+const createCanvas = (width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+};
+
+/**
+ * Gets a 2D context configured for high quality scaling.
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @returns {CanvasRenderingContext2D} The context
+ */
+const getContext = (canvas) => {
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    return ctx;
+};
+
+/**
+ * Scales a canvas to a new size. Large reductions are done in halving steps,
+ * which avoids the aliasing a single `drawImage` produces on big photos.
+ * @param {HTMLCanvasElement} source - Source canvas
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {HTMLCanvasElement} Scaled canvas
+ */
+const scaleCanvas = (source, width, height) => {
+    let current = source;
+    while (current.width / 2 >= width && current.height / 2 >= height) {
+        const step = createCanvas(current.width / 2, current.height / 2);
+        getContext(step).drawImage(current, 0, 0, step.width, step.height);
+        current = step;
+    }
+
+    const scaled = createCanvas(width, height);
+    getContext(scaled).drawImage(current, 0, 0, scaled.width, scaled.height);
+    return scaled;
+};
+
+/**
+ * Turns a position keyword into horizontal and vertical factors (0 = start, 1 = end).
+ * @param {string} [position='center'] - 'center', 'top', 'bottom', 'left', 'right' or combinations like 'top left'
+ * @returns {{x: number, y: number}} Position factors
+ */
+const positionFactors = (position = 'center') => {
+    const keywords = String(position).toLowerCase();
+    return {
+        x: keywords.includes('left') ? 0 : (keywords.includes('right') ? 1 : 0.5),
+        y: keywords.includes('top') ? 0 : (keywords.includes('bottom') ? 1 : 0.5),
+    };
+};
+
+/**
+ * Parses an aspect ratio given as "16:9", "16/9" or a number.
+ * @param {string|number} ratio - Aspect ratio
+ * @returns {number} Width divided by height
+ * @throws {Error} If the ratio is invalid
+ */
+const parseAspectRatio = (ratio) => {
+    const value = typeof ratio === 'number'
+        ? ratio
+        : String(ratio).split(/[:/x]/).map(Number).reduce((width, height) => width / height);
+    if (!Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid aspect ratio: ${ratio}`);
+    }
+    return value;
+};
+
+/**
+ * Whether the browser already applies EXIF orientation when displaying and
+ * drawing images (the `image-orientation: from-image` default of current
+ * browsers). Older ones show phone photos sideways unless we rotate them.
+ * @returns {boolean} True if orientation is applied natively
+ */
+const browserAppliesOrientation = () => typeof CSS !== 'undefined'
+    && typeof CSS.supports === 'function'
+    && CSS.supports('image-orientation', 'from-image');
+
+/**
+ * Redraws a canvas with an EXIF orientation applied.
+ * @param {HTMLCanvasElement} source - Image as stored
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @returns {HTMLCanvasElement} Image as it should be displayed
+ */
+const orientCanvas = (source, orientation) => {
+    if (!orientation || orientation === 1) return source;
+
+    const { width, height } = source;
+    const oriented = orientation >= 5 ? createCanvas(height, width) : createCanvas(width, height);
+    const ctx = getContext(oriented);
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+        case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+        case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+        case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    }
+    ctx.drawImage(source, 0, 0);
+    return oriented;
+};
+
+/**
+ * Encodes a canvas.
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} mimeType - Output MIME type
+ * @param {number} quality - Quality between 0 and 1 (lossy formats only)
+ * @returns {Promise<Blob>} Encoded image
+ */
+const encodeCanvas = (canvas, mimeType, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error('Failed to encode image.')), mimeType, quality);
+});
 
 /**
  * A utility class for loading and retrieving metadata from image files.
  * Supports both remote URLs and local `File` objects.
+ *
+ * It also provides a chainable canvas pipeline to prepare images before upload:
+ * operations (`resize`, `crop`, `rotate`, `flip`) are queued and applied in order
+ * when the result is produced with `toCanvas`, `toBlob` or `toFile`.
+ *
+ * EXIF and PNG text metadata can be read with `getMetadata` (camera, timestamp,
+ * GPS position) and removed with `stripMetadata`. EXIF orientation is applied
+ * when rendering, thumbnailing and processing, in browsers that don't do it natively.
+ *
+ * @example
+ * const loader = new lcsLoadImage(input.files[0]);
+ * const upload = await loader
+ *     .resize({ width: 1920, height: 1920, fit: 'inside' })
+ *     .rotate(90)
+ *     .toFile({ format: 'webp', quality: 0.8, maxFileSize: 1024 * 1024 });
  */
 class lcsLoadImage {
     #file;
     #imageElement;
     #loaded = false;
+    #operations = [];
+    #metadata = null;
 
     /**
      * Constructs a new image loader instance.
@@ -26,8 +184,11 @@ class lcsLoadImage {
         if (isDataEmpty(file)) {
             throw new Error("File cannot be empty or null.");
         }
+        this.dispose();
         this.#file = file;
         this.#loaded = false;
+        this.#operations = [];
+        this.#metadata = null;
     }
 
     /**
@@ -40,7 +201,7 @@ class lcsLoadImage {
         this.#imageElement = new Image();
         if (typeof this.#file === 'string') {
             this.#imageElement.src = this.#file;
-        } else if (this.#file instanceof File) {
+        } else if (this.#file instanceof Blob) {
             this.#imageElement.src = URL.createObjectURL(this.#file);
         } else {
             throw new Error('Unsupported file type: must be a URL string or File object.');
@@ -184,7 +345,10 @@ class lcsLoadImage {
         await this.#ensureLoaded();
 
         const img = document.createElement('img');
-        img.src = this.#imageElement.src;
+        const orientation = await this.#getOrientationToApply();
+        img.src = orientation === 1
+            ? this.#imageElement.src
+            : orientCanvas(this.#drawSource(), orientation).toDataURL('image/jpeg', 0.92);
         img.alt = alt;
 
         container.appendChild(img);
@@ -200,22 +364,581 @@ class lcsLoadImage {
     async createThumbnail(maxSize = 150) {
         await this.#ensureLoaded();
 
+        const orientation = await this.#getOrientationToApply();
+        const source = orientation === 1 ? this.#imageElement : orientCanvas(this.#drawSource(), orientation);
+
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
 
-        const ratio = Math.min(maxSize / this.#imageElement.width, maxSize / this.#imageElement.height);
-        canvas.width = this.#imageElement.width * ratio;
-        canvas.height = this.#imageElement.height * ratio;
+        const ratio = Math.min(maxSize / source.width, maxSize / source.height);
+        canvas.width = source.width * ratio;
+        canvas.height = source.height * ratio;
 
-        ctx.drawImage(this.#imageElement, 0, 0, canvas.width, canvas.height);
+        ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
         return canvas.toDataURL();
     }
 
+    // =========================================================================
+    // Metadata
+    // =========================================================================
+
+    /**
+     * Reads the image metadata: EXIF (JPEG, PNG, WebP) and PNG text chunks.
+     * See `readImageMetadata` for the returned fields.
+     * @returns {Promise<Object>} Metadata ({ format, width, height, orientation, camera, exposure, timestamp, gps, text, exif })
+     * @example
+     * const loader = new lcsLoadImage(input.files[0]);
+     * const { camera, timestamp, gps } = await loader.getMetadata();
+     */
+    async getMetadata() {
+        if (!this.#metadata) {
+            const reading = this.#getBlob().then((blob) => readImageMetadata(blob));
+            // Failed reads aren't cached, so a later call can retry
+            reading.catch(() => {
+                if (this.#metadata === reading) this.#metadata = null;
+            });
+            this.#metadata = reading;
+        }
+        return this.#metadata;
+    }
+
+    /**
+     * Returns the EXIF orientation of the image.
+     * @returns {Promise<number>} 1 (normal) to 8
+     */
+    async getOrientation() {
+        return (await this.getMetadata()).orientation;
+    }
+
+    /**
+     * Returns the camera and lens that took the photo.
+     * @returns {Promise<{make: string|null, model: string|null, lensMake: string|null, lensModel: string|null, software: string|null}>} Camera details
+     */
+    async getCamera() {
+        return (await this.getMetadata()).camera;
+    }
+
+    /**
+     * Returns when the photo was taken.
+     * @returns {Promise<Date|null>} Capture date, or null if not recorded
+     */
+    async getTimestamp() {
+        return (await this.getMetadata()).timestamp;
+    }
+
+    /**
+     * Returns where the photo was taken.
+     * @returns {Promise<{latitude: number, longitude: number, altitude: number|null}|null>} Position in decimal degrees, or null if not recorded
+     */
+    async getGPS() {
+        return (await this.getMetadata()).gps;
+    }
+
+    /**
+     * Exports the image without its metadata (EXIF with GPS position and camera
+     * details, XMP, IPTC, PNG text). JPEG, PNG and WebP are stripped without
+     * re-encoding; other formats are re-encoded through a canvas. Queued
+     * pipeline operations are not applied (`toFile` output never carries metadata).
+     *
+     * @param {Object} [options={}] - Export options
+     * @param {boolean} [options.keepOrientation=true] - Keep the EXIF orientation so the image still displays upright
+     * @param {string} [options.name] - File name. Defaults to the original name.
+     * @returns {Promise<File>} The image without metadata
+     * @example
+     * const loader = new lcsLoadImage(input.files[0]);
+     * const upload = await loader.stripMetadata();
+     */
+    async stripMetadata({ keepOrientation = true, name = null } = {}) {
+        const blob = await this.#getBlob();
+        const stripped = await stripImageMetadata(blob, { keepOrientation });
+        if (!stripped) {
+            const loader = new lcsLoadImage(blob);
+            try {
+                return await loader.toFile({ name });
+            } finally {
+                loader.dispose();
+            }
+        }
+
+        const fileName = name || (blob instanceof File ? blob.name : `${this.#getBaseName()}.${fileOps.getMimeTypeExtension(stripped.type) || 'img'}`);
+        return new File([stripped], fileName, { type: stripped.type, lastModified: Date.now() });
+    }
+
+    /**
+     * Gets the image as a Blob, downloading it if it was set as a URL.
+     * @private
+     * @returns {Promise<Blob>} The image data
+     */
+    async #getBlob() {
+        if (this.#file instanceof Blob) {
+            return this.#file;
+        }
+        if (typeof this.#file === 'string') {
+            const response = await fetch(this.#file);
+            if (!response.ok) {
+                throw new Error(`Failed to load image from URL: HTTP ${response.status}`);
+            }
+            return await response.blob();
+        }
+        throw new Error('Unsupported file type: must be a URL string or File object.');
+    }
+
+    /**
+     * Gets the EXIF orientation we must apply ourselves: 1 when the browser
+     * already does it or the orientation can't be read.
+     * @private
+     * @returns {Promise<number>} Orientation (1-8)
+     */
+    async #getOrientationToApply() {
+        if (browserAppliesOrientation()) return 1;
+        try {
+            return await this.getOrientation();
+        } catch (error) {
+            return 1;
+        }
+    }
+
+    /**
+     * Draws the loaded image, as stored, onto a canvas.
+     * @private
+     * @returns {HTMLCanvasElement} The image
+     */
+    #drawSource() {
+        const canvas = createCanvas(this.#imageElement.naturalWidth, this.#imageElement.naturalHeight);
+        getContext(canvas).drawImage(this.#imageElement, 0, 0);
+        return canvas;
+    }
+
+    // =========================================================================
+    // Processing pipeline
+    // =========================================================================
+
+    /**
+     * Queues a resize.
+     *
+     * Fit modes (when both `width` and `height` are given):
+     * - `inside`: keep the aspect ratio, fit within the box (output may be smaller than the box)
+     * - `outside`: keep the aspect ratio, cover the box (output may be larger than the box)
+     * - `cover`: keep the aspect ratio, fill the box and crop what overflows at `position`
+     * - `contain`: keep the aspect ratio, fit within the box and pad to its size with `background`
+     * - `fill`: stretch to the box, ignoring the aspect ratio
+     *
+     * With only one of `width` or `height`, the other follows the aspect ratio.
+     *
+     * @param {Object} options - Resize options
+     * @param {number} [options.width] - Target width in pixels
+     * @param {number} [options.height] - Target height in pixels
+     * @param {string} [options.fit='inside'] - One of 'inside', 'outside', 'cover', 'contain', 'fill'
+     * @param {string} [options.position='center'] - Anchor for `cover` and `contain` (e.g. 'top', 'bottom right')
+     * @param {boolean} [options.withoutEnlargement=true] - Never upscale smaller images
+     * @param {string|null} [options.background=null] - Padding colour for `contain` (transparent if null)
+     * @returns {lcsLoadImage} This instance, for chaining
+     * @throws {Error} If no dimension or an unknown fit mode is given
+     */
+    resize({ width = null, height = null, fit = 'inside', position = 'center', withoutEnlargement = true, background = null } = {}) {
+        if (!width && !height) {
+            throw new Error('resize error: width or height is required.');
+        }
+        if (!resizeFitModes.includes(fit)) {
+            throw new Error(`resize error: unknown fit mode "${fit}". Use one of ${resizeFitModes.join(', ')}.`);
+        }
+        this.#operations.push({ type: 'resize', width, height, fit, position, withoutEnlargement, background });
+        return this;
+    }
+
+    /**
+     * Queues a crop, either of an explicit area or of the largest area with a
+     * given aspect ratio.
+     *
+     * @param {Object} options - Crop options
+     * @param {number} [options.x=0] - Left edge in pixels
+     * @param {number} [options.y=0] - Top edge in pixels
+     * @param {number} [options.width] - Width in pixels (defaults to the rest of the image)
+     * @param {number} [options.height] - Height in pixels (defaults to the rest of the image)
+     * @param {string|number} [options.aspectRatio] - Crop to this ratio instead (e.g. '16:9', 1)
+     * @param {string} [options.position='center'] - Anchor for `aspectRatio` crops
+     * @returns {lcsLoadImage} This instance, for chaining
+     */
+    crop({ x = 0, y = 0, width = null, height = null, aspectRatio = null, position = 'center' } = {}) {
+        this.#operations.push({
+            type: 'crop',
+            x, y, width, height, position,
+            aspectRatio: aspectRatio === null ? null : parseAspectRatio(aspectRatio),
+        });
+        return this;
+    }
+
+    /**
+     * Queues a clockwise rotation. Angles other than multiples of 90 enlarge
+     * the canvas to fit the rotated image.
+     *
+     * @param {number} degrees - Rotation angle in degrees
+     * @param {Object} [options={}] - Rotation options
+     * @param {string|null} [options.background=null] - Colour of the uncovered corners (transparent if null)
+     * @returns {lcsLoadImage} This instance, for chaining
+     */
+    rotate(degrees, { background = null } = {}) {
+        const angle = ((Number(degrees) % 360) + 360) % 360;
+        if (angle !== 0) {
+            this.#operations.push({ type: 'rotate', angle, background });
+        }
+        return this;
+    }
+
+    /**
+     * Queues a mirror flip.
+     *
+     * @param {string} [direction='horizontal'] - 'horizontal', 'vertical' or 'both'
+     * @returns {lcsLoadImage} This instance, for chaining
+     * @throws {Error} If the direction is unknown
+     */
+    flip(direction = 'horizontal') {
+        if (!['horizontal', 'vertical', 'both'].includes(direction)) {
+            throw new Error(`flip error: unknown direction "${direction}".`);
+        }
+        this.#operations.push({ type: 'flip', direction });
+        return this;
+    }
+
+    /**
+     * Removes all queued operations.
+     * @returns {lcsLoadImage} This instance, for chaining
+     */
+    clearOperations() {
+        this.#operations = [];
+        return this;
+    }
+
+    /**
+     * Applies the queued operations and returns the resulting canvas, with the
+     * EXIF orientation applied first.
+     * The queue is kept, so the same pipeline can be encoded several times.
+     *
+     * @returns {Promise<HTMLCanvasElement>} The processed image
+     */
+    async toCanvas() {
+        await this.#ensureLoaded();
+
+        let canvas = orientCanvas(this.#drawSource(), await this.#getOrientationToApply());
+
+        for (const operation of this.#operations) {
+            canvas = this.#applyOperation(canvas, operation);
+        }
+        return canvas;
+    }
+
+    /**
+     * Applies the queued operations and encodes the result. The output carries
+     * no metadata (EXIF, GPS, ...) since it is re-encoded from a canvas.
+     *
+     * With `maxFileSize`, lossy formats are encoded at the highest quality
+     * (between `minQuality` and `quality`) that fits, and the image is scaled
+     * down when even `minQuality` is too large (always the case for PNG).
+     *
+     * @param {Object} [options={}] - Encoding options
+     * @param {string} [options.format] - 'jpeg', 'webp', 'png' or a MIME type. Defaults to the source format if it is one of these, else JPEG.
+     * @param {number} [options.quality=0.92] - Quality for JPEG and WebP, between 0 and 1
+     * @param {number} [options.maxFileSize] - Maximum size of the output in bytes
+     * @param {number} [options.minQuality=0.5] - Lowest quality tried to reach `maxFileSize`
+     * @param {string} [options.background='#ffffff'] - Colour behind transparent areas when encoding JPEG
+     * @returns {Promise<Blob>} The encoded image
+     * @throws {Error} If the format is unsupported or `maxFileSize` can't be reached
+     */
+    async toBlob({ format = null, quality = 0.92, maxFileSize = null, minQuality = 0.5, background = '#ffffff' } = {}) {
+        let mimeType = this.#resolveFormat(format);
+        let canvas = await this.toCanvas();
+
+        if (mimeType === 'image/jpeg') {
+            canvas = this.#flatten(canvas, background);
+        }
+
+        let blob = await encodeCanvas(canvas, mimeType, quality);
+
+        // Browsers without an encoder for the format silently fall back to PNG
+        if (blob.type !== mimeType) {
+            console.warn(`toBlob: ${mimeType} encoding is not supported by this browser, using image/jpeg.`);
+            mimeType = 'image/jpeg';
+            canvas = this.#flatten(canvas, background);
+            blob = await encodeCanvas(canvas, mimeType, quality);
+        }
+
+        if (!maxFileSize || blob.size <= maxFileSize) {
+            return blob;
+        }
+
+        const lossy = mimeType !== 'image/png';
+        for (let attempt = 0; attempt < 8; attempt++) {
+            if (lossy) {
+                blob = await encodeCanvas(canvas, mimeType, minQuality);
+                if (blob.size <= maxFileSize) {
+                    return await this.#fitQuality(canvas, mimeType, minQuality, quality, maxFileSize) ?? blob;
+                }
+            }
+
+            // Scale down by the share of bytes over the limit, with some headroom
+            const factor = Math.min(0.9, Math.sqrt(maxFileSize / blob.size) * 0.95);
+            if (canvas.width * factor < 16 || canvas.height * factor < 16) break;
+            canvas = scaleCanvas(canvas, canvas.width * factor, canvas.height * factor);
+
+            if (!lossy) {
+                blob = await encodeCanvas(canvas, mimeType);
+                if (blob.size <= maxFileSize) return blob;
+            }
+        }
+
+        throw new Error(`toBlob error: could not encode the image under ${fileOps.formatFileSize(maxFileSize)}.`);
+    }
+
+    /**
+     * Applies the queued operations and encodes the result as a `File`, ready
+     * to replace the original in a form submission or `selectFiles` selection.
+     *
+     * @param {Object} [options={}] - Same options as `toBlob`, plus:
+     * @param {string} [options.name] - File name. Defaults to the original name with the new extension.
+     * @returns {Promise<File>} The encoded image file
+     */
+    async toFile({ name = null, ...options } = {}) {
+        const blob = await this.toBlob(options);
+        const extension = fileOps.getMimeTypeExtension(blob.type);
+        const fileName = name || `${this.#getBaseName()}.${extension}`;
+        return new File([blob], fileName, { type: blob.type, lastModified: Date.now() });
+    }
+
+    /**
+     * Applies a single queued operation.
+     * @private
+     * @param {HTMLCanvasElement} canvas - Current image
+     * @param {Object} operation - Queued operation
+     * @returns {HTMLCanvasElement} Transformed image
+     */
+    #applyOperation(canvas, operation) {
+        switch (operation.type) {
+            case 'resize':
+                return this.#resizeCanvas(canvas, operation);
+            case 'crop':
+                return this.#cropCanvas(canvas, operation);
+            case 'rotate':
+                return this.#rotateCanvas(canvas, operation);
+            case 'flip':
+                return this.#flipCanvas(canvas, operation);
+            default:
+                return canvas;
+        }
+    }
+
+    /**
+     * @private
+     * @param {HTMLCanvasElement} canvas - Current image
+     * @param {Object} operation - Resize operation
+     * @returns {HTMLCanvasElement} Resized image
+     */
+    #resizeCanvas(canvas, { width, height, fit, position, withoutEnlargement, background }) {
+        const { width: sourceWidth, height: sourceHeight } = canvas;
+
+        // One dimension given: the other follows the aspect ratio
+        if (!width || !height) {
+            let scale = width ? width / sourceWidth : height / sourceHeight;
+            if (withoutEnlargement) scale = Math.min(scale, 1);
+            return scale === 1 ? canvas : scaleCanvas(canvas, sourceWidth * scale, sourceHeight * scale);
+        }
+
+        if (withoutEnlargement && width >= sourceWidth && height >= sourceHeight) {
+            return canvas;
+        }
+
+        if (fit === 'fill') {
+            return scaleCanvas(canvas, width, height);
+        }
+
+        const fitsInside = fit === 'inside' || fit === 'contain';
+        let scale = fitsInside
+            ? Math.min(width / sourceWidth, height / sourceHeight)
+            : Math.max(width / sourceWidth, height / sourceHeight);
+        if (withoutEnlargement) scale = Math.min(scale, 1);
+
+        const scaled = scaleCanvas(canvas, sourceWidth * scale, sourceHeight * scale);
+        if (fit === 'inside' || fit === 'outside') {
+            return scaled;
+        }
+
+        // cover and contain: place the scaled image in the exact box
+        const { x, y } = positionFactors(position);
+        const boxed = createCanvas(width, height);
+        const ctx = getContext(boxed);
+        if (fit === 'contain' && background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, boxed.width, boxed.height);
+        }
+        ctx.drawImage(scaled, Math.round((boxed.width - scaled.width) * x), Math.round((boxed.height - scaled.height) * y));
+        return boxed;
+    }
+
+    /**
+     * @private
+     * @param {HTMLCanvasElement} canvas - Current image
+     * @param {Object} operation - Crop operation
+     * @returns {HTMLCanvasElement} Cropped image
+     * @throws {Error} If the crop area is outside the image
+     */
+    #cropCanvas(canvas, { x, y, width, height, aspectRatio, position }) {
+        let area;
+        if (aspectRatio !== null) {
+            const areaWidth = Math.min(canvas.width, canvas.height * aspectRatio);
+            const areaHeight = areaWidth / aspectRatio;
+            const factors = positionFactors(position);
+            area = {
+                x: (canvas.width - areaWidth) * factors.x,
+                y: (canvas.height - areaHeight) * factors.y,
+                width: areaWidth,
+                height: areaHeight,
+            };
+        } else {
+            const left = Math.max(0, x);
+            const top = Math.max(0, y);
+            area = {
+                x: left,
+                y: top,
+                width: Math.min(width ?? canvas.width, canvas.width - left),
+                height: Math.min(height ?? canvas.height, canvas.height - top),
+            };
+        }
+
+        area = Object.fromEntries(Object.entries(area).map(([key, value]) => [key, Math.round(value)]));
+        if (area.width <= 0 || area.height <= 0) {
+            throw new Error('crop error: the crop area is outside the image.');
+        }
+
+        const cropped = createCanvas(area.width, area.height);
+        getContext(cropped).drawImage(canvas, area.x, area.y, area.width, area.height, 0, 0, area.width, area.height);
+        return cropped;
+    }
+
+    /**
+     * @private
+     * @param {HTMLCanvasElement} canvas - Current image
+     * @param {Object} operation - Rotate operation
+     * @returns {HTMLCanvasElement} Rotated image
+     */
+    #rotateCanvas(canvas, { angle, background }) {
+        const radians = angle * Math.PI / 180;
+        const quarterTurn = angle % 90 === 0;
+        const sin = quarterTurn ? Math.round(Math.sin(radians)) : Math.sin(radians);
+        const cos = quarterTurn ? Math.round(Math.cos(radians)) : Math.cos(radians);
+
+        const rotated = createCanvas(
+            Math.abs(canvas.width * cos) + Math.abs(canvas.height * sin),
+            Math.abs(canvas.width * sin) + Math.abs(canvas.height * cos)
+        );
+        const ctx = getContext(rotated);
+        if (background) {
+            ctx.fillStyle = background;
+            ctx.fillRect(0, 0, rotated.width, rotated.height);
+        }
+        ctx.translate(rotated.width / 2, rotated.height / 2);
+        ctx.rotate(radians);
+        ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+        return rotated;
+    }
+
+    /**
+     * @private
+     * @param {HTMLCanvasElement} canvas - Current image
+     * @param {Object} operation - Flip operation
+     * @returns {HTMLCanvasElement} Flipped image
+     */
+    #flipCanvas(canvas, { direction }) {
+        const horizontal = direction !== 'vertical';
+        const vertical = direction !== 'horizontal';
+
+        const flipped = createCanvas(canvas.width, canvas.height);
+        const ctx = getContext(flipped);
+        ctx.translate(horizontal ? flipped.width : 0, vertical ? flipped.height : 0);
+        ctx.scale(horizontal ? -1 : 1, vertical ? -1 : 1);
+        ctx.drawImage(canvas, 0, 0);
+        return flipped;
+    }
+
+    /**
+     * Draws the image over a solid background (JPEG has no transparency).
+     * @private
+     * @param {HTMLCanvasElement} canvas - Current image
+     * @param {string} background - Background colour
+     * @returns {HTMLCanvasElement} Opaque image
+     */
+    #flatten(canvas, background) {
+        const flattened = createCanvas(canvas.width, canvas.height);
+        const ctx = flattened.getContext('2d');
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, flattened.width, flattened.height);
+        ctx.drawImage(canvas, 0, 0);
+        return flattened;
+    }
+
+    /**
+     * Finds the highest quality that encodes under a size limit, by bisection.
+     * @private
+     * @param {HTMLCanvasElement} canvas - Image to encode
+     * @param {string} mimeType - Lossy output MIME type
+     * @param {number} minQuality - Lowest quality allowed
+     * @param {number} maxQuality - Highest quality allowed
+     * @param {number} maxFileSize - Size limit in bytes
+     * @returns {Promise<Blob|null>} The best fitting encoding above `minQuality`, or null if none fits
+     */
+    async #fitQuality(canvas, mimeType, minQuality, maxQuality, maxFileSize) {
+        let best = null;
+        let low = minQuality;
+        let high = maxQuality;
+
+        for (let step = 0; step < 6 && high - low > 0.01; step++) {
+            const quality = (low + high) / 2;
+            const blob = await encodeCanvas(canvas, mimeType, quality);
+            if (blob.size <= maxFileSize) {
+                best = blob;
+                low = quality;
+            } else {
+                high = quality;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Resolves the requested output format to a MIME type.
+     * @private
+     * @param {string|null} format - Requested format
+     * @returns {string} Output MIME type
+     * @throws {Error} If the format can't be encoded
+     */
+    #resolveFormat(format) {
+        if (!format) {
+            const sourceType = this.#file instanceof Blob ? this.#file.type : '';
+            return Object.values(imageOutputFormats).includes(sourceType) ? sourceType : 'image/jpeg';
+        }
+
+        const normalized = String(format).toLowerCase().replace(/^image\//, '');
+        if (!imageOutputFormats[normalized]) {
+            throw new Error(`toBlob error: unsupported output format "${format}". Use jpeg, webp or png.`);
+        }
+        return imageOutputFormats[normalized];
+    }
+
+    /**
+     * Gets the file name without its extension, for naming processed output.
+     * @private
+     * @returns {string} Base name
+     */
+    #getBaseName() {
+        const name = this.#file instanceof File
+            ? this.#file.name
+            : (typeof this.#file === 'string' ? this.#file.split('/').pop().split('?')[0] : '');
+        return name.replace(/\.[^.]+$/, '') || 'image';
+    }
+
     /**
      * Cleans up resources used by the image loader.
      */
     dispose() {
-        if (this.#imageElement && this.#file instanceof File) {
+        if (this.#imageElement && this.#file instanceof Blob) {
             URL.revokeObjectURL(this.#imageElement.src);
         }
     }
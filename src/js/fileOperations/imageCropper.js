@@ -0,0 +1,332 @@
+import lcsLoadImage from "./image.js";
+import { overlayElement } from "../workingTools/elementOps/uiAndElementManipulation/overlayUtils.js";
+
+/**
+ * Default options of `cropImage`.
+ * @constant
+ * @type {Object}
+ */
+const DEFAULT_CROPPER_OPTIONS = {
+    aspectRatios: [],
+    title: 'Crop image',
+    confirmText: 'Apply',
+    cancelText: 'Cancel',
+    maxZoom: 4,
+    output: {},
+};
+
+/**
+ * Fraction of the viewport moved by an arrow key (Shift moves further).
+ * @constant
+ * @type {number}
+ */
+const KEYBOARD_PAN_STEP = 0.05;
+
+/**
+ * Zoom factor applied per key press, button click or wheel notch.
+ * @constant
+ * @type {number}
+ */
+const ZOOM_STEP = 1.1;
+
+/**
+ * Parses "16:9" into a width/height ratio.
+ * @param {string} ratio - Aspect ratio
+ * @returns {number} Ratio
+ */
+const ratioValue = (ratio) => {
+    const [width, height] = String(ratio).split(':').map(Number);
+    return width > 0 && height > 0 ? width / height : NaN;
+};
+
+/**
+ * Opens a cropping dialog on an overlay and resolves with the cropped image.
+ *
+ * The crop area is locked to the given aspect ratios (buttons switch between
+ * them when there are several) and the image is positioned under it:
+ * - **Pan:** drag with a mouse, finger or pen, or use the arrow keys (Shift for larger steps)
+ * - **Zoom:** slider, mouse wheel, pinch, the zoom buttons, or `+` / `-` (`0` resets)
+ * - **Confirm / cancel:** buttons, `Enter` / `Escape`, or the overlay dismisser
+ *
+ * EXIF orientation is applied before cropping, and the result is encoded through
+ * `lcsLoadImage`, so it carries no metadata.
+ *
+ * @example
+ * const cropped = await cropImage(input.files[0], { aspectRatios: ['1:1'] });
+ * if (cropped) {
+ *     formData.append('avatar', cropped);
+ * }
+ *
+ * @example
+ * // Banner with two allowed ratios, encoded as WebP under 500 KB
+ * const banner = await cropImage(file, {
+ *     aspectRatios: ['16:9', '3:1'],
+ *     title: 'Position your banner',
+ *     output: { format: 'webp', quality: 0.85, maxFileSize: 500 * 1024 },
+ * });
+ *
+ * @param {File|Blob|string} file - The image to crop (File, Blob or URL).
+ * @param {Object} [options={}] - Cropper options.
+ * @param {string[]|string} [options.aspectRatios=[]] - Allowed ratios (e.g. ['16:9', '4:3']). Without any, the image's own ratio is used.
+ * @param {string} [options.title='Crop image'] - Dialog heading.
+ * @param {string} [options.confirmText='Apply'] - Confirm button label.
+ * @param {string} [options.cancelText='Cancel'] - Cancel button label.
+ * @param {number} [options.maxZoom=4] - Maximum zoom, relative to the image just covering the crop area.
+ * @param {Object} [options.output={}] - Encoding options for `lcsLoadImage.toFile` (format, quality, maxFileSize, name).
+ * @returns {Promise<File|null>} The cropped image, or null if the user cancelled.
+ */
+export async function cropImage(file, options = {}) {
+    const settings = { ...DEFAULT_CROPPER_OPTIONS, ...options };
+    const loader = new lcsLoadImage(file);
+
+    // Oriented pixels: what the user sees is what gets cropped
+    const source = await loader.toCanvas();
+    const imageWidth = source.width;
+    const imageHeight = source.height;
+
+    let ratios = (Array.isArray(settings.aspectRatios) ? settings.aspectRatios : [settings.aspectRatios])
+        .filter((ratio) => Number.isFinite(ratioValue(ratio)));
+    if (ratios.length === 0) {
+        ratios = [`${imageWidth}:${imageHeight}`];
+    }
+
+    return new Promise((resolve) => {
+        const dialog = document.createElement('div');
+        dialog.className = 'lcsImageCropper';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.innerHTML = `
+            <div class="_cropper_header"><h2 class="_cropper_title"></h2></div>
+            <div class="_cropper_ratios" role="radiogroup" aria-label="Aspect ratio"></div>
+            <div class="_cropper_viewport" tabindex="0" role="group"
+                aria-label="Crop area. Drag or use the arrow keys to move the image, + and - to zoom.">
+                <div class="_cropper_frame"></div>
+            </div>
+            <div class="_cropper_zoom">
+                <button type="button" class="_cropper_zoom_out" aria-label="Zoom out"><i class="fas fa-search-minus"></i></button>
+                <input type="range" class="_cropper_zoom_range" min="1" step="0.01" aria-label="Zoom">
+                <button type="button" class="_cropper_zoom_in" aria-label="Zoom in"><i class="fas fa-search-plus"></i></button>
+            </div>
+            <div class="_cropper_footer">
+                <button type="button" class="_cropper_btn _cropper_btn_cancel"></button>
+                <button type="button" class="_cropper_btn _cropper_btn_confirm"></button>
+            </div>
+        `;
+
+        dialog.querySelector('._cropper_title').textContent = settings.title;
+        dialog.setAttribute('aria-label', settings.title);
+        dialog.querySelector('._cropper_btn_cancel').textContent = settings.cancelText;
+        dialog.querySelector('._cropper_btn_confirm').textContent = settings.confirmText;
+
+        const viewport = dialog.querySelector('._cropper_viewport');
+        const zoomRange = dialog.querySelector('._cropper_zoom_range');
+        const ratioGroup = dialog.querySelector('._cropper_ratios');
+        zoomRange.max = String(settings.maxZoom);
+
+        source.classList.add('_cropper_image');
+        viewport.prepend(source);
+
+        // Viewport size (CSS px), image position in the viewport and zoom
+        const state = { ratio: ratios[0], width: 0, height: 0, x: 0, y: 0, zoom: 1 };
+        const baseScale = () => Math.max(state.width / imageWidth, state.height / imageHeight);
+        const scale = () => baseScale() * state.zoom;
+
+        const render = () => {
+            const currentScale = scale();
+            // Keep the crop area covered by the image
+            state.x = Math.min(0, Math.max(state.width - imageWidth * currentScale, state.x));
+            state.y = Math.min(0, Math.max(state.height - imageHeight * currentScale, state.y));
+            source.style.transform = `translate(${state.x}px, ${state.y}px) scale(${currentScale})`;
+            zoomRange.value = String(state.zoom);
+        };
+
+        const zoomTo = (zoom, focusX = state.width / 2, focusY = state.height / 2) => {
+            const previousScale = scale();
+            state.zoom = Math.min(settings.maxZoom, Math.max(1, zoom));
+            const factor = scale() / previousScale;
+            // Keep the point under the focus still
+            state.x = focusX - (focusX - state.x) * factor;
+            state.y = focusY - (focusY - state.y) * factor;
+            render();
+        };
+
+        const layout = (keepCenter = true) => {
+            const center = keepCenter && state.width
+                ? { x: (state.width / 2 - state.x) / scale(), y: (state.height / 2 - state.y) / scale() }
+                : { x: imageWidth / 2, y: imageHeight / 2 };
+
+            const ratio = ratioValue(state.ratio);
+            const maxWidth = Math.min(window.innerWidth * 0.8, 640);
+            const maxHeight = window.innerHeight * 0.55;
+            state.width = Math.round(maxWidth / ratio <= maxHeight ? maxWidth : maxHeight * ratio);
+            state.height = Math.round(state.width / ratio);
+            viewport.style.width = `${state.width}px`;
+            viewport.style.height = `${state.height}px`;
+
+            state.x = state.width / 2 - center.x * scale();
+            state.y = state.height / 2 - center.y * scale();
+            render();
+        };
+
+        const cropArea = () => {
+            const currentScale = scale();
+            return {
+                x: Math.round(-state.x / currentScale),
+                y: Math.round(-state.y / currentScale),
+                width: Math.round(state.width / currentScale),
+                height: Math.round(state.height / currentScale),
+            };
+        };
+
+        // Aspect ratio choices
+        if (ratios.length > 1) {
+            ratios.forEach((ratio) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = '_cropper_ratio';
+                button.textContent = ratio;
+                button.setAttribute('role', 'radio');
+                button.setAttribute('aria-checked', String(ratio === state.ratio));
+                button.addEventListener('click', () => {
+                    state.ratio = ratio;
+                    state.zoom = 1;
+                    ratioGroup.querySelectorAll('._cropper_ratio').forEach((other) => {
+                        other.setAttribute('aria-checked', String(other === button));
+                    });
+                    layout(true);
+                });
+                ratioGroup.appendChild(button);
+            });
+        } else {
+            ratioGroup.remove();
+        }
+
+        // Pan and pinch with pointer events (mouse, touch, pen)
+        const pointers = new Map();
+        let pinchDistance = null;
+
+        const pointerDistance = () => {
+            const [first, second] = [...pointers.values()];
+            return Math.hypot(first.x - second.x, first.y - second.y);
+        };
+
+        viewport.addEventListener('pointerdown', (event) => {
+            viewport.setPointerCapture(event.pointerId);
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+            pinchDistance = pointers.size === 2 ? pointerDistance() : null;
+        });
+
+        viewport.addEventListener('pointermove', (event) => {
+            const previous = pointers.get(event.pointerId);
+            if (!previous) return;
+            pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+            if (pointers.size === 2 && pinchDistance) {
+                const distance = pointerDistance();
+                const bounds = viewport.getBoundingClientRect();
+                const [first, second] = [...pointers.values()];
+                zoomTo(
+                    state.zoom * (distance / pinchDistance),
+                    (first.x + second.x) / 2 - bounds.left,
+                    (first.y + second.y) / 2 - bounds.top
+                );
+                pinchDistance = distance;
+            } else if (pointers.size === 1) {
+                state.x += event.clientX - previous.x;
+                state.y += event.clientY - previous.y;
+                render();
+            }
+        });
+
+        const releasePointer = (event) => {
+            pointers.delete(event.pointerId);
+            pinchDistance = pointers.size === 2 ? pointerDistance() : null;
+        };
+        viewport.addEventListener('pointerup', releasePointer);
+        viewport.addEventListener('pointercancel', releasePointer);
+
+        viewport.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            const bounds = viewport.getBoundingClientRect();
+            const factor = event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+            zoomTo(state.zoom * factor, event.clientX - bounds.left, event.clientY - bounds.top);
+        }, { passive: false });
+
+        zoomRange.addEventListener('input', () => zoomTo(Number(zoomRange.value)));
+        dialog.querySelector('._cropper_zoom_in').addEventListener('click', () => zoomTo(state.zoom * ZOOM_STEP));
+        dialog.querySelector('._cropper_zoom_out').addEventListener('click', () => zoomTo(state.zoom / ZOOM_STEP));
+
+        const overlay = overlayElement(dialog, {
+            removeOnDismiss: true,
+            attributes: { class: 'lcsImageCropperOverlay' },
+        });
+
+        const onResize = () => layout(true);
+        let settled = false;
+        const close = async (confirmed) => {
+            if (settled) return;
+            settled = true;
+            window.removeEventListener('resize', onResize);
+
+            let result = null;
+            if (confirmed) {
+                try {
+                    result = await loader.crop(cropArea()).toFile(settings.output);
+                } catch (error) {
+                    console.error(`cropImage error: ${error.message}`);
+                }
+            }
+            overlay.remove();
+            loader.dispose();
+            resolve(result);
+        };
+
+        dialog.querySelector('._cropper_btn_confirm').addEventListener('click', () => close(true));
+        dialog.querySelector('._cropper_btn_cancel').addEventListener('click', () => close(false));
+        overlay.querySelector('._overlay_dismisser')?.addEventListener('click', () => close(false));
+        overlay.addEventListener('click', (event) => {
+            if (event.target === overlay) close(false);
+        });
+
+        dialog.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                close(false);
+                return;
+            }
+            if (event.key === 'Enter' && event.target.tagName !== 'BUTTON') {
+                event.preventDefault();
+                close(true);
+                return;
+            }
+            if (event.target !== viewport) return;
+
+            const step = (event.shiftKey ? 4 : 1) * KEYBOARD_PAN_STEP;
+            const moves = {
+                ArrowLeft: [-state.width * step, 0],
+                ArrowRight: [state.width * step, 0],
+                ArrowUp: [0, -state.height * step],
+                ArrowDown: [0, state.height * step],
+            };
+            if (moves[event.key]) {
+                state.x += moves[event.key][0];
+                state.y += moves[event.key][1];
+                render();
+            } else if (event.key === '+' || event.key === '=') {
+                zoomTo(state.zoom * ZOOM_STEP);
+            } else if (event.key === '-') {
+                zoomTo(state.zoom / ZOOM_STEP);
+            } else if (event.key === '0') {
+                state.zoom = 1;
+                layout(false);
+            } else {
+                return;
+            }
+            event.preventDefault();
+        });
+
+        window.addEventListener('resize', onResize);
+        layout(false);
+        viewport.focus();
+    });
+}
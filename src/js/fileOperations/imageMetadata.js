@@ -0,0 +1,593 @@
+/**
+ * Image metadata: EXIF (JPEG APP1, PNG eXIf, WebP EXIF chunks), PNG text chunks,
+ * and lossless removal of metadata before upload.
+ *
+ * Used by `lcsLoadImage` (getMetadata, orientation correction, stripMetadata),
+ * and usable on its own with any `Blob`.
+ */
+
+/**
+ * Byte size of each TIFF field type (index = type id).
+ * @constant
+ * @type {number[]}
+ */
+const tiffTypeSizes = [0, 1, 1, 2, 4, 8, 1, 1, 2, 4, 8, 4, 8];
+
+/**
+ * EXIF tags we expose, by IFD. Unlisted tags are skipped.
+ * @constant
+ * @type {Object<string, Object<number, string>>}
+ */
+const exifTagNames = {
+    ifd0: {
+        0x010F: 'Make',
+        0x0110: 'Model',
+        0x0112: 'Orientation',
+        0x0131: 'Software',
+        0x0132: 'DateTime',
+        0x013B: 'Artist',
+        0x8298: 'Copyright',
+        0x8769: 'ExifIFDPointer',
+        0x8825: 'GPSInfoIFDPointer',
+    },
+    exif: {
+        0x829A: 'ExposureTime',
+        0x829D: 'FNumber',
+        0x8827: 'ISOSpeedRatings',
+        0x9003: 'DateTimeOriginal',
+        0x9004: 'DateTimeDigitized',
+        0x9010: 'OffsetTime',
+        0x9011: 'OffsetTimeOriginal',
+        0x920A: 'FocalLength',
+        0x9209: 'Flash',
+        0xA002: 'PixelXDimension',
+        0xA003: 'PixelYDimension',
+        0xA405: 'FocalLengthIn35mmFilm',
+        0xA433: 'LensMake',
+        0xA434: 'LensModel',
+    },
+    gps: {
+        0x0001: 'GPSLatitudeRef',
+        0x0002: 'GPSLatitude',
+        0x0003: 'GPSLongitudeRef',
+        0x0004: 'GPSLongitude',
+        0x0005: 'GPSAltitudeRef',
+        0x0006: 'GPSAltitude',
+        0x0007: 'GPSTimeStamp',
+        0x001D: 'GPSDateStamp',
+    },
+};
+
+/**
+ * JPEG segments removed by `stripImageMetadata`: APP1 (EXIF, XMP), APP12-APP13
+ * (Ducky, IPTC/Photoshop) and comments. APP0 (JFIF), APP2 (ICC colour profile)
+ * and APP14 (Adobe colour transform) are kept since they affect how the image looks.
+ * @constant
+ * @type {number[]}
+ */
+const jpegMetadataMarkers = [0xE1, 0xEC, 0xED, 0xFE];
+
+/**
+ * PNG chunks removed by `stripImageMetadata`.
+ * @constant
+ * @type {string[]}
+ */
+const pngMetadataChunks = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+
+/**
+ * WebP chunks removed by `stripImageMetadata`.
+ * @constant
+ * @type {string[]}
+ */
+const webpMetadataChunks = ['EXIF', 'XMP '];
+
+/**
+ * Bytes read from JPEG and WebP files to find their metadata, which sits
+ * before the image data.
+ * @constant
+ * @type {number}
+ */
+const METADATA_SCAN_BYTES = 512 * 1024;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * Reads a run of bytes as a latin1 string.
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} start - Start offset
+ * @param {number} length - Number of bytes
+ * @returns {string} Decoded string
+ */
+const readString = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+/**
+ * Detects the container format from the first bytes.
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {string|null} 'jpeg', 'png', 'webp' or null
+ */
+const detectFormat = (bytes) => {
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) return 'jpeg';
+    if (PNG_SIGNATURE.every((byte, index) => bytes[index] === byte)) return 'png';
+    if (readString(bytes, 0, 4) === 'RIFF' && readString(bytes, 8, 4) === 'WEBP') return 'webp';
+    return null;
+};
+
+/**
+ * Reads one TIFF field value.
+ * @param {DataView} view - View over the TIFF block
+ * @param {number} entryOffset - Offset of the 12-byte IFD entry
+ * @param {boolean} little - Little endian byte order
+ * @returns {*} The value (single values unwrapped, ASCII as string, rationals as numbers)
+ */
+const readTiffValue = (view, entryOffset, little) => {
+    const type = view.getUint16(entryOffset + 2, little);
+    const count = view.getUint32(entryOffset + 4, little);
+    const size = (tiffTypeSizes[type] || 0) * count;
+    if (!size) return null;
+
+    const offset = size <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, little);
+    if (offset + size > view.byteLength) return null;
+
+    const values = [];
+    for (let index = 0; index < count; index++) {
+        const at = offset + index * tiffTypeSizes[type];
+        switch (type) {
+            case 1: case 7: values.push(view.getUint8(at)); break;
+            case 2: values.push(view.getUint8(at)); break;
+            case 3: values.push(view.getUint16(at, little)); break;
+            case 4: values.push(view.getUint32(at, little)); break;
+            case 9: values.push(view.getInt32(at, little)); break;
+            case 5: {
+                const denominator = view.getUint32(at + 4, little);
+                values.push(denominator ? view.getUint32(at, little) / denominator : 0);
+                break;
+            }
+            case 10: {
+                const denominator = view.getInt32(at + 4, little);
+                values.push(denominator ? view.getInt32(at, little) / denominator : 0);
+                break;
+            }
+            default: return null;
+        }
+    }
+
+    if (type === 2) {
+        return String.fromCharCode(...values).replace(/\0+$/, '').trim();
+    }
+    return values.length === 1 ? values[0] : values;
+};
+
+/**
+ * Reads the listed tags of one IFD.
+ * @param {DataView} view - View over the TIFF block
+ * @param {number} offset - Offset of the IFD
+ * @param {boolean} little - Little endian byte order
+ * @param {Object<number, string>} names - Tags to read
+ * @returns {Object<string, *>} Tag values by name
+ */
+const readIfd = (view, offset, little, names) => {
+    const tags = {};
+    if (!offset || offset + 2 > view.byteLength) return tags;
+
+    const count = view.getUint16(offset, little);
+    for (let index = 0; index < count; index++) {
+        const entryOffset = offset + 2 + index * 12;
+        if (entryOffset + 12 > view.byteLength) break;
+
+        const name = names[view.getUint16(entryOffset, little)];
+        if (name) {
+            const value = readTiffValue(view, entryOffset, little);
+            if (value !== null) tags[name] = value;
+        }
+    }
+    return tags;
+};
+
+/**
+ * Parses a TIFF block (the body of an EXIF segment) into a flat tag map.
+ * @param {Uint8Array} bytes - TIFF bytes, starting at the byte order mark
+ * @returns {Object<string, *>} EXIF tags by name
+ */
+const parseTiff = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.byteLength < 8) return {};
+
+    const byteOrder = readString(bytes, 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return {};
+    const little = byteOrder === 'II';
+
+    const ifd0 = readIfd(view, view.getUint32(4, little), little, exifTagNames.ifd0);
+    const exif = readIfd(view, ifd0.ExifIFDPointer, little, exifTagNames.exif);
+    const gps = readIfd(view, ifd0.GPSInfoIFDPointer, little, exifTagNames.gps);
+
+    delete ifd0.ExifIFDPointer;
+    delete ifd0.GPSInfoIFDPointer;
+    return { ...ifd0, ...exif, ...gps };
+};
+
+/**
+ * Finds the EXIF block and dimensions of a JPEG.
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {{tiff: Uint8Array|null, width: number|null, height: number|null}} Findings
+ */
+const scanJpeg = (bytes) => {
+    const found = { tiff: null, width: null, height: null };
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        if (marker === 0xD9 || marker === 0xDA) break; // End of image, start of scan
+
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const body = offset + 4;
+
+        if (marker === 0xE1 && !found.tiff && readString(bytes, body, 6) === 'Exif\0\0') {
+            found.tiff = bytes.subarray(body + 6, offset + 2 + length);
+        }
+        // SOF markers, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            found.height = (bytes[body + 1] << 8) | bytes[body + 2];
+            found.width = (bytes[body + 3] << 8) | bytes[body + 4];
+        }
+        offset += 2 + length;
+    }
+    return found;
+};
+
+/**
+ * Iterates over the chunks of a PNG.
+ * @param {Uint8Array} bytes - File bytes
+ * @yields {{type: string, start: number, end: number, data: Uint8Array}} Chunk (start/end include length, type and CRC)
+ */
+function* pngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const type = readString(bytes, offset + 4, 4);
+        const end = offset + 12 + length;
+        if (end > bytes.length) break;
+        yield { type, start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + length) };
+        if (type === 'IEND') break;
+        offset = end;
+    }
+}
+
+/**
+ * Iterates over the chunks of a WebP (RIFF) file.
+ * @param {Uint8Array} bytes - File bytes
+ * @yields {{type: string, start: number, end: number, data: Uint8Array}} Chunk (start/end include header and padding)
+ */
+function* webpChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const type = readString(bytes, offset, 4);
+        const length = view.getUint32(offset + 4, true);
+        const end = Math.min(bytes.length, offset + 8 + length + (length % 2));
+        yield { type, start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + length) };
+        offset = end;
+    }
+}
+
+/**
+ * Inflates zlib data (PNG zTXt / compressed iTXt) where the browser supports it.
+ * @param {Uint8Array} data - Compressed bytes
+ * @returns {Promise<Uint8Array|null>} Inflated bytes, or null if unsupported or invalid
+ */
+const inflate = async (data) => {
+    if (typeof DecompressionStream === 'undefined') return null;
+    try {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Reads the text chunks of a PNG.
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Promise<{text: Object<string, string>, tiff: Uint8Array|null, width: number|null, height: number|null}>} Findings
+ */
+const scanPng = async (bytes) => {
+    const found = { text: {}, tiff: null, width: null, height: null };
+    const latin1 = new TextDecoder('latin1');
+    const utf8 = new TextDecoder('utf-8');
+
+    for (const { type, data } of pngChunks(bytes)) {
+        if (type === 'IHDR') {
+            const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            found.width = view.getUint32(0);
+            found.height = view.getUint32(4);
+        } else if (type === 'eXIf') {
+            found.tiff = data;
+        } else if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') {
+            const keywordEnd = data.indexOf(0);
+            if (keywordEnd < 1) continue;
+            const keyword = latin1.decode(data.subarray(0, keywordEnd));
+
+            let value = null;
+            if (type === 'tEXt') {
+                value = latin1.decode(data.subarray(keywordEnd + 1));
+            } else if (type === 'zTXt') {
+                const inflated = await inflate(data.subarray(keywordEnd + 2));
+                value = inflated && latin1.decode(inflated);
+            } else {
+                // iTXt: keyword, compression flag, method, language tag, translated keyword, text
+                const compressed = data[keywordEnd + 1] === 1;
+                const languageEnd = data.indexOf(0, keywordEnd + 3);
+                const translatedEnd = data.indexOf(0, languageEnd + 1);
+                if (languageEnd < 0 || translatedEnd < 0) continue;
+                const text = data.subarray(translatedEnd + 1);
+                const decoded = compressed ? await inflate(text) : text;
+                value = decoded && utf8.decode(decoded);
+            }
+            if (value !== null) found.text[keyword] = value;
+        }
+    }
+    return found;
+};
+
+/**
+ * Finds the EXIF block and canvas size of a WebP.
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {{tiff: Uint8Array|null, width: number|null, height: number|null}} Findings
+ */
+const scanWebp = (bytes) => {
+    const found = { tiff: null, width: null, height: null };
+    for (const { type, data } of webpChunks(bytes)) {
+        if (type === 'VP8X' && data.length >= 10) {
+            found.width = 1 + (data[4] | (data[5] << 8) | (data[6] << 16));
+            found.height = 1 + (data[7] | (data[8] << 8) | (data[9] << 16));
+        } else if (type === 'EXIF') {
+            // Some encoders keep the JPEG "Exif\0\0" prefix
+            found.tiff = readString(data, 0, 6) === 'Exif\0\0' ? data.subarray(6) : data;
+        }
+    }
+    return found;
+};
+
+/**
+ * Turns EXIF GPS tags into signed decimal coordinates.
+ * @param {Object<string, *>} tags - EXIF tags
+ * @returns {{latitude: number, longitude: number, altitude: number|null}|null} Position, or null if absent
+ */
+const toCoordinates = (tags) => {
+    const toDecimal = (value, ref, negativeRef) => {
+        if (!Array.isArray(value) || value.length < 3) return null;
+        const decimal = value[0] + value[1] / 60 + value[2] / 3600;
+        return ref === negativeRef ? -decimal : decimal;
+    };
+
+    const latitude = toDecimal(tags.GPSLatitude, tags.GPSLatitudeRef, 'S');
+    const longitude = toDecimal(tags.GPSLongitude, tags.GPSLongitudeRef, 'W');
+    if (latitude === null || longitude === null) return null;
+
+    const altitude = typeof tags.GPSAltitude === 'number'
+        ? (tags.GPSAltitudeRef === 1 ? -tags.GPSAltitude : tags.GPSAltitude)
+        : null;
+    return { latitude, longitude, altitude };
+};
+
+/**
+ * Turns an EXIF date ("YYYY:MM:DD HH:MM:SS") and optional offset ("+02:00")
+ * into a Date. Without an offset the time is taken as local time.
+ * @param {string} [dateTime] - EXIF date and time
+ * @param {string} [offset] - EXIF time offset
+ * @returns {Date|null} The date, or null if missing or invalid
+ */
+const toDate = (dateTime, offset) => {
+    const match = typeof dateTime === 'string'
+        && dateTime.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, seconds] = match;
+    const iso = `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+    const date = new Date(/^[+-]\d{2}:\d{2}$/.test(offset || '') ? iso + offset : iso);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Reads the metadata of a JPEG, PNG or WebP image.
+ *
+ * @param {Blob} blob - The image
+ * @returns {Promise<Object>} Metadata:
+ *   - `format`: 'jpeg', 'png', 'webp' or null for other formats
+ *   - `width`, `height`: stored pixel size (before orientation is applied)
+ *   - `orientation`: EXIF orientation, 1 (normal) to 8
+ *   - `camera`: { make, model, lensMake, lensModel, software }
+ *   - `exposure`: { exposureTime, fNumber, iso, focalLength }
+ *   - `timestamp`: when the photo was taken, as a Date (or null)
+ *   - `gps`: { latitude, longitude, altitude } in decimal degrees and metres, or null
+ *   - `text`: PNG text chunks by keyword
+ *   - `exif`: all parsed EXIF tags by name
+ * @example
+ * const { gps, timestamp } = await readImageMetadata(input.files[0]);
+ */
+export async function readImageMetadata(blob) {
+    if (!(blob instanceof Blob)) {
+        throw new Error('readImageMetadata error: a Blob or File is required.');
+    }
+
+    const head = new Uint8Array(await blob.slice(0, 16).arrayBuffer());
+    const format = detectFormat(head);
+
+    let found = { tiff: null, width: null, height: null, text: {} };
+    if (format === 'png') {
+        // Text chunks may follow the image data
+        found = await scanPng(new Uint8Array(await blob.arrayBuffer()));
+    } else if (format) {
+        const bytes = new Uint8Array(await blob.slice(0, METADATA_SCAN_BYTES).arrayBuffer());
+        found = { text: {}, ...(format === 'jpeg' ? scanJpeg(bytes) : scanWebp(bytes)) };
+    }
+
+    const exif = found.tiff ? parseTiff(found.tiff) : {};
+    const orientation = Number.isInteger(exif.Orientation) && exif.Orientation >= 1 && exif.Orientation <= 8
+        ? exif.Orientation
+        : 1;
+
+    return {
+        format,
+        width: found.width,
+        height: found.height,
+        orientation,
+        camera: {
+            make: exif.Make || null,
+            model: exif.Model || null,
+            lensMake: exif.LensMake || null,
+            lensModel: exif.LensModel || null,
+            software: exif.Software || null,
+        },
+        exposure: {
+            exposureTime: exif.ExposureTime ?? null,
+            fNumber: exif.FNumber ?? null,
+            iso: Array.isArray(exif.ISOSpeedRatings) ? exif.ISOSpeedRatings[0] : (exif.ISOSpeedRatings ?? null),
+            focalLength: exif.FocalLength ?? null,
+        },
+        timestamp: toDate(exif.DateTimeOriginal, exif.OffsetTimeOriginal)
+            || toDate(exif.DateTimeDigitized, exif.OffsetTime)
+            || toDate(exif.DateTime, exif.OffsetTime),
+        gps: toCoordinates(exif),
+        text: found.text,
+        exif,
+    };
+}
+
+/**
+ * Builds a minimal big-endian TIFF block holding only an Orientation tag.
+ * @param {number} orientation - EXIF orientation (2-8)
+ * @returns {Uint8Array} TIFF bytes
+ */
+const orientationTiff = (orientation) => new Uint8Array([
+    0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // Big endian header, IFD0 at 8
+    0x00, 0x01,                                     // One entry
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, // Orientation, SHORT, count 1
+    0x00, orientation, 0x00, 0x00,                  // Value
+    0x00, 0x00, 0x00, 0x00,                         // No next IFD
+]);
+
+let crcTable = null;
+
+/**
+ * Computes the CRC32 of PNG chunk type and data.
+ * @param {Uint8Array} bytes - Chunk type followed by data
+ * @returns {number} CRC32
+ */
+const crc32 = (bytes) => {
+    if (!crcTable) {
+        crcTable = Array.from({ length: 256 }, (_, index) => {
+            let crc = index;
+            for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+            return crc >>> 0;
+        });
+    }
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Removes metadata segments from a JPEG.
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} orientation - Orientation to keep (1 = none)
+ * @returns {Uint8Array[]} Parts of the stripped file
+ */
+const stripJpeg = (bytes, orientation) => {
+    const parts = [bytes.subarray(0, 2)];
+    if (orientation > 1) {
+        const tiff = orientationTiff(orientation);
+        const length = tiff.length + 8;
+        parts.push(new Uint8Array([0xFF, 0xE1, length >> 8, length & 0xFF, ...Array.from('Exif\0\0', (char) => char.charCodeAt(0))]), tiff);
+    }
+
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        if (marker === 0xDA) break; // Image data follows: copy the rest as is
+
+        const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+        if (!jpegMetadataMarkers.includes(marker)) {
+            parts.push(bytes.subarray(offset, end));
+        }
+        offset = end;
+    }
+    parts.push(bytes.subarray(offset));
+    return parts;
+};
+
+/**
+ * Removes metadata chunks from a PNG.
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} orientation - Orientation to keep (1 = none)
+ * @returns {Uint8Array[]} Parts of the stripped file
+ */
+const stripPng = (bytes, orientation) => {
+    const parts = [bytes.subarray(0, PNG_SIGNATURE.length)];
+    for (const chunk of pngChunks(bytes)) {
+        if (pngMetadataChunks.includes(chunk.type)) continue;
+        parts.push(bytes.subarray(chunk.start, chunk.end));
+
+        if (chunk.type === 'IHDR' && orientation > 1) {
+            const body = new Uint8Array([...Array.from('eXIf', (char) => char.charCodeAt(0)), ...orientationTiff(orientation)]);
+            const framed = new Uint8Array(body.length + 8);
+            const view = new DataView(framed.buffer);
+            view.setUint32(0, body.length - 4);
+            framed.set(body, 4);
+            view.setUint32(body.length + 4, crc32(body));
+            parts.push(framed);
+        }
+    }
+    return parts;
+};
+
+/**
+ * Removes metadata chunks from a WebP and clears their flags.
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Uint8Array[]} Parts of the stripped file
+ */
+const stripWebp = (bytes) => {
+    const chunks = [];
+    for (const chunk of webpChunks(bytes)) {
+        if (webpMetadataChunks.includes(chunk.type)) continue;
+        const copy = bytes.slice(chunk.start, chunk.end);
+        if (chunk.type === 'VP8X') copy[8] &= ~0x0C; // EXIF and XMP flags
+        chunks.push(copy);
+    }
+
+    const size = 4 + chunks.reduce((total, chunk) => total + chunk.length, 0);
+    const header = bytes.slice(0, 12);
+    new DataView(header.buffer).setUint32(4, size, true);
+    return [header, ...chunks];
+};
+
+/**
+ * Removes metadata (EXIF with GPS position and camera details, XMP, IPTC, PNG
+ * text) from a JPEG, PNG or WebP without re-encoding it, so quality is untouched.
+ * Colour profiles are kept.
+ *
+ * @param {Blob} blob - The image
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.keepOrientation=true] - Keep an EXIF block holding only the orientation, so the image isn't displayed sideways
+ * @returns {Promise<Blob|null>} The stripped image, or null for formats that can only be stripped by re-encoding
+ * @example
+ * const clean = await stripImageMetadata(input.files[0]);
+ */
+export async function stripImageMetadata(blob, { keepOrientation = true } = {}) {
+    if (!(blob instanceof Blob)) {
+        throw new Error('stripImageMetadata error: a Blob or File is required.');
+    }
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const format = detectFormat(bytes);
+    if (!format) return null;
+
+    const orientation = keepOrientation && format !== 'webp'
+        ? (await readImageMetadata(blob)).orientation
+        : 1;
+
+    const parts = format === 'jpeg'
+        ? stripJpeg(bytes, orientation)
+        : (format === 'png' ? stripPng(bytes, orientation) : stripWebp(bytes));
+    return new Blob(parts, { type: blob.type || `image/${format}` });
+}
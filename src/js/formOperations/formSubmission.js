@@ -29,6 +29,13 @@ import { alert as lcsAlert } from '../alertsAndLogs/alerts.js';
  * @fires hooks#doAction('formSubmitted')           – Final hook; fires for all `.lcsForm` elements.
  * @fires hooks#doAction('formSubmitted_formID')    – Targeted hook if form has an ID.
  *
+ * ## Filters
+ * - `formSubmissionData_formID` – Rewrites the collected data of a specific form (runs first).
+ * - `formSubmissionData`        – Rewrites the collected data of any `.lcsForm`.
+ *
+ * Both receive `(data, formElement)` and must return the data to use. The filtered data
+ * replaces `window.lcsForm.data` and is what callbacks and `formSubmitted` hooks receive.
+ *
  * ## Data Extraction Notes
  * - Automatically supports `input`, `textarea`, `select`, and `.lcsFileSelection`, `._pill_options_value`.
  * - File inputs support both native `FileList` and external selections from `window.lcsFileSelection`.
@@ -90,6 +97,11 @@ import { alert as lcsAlert } from '../alertsAndLogs/alerts.js';
  * hooks.addAction('formSubmitted_loginForm', (form, data) => {
  *   fetch('/api/login', { method: 'POST', body: JSON.stringify(data) });
  * });
+ *
+ * @example <caption>Filter Example</caption>
+ * hooks.addFilter('formSubmissionData_loginForm', (data) => {
+ *   return { ...data, username: data.username.toLowerCase() };
+ * });
  */
 document.addEventListener("submit", async (event) => {
   // Identify nearest `.lcsForm`; ignore other forms
@@ -258,6 +270,12 @@ document.addEventListener("submit", async (event) => {
   // Await data build before proceeding
   await BuildFormData();
 
+  // STEP 4b: LET FILTERS REWRITE THE COLLECTED DATA
+  if (!isDataEmpty(formTarget.id)) {
+    window.lcsForm.data = await hooks.applyFiltersAsync(`formSubmissionData_${formTarget.id}`, window.lcsForm.data, formTarget);
+  }
+  window.lcsForm.data = await hooks.applyFiltersAsync('formSubmissionData', window.lcsForm.data, formTarget);
+
   /**
    * STEP 5: EXECUTE OPTIONAL CALLBACK
    * 
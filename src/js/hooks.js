@@ -1,8 +1,44 @@
 /**
- * lcsHooks provides an action hook system.
+ * @typedef {Object} HookEntry
+ * @property {Function} cb - The registered callback.
+ * @property {number} priority - Execution priority (lower numbers run earlier).
+ * @property {string} namespace - Namespace given at registration, or an empty string.
+ * @property {string} hook - The key the entry is stored under (may contain `*`).
+ * @property {boolean} once - Whether the entry is removed after its first run.
+ * @property {number} id - Registration order.
+ */
+
+/**
+ * @typedef {Object} HookListener
+ * @property {string} hook - The key the callback is registered under (may contain `*`).
+ * @property {string} namespace - Namespace given at registration, or an empty string.
+ * @property {number} priority - Execution priority.
+ * @property {boolean} once - Whether the callback is removed after its first run.
+ * @property {string} name - The callback's function name, or `(anonymous)`.
+ * @property {Function} callback - The callback itself.
+ */
+
+/**
+ * @typedef {Object} HookRecord
+ * @property {'action'|'filter'} type - The kind of hook triggered.
+ * @property {string} hook - The hook name.
+ * @property {Array} args - Arguments passed (for filters, the initial value comes first).
+ * @property {Array<HookListener>} listeners - Callbacks that ran, in order.
+ * @property {Array<{listener: HookListener, error: Error}>} errors - Errors thrown by callbacks.
+ * @property {number} timestamp - When the hook was triggered (ms since epoch).
+ * @property {number|null} duration - Time taken by all callbacks (ms), null while running.
+ * @property {*} [result] - The final value, for filters.
+ */
+
+/**
+ * lcsHooks provides an action and filter hook system.
  * It allows registering, triggering, checking, and removing callbacks for named hooks,
  * with optional execution priorities to control order.
  *
+ * Actions are fire-and-forget notifications. Filters pass a value through every
+ * registered callback in priority order, and each callback returns the (possibly
+ * modified) value for the next one.
+ *
  * This system is useful for creating extensible and modular JavaScript applications.
  *
  * @namespace lcsHooks
@@ -33,38 +69,398 @@
  * // Verify the callback has been removed
  * const isStillRegistered = hooks.hasAction('myHook', myCallback);
  * console.log(isStillRegistered); // Output: false
+ *
+ * @example
+ * // Namespaces, one-shot listeners and wildcards
+ * hooks.addAction('formSubmitted.myWidget', onSubmit);
+ * hooks.once('ajaxRequestSucceeded.myWidget', onFirstLoad);
+ * const off = hooks.addAction('ajaxRequest*', (data, hookName) => console.log(hookName));
+ *
+ * off();                           // remove the wildcard listener
+ * hooks.removeAction('.myWidget'); // remove everything registered under "myWidget"
+ *
+ * @example
+ * // Debugging: trace every hook and inspect what is registered
+ * hooks.setDebug();
+ * console.table(hooks.getListeners('formSubmitted'));
+ * console.log(hooks.getHistory('ajaxRequestFailedOnError'));
+ *
+ * @example
+ * // Filters: rewrite a value as it flows through the library
+ * hooks.addFilter('greeting', (text, name) => `${text}, ${name}`);
+ * hooks.addFilter('greeting', text => text + '!', 20);
+ *
+ * const greeting = hooks.applyFilters('greeting', 'Hello', 'Ada');
+ * console.log(greeting); // Output: Hello, Ada!
  */
 class lcsHooks {
   constructor() {
     /**
      * Internal map of hooks to arrays of callback objects.
+     * Keys may contain `*` wildcards.
      * @private
-     * @type {Map<string, Array<{cb: Function, priority: number}>>}
+     * @type {Map<string, Array<HookEntry>>}
      */
     this._hooks = new Map();
+
+    /**
+     * Internal map of filter hooks to arrays of callback objects.
+     * Keys may contain `*` wildcards.
+     * @private
+     * @type {Map<string, Array<HookEntry>>}
+     */
+    this._filters = new Map();
+
+    /**
+     * Incrementing registration counter, used to keep insertion order
+     * between callbacks of equal priority coming from different keys.
+     * @private
+     * @type {number}
+     */
+    this._sequence = 0;
+
+    /**
+     * Whether each triggered hook is logged to the console.
+     * @private
+     * @type {boolean}
+     */
+    this._debug = false;
+
+    /**
+     * Most recent hook events, oldest first.
+     * @private
+     * @type {Array<HookRecord>}
+     */
+    this._history = [];
+
+    /**
+     * Maximum number of events kept in the history. Events are only recorded
+     * in debug mode (see setDebug); set to 0 to disable recording there too.
+     * @type {number}
+     * @default 50
+     */
+    this.historyLimit = 50;
+  }
+
+  /**
+   * Splits a registration name into the hook name and its namespace, the part
+   * after the last dot. A leading dot denotes a bare namespace.
+   * `formSubmitted.myWidget` → `{ name: 'formSubmitted', namespace: 'myWidget' }`,
+   * `.myWidget` → `{ name: '', namespace: 'myWidget' }`.
+   *
+   * @private
+   * @param {string} hook - The hook name, optionally suffixed with `.namespace`.
+   * @returns {{name: string, namespace: string}}
+   */
+  _parseHook(hook) {
+    if (typeof hook !== 'string') {
+      throw new TypeError('Hook name must be a string');
+    }
+    if (hook.startsWith('.')) return { name: '', namespace: hook.slice(1) };
+    const dot = hook.lastIndexOf('.');
+    if (dot === -1) return { name: hook, namespace: '' };
+    return { name: hook.slice(0, dot), namespace: hook.slice(dot + 1) };
+  }
+
+  /**
+   * Lists the registrations made under a name. Hook names may contain dots
+   * themselves (e.g. `formSubmitted_my.form` for a form ID with a dot), so
+   * `a.b` stands for both every callback of hook `a.b` and the callbacks of
+   * hook `a` in namespace `b`, the same way when registering, triggering,
+   * checking and removing. A bare namespace (`.b`) lists its callbacks on every hook.
+   *
+   * @private
+   * @param {Map<string, Array<HookEntry>>} store - The store to read from.
+   * @param {string} hook - The hook name, optionally namespaced.
+   * @returns {Array<HookEntry>}
+   */
+  _entries(store, hook) {
+    const { name, namespace } = this._parseHook(hook);
+    if (name === '') {
+      return [...store.values()].flat().filter(item => item.namespace === namespace);
+    }
+    const list = [...(store.get(hook) || [])];
+    if (namespace) {
+      list.push(...(store.get(name) || []).filter(item => item.namespace === namespace));
+    }
+    return list;
+  }
+
+  /**
+   * Checks whether a wildcard pattern such as `ajaxRequest*` matches a hook name.
+   *
+   * @private
+   * @param {string} pattern - Pattern where `*` matches any run of characters.
+   * @param {string} hook - The hook name to test.
+   * @returns {boolean}
+   */
+  _matchesPattern(pattern, hook) {
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`).test(hook);
+  }
+
+  /**
+   * Adds a callback to a hook store, keeping the list sorted by priority.
+   *
+   * @private
+   * @param {Map<string, Array<HookEntry>>} store - The store to add to.
+   * @param {string} hook - The name of the hook, optionally namespaced or wildcarded.
+   * @param {Function} cb - The callback function to register.
+   * @param {number} priority - Execution priority (lower numbers run earlier).
+   * @param {{once?: boolean}} [options={}] - Registration options.
+   * @returns {Function} A handle that unregisters this callback when called.
+   * @throws {TypeError} If cb is not a function.
+   */
+  _register(store, hook, cb, priority, options = {}) {
+    if (typeof cb !== 'function') {
+      throw new TypeError('Callback must be a function');
+    }
+    const { name, namespace } = this._parseHook(hook);
+    const entry = {
+      cb,
+      priority,
+      namespace,
+      hook: name,
+      once: !!options.once,
+      id: ++this._sequence
+    };
+    const list = store.get(name) || [];
+    list.push(entry);
+    // Sort callbacks by ascending priority
+    list.sort((a, b) => a.priority - b.priority);
+    store.set(name, list);
+    return () => this._removeEntry(store, entry);
+  }
+
+  /**
+   * Removes callbacks from a hook store. If no callbacks remain, the hook is deleted.
+   *
+   * - `hook` may carry a namespace (`formSubmitted.myWidget`) to only remove callbacks
+   *   registered under it, or be a bare namespace (`.myWidget`) to remove them from every hook.
+   * - If `cb` is omitted, every callback matching the hook/namespace is removed.
+   *
+   * @private
+   * @param {Map<string, Array<HookEntry>>} store - The store to remove from.
+   * @param {string} hook - The name of the hook, optionally namespaced.
+   * @param {Function} [cb] - The callback function to remove.
+   */
+  _unregister(store, hook, cb) {
+    this._entries(store, hook)
+      .filter(item => cb === undefined || item.cb === cb)
+      .forEach(item => this._removeEntry(store, item));
+  }
+
+  /**
+   * Removes a single registration from its store.
+   *
+   * @private
+   * @param {Map<string, Array<HookEntry>>} store - The store holding the entry.
+   * @param {HookEntry} entry - The registration to remove.
+   */
+  _removeEntry(store, entry) {
+    const list = store.get(entry.hook);
+    if (!list) return;
+    const filtered = list.filter(item => item !== entry);
+    if (filtered.length) {
+      store.set(entry.hook, filtered);
+    } else {
+      store.delete(entry.hook);
+    }
+  }
+
+  /**
+   * Collects the callbacks that should run for a hook: its own callbacks plus
+   * any wildcard registrations matching it, sorted by priority then registration order.
+   * One-shot callbacks are unregistered as they are collected.
+   *
+   * @private
+   * @param {Map<string, Array<HookEntry>>} store - The store to read from.
+   * @param {string} hook - The hook being triggered.
+   * @returns {Array<HookEntry>}
+   */
+  _collect(store, hook) {
+    const list = this._matching(store, hook);
+    list.filter(item => item.once).forEach(item => this._removeEntry(store, item));
+    return list;
+  }
+
+  /**
+   * Lists the registrations that would run for a hook, without consuming one-shot callbacks.
+   *
+   * @private
+   * @param {Map<string, Array<HookEntry>>} store - The store to read from.
+   * @param {string} hook - The hook name.
+   * @returns {Array<HookEntry>}
+   */
+  _matching(store, hook) {
+    const list = this._entries(store, hook);
+    for (const [key, entries] of store) {
+      if (key !== hook && key.includes('*') && this._matchesPattern(key, hook)) {
+        list.push(...entries);
+      }
+    }
+    return list.sort((a, b) => a.priority - b.priority || a.id - b.id);
+  }
+
+  /**
+   * Converts a registration into a plain, read-only description.
+   *
+   * @private
+   * @param {HookEntry} entry - The registration.
+   * @returns {HookListener}
+   */
+  _describe(entry) {
+    return {
+      hook: entry.hook,
+      namespace: entry.namespace,
+      priority: entry.priority,
+      once: entry.once,
+      name: entry.cb.name || '(anonymous)',
+      callback: entry.cb
+    };
+  }
+
+  /**
+   * Opens a record for a triggered hook, kept in the history in debug mode.
+   * Outside debug mode only what error reporting needs is filled in, so
+   * high-frequency hooks (progress, stream chunks) stay cheap.
+   *
+   * @private
+   * @param {'action'|'filter'} type - The kind of hook.
+   * @param {string} hook - The hook name.
+   * @param {Array} args - Arguments the hook was triggered with.
+   * @param {Array<HookEntry>} list - Callbacks about to run.
+   * @returns {HookRecord}
+   */
+  _startRecord(type, hook, args, list) {
+    const record = {
+      type,
+      hook,
+      args,
+      listeners: this._debug ? list.map(entry => this._describe(entry)) : [],
+      errors: [],
+      timestamp: Date.now(),
+      duration: null,
+      _start: performance.now()
+    };
+    if (this._debug && this.historyLimit > 0) {
+      this._history.push(record);
+      if (this._history.length > this.historyLimit) {
+        this._history.splice(0, this._history.length - this.historyLimit);
+      }
+    }
+    return record;
+  }
+
+  /**
+   * Records an error thrown by a callback and logs it.
+   *
+   * @private
+   * @param {HookRecord} record - The record of the running hook.
+   * @param {HookEntry} entry - The callback that threw.
+   * @param {Error} err - The thrown error.
+   */
+  _recordError(record, entry, err) {
+    // In debug mode the error is reported inside the event's console group instead
+    if (!this._debug) {
+      const label = record.type === 'filter' ? 'filter' : 'hook';
+      console.error(`Error in ${label} "${record.hook}":`, err);
+    }
+    record.errors.push({ listener: this._describe(entry), error: err });
+  }
+
+  /**
+   * Closes a history record and, in debug mode, logs the event.
+   *
+   * @private
+   * @param {HookRecord} record - The record to close.
+   * @param {*} [result] - The filtered value, for filters.
+   */
+  _endRecord(record, result) {
+    record.duration = performance.now() - record._start;
+    delete record._start;
+    if (record.type === 'filter') record.result = result;
+    if (!this._debug) return;
+
+    const { type, hook, args, listeners, errors, duration } = record;
+    console.groupCollapsed(
+      `[lcsHooks] ${type} "${hook}" – ${listeners.length} listener(s), ${duration.toFixed(2)}ms` +
+      (errors.length ? `, ${errors.length} error(s)` : '')
+    );
+    console.log('Arguments:', args);
+    console.log('Listeners:', listeners);
+    if (type === 'filter') console.log('Result:', result);
+    errors.forEach(({ listener, error }) => console.error(`Listener "${listener.name}" threw:`, error));
+    console.groupEnd();
+  }
+
+  /**
+   * Finds registrations for a hook name (and optional namespace) in a store.
+   *
+   * @private
+   * @param {Map<string, Array<HookEntry>>} store - The store to search.
+   * @param {string} hook - The hook name, optionally namespaced.
+   * @param {Function} [cb] - Only match this callback.
+   * @returns {boolean} True if any registration matches.
+   */
+  _has(store, hook, cb) {
+    return this._entries(store, hook).some(item => cb === undefined || item.cb === cb);
   }
 
   /**
    * Registers a callback to execute when a given hook is triggered.
    *
+   * The hook name may be:
+   * - namespaced, e.g. `formSubmitted.myWidget`, so all callbacks of `myWidget`
+   *   can later be removed with `removeAction('.myWidget')`. The namespace is the
+   *   part after the last dot; hooks whose own name contains dots (such as
+   *   `formSubmitted_my.form`) still fire when triggered by that full name;
+   * - a wildcard pattern, e.g. `ajaxRequest*`, to listen to every matching hook.
+   *   Wildcard callbacks receive the name of the fired hook as an extra last argument.
+   *
    * @param {string} hook - The name of the hook.
    * @param {Function} cb - The callback function to register.
    * @param {number} [priority=10] - Execution priority (lower numbers run earlier).
+   * @param {Object} [options={}] - Registration options.
+   * @param {boolean} [options.once=false] - Unregister the callback after its first run.
+   * @returns {Function} A handle that unregisters the callback when called.
    * @throws {TypeError} If cb is not a function.
    *
    * @example
    * import { hooks } from 'your-lib/hooks.js';
    * hooks.addAction('init', () => console.log('init fired'), 5);
+   *
+   * @example
+   * // Anonymous listener that can still be cleaned up
+   * const off = hooks.addAction('formSubmitted.dashboard', (form, data) => render(data));
+   * off();
+   *
+   * @example
+   * // Listen to every ajaxRequest lifecycle hook
+   * hooks.addAction('ajaxRequest*', (data, hookName) => console.log(hookName, data));
    */
-  addAction(hook, cb, priority = 10) {
-    if (typeof cb !== 'function') {
-      throw new TypeError('Callback must be a function');
-    }
-    const list = this._hooks.get(hook) || [];
-    list.push({ cb, priority });
-    // Sort callbacks by ascending priority
-    list.sort((a, b) => a.priority - b.priority);
-    this._hooks.set(hook, list);
+  addAction(hook, cb, priority = 10, options = {}) {
+    return this._register(this._hooks, hook, cb, priority, options);
+  }
+
+  /**
+   * Registers a callback that runs only the first time a hook is triggered.
+   * Shorthand for `addAction(hook, cb, priority, { once: true })`.
+   *
+   * @param {string} hook - The name of the hook, optionally namespaced or wildcarded.
+   * @param {Function} cb - The callback function to register.
+   * @param {number} [priority=10] - Execution priority (lower numbers run earlier).
+   * @returns {Function} A handle that unregisters the callback if it has not run yet.
+   * @throws {TypeError} If cb is not a function.
+   *
+   * @example
+   * hooks.once('ajaxRequestSucceeded', (response) => console.log('First success', response));
+   */
+  once(hook, cb, priority = 10) {
+    return this.addAction(hook, cb, priority, { once: true });
   }
 
   /**
@@ -79,22 +475,25 @@ class lcsHooks {
    * await hooks.doAction('init', window, document);
    */
   async doAction(hook, ...args) {
-    const list = this._hooks.get(hook) || [];
-    for (const { cb } of list) {
+    const list = this._collect(this._hooks, hook);
+    const record = this._startRecord('action', hook, args, list);
+    for (const entry of list) {
+      const { cb, hook: key } = entry;
       try {
         // If callback returns a promise, await it
-        await cb(...args);
+        await (key.includes('*') ? cb(...args, hook) : cb(...args));
       } catch (err) {
-        console.error(`Error in hook "${hook}":`, err);
+        this._recordError(record, entry, err);
       }
     }
+    this._endRecord(record);
   }
 
   /**
    * Determines if a given callback is registered on a hook.
    *
-   * @param {string} hook - The hook name to check.
-   * @param {Function} cb - The callback to look for.
+   * @param {string} hook - The hook name to check, optionally namespaced (`save.myWidget`).
+   * @param {Function} [cb] - The callback to look for. If omitted, checks for any callback.
    * @returns {boolean} True if the callback is registered, false otherwise.
    *
    * @example
@@ -103,29 +502,221 @@ class lcsHooks {
    * console.log(hooks.hasAction('save', myListener)); // true
    */
   hasAction(hook, cb) {
-    const list = this._hooks.get(hook);
-    if (!list) return false;
-    return list.some(item => item.cb === cb);
+    return this._has(this._hooks, hook, cb);
   }
 
   /**
-   * Removes a specific callback from a hook. If no callbacks remain, the hook is deleted.
+   * Removes callbacks from a hook. If no callbacks remain, the hook is deleted.
    *
-   * @param {string} hook - The name of the hook.
-   * @param {Function} cb - The callback function to remove.
+   * @param {string} hook - The name of the hook. Add a namespace (`save.myWidget`) to only
+   *   remove that namespace's callbacks, or pass a bare namespace (`.myWidget`) to remove
+   *   them from every hook.
+   * @param {Function} [cb] - The callback function to remove. If omitted, all matching
+   *   callbacks are removed.
    *
    * @example
    * hooks.removeAction('save', myListener);
+   *
+   * @example
+   * // Tear down everything a view registered
+   * hooks.removeAction('.dashboard');
    */
   removeAction(hook, cb) {
-    const list = this._hooks.get(hook);
-    if (!list) return;
-    const filtered = list.filter(item => item.cb !== cb);
-    if (filtered.length) {
-      this._hooks.set(hook, filtered);
-    } else {
-      this._hooks.delete(hook);
+    this._unregister(this._hooks, hook, cb);
+  }
+
+  /**
+   * Registers a callback that can modify the value passed through a filter hook.
+   * The callback receives the current value followed by any extra arguments,
+   * and must return the value to hand to the next callback.
+   *
+   * Filter names support the same namespaces, wildcards and `once` option as `addAction`.
+   *
+   * @param {string} hook - The name of the filter.
+   * @param {Function} cb - The filter callback to register.
+   * @param {number} [priority=10] - Execution priority (lower numbers run earlier).
+   * @param {Object} [options={}] - Registration options.
+   * @param {boolean} [options.once=false] - Unregister the callback after its first run.
+   * @returns {Function} A handle that unregisters the callback when called.
+   * @throws {TypeError} If cb is not a function.
+   *
+   * @example
+   * hooks.addFilter('ajaxRequestPayload', (data) => ({ ...data, lang: 'en' }));
+   */
+  addFilter(hook, cb, priority = 10, options = {}) {
+    return this._register(this._filters, hook, cb, priority, options);
+  }
+
+  /**
+   * Passes a value through all callbacks attached to a filter, in order of priority,
+   * and returns the final value. Callbacks are run synchronously; use
+   * `applyFiltersAsync` when any of them may return a promise.
+   *
+   * If a callback throws, the error is logged and the value it received is
+   * handed on unchanged.
+   *
+   * @param {string} hook - The name of the filter to apply.
+   * @param {*} value - The value to filter.
+   * @param {...any} args - Extra arguments passed to each callback after the value.
+   * @returns {*} The filtered value.
+   *
+   * @example
+   * const title = hooks.applyFilters('pageTitle', 'Dashboard', user);
+   */
+  applyFilters(hook, value, ...args) {
+    const list = this._collect(this._filters, hook);
+    const record = this._startRecord('filter', hook, [value, ...args], list);
+    for (const entry of list) {
+      const { cb, hook: key } = entry;
+      try {
+        value = key.includes('*') ? cb(value, ...args, hook) : cb(value, ...args);
+      } catch (err) {
+        this._recordError(record, entry, err);
+      }
+    }
+    this._endRecord(record, value);
+    return value;
+  }
+
+  /**
+   * Asynchronous variant of `applyFilters`. Each callback may return a value or
+   * a promise of a value; it is awaited before the next callback runs.
+   *
+   * @param {string} hook - The name of the filter to apply.
+   * @param {*} value - The value to filter.
+   * @param {...any} args - Extra arguments passed to each callback after the value.
+   * @returns {Promise<*>} Resolves with the filtered value.
+   *
+   * @example
+   * const payload = await hooks.applyFiltersAsync('ajaxRequestPayload', data, ajax);
+   */
+  async applyFiltersAsync(hook, value, ...args) {
+    const list = this._collect(this._filters, hook);
+    const record = this._startRecord('filter', hook, [value, ...args], list);
+    for (const entry of list) {
+      const { cb, hook: key } = entry;
+      try {
+        value = await (key.includes('*') ? cb(value, ...args, hook) : cb(value, ...args));
+      } catch (err) {
+        this._recordError(record, entry, err);
+      }
     }
+    this._endRecord(record, value);
+    return value;
+  }
+
+  /**
+   * Determines if a filter has callbacks, or if a given callback is registered on it.
+   *
+   * @param {string} hook - The filter name to check, optionally namespaced.
+   * @param {Function} [cb] - The callback to look for. If omitted, checks for any callback.
+   * @returns {boolean} True if registered, false otherwise.
+   *
+   * @example
+   * if (hooks.hasFilter('formSubmissionData')) { ... }
+   */
+  hasFilter(hook, cb) {
+    return this._has(this._filters, hook, cb);
+  }
+
+  /**
+   * Removes callbacks from a filter. If no callbacks remain, the filter is deleted.
+   * Accepts namespaced and bare-namespace names like `removeAction`.
+   *
+   * @param {string} hook - The name of the filter.
+   * @param {Function} [cb] - The callback function to remove. If omitted, all matching
+   *   callbacks are removed.
+   *
+   * @example
+   * hooks.removeFilter('formSubmissionData', myFilter);
+   */
+  removeFilter(hook, cb) {
+    this._unregister(this._filters, hook, cb);
+  }
+
+  /**
+   * Turns debug tracing on or off. While on, every `doAction`, `applyFilters` and
+   * `applyFiltersAsync` call is logged as a collapsed console group with its
+   * arguments, listeners, duration and any errors thrown by listeners, and
+   * recorded in the history (see getHistory).
+   *
+   * @param {boolean} [active=true] - True to enable tracing.
+   *
+   * @example
+   * hooks.setDebug();
+   * // [lcsHooks] action "formSubmitted_loginForm" – 2 listener(s), 0.41ms
+   */
+  setDebug(active = true) {
+    this._debug = !!active;
+  }
+
+  /**
+   * Checks if debug tracing is enabled.
+   * @returns {boolean} True if tracing is on.
+   */
+  isDebugging() {
+    return this._debug;
+  }
+
+  /**
+   * Lists the names (and wildcard patterns) that currently have action callbacks.
+   *
+   * @returns {string[]} Registered action hook names.
+   *
+   * @example
+   * console.log(hooks.getActions()); // ['formSubmitted', 'ajaxRequest*']
+   */
+  getActions() {
+    return [...this._hooks.keys()];
+  }
+
+  /**
+   * Lists the names (and wildcard patterns) that currently have filter callbacks.
+   *
+   * @returns {string[]} Registered filter names.
+   */
+  getFilters() {
+    return [...this._filters.keys()];
+  }
+
+  /**
+   * Describes the callbacks that would run, in order, if a hook were triggered now.
+   * Wildcard registrations matching the name are included.
+   *
+   * @param {string} hook - The hook name.
+   * @param {'action'|'filter'} [type='action'] - Which kind of hook to inspect.
+   * @returns {Array<HookListener>} Listener descriptions in execution order.
+   *
+   * @example
+   * console.table(hooks.getListeners('ajaxRequestFailedOnError'));
+   */
+  getListeners(hook, type = 'action') {
+    const store = type === 'filter' ? this._filters : this._hooks;
+    return this._matching(store, hook).map(entry => this._describe(entry));
+  }
+
+  /**
+   * Returns hooks triggered while debug mode was on, oldest first, up to
+   * `historyLimit` entries.
+   *
+   * @param {string} [hook] - Only return events for this hook name.
+   * @returns {Array<HookRecord>} Recorded events.
+   *
+   * @example
+   * const failures = hooks.getHistory('ajaxRequestFailedOnError');
+   * console.log(failures.at(-1)?.args);
+   */
+  getHistory(hook) {
+    return hook === undefined
+      ? [...this._history]
+      : this._history.filter(record => record.hook === hook);
+  }
+
+  /**
+   * Empties the event history.
+   */
+  clearHistory() {
+    this._history = [];
   }
 }
   
@@ -10,6 +10,7 @@ import '../../css/uiAndEM/overlayUtils.css';
 
 
 import '../../css/fileOperations/fileSelection.css';
+import '../../css/fileOperations/imageCropper.css';
 import '../../css/fileOperations/csv.css';
 import '../../css/fileOperations/textDoc.css';
 
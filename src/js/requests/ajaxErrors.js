@@ -0,0 +1,185 @@
+// ============================================================================
+// AJAX ERRORS
+// ============================================================================
+
+/**
+ * @typedef {Object} AjaxErrorDetails
+ * @property {string} [url] - URL of the failed request
+ * @property {string} [method] - HTTP method of the failed request
+ * @property {number} [status=0] - HTTP status (0 when no response arrived)
+ * @property {Headers|null} [headers=null] - Response headers, if a response arrived
+ * @property {*} [cause] - Underlying error (e.g. the TypeError thrown by fetch)
+ */
+
+/**
+ * Base class of every error ajaxRequest reports, in the `error` field of its
+ * responses and in its failure hooks.
+ *
+ * `kind` tells the failures apart without instanceof checks and matches the
+ * kinds used by the retry policy: 'network', 'offline', 'timeout', 'http',
+ * 'parse', 'nonce' or 'aborted' ('graphql' for errors reported by a GraphQL server).
+ *
+ * @example
+ * const result = await ajax.send();
+ * if (result.error instanceof ajaxHttpError && result.error.status === 404) {
+ *     showNotFound();
+ * } else if (result.error instanceof ajaxTimeoutError) {
+ *     alert.send('The server is taking too long.', 'warning');
+ * }
+ */
+export class ajaxError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {AjaxErrorDetails} [details={}] - Request and response details
+     */
+    constructor(message, details = {}) {
+        super(message, details.cause !== undefined ? { cause: details.cause } : undefined);
+
+        // Set explicitly: class names don't survive minification
+        this.name = 'ajaxError';
+        this.kind = 'error';
+        this.url = details.url ?? null;
+        this.method = details.method ?? null;
+        this.status = details.status ?? 0;
+        this.headers = details.headers ?? null;
+    }
+}
+
+/**
+ * The request never got a response: DNS failure, refused connection, CORS, etc.
+ */
+export class ajaxNetworkError extends ajaxError {
+    /**
+     * @param {string} [message='Network error occurred.'] - Error message
+     * @param {AjaxErrorDetails} [details={}] - Request details
+     */
+    constructor(message = 'Network error occurred.', details = {}) {
+        super(message, details);
+        this.name = 'ajaxNetworkError';
+        this.kind = 'network';
+    }
+}
+
+/**
+ * The browser was offline and the request was not sent, or the connection did
+ * not return in time.
+ */
+export class ajaxOfflineError extends ajaxNetworkError {
+    /**
+     * @param {string} [message='Offline: No connection detected'] - Error message
+     * @param {AjaxErrorDetails} [details={}] - Request details
+     */
+    constructor(message = 'Offline: No connection detected', details = {}) {
+        super(message, details);
+        this.name = 'ajaxOfflineError';
+        this.kind = 'offline';
+    }
+}
+
+/**
+ * No response (or, for streams, no data) arrived within the allowed time.
+ */
+export class ajaxTimeoutError extends ajaxError {
+    /**
+     * @param {string} [message='Request timed out.'] - Error message
+     * @param {AjaxErrorDetails & {timeout?: number}} [details={}] - Request details and the timeout (ms)
+     */
+    constructor(message = 'Request timed out.', details = {}) {
+        super(message, details);
+        this.name = 'ajaxTimeoutError';
+        this.kind = 'timeout';
+        this.timeout = details.timeout ?? null;
+    }
+}
+
+/**
+ * The server answered with an error status (4xx or 5xx).
+ */
+export class ajaxHttpError extends ajaxError {
+    /**
+     * @param {string} message - Error message
+     * @param {AjaxErrorDetails & {statusText?: string, body?: *}} [details={}] - Response details and
+     *        the response body (parsed JSON when the server sent JSON, text otherwise)
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ajaxHttpError';
+        this.kind = 'http';
+        this.statusText = details.statusText ?? '';
+        this.body = details.body ?? null;
+    }
+}
+
+/**
+ * The server announced JSON but sent something that does not parse.
+ */
+export class ajaxParseError extends ajaxError {
+    /**
+     * @param {string} [message='Server returned invalid JSON response.'] - Error message
+     * @param {AjaxErrorDetails & {text?: string}} [details={}] - Response details and the raw text
+     */
+    constructor(message = 'Server returned invalid JSON response.', details = {}) {
+        super(message, details);
+        this.name = 'ajaxParseError';
+        this.kind = 'parse';
+        this.text = details.text ?? null;
+    }
+}
+
+/**
+ * The CSRF strategy could not secure the request (nonce validation failed,
+ * token unavailable), so it was not sent.
+ */
+export class ajaxNonceError extends ajaxError {
+    /**
+     * @param {string} [message='Nonce verification failed'] - Error message
+     * @param {AjaxErrorDetails} [details={}] - Request details
+     */
+    constructor(message = 'Nonce verification failed', details = {}) {
+        super(message, details);
+        this.name = 'ajaxNonceError';
+        this.kind = 'nonce';
+    }
+}
+
+/**
+ * The request was cancelled through abort() or an external AbortSignal.
+ */
+export class ajaxAbortedError extends ajaxError {
+    /**
+     * @param {string} [message='Request was aborted.'] - Error message
+     * @param {AjaxErrorDetails & {reason?: *}} [details={}] - Request details and the abort reason
+     */
+    constructor(message = 'Request was aborted.', details = {}) {
+        super(message, details);
+        this.name = 'ajaxAbortedError';
+        this.kind = 'aborted';
+        this.reason = details.reason;
+    }
+}
+
+/**
+ * A GraphQL server reported errors in the `errors` array of its answer (see
+ * graphqlClient.js). `data` holds whatever part of the result it still returned.
+ *
+ * @example
+ * const result = await api.query(USER_QUERY, { id: 7 });
+ * if (result.error instanceof ajaxGraphqlError && result.error.code === 'UNAUTHENTICATED') {
+ *     showLogin();
+ * }
+ */
+export class ajaxGraphqlError extends ajaxError {
+    /**
+     * @param {string} message - Error message (the first error's message)
+     * @param {AjaxErrorDetails & {errors?: Object[], data?: *}} [details={}] - Response details, the
+     *        GraphQL errors (`{ message, path, locations, extensions }`) and the partial data
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ajaxGraphqlError';
+        this.kind = 'graphql';
+        this.errors = details.errors ?? [];
+        this.data = details.data ?? null;
+        this.code = this.errors.find(error => error?.extensions?.code)?.extensions.code ?? null;
+    }
+}
@@ -1,6 +1,24 @@
 import { hooks } from '../hooks.js';
-import { decodeURLQuery, encodeURLQuery } from '../workingTools/arrayOps.js';
+import { decodeURLQuery } from '../workingTools/arrayOps.js';
 import { isDataEmpty, isDataObject } from '../workingTools/dataTypes.js';
+import { buildUrlQuery } from '../workingTools/urlOps.js';
+import { ajaxScheduler } from './requestScheduler.js';
+import { ajaxCache, responseCache } from './responseCache.js';
+import { ajaxOutbox } from './requestOutbox.js';
+import { ajaxBatcher } from './requestBatcher.js';
+import { ajaxMock } from './mockServer.js';
+import { ajaxSession } from './sessionManager.js';
+import { getLocalDatabaseData, updateLocalDatabaseData, deleteLocalDatabaseData } from '../dataStorage/localDatabase.js';
+import { defaultCsrfStrategy } from './csrfStrategies.js';
+import {
+    ajaxNetworkError,
+    ajaxOfflineError,
+    ajaxTimeoutError,
+    ajaxHttpError,
+    ajaxParseError,
+    ajaxNonceError,
+    ajaxAbortedError
+} from './ajaxErrors.js';
 
 // ============================================================================
 // GLOBAL STATE & INITIALIZATION
@@ -8,16 +26,230 @@ import { isDataEmpty, isDataObject } from '../workingTools/dataTypes.js';
 
 /**
  * Retrieve AJAX configuration from meta tag injected by server.
- * Expected format: { ajaxurl: string, nonce: string }
+ * Expected format: { ajaxurl: string, nonce: string } (the nonce is read by metaNonceStrategy)
  */
 const lcs_ajax_object_meta = document.querySelector('meta[name="lcs_ajax_object"]');
-let lcs_ajax_object = lcs_ajax_object_meta ? JSON.parse(lcs_ajax_object_meta.content) : {};
+const lcs_ajax_object = lcs_ajax_object_meta ? JSON.parse(lcs_ajax_object_meta.content) : {};
 
 /**
- * Global lock to prevent concurrent AJAX requests.
- * Only one request can be active at a time to avoid race conditions.
+ * CSRF strategy of instances that don't set their own (see setDefaultCsrfStrategy).
  */
-let isRunningAjax = false;
+let csrfDefault = defaultCsrfStrategy;
+
+/**
+ * Checks that a value implements the CSRF strategy interface.
+ *
+ * @param {*} strategy - Candidate strategy
+ * @returns {boolean} True if it has apply(), refresh() and shouldRefresh()
+ */
+const isCsrfStrategy = (strategy) => ['apply', 'refresh', 'shouldRefresh']
+    .every(method => typeof strategy?.[method] === 'function');
+
+/**
+ * Supported HTTP methods.
+ */
+const VALID_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+/**
+ * Methods that carry no request body; their data is encoded into the query string.
+ */
+const QUERY_METHODS = ['GET', 'HEAD', 'DELETE'];
+
+/**
+ * Normalizes an HTTP method name to upper case.
+ *
+ * @param {*} method - Method name
+ * @returns {*} Upper-cased method, or the input unchanged if it is not a string
+ */
+const normalizeMethod = (method) => typeof method === 'string' ? method.toUpperCase() : method;
+
+/**
+ * Default retry policy. With `maxAttempts: 1` requests are never retried.
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 1,
+    retryOnStatus: [408, 425, 429, 500, 502, 503, 504],
+    retryOnErrors: ['network', 'timeout'],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    baseDelay: 500,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: 0.5,
+    respectRetryAfter: true
+};
+
+/**
+ * Default cache settings. Caching is off until enabled with setCache().
+ */
+const DEFAULT_CACHE_POLICY = {
+    enabled: false,
+    ttl: 60000,
+    staleWhileRevalidate: 0,
+    varyHeaders: [],
+    persist: false,
+    dbName: 'lcsAjaxCache',
+    key: null
+};
+
+/**
+ * Methods that change server state and may be queued in the outbox.
+ */
+const OUTBOX_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Default outbox settings. The outbox is off until enabled with setOutbox().
+ */
+const DEFAULT_OUTBOX_POLICY = {
+    enabled: false,
+    idempotencyKey: null,
+    header: 'Idempotency-Key',
+    maxAttempts: 5
+};
+
+/**
+ * Default chunked upload settings. Chunking is off until enabled with setChunkedUpload().
+ */
+const DEFAULT_CHUNK_POLICY = {
+    enabled: false,
+    chunkSize: 5 * 1024 * 1024,
+    parallel: 3,
+    threshold: null,
+    url: null,
+    resume: true,
+    dbName: 'lcsAjaxUploads'
+};
+
+/**
+ * Default batching settings. Batching is off until enabled with setBatch().
+ */
+const DEFAULT_BATCH_POLICY = {
+    enabled: false,
+    url: null,
+    window: 10,
+    maxSize: 20,
+    headers: {},
+    encode: null,
+    decode: null
+};
+
+/**
+ * GET requests in flight, by request key, so identical ones share one network call.
+ * @type {Map<string, {controller: AbortController, members: ajaxRequest[], promise: Promise<Object>}>}
+ */
+const inflightRequests = new Map();
+
+/**
+ * Default stream() settings.
+ */
+const DEFAULT_STREAM_OPTIONS = {
+    format: 'auto',
+    reconnect: true,
+    retryDelay: 3000,
+    maxReconnects: Infinity,
+    idleTimeout: null,
+    lastEventId: null
+};
+
+/**
+ * Content types recognized as newline-delimited JSON.
+ */
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines'];
+
+/**
+ * Checks whether a content type carries JSON: `application/json` and structured
+ * `+json` types such as `application/graphql-response+json` or
+ * `application/problem+json` (but not NDJSON / JSON Lines).
+ *
+ * @param {string|null} contentType - Content-Type header value
+ * @returns {boolean} True if the body should be parsed as JSON
+ */
+const isJsonContentType = (contentType) => /[/+]json\b/i.test(contentType || '');
+
+/**
+ * Parses a string as JSON, falling back to the string itself.
+ *
+ * @param {string} text - Text to parse
+ * @returns {*} Parsed value or the original text
+ */
+const parseJsonOrText = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+};
+
+/**
+ * Generates a random idempotency key.
+ *
+ * @returns {string} UUID-like key
+ */
+const createIdempotencyKey = () => {
+    if (globalThis.crypto?.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
+
+/**
+ * Checks whether an HTTP status counts as success. 304 is included because it
+ * only answers conditional requests, whose cached body is then reused.
+ *
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for 2xx and 304
+ */
+const isSuccessStatus = (status) => (status >= 200 && status < 300) || status === 304;
+
+/**
+ * Parses the raw header block of an XMLHttpRequest into a Headers object.
+ *
+ * @param {string} raw - Result of xhr.getAllResponseHeaders()
+ * @returns {Headers} Parsed headers
+ */
+const parseResponseHeaders = (raw) => {
+    const headers = new Headers();
+    (raw || '').trim().split(/[\r\n]+/).forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            try {
+                headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+            } catch {
+                // Skip header names the Headers API refuses
+            }
+        }
+    });
+    return headers;
+};
+
+/**
+ * Interceptors shared by every ajaxRequest instance (see ajaxRequest.addInterceptor).
+ * @type {Array<{request?: Function, response?: Function}>}
+ */
+const globalInterceptors = [];
+
+/**
+ * Validates an interceptor and adds it to a list.
+ *
+ * @param {Array} list - Interceptor list to add to
+ * @param {{request?: Function, response?: Function}} interceptor - Interceptor to add
+ * @param {string} caller - Method name used in error messages
+ * @returns {Function} Removes the interceptor when called
+ * @throws {Error} If the interceptor has neither a request nor a response function
+ */
+const registerInterceptor = (list, interceptor, caller) => {
+    const { request, response } = interceptor || {};
+    const isValid = (request === undefined || typeof request === 'function')
+        && (response === undefined || typeof response === 'function')
+        && (request || response);
+    if (!isValid) {
+        throw new Error(`${caller} error: Interceptor must be an object with a "request" and/or "response" function.`);
+    }
+
+    const entry = { request, response };
+    list.push(entry);
+    return () => {
+        const index = list.indexOf(entry);
+        if (index !== -1) list.splice(index, 1);
+    };
+};
 
 // ============================================================================
 // AJAX REQUEST CLASS
@@ -28,12 +260,32 @@ let isRunningAjax = false;
  * and support for both Fetch API and XMLHttpRequest.
  *
  * Key Features:
- * - CSRF protection via automatic nonce validation
+ * - All HTTP verbs: GET, POST, PUT, PATCH, DELETE, HEAD, OPTIONS
+ * - CSRF protection through pluggable strategies (meta nonce, cookie-to-header, token endpoint)
+ *   with token refresh and one retry on 403/419 (see csrfStrategies.js)
  * - Offline detection with automatic retry on reconnection
+ * - Opt-in retries with exponential backoff, jitter and `Retry-After` support
+ * - Cancellation through abort() or an external AbortSignal
+ * - Global and per-instance request/response interceptors
+ * - Streaming responses (NDJSON, Server-Sent Events, text) through an async iterator
+ * - Upload/download progress for both transports, chunked and resumable file uploads
+ * - Durable offline outbox that replays queued mutations in order (see requestOutbox.js)
+ * - Opt-in GET response cache (memory or IndexedDB) with TTL, stale-while-revalidate
+ *   and ETag/Last-Modified revalidation
+ * - Typed errors (network, offline, timeout, HTTP status with the parsed body, parse, nonce,
+ *   aborted; see ajaxErrors.js), `status`/`headers`/`ok` on every response and opt-in
+ *   rejection of HTTP errors
  * - Support for JSON and FormData payloads
  * - Configurable timeouts and headers
  * - Hook system for request lifecycle events
- * - Single concurrent request enforcement
+ * - In-page mock server with routes, latency, errors, offline simulation and
+ *   record/replay of fixtures, for testing without a backend (see mockServer.js)
+ * - Filters to rewrite payloads (`ajaxRequestPayload`) and responses (`ajaxRequestResponse`)
+ * - Concurrent requests through a shared scheduler, with opt-in exclusive (single-flight) mode
+ * - Identical GET requests in flight share one network call; opt-in batching of requests
+ *   to a batch endpoint (see requestBatcher.js)
+ * - Access token of the signed-in session in the Authorization header, refreshed before it
+ *   expires and on 401 with one retry (see sessionManager.js)
  *
  * @example
  * // Basic JSON request
@@ -50,6 +302,128 @@ let isRunningAjax = false;
  * ajax.setTimeout(30000);
  * ajax.setData(formData);
  * await ajax.send();
+ *
+ * @example
+ * // REST update; GET, HEAD and DELETE send their data as a query string instead
+ * const update = new ajaxRequest('/api/posts/42', 'PATCH');
+ * await update.send({ title: 'New title' });
+ *
+ * @example
+ * // Retry flaky reads up to 3 times and tell the user
+ * const feed = new ajaxRequest('/api/feed', 'GET');
+ * feed.setRetry({ maxAttempts: 4, baseDelay: 1000 });
+ * hooks.addAction('ajaxRequestRetrying', ({ attempt, delay }) => showToast(`Retrying… (${attempt})`));
+ * await feed.send();
+ *
+ * @example
+ * // Tell a missing record from a server failure
+ * const result = await new ajaxRequest('/api/orders/42', 'GET').send();
+ * if (result.error instanceof ajaxHttpError) {
+ *     if (result.status === 404) showNotFound();
+ *     else alert.send(result.error.body?.message || 'Server error', 'error');
+ * }
+ *
+ * @example
+ * // Type-ahead search: cancel the stale request before sending a new one
+ * const search = new ajaxRequest('/api/search', 'GET');
+ * input.addEventListener('input', async () => {
+ *     search.abort();
+ *     const result = await search.send({ q: input.value });
+ *     if (!result.aborted) render(result.data);
+ * });
+ *
+ * @example
+ * // Interceptors: auth header for every request, envelope unwrapping and error alerts
+ * ajaxRequest.addInterceptor({
+ *     request: (config) => {
+ *         config.headers.Authorization = `Bearer ${getToken()}`;
+ *         return config;
+ *     },
+ *     response: (response) => {
+ *         if (!response.success) alert.send(response.message, 'error');
+ *         return response;
+ *     }
+ * });
+ *
+ * @example
+ * // Short-circuit with cached data
+ * profile.addInterceptor({
+ *     request: (config) => {
+ *         const cached = memoryCache.get(config.url);
+ *         if (cached) config.response = { success: true, data: cached, message: 'From cache' };
+ *         return config;
+ *     }
+ * });
+ *
+ * @example
+ * // Cache a rarely-changing list for 5 minutes, serve it stale for 1 more while refreshing,
+ * // and keep it across reloads
+ * const countries = new ajaxRequest('/api/countries', 'GET');
+ * countries.setCache({ ttl: 300000, staleWhileRevalidate: 60000, persist: true });
+ * const result = await countries.send({ SECURE: false });
+ * console.log(result.cached); // true when served from the cache
+ *
+ * @example
+ * // Laravel: copy the XSRF-TOKEN cookie into X-XSRF-TOKEN, no nonce round-trip
+ * ajaxRequest.setDefaultCsrfStrategy(new cookieToHeaderStrategy({ refreshUrl: '/sanctum/csrf-cookie' }));
+ *
+ * @example
+ * // Follow a long-running job streamed as NDJSON
+ * const job = new ajaxRequest('/api/jobs/42/output', 'GET');
+ * for await (const line of job.stream()) {
+ *     console.log(line.data); // one parsed JSON value per line
+ * }
+ *
+ * @example
+ * // Server-Sent Events with automatic reconnect (resumes with Last-Event-ID)
+ * const events = new ajaxRequest('/api/notifications', 'GET');
+ * hooks.addAction('ajaxRequestStreamReconnecting', ({ attempt }) => console.log('Reconnecting', attempt));
+ * for await (const event of events.stream()) {
+ *     if (event.event === 'notice') showNotice(event.data);
+ * }
+ *
+ * @example
+ * // Upload a large video in 8 MB chunks, 4 at a time, with a progress bar.
+ * // If the upload fails halfway, sending the same file again resumes it.
+ * const upload = new ajaxRequest('/api/videos', 'POST');
+ * upload.setModel('fetch');
+ * upload.setChunkedUpload({ chunkSize: 8 * 1024 * 1024, parallel: 4 });
+ * hooks.addAction('ajaxRequestUploadProgress', ({ file, percent }) => console.log(file.name, percent));
+ *
+ * const bar = new loaderAnimation('progress-request');
+ * bar.setRequestInstance(upload, 'upload');
+ * bar.start();
+ * await upload.send(formData);
+ * bar.clearLoader();
+ *
+ * @example
+ * // Field form: queue the submission while offline and send it when the connection returns
+ * const report = new ajaxRequest('/api/reports', 'POST');
+ * report.setOutbox();
+ * const result = await report.send(formData);
+ * if (result.queued) alert.send('Saved offline. It will be sent automatically.', 'info');
+ *
+ * @example
+ * // Load dashboard widgets in parallel; keep the nonce-sensitive post single-flight
+ * ajaxScheduler.setConcurrency(4);
+ * const [stats, feed] = await Promise.all([statsRequest.send(), feedRequest.send()]);
+ *
+ * const checkout = new ajaxRequest('/checkout', 'POST');
+ * checkout.setExclusive();
+ * await checkout.send(formData);
+ *
+ * @example
+ * // Unwrap a server envelope for every request
+ * hooks.addFilter('ajaxRequestResponse', (response) => {
+ *     return response.success ? { ...response, data: response.data?.payload } : response;
+ * });
+ *
+ * @example
+ * // Follow every lifecycle hook of one instance, then clean up.
+ * // Global hooks fire too, so a bare 'ajaxRequest*' pattern would see each event twice.
+ * ajax.setHooksId('searchBox');
+ * const off = hooks.addAction('ajaxRequest*_searchBox', (data, hookName) => console.log(hookName, data));
+ * off();
  */
 export class ajaxRequest {
     // ========================================================================
@@ -62,7 +436,7 @@ export class ajaxRequest {
     /** @type {Object|FormData} Request payload */
     #data = {};
 
-    /** @type {string} HTTP method (GET or POST) */
+    /** @type {string} HTTP method (GET, POST, PUT, PATCH, DELETE, HEAD or OPTIONS) */
     #method;
 
     /** @type {Object} Custom request headers */
@@ -74,6 +448,12 @@ export class ajaxRequest {
     /** @type {string} URL for nonce validation endpoint */
     #nonce_url;
 
+    /** @type {Object|null} CSRF strategy of this instance (null uses the default) */
+    #csrfStrategy = null;
+
+    /** @type {Object} Payload fields added by the CSRF strategy for the current send() */
+    #csrfData = {};
+
     /** @type {boolean} Whether request should be async (XHR only) */
     #isRequestAsync = true;
 
@@ -89,6 +469,63 @@ export class ajaxRequest {
     /** @type {string} Unique identifier for hook events */
     #hooksID = '';
 
+    /** @type {boolean} Whether the request must run alone (no other request in flight) */
+    #exclusive = false;
+
+    /** @type {number} Scheduling priority (lower runs earlier in 'priority' mode) */
+    #priority = 10;
+
+    /** @type {Object} Retry policy (see setRetry) */
+    #retryPolicy = { ...DEFAULT_RETRY_POLICY };
+
+    /** @type {{kind: string, status: number, retryAfter: string|null}|null} Failure details of the last attempt */
+    #lastFailure = null;
+
+    /** @type {Map<AbortController, Function>} Controllers of the runs in progress, with their cleanup */
+    #abortControllers = new Map();
+
+    /** @type {AbortSignal|null} External signal that cancels every run of this instance */
+    #externalSignal = null;
+
+    /** @type {Array<{request?: Function, response?: Function}>} Interceptors of this instance */
+    #interceptors = [];
+
+    /** @type {Object} Response cache settings (see setCache) */
+    #cachePolicy = { ...DEFAULT_CACHE_POLICY };
+
+    /** @type {boolean} Skip cache reads and always hit the network (used for background revalidation) */
+    #bypassCacheRead = false;
+
+    /** @type {{status: number, headers: Headers}|null} Status and headers of the last response */
+    #lastResponse = null;
+
+    /** @type {Object} Offline outbox settings (see setOutbox) */
+    #outboxPolicy = { ...DEFAULT_OUTBOX_POLICY };
+
+    /** @type {Object} Chunked upload settings (see setChunkedUpload) */
+    #chunkPolicy = { ...DEFAULT_CHUNK_POLICY };
+
+    /** @type {Set<Function>} Progress listeners (see addProgressListener) */
+    #progressListeners = new Set();
+
+    /** @type {boolean} Don't report upload progress (the files already went up in chunks) */
+    #suppressUploadProgress = false;
+
+    /** @type {boolean} Reject send()/fetch() when the server answers 4xx/5xx (see setRejectOnHttpError) */
+    #rejectOnHttpError = false;
+
+    /** @type {boolean} Share the network call of identical GET requests in flight (see setDeduplicate) */
+    #deduplicate = false;
+
+    /** @type {boolean} The shared call of this deduplicated GET runs the CSRF exchange (see #startInflight) */
+    #csrfOnSharedCall = false;
+
+    /** @type {Object} Batching settings (see setBatch) */
+    #batchPolicy = { ...DEFAULT_BATCH_POLICY };
+
+    /** @type {boolean} Send the session's access token (see setAuthorization) */
+    #authorize = true;
+
     // ========================================================================
     // PUBLIC PROPERTIES
     // ========================================================================
@@ -122,7 +559,7 @@ export class ajaxRequest {
      * Creates a new AJAX request instance.
      *
      * @param {string} url - Target URL for the request
-     * @param {string} method - HTTP method ('GET' or 'POST')
+     * @param {string} method - HTTP method ('GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD' or 'OPTIONS')
      * @param {Object} [headers={}] - Additional headers to include
      * @throws {Error} If url is empty or method is invalid
      */
@@ -134,9 +571,9 @@ export class ajaxRequest {
         this.#url = url;
 
         // Validate and set method
-        const validMethods = ['GET', 'POST'];
-        if (!validMethods.includes(method)) {
-            throw new Error(`Constructor error: Method must be one of ${validMethods.join(', ')}.`);
+        method = normalizeMethod(method);
+        if (!VALID_METHODS.includes(method)) {
+            throw new Error(`Constructor error: Method must be one of ${VALID_METHODS.join(', ')}.`);
         }
         this.#method = method;
 
@@ -159,23 +596,48 @@ export class ajaxRequest {
      *
      * Flow:
      * 1. Validate and prepare data (add SECURE flag if needed)
-     * 2. Validate nonce for secure requests
+     * 2. Apply the CSRF strategy for secure requests
      * 3. Execute request via fetch()
-     * 4. Return standardized response
+     * 4. If the server rejected the CSRF token (403/419), refresh it and retry once
+     * 5. Return standardized response
+     *
+     * Every response carries the HTTP outcome: `status` (0 when no response
+     * arrived), `headers` (a Headers object) and `ok` (true for 2xx). Failures put a
+     * typed error in `error` (see ajaxErrors.js), e.g. ajaxHttpError with the
+     * status and the parsed body for a 404 or 500.
      *
      * @param {Object|FormData} [data] - Data to send (uses instance data if omitted)
      * @param {string} [url] - Target URL (uses instance URL if omitted)
      * @param {string} [method] - HTTP method (uses instance method if omitted)
      * @param {Object} [headers] - Headers (uses instance headers if omitted)
-     * @returns {Promise<Object>} Response object with { success, data, message, error? }
-     * @throws {Error} Never throws - all errors are returned in response object
+     * @returns {Promise<Object>} Response object with { success, data, message, status, headers, ok, error? }
+     * @throws {ajaxHttpError} Only with setRejectOnHttpError() on, when the server answers 4xx/5xx;
+     *         every other failure is returned in the response object
      */
     async send(data = this.#data, url = this.#url, method = this.#method, headers = this.#headers) {
+        return this.#settle(await this.#sendRequest(data, url, method, headers));
+    }
+
+    /**
+     * Runs send(): CSRF, chunked uploads, the request itself and the outbox.
+     *
+     * @private
+     * @param {Object|FormData} data - Data to send
+     * @param {string} url - Target URL
+     * @param {string} method - HTTP method
+     * @param {Object} headers - Headers
+     * @returns {Promise<Object>} Standardized response object
+     */
+    async #sendRequest(data, url, method, headers) {
+        const controller = this.#startAbortable();
+        const signal = controller.signal;
+        this.#lastResponse = null;
+
         try {
             // Update instance properties with provided values
             this.#data = data;
             this.#url = url;
-            this.#method = method;
+            this.#method = normalizeMethod(method);
             this.#headers = headers;
 
             const isFormData = this.isFormData();
@@ -202,42 +664,96 @@ export class ajaxRequest {
                 }
             }
 
-            // Validate nonce for secure requests
-            if (isSecureRequest) {
-                const isNonceValid = await this.#validateNonce();
-                if (!isNonceValid) {
-                    return {
-                        success: false,
-                        data: null,
-                        message: 'Security validation failed. Your session may have expired.',
-                        error: new Error('Nonce verification failed')
-                    };
+            // Serve cached responses before any CSRF exchange, offline included
+            let cacheLookup = null;
+            const cacheKey = this.#getCacheKey();
+            if (cacheKey) {
+                const { entry, response } = await this.#readCache(cacheKey);
+                if (response) return response;
+                cacheLookup = { key: cacheKey, entry };
+            }
+
+            // ================================================================
+            // OFFLINE OUTBOX
+            // ================================================================
+            let outboxDraft = null;
+            if (this.#usesOutbox()) {
+                outboxDraft = this.#createOutboxDraft();
+                this.#headers = { ...this.#headers, [this.#outboxPolicy.header]: outboxDraft.idempotencyKey };
+
+                // No point validating a nonce or waiting: store it for replay
+                if (!navigator.onLine) {
+                    return await this.#queueInOutbox(outboxDraft);
                 }
+            }
 
-                // Mark nonce as verified in payload
-                if (isFormData) {
-                    if (this.#data.set) {
-                        this.#data.set('NONCE_VERIFIED', 'true');
-                    } else {
-                        this.#data.append('NONCE_VERIFIED', 'true');
-                    }
-                } else {
-                    this.#data.NONCE_VERIFIED = true;
+            // Apply the CSRF strategy for secure requests; a deduplicated GET leaves it
+            // to the call it shares, so joining one in flight costs no token round-trip
+            this.#csrfData = {};
+            this.#csrfOnSharedCall = isSecureRequest && this.#sharesInflight();
+            if (isSecureRequest && !this.#csrfOnSharedCall) {
+                const isCsrfApplied = await this.#applyCsrf(signal);
+                if (signal.aborted) {
+                    return this.#abortedResponse(signal);
+                }
+                if (!isCsrfApplied) {
+                    return this.#csrfFailure();
+                }
+            }
+
+            // Send large files ahead in chunks; the request then carries references to them
+            let chunkedFiles = false;
+            if (this.#chunkPolicy.enabled && !QUERY_METHODS.includes(this.#method)) {
+                const chunkResult = await this.#uploadLargeFiles(signal);
+                if (signal.aborted) {
+                    return this.#abortedResponse(signal);
                 }
+                if (chunkResult) return chunkResult;
+                chunkedFiles = chunkResult === false;
             }
 
             // Execute the actual request
-            return await this.fetch();
+            this.#suppressUploadProgress = chunkedFiles;
+            let response = await this.#request(signal, cacheLookup).finally(() => { this.#suppressUploadProgress = false; });
+
+            // Token rejected: refresh it and try once more
+            if (isSecureRequest && !response.success && !signal.aborted && this.#isCsrfRejection()) {
+                const strategy = this.getCsrfStrategy();
+                const refreshed = await strategy.refresh(this.#csrfContext(signal));
+                if (signal.aborted) {
+                    return this.#abortedResponse(signal);
+                }
+                if (refreshed) {
+                    this.#triggerHooks('ajaxRequestCsrfRefreshed', { status: this.#lastFailure.status });
+                    if (!this.#csrfOnSharedCall && !await this.#applyCsrf(signal)) {
+                        return signal.aborted ? this.#abortedResponse(signal) : this.#csrfFailure();
+                    }
+                    this.#suppressUploadProgress = chunkedFiles;
+                    response = await this.#request(signal).finally(() => { this.#suppressUploadProgress = false; });
+                }
+            }
+
+            // The connection dropped or timed out: the server may never have seen it
+            const failure = this.#lastFailure?.kind;
+            if (outboxDraft && !response.success && !signal.aborted
+                && (!navigator.onLine || failure === 'network' || failure === 'timeout')) {
+                return await this.#queueInOutbox(outboxDraft);
+            }
+
+            return response;
 
         } catch (error) {
             // Catch any unexpected errors and return standardized response
             console.error('AJAX send() error:', error);
-            return {
+            return this.#withHttpDetails({
                 success: false,
                 data: null,
                 message: error.message || 'An unexpected error occurred while sending the request.',
                 error: error
-            };
+            });
+        } finally {
+            this.#csrfOnSharedCall = false;
+            this.#endAbortable(controller);
         }
     }
 
@@ -246,19 +762,235 @@ export class ajaxRequest {
      *
      * This method handles:
      * - Offline detection and reconnection waiting
-     * - Request queuing (one request at a time)
+     * - Request scheduling (concurrency limit, priority, exclusive mode)
+     * - Retries with backoff for retryable failures (see setRetry)
      * - Timeout management
      * - Response parsing (JSON or text)
      * - Error standardization
      * - Hook triggers for all lifecycle events
+     * - Payload and response filters (`ajaxRequestPayload`, `ajaxRequestResponse`)
+     * - Cancellation through abort() (resolves with `aborted: true`)
      *
      * @private
-     * @returns {Promise<Object>} Standardized response: { success, data, message, error? }
+     * @returns {Promise<Object>} Standardized response: { success, data, message, status, headers, ok, error? }
+     * @throws {ajaxHttpError} Only with setRejectOnHttpError() on, when the server answers 4xx/5xx
      */
     async fetch() {
+        const controller = this.#startAbortable();
+        try {
+            return this.#settle(await this.#request(controller.signal));
+        } finally {
+            this.#endAbortable(controller);
+        }
+    }
+
+    /**
+     * Sends the request and yields the response body piece by piece as it arrives.
+     *
+     * Formats (chosen from the Content-Type when `format` is 'auto'):
+     * - 'ndjson' (`application/x-ndjson`, `application/jsonl`, ...) – yields
+     *   `{ format, data }` per line, data being the parsed JSON value.
+     * - 'sse' (`text/event-stream`) – yields `{ format, event, data, id, retry }` per
+     *   event; data is parsed as JSON when possible. The connection is reopened when it
+     *   drops (or goes idle, when `idleTimeout` is set), after the server's `retry:` delay
+     *   (or `retryDelay`), with a `Last-Event-ID` header so the server can resume.
+     * - 'text' (anything else) – yields `{ format, data }` per decoded text chunk.
+     *
+     * Streams always use the Fetch API and are not queued by the request scheduler,
+     * so long-lived connections don't hold a slot. Like fetch(), stream() skips the CSRF
+     * strategy; payload filters and request interceptors do apply. Offline, it
+     * waits for reconnection when waitOffline() is on and fails otherwise.
+     *
+     * Errors (HTTP errors, timeouts, invalid NDJSON, reconnect limit) are thrown from
+     * the iterator; abort() or breaking out of the loop ends it quietly.
+     *
+     * @param {Object|FormData} [data] - Data to send (uses instance data if omitted)
+     * @param {Object} [options={}] - Stream options
+     * @param {string} [options.format='auto'] - 'auto', 'ndjson', 'sse' or 'text'
+     * @param {boolean} [options.reconnect=true] - Reopen SSE connections that drop
+     * @param {number} [options.retryDelay=3000] - Delay (ms) before reconnecting, unless the server sets one
+     * @param {number} [options.maxReconnects=Infinity] - Reconnects allowed without receiving an event in between
+     * @param {number|null} [options.idleTimeout=null] - Time (ms) without data before the connection is
+     *        considered dead (0 disables). Defaults to the request timeout for NDJSON and text, and to
+     *        off for SSE, whose servers may stay silent for long between events
+     * @param {string|null} [options.lastEventId=null] - Last-Event-ID to send on the first connection
+     * @yields {Object} Parsed chunk
+     * @throws {Error} If an option is invalid or the stream fails
+     *
+     * @fires hooks#doAction('ajaxRequestStreamOpened')       – When a connection opens, with { format, reconnects }.
+     * @fires hooks#doAction('ajaxRequestStreamChunk')        – For every chunk, with the chunk.
+     * @fires hooks#doAction('ajaxRequestStreamReconnecting') – Before an SSE reconnect, with { attempt, delay, lastEventId }.
+     * @fires hooks#doAction('ajaxRequestStreamClosed')       – When the iteration ends, with { lastEventId }.
+     */
+    async *stream(data = this.#data, options = {}) {
+        const settings = this.#streamSettings(options);
+        const controller = this.#startAbortable();
+        const signal = controller.signal;
+
+        let lastEventId = settings.lastEventId;
+        let retryDelay = settings.retryDelay;
+        let reconnects = 0;
+
+        try {
+            const request = await this.#prepareStreamRequest(data);
+
+            // An interceptor answered the request itself
+            if (request.response) {
+                yield request.response;
+                return;
+            }
+
+            for (;;) {
+                await this.#streamOnline(signal);
+
+                const headers = { ...request.headers };
+                if (settings.format === 'sse') headers.Accept = 'text/event-stream';
+                if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+                let format = settings.format;
+                try {
+                    const connection = await this.#openStream(request, headers, settings, signal);
+                    format = connection.format;
+                    if (!connection.reader) return; // 204: nothing (more) to stream
+                    this.#triggerHooks('ajaxRequestStreamOpened', { format, reconnects });
+
+                    for await (const chunk of this.#readStream(connection, settings, signal)) {
+                        if (chunk.id !== undefined) lastEventId = chunk.id;
+                        if (chunk.retry !== undefined) retryDelay = chunk.retry;
+                        reconnects = 0;
+                        this.#triggerHooks('ajaxRequestStreamChunk', chunk);
+                        yield chunk;
+                    }
+                } catch (error) {
+                    if (signal.aborted) return;
+                    if (format !== 'sse' || !settings.reconnect || error.permanent) throw error;
+                }
+
+                if (signal.aborted || format !== 'sse' || !settings.reconnect) return;
+
+                if (++reconnects > settings.maxReconnects) {
+                    const error = new ajaxNetworkError(
+                        `Stream closed after ${settings.maxReconnects} failed reconnects.`,
+                        this.#errorDetails()
+                    );
+                    this.#triggerHooks('ajaxRequestFailedOnError', error);
+                    throw error;
+                }
+
+                this.#triggerHooks('ajaxRequestStreamReconnecting', { attempt: reconnects, delay: retryDelay, lastEventId });
+                try {
+                    await this.#sleep(retryDelay, signal);
+                } catch {
+                    return;
+                }
+            }
+        } finally {
+            if (signal.aborted) {
+                this.#triggerHooks('ajaxRequestAborted', { reason: signal.reason });
+            }
+            this.#endAbortable(controller);
+            this.#triggerHooks('ajaxRequestStreamClosed', { lastEventId });
+        }
+    }
+
+    /**
+     * Runs the request pipeline for one send()/fetch() call.
+     *
+     * Filters, interceptors and query-string encoding only apply to this run: the
+     * instance's URL, method, headers and data are restored afterwards, so sending
+     * again does not apply them twice.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels this run
+     * @param {{key: string, entry: CacheEntry|undefined}|null} [cacheLookup=null] - Cache lookup send() already
+     *        made for this request, so the pipeline does not read the cache again
+     * @returns {Promise<Object>} Standardized response object
+     */
+    async #request(signal, cacheLookup = null) {
+        const snapshot = {
+            url: this.#url,
+            method: this.#method,
+            headers: this.#headers,
+            data: this.#data
+        };
+
+        try {
+            return await this.#runPipeline(signal, cacheLookup);
+        } finally {
+            this.#url = snapshot.url;
+            this.#method = snapshot.method;
+            this.#headers = snapshot.headers;
+            this.#data = snapshot.data;
+        }
+    }
+
+    /**
+     * Filters, intercepts, schedules, retries and finalizes one request.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels this run
+     * @param {{key: string, entry: CacheEntry|undefined}|null} [cacheLookup=null] - Cache lookup already made, if any
+     * @returns {Promise<Object>} Standardized response object
+     */
+    async #runPipeline(signal, cacheLookup = null) {
+        this.#lastResponse = null;
+
+        if (signal.aborted) {
+            return this.#abortedResponse(signal);
+        }
+
+        // Key the cache on the request as the caller made it, before filters and interceptors
+        const cacheKey = cacheLookup ? cacheLookup.key : this.#getCacheKey();
+
+        // Let filters rewrite the payload before it is validated and encoded
+        this.#data = await this.#applyFilters('ajaxRequestPayload', this.#data);
+
+        // ====================================================================
+        // REQUEST INTERCEPTORS
+        // ====================================================================
+        let config;
+        try {
+            config = await this.#runRequestInterceptors();
+        } catch (error) {
+            return await this.#interceptorFailure(error);
+        }
+
+        // An interceptor answered the request itself (e.g. from a cache)
+        if (config.response) {
+            const { status = config.response.success === false ? 0 : 200, headers = {} } = config.response;
+            try {
+                return await this.#finalizeResponse(config.response, { status, headers: new Headers(headers) });
+            } finally {
+                this.#triggerHooks('ajaxRequestCompleted');
+            }
+        }
+
         // Validate all configuration before proceeding
         this.#validateConfigs();
 
+        // ====================================================================
+        // RESPONSE CACHE
+        // ====================================================================
+        let cachedEntry;
+
+        if (cacheKey) {
+            if (cacheLookup) {
+                cachedEntry = cacheLookup.entry;
+            } else {
+                const cached = await this.#readCache(cacheKey);
+                if (cached.response) return cached.response;
+                cachedEntry = cached.entry;
+            }
+
+            // Ask the server whether the stored copy is still valid
+            if (cachedEntry) {
+                const conditional = {};
+                if (cachedEntry.etag) conditional['If-None-Match'] = cachedEntry.etag;
+                if (cachedEntry.lastModified) conditional['If-Modified-Since'] = cachedEntry.lastModified;
+                this.#headers = { ...this.#headers, ...conditional };
+            }
+        }
+
         // ====================================================================
         // OFFLINE HANDLING
         // ====================================================================
@@ -266,12 +998,12 @@ export class ajaxRequest {
             if (!this.#waitOffline) {
                 // Immediate failure if not waiting for reconnection
                 this.#triggerHooks('ajaxRequestFailedOnOffline');
-                return {
+                return this.#withHttpDetails({
                     success: false,
                     data: null,
                     message: 'No internet connection. Please check your network and try again.',
-                    error: new Error('Offline: No connection detected')
-                };
+                    error: new ajaxOfflineError(undefined, this.#errorDetails())
+                });
             }
 
             // Wait for reconnection with timeout
@@ -279,15 +1011,18 @@ export class ajaxRequest {
             this.#triggerHooks('ajaxRequestIsInterrupted');
 
             try {
-                await this.#waitForOnline();
+                await this.#waitForOnline(signal);
             } catch (error) {
+                if (signal.aborted) {
+                    return this.#abortedResponse(signal);
+                }
                 this.#triggerHooks('ajaxRequestFailedOnOffline');
-                return {
+                return this.#withHttpDetails({
                     success: false,
                     data: null,
                     message: `No internet connection restored within ${this.maxWaitTime / 1000} seconds.`,
                     error: error
-                };
+                });
             }
         }
 
@@ -297,490 +1032,2167 @@ export class ajaxRequest {
             this.#isAjaxInterrupted = false;
         }
 
-        // ====================================================================
-        // REQUEST QUEUING
-        // ====================================================================
-        // Wait if another request is already running
-        while (isRunningAjax) {
-            this.#triggerHooks('ajaxRequestIsBusy');
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        try {
+            // Authorize last, so a refresh during the offline wait is picked up
+            const ownHeaders = this.#headers;
+            const sessionToken = await this.#applySession();
+            if (signal.aborted) {
+                return this.#abortedResponse(signal);
+            }
 
-        // Acquire lock
-        isRunningAjax = true;
+            let response = await this.#dispatch(signal);
 
-        try {
             // ================================================================
-            // EXECUTE REQUEST
+            // RETRIES
             // ================================================================
-            if (this.#model === 'fetch') {
-                return await this.#executeFetchRequest();
-            } else if (this.#model === 'xhr') {
-                return await this.#executeXHRRequest();
-            } else {
-                const error = new Error(`Invalid request model: ${this.#model}`);
-                this.#triggerHooks('ajaxRequestFailedOnInvalidModel', error);
-                return {
-                    success: false,
-                    data: null,
-                    message: 'Internal error: Invalid transport model configured.',
-                    error: error
-                };
+            let attempt = 1;
+            while (!signal.aborted && this.#shouldRetry(attempt)) {
+                const delay = this.#getRetryDelay(attempt);
+                attempt++;
+                this.#triggerHooks('ajaxRequestRetrying', {
+                    attempt,
+                    maxAttempts: this.#retryPolicy.maxAttempts,
+                    delay,
+                    reason: { ...this.#lastFailure },
+                    error: response.error
+                });
+
+                await this.#sleep(delay, signal);
+
+                // Don't burn attempts while offline
+                if (!navigator.onLine) {
+                    if (!this.#waitOffline) break;
+                    try {
+                        await this.#waitForOnline(signal);
+                    } catch (error) {
+                        if (signal.aborted) throw error;
+                        break;
+                    }
+                }
+
+                response = await this.#dispatch(signal);
+            }
+
+            // Access token rejected: refresh the session and try once more
+            if (sessionToken && !signal.aborted && this.#isSessionRejection()) {
+                const status = this.#lastFailure.status;
+                if (await ajaxSession.refresh(sessionToken) && !signal.aborted) {
+                    this.#triggerHooks('ajaxRequestSessionRefreshed', { status });
+                    this.#headers = ownHeaders;
+                    await this.#applySession();
+                    response = await this.#dispatch(signal);
+                }
             }
+
+            if (signal.aborted || this.#lastFailure?.kind === 'aborted') {
+                return this.#abortedResponse(signal);
+            }
+
+            if (attempt > 1 && this.#lastFailure) {
+                this.#triggerHooks('ajaxRequestRetriesExhausted', { attempts: attempt, error: response.error });
+            }
+
+            if (cacheKey) {
+                response = await this.#storeInCache(cacheKey, cachedEntry, response);
+            }
+
+            return await this.#finalizeResponse(response);
+        } catch (error) {
+            // Aborted while queued, backing off or waiting for reconnection
+            if (signal.aborted) {
+                return this.#abortedResponse(signal);
+            }
+            throw error;
         } finally {
-            // Always release lock and trigger completion hook
-            isRunningAjax = false;
+            // Always trigger completion hook
             this.#triggerHooks('ajaxRequestCompleted');
         }
     }
 
+    /**
+     * Runs global, then instance request interceptors on the current configuration
+     * and applies the result to the instance.
+     *
+     * Each interceptor receives `(config, ajaxRequest)` where config is
+     * `{ url, method, headers, data }`, and returns the config to use. Setting
+     * `config.response` to a response object skips the network entirely.
+     *
+     * @private
+     * @returns {Promise<Object>} The final config
+     * @throws {Error} If an interceptor throws or returns something other than an object
+     */
+    async #runRequestInterceptors() {
+        let config = {
+            url: this.#url,
+            method: this.#method,
+            headers: { ...this.#headers },
+            data: this.#data
+        };
+
+        for (const { request } of [...globalInterceptors, ...this.#interceptors]) {
+            if (!request) continue;
+            config = await request(config, this);
+            if (!config || typeof config !== 'object') {
+                throw new Error('Request interceptor must return the request config.');
+            }
+        }
+
+        this.#url = config.url;
+        this.#method = normalizeMethod(config.method);
+        this.#headers = config.headers;
+        this.#data = config.data;
+        return config;
+    }
+
+    /**
+     * Passes a response through instance, then global response interceptors and
+     * the `ajaxRequestResponse` filter. An interceptor that throws turns the
+     * response into a failure.
+     *
+     * @private
+     * @param {Object} response - Standardized response object
+     * @param {{status: number, headers: Headers}|null} [info] - HTTP outcome (defaults to the last response)
+     * @returns {Promise<Object>} Final response
+     */
+    async #finalizeResponse(response, info = this.#lastResponse) {
+        response = this.#withHttpDetails(response, info);
+        try {
+            for (const { response: intercept } of [...this.#interceptors, ...globalInterceptors]) {
+                if (!intercept) continue;
+                response = await intercept(response, this);
+            }
+        } catch (error) {
+            return await this.#interceptorFailure(error);
+        }
+        return await this.#applyFilters('ajaxRequestResponse', response);
+    }
+
+    /**
+     * Builds the failure response for an interceptor that threw and fires
+     * `ajaxRequestFailedOnInterceptor`.
+     *
+     * @private
+     * @param {Error} error - The thrown error
+     * @returns {Promise<Object>} Standardized failure response
+     */
+    async #interceptorFailure(error) {
+        this.#triggerHooks('ajaxRequestFailedOnInterceptor', error);
+        return await this.#applyFilters('ajaxRequestResponse', this.#withHttpDetails({
+            success: false,
+            data: null,
+            textData: null,
+            message: error?.message || 'Request rejected by an interceptor.',
+            error: error
+        }));
+    }
+
+    /**
+     * Sends one attempt: joins an identical GET already in flight, adds the
+     * request to a batch, or queues it on the scheduler.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels the attempt
+     * @returns {Promise<Object>} Standardized response object
+     * @throws {*} The abort reason if aborted before a response arrived
+     */
+    async #dispatch(signal) {
+        if (this.#sharesInflight()) {
+            return await this.#joinInflight(signal);
+        }
+        if (this.#batchPolicy.enabled && !this.isFormData()) {
+            return await this.#sendInBatch(signal);
+        }
+        return await this.#schedule(signal);
+    }
+
+    /**
+     * Queues one attempt of the request on the shared scheduler.
+     * Aborting the signal while the attempt is still queued frees its place at once.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels the attempt
+     * @returns {Promise<Object>} Standardized response object
+     * @throws {*} The abort reason if aborted while queued
+     */
+    async #schedule(signal) {
+        // Notify listeners when the request has to wait for a free slot
+        if (!ajaxScheduler.canStart(this.#exclusive)) {
+            this.#triggerHooks('ajaxRequestIsBusy');
+        }
+
+        return await ajaxScheduler.schedule(
+            () => this.#execute(signal),
+            { priority: this.#priority, exclusive: this.#exclusive, signal }
+        );
+    }
+
+    /**
+     * Runs one attempt on the configured transport once the scheduler grants a slot.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels the attempt
+     * @returns {Promise<Object>} Standardized response object
+     */
+    async #execute(signal) {
+        this.#lastFailure = null;
+        this.#lastResponse = null;
+
+        // ====================================================================
+        // EXECUTE REQUEST
+        // ====================================================================
+        // The mock server answers through fetch(), so it stands in for XHR as well
+        if (this.#model === 'fetch' || (this.#model === 'xhr' && ajaxMock.isActive())) {
+            return await this.#executeFetchRequest(signal);
+        } else if (this.#model === 'xhr') {
+            return await this.#executeXHRRequest(signal);
+        } else {
+            const error = new Error(`Invalid request model: ${this.#model}`);
+            this.#triggerHooks('ajaxRequestFailedOnInvalidModel', error);
+            return {
+                success: false,
+                data: null,
+                message: 'Internal error: Invalid transport model configured.',
+                error: error
+            };
+        }
+    }
+
     // ========================================================================
-    // TRANSPORT IMPLEMENTATIONS
+    // DEDUPLICATION & BATCHING
     // ========================================================================
 
     /**
-     * Executes request using Fetch API.
+     * Checks whether this request shares the call of identical GETs in flight.
+     * XHR requests never do: each one keeps its own XMLHttpRequest (see getRequestInstance).
      *
      * @private
+     * @returns {boolean} True if deduplicating this request
+     */
+    #sharesInflight() {
+        return this.#deduplicate && this.#method === 'GET' && this.#model !== 'xhr';
+    }
+
+    /**
+     * Shares the network call of identical GET requests (same URL and headers)
+     * in flight. The first one starts the call on a separate instance; the others
+     * wait for its response. Each caller gets its own copy of the response, and
+     * the call is only cancelled when every caller has aborted.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels this caller's wait
      * @returns {Promise<Object>} Standardized response object
+     * @throws {*} The abort reason if aborted before the response arrived
+     *
+     * @fires hooks#doAction('ajaxRequestDeduplicated') – When joining a call in flight, with { key }.
      */
-    async #executeFetchRequest() {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    async #joinInflight(signal) {
+        const key = responseCache.buildKey(this.#method, this.#url, this.#headers, Object.keys(this.#headers));
+
+        let shared = inflightRequests.get(key);
+        if (shared) {
+            this.#triggerHooks('ajaxRequestDeduplicated', { key });
+        } else {
+            shared = this.#startInflight(key);
+        }
+        shared.members.push(this);
 
         try {
-            const options = {
-                method: this.#method,
-                headers: this.#headers,
-                signal: controller.signal,
-            };
+            const { response, failure, info } = await new Promise((resolve, reject) => {
+                const onAbort = () => reject(signal.reason);
+                signal.addEventListener('abort', onAbort, { once: true });
+                shared.promise
+                    .then(resolve, reject)
+                    .finally(() => signal.removeEventListener('abort', onAbort));
+            });
 
-            // Add body for POST requests
-            if (this.#method !== 'GET') {
-                options.body = this.isFormData() 
-                    ? this.#data 
-                    : JSON.stringify(this.#data);
+            this.#lastFailure = failure ? { ...failure } : null;
+            this.#lastResponse = info;
+            return { ...response };
+        } finally {
+            shared.members.splice(shared.members.indexOf(this), 1);
+            if (!shared.members.length) {
+                // Nobody is waiting anymore: stop the call if it is still running
+                shared.controller.abort(signal.reason);
+                if (inflightRequests.get(key) === shared) inflightRequests.delete(key);
             }
+        }
+    }
 
-            const response = await fetch(this.#url, options);
-            clearTimeout(timeoutId);
+    /**
+     * Starts a shared GET call on a copy of this instance (same URL, headers,
+     * transport, timeout, scheduling, hooks ID, batching and CSRF strategy).
+     * For send(), the copy runs the CSRF exchange itself before the call.
+     *
+     * @private
+     * @param {string} key - Request key
+     * @returns {{controller: AbortController, members: ajaxRequest[], promise: Promise<Object>}} Shared call
+     */
+    #startInflight(key) {
+        const clone = new ajaxRequest(this.#url, this.#method, { ...this.#headers });
+        clone.setModel(this.#model);
+        clone.setTimeout(this.timeout);
+        clone.#isRequestAsync = this.#isRequestAsync;
+        clone.#priority = this.#priority;
+        clone.#exclusive = this.#exclusive;
+        clone.#hooksID = this.#hooksID;
+        clone.#batchPolicy = { ...this.#batchPolicy };
+        clone.#csrfStrategy = this.#csrfStrategy;
+        clone.#deduplicate = false;
+        clone.#data = {};
 
-            // Parse response based on content type
-            const contentType = response.headers.get('content-type');
-            let responseData;
+        const controller = new AbortController();
+        const shared = { controller, members: [], promise: null };
 
-            if (contentType?.includes('application/json')) {
-                try {
-                    responseData = await response.json();
-                } catch (parseError) {
-                    // JSON parsing failed - treat as error
-                    const error = new Error('Server returned invalid JSON response.');
-                    this.#triggerHooks('ajaxRequestFailedOnError', error);
-                    const textData = await response.text();
-                    return {
-                        success: false,
-                        data: null,
-                        textData,
-                        message: 'Failed to parse server response.',
-                        error: error
-                    };
+        // Progress goes to the listeners of every caller
+        clone.addProgressListener(progress => {
+            shared.members.forEach(member => member.#progressListeners.forEach(listener => listener(progress)));
+        });
+
+        const run = async () => {
+            if (this.#csrfOnSharedCall) {
+                if (!await clone.#applyCsrf(controller.signal)) {
+                    return { response: clone.#csrfFailure(), failure: null, info: null };
                 }
-            } else {
-                // Non-JSON response (HTML, text, etc.)
-                const textData = await response.text();
-                responseData = {
-                    success: response.ok,
-                    data: null,
-                    textData,
-                    message: response.ok ? 'Request completed' : `HTTP error ${response.status}`
-                };
+                // Carry the CSRF fields in the query string
+                clone.#validateConfigs();
             }
+            const response = await clone.#dispatch(controller.signal);
+            return { response, failure: clone.#lastFailure, info: clone.#lastResponse };
+        };
 
-            // Handle HTTP errors
-            if (!response.ok) {
-                const error = new Error(responseData?.message || `HTTP ${response.status}: ${response.statusText}`);
-                this.#triggerHooks('ajaxRequestFailedOnError', error);
-                
-                const realData = responseData?.data || null;
-                return {
-                    success: false,
-                    data: responseData?.data || null,
-                    textData: JSON.stringify(realData),
-                    message: responseData?.message || `Server returned error ${response.status}`,
-                    error: error
-                };
-            }
+        shared.promise = run()
+            .finally(() => {
+                if (inflightRequests.get(key) === shared) inflightRequests.delete(key);
+            });
 
-            // Success!
-            this.#triggerHooks('ajaxRequestSucceeded', responseData);
-            
-            // Ensure response has expected structure
-            if (typeof responseData !== 'object' || responseData === null) {
-                return {
-                    success: true,
-                    data: responseData,
-                    textData: typeof responseData === 'string' ? responseData : JSON.stringify(responseData),
-                    message: 'Request completed successfully'
-                };
-            }
+        inflightRequests.set(key, shared);
+        return shared;
+    }
 
-            // Return parsed response (already has success, data, message)
+    /**
+     * Sends one attempt as part of a batch (see setBatch) and turns this request's
+     * result into a standardized response.
+     *
+     * @private
+     * @param {AbortSignal} signal - Takes the request out of the batch
+     * @returns {Promise<Object>} Standardized response object
+     * @throws {*} The abort reason if aborted before the batch was answered
+     */
+    async #sendInBatch(signal) {
+        this.#lastFailure = null;
+        this.#lastResponse = null;
+
+        const { result, response, failure } = await ajaxBatcher.add({
+            method: this.#method,
+            url: this.#url,
+            headers: { ...this.#headers },
+            body: QUERY_METHODS.includes(this.#method) ? undefined : this.#data
+        }, { ...this.#batchPolicy, timeout: this.timeout, priority: this.#priority }, signal);
+
+        if (result) {
+            return this.#responseFromBatch(result);
+        }
+
+        // The batch request itself failed; its hooks have already fired
+        if (!response.success) {
+            this.#lastFailure = failure ? { ...failure } : { kind: 'network', status: 0, retryAfter: null };
             return {
-                success: responseData.success !== false, // Default to true if not specified
-                data: responseData.data,
-                textData: JSON.stringify(responseData.data),
-                message: responseData.message || 'Request completed successfully',
-                ...responseData // Include any additional fields
+                success: false,
+                data: null,
+                textData: null,
+                message: response.message || 'Batch request failed.',
+                error: response.error
             };
+        }
 
-        } catch (error) {
-            clearTimeout(timeoutId);
-
-            // Handle timeout specifically
-            if (error.name === 'AbortError') {
-                const timeoutError = new Error(`Request timed out after ${this.timeout / 1000} seconds.`);
-                this.#triggerHooks('ajaxRequestFailedOnTimeout', timeoutError);
-                return {
-                    success: false,
-                    data: null,
-                    textData: null,
-                    message: 'Request timed out. Please try again.',
-                    error: timeoutError
-                };
-            }
+        this.#lastFailure = { kind: 'parse', status: 0, retryAfter: null };
+        const error = new ajaxParseError('Batch response has no result for this request.', this.#errorDetails());
+        this.#triggerHooks('ajaxRequestFailedOnError', error);
+        return {
+            success: false,
+            data: null,
+            textData: null,
+            message: 'Failed to parse server response.',
+            error: error
+        };
+    }
 
-            // Handle network errors
+    /**
+     * Builds the standardized response for one result of a batch, the way the
+     * transports do for a response of their own.
+     *
+     * @private
+     * @param {BatchResult} result - This request's result
+     * @returns {Object} Standardized response object
+     */
+    #responseFromBatch({ status, headers, body = null }) {
+        const responseHeaders = new Headers(headers || {});
+        this.#lastResponse = { status, headers: responseHeaders };
+
+        if (!isSuccessStatus(status)) {
+            this.#lastFailure = { kind: 'http', status, retryAfter: responseHeaders.get('retry-after') };
+            const error = new ajaxHttpError(body?.message || `HTTP ${status}`, this.#errorDetails({
+                status,
+                headers: responseHeaders,
+                body
+            }));
             this.#triggerHooks('ajaxRequestFailedOnError', error);
             return {
                 success: false,
-                data: null,
-                textData: null,
-                message: error.message || 'Network error occurred. Please check your connection.',
+                data: body?.data || null,
+                textData: JSON.stringify(body?.data || null),
+                message: body?.message || `Server returned error ${status}`,
                 error: error
             };
         }
+
+        this.#triggerHooks('ajaxRequestSucceeded', body);
+
+        if (typeof body !== 'object' || body === null) {
+            return {
+                success: true,
+                data: body,
+                textData: typeof body === 'string' ? body : JSON.stringify(body),
+                message: 'Request completed successfully'
+            };
+        }
+
+        return {
+            success: body.success !== false,
+            data: body.data,
+            textData: JSON.stringify(body.data),
+            message: body.message || 'Request completed successfully',
+            ...body
+        };
     }
 
     /**
-     * Executes request using XMLHttpRequest.
+     * Sends a batch to its endpoint (used by the batcher).
      *
      * @private
-     * @returns {Promise<Object>} Standardized response object
+     * @param {string} url - Batch endpoint
+     * @param {Object} payload - Encoded batch
+     * @param {Object} options - Batch settings of the first request, with its timeout and priority
+     * @returns {Promise<{response: Object, failure: Object|null}>} Response and failure details
      */
-    async #executeXHRRequest() {
-        return new Promise((resolve) => {
-            const xhr = new XMLHttpRequest();
-            this.#requestInstance = xhr;
+    static async #sendBatch(url, payload, { headers, timeout, priority }) {
+        const request = new ajaxRequest(url, 'POST', { ...headers });
+        request.setModel('fetch');
+        request.setTimeout(timeout);
+        request.setPriority(priority);
+        request.#deduplicate = false;
+        request.setData(payload);
+
+        const response = await request.fetch();
+        return { response, failure: request.#lastFailure ? { ...request.#lastFailure } : null };
+    }
+
+    // ========================================================================
+    // STREAMING
+    // ========================================================================
+
+    /**
+     * Validates and completes stream() options.
+     *
+     * @private
+     * @param {Object} options - Options passed to stream()
+     * @returns {Object} Complete settings
+     * @throws {Error} If an option is invalid
+     */
+    #streamSettings(options) {
+        if (!isDataObject(options) && !isDataEmpty(options)) {
+            throw new Error('stream error: Options must be a plain object.');
+        }
+
+        const settings = { ...DEFAULT_STREAM_OPTIONS, ...options };
+
+        const validFormats = ['auto', 'ndjson', 'sse', 'text'];
+        if (!validFormats.includes(settings.format)) {
+            throw new Error(`stream error: Format must be one of ${validFormats.join(', ')}.`);
+        }
+        ['retryDelay', 'maxReconnects', 'idleTimeout'].forEach(key => {
+            if (key === 'idleTimeout' && settings.idleTimeout == null) return; // Depends on the format (see #readStream)
+            if (typeof settings[key] !== 'number' || settings[key] < 0) {
+                throw new Error(`stream error: ${key} must be a non-negative number.`);
+            }
+        });
+        if (settings.lastEventId !== null && typeof settings.lastEventId !== 'string') {
+            throw new Error('stream error: lastEventId must be a string or null.');
+        }
+
+        settings.reconnect = !!settings.reconnect;
+        return settings;
+    }
+
+    /**
+     * Applies payload filters, request interceptors and validation for a stream,
+     * then restores the instance so it can be reused while the stream runs.
+     *
+     * @private
+     * @param {Object|FormData} data - Data to send
+     * @returns {Promise<Object>} `{ url, method, headers, body }`, or `{ response }` if an interceptor answered
+     */
+    async #prepareStreamRequest(data) {
+        const snapshot = { url: this.#url, method: this.#method, headers: this.#headers, data: this.#data };
+
+        try {
+            this.#data = await this.#applyFilters('ajaxRequestPayload', data || {});
+
+            let config;
+            try {
+                config = await this.#runRequestInterceptors();
+            } catch (error) {
+                return { response: await this.#interceptorFailure(error) };
+            }
+            if (config.response) {
+                return { response: await this.#finalizeResponse(config.response) };
+            }
+
+            this.#validateConfigs();
+            await this.#applySession();
+
+            let body;
+            if (!QUERY_METHODS.includes(this.#method)) {
+                body = this.isFormData() ? this.#data : JSON.stringify(this.#data);
+            }
+
+            return { url: this.#url, method: this.#method, headers: { ...this.#headers }, body };
+        } finally {
+            this.#url = snapshot.url;
+            this.#method = snapshot.method;
+            this.#headers = snapshot.headers;
+            this.#data = snapshot.data;
+        }
+    }
+
+    /**
+     * Makes sure the browser is online before a stream (re)connects, waiting for
+     * reconnection when waitOffline() is on.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels the wait
+     * @throws {Error} If offline and not waiting, or not back online in time
+     */
+    async #streamOnline(signal) {
+        if (navigator.onLine) return;
+
+        if (!this.#waitOffline) {
+            this.#triggerHooks('ajaxRequestFailedOnOffline');
+            throw new ajaxOfflineError(undefined, this.#errorDetails());
+        }
+
+        this.#isAjaxInterrupted = true;
+        this.#triggerHooks('ajaxRequestIsInterrupted');
+        try {
+            await this.#waitForOnline(signal);
+        } catch (error) {
+            if (!signal.aborted) this.#triggerHooks('ajaxRequestFailedOnOffline');
+            throw error;
+        }
+        this.#isAjaxInterrupted = false;
+        this.#triggerHooks('ajaxRequestResumed');
+    }
+
+    /**
+     * Opens a streaming connection and picks the format.
+     *
+     * @private
+     * @param {Object} request - Prepared request (see #prepareStreamRequest)
+     * @param {Object} headers - Headers for this connection
+     * @param {Object} settings - Stream settings
+     * @param {AbortSignal} signal - Cancels the stream
+     * @returns {Promise<Object>} `{ format, reader, controller }`; reader is null for 204
+     * @throws {Error} On timeout, network or HTTP errors (HTTP errors are marked `permanent`)
+     */
+    async #openStream(request, headers, settings, signal) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        let timedOut = false;
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout);
+
+        let response;
+        try {
+            response = await ajaxMock.fetch(request.url, {
+                method: request.method,
+                headers,
+                body: request.body,
+                signal: controller.signal
+            });
+        } catch (error) {
+            signal.removeEventListener('abort', onAbort);
+            if (timedOut) {
+                const timeoutError = new ajaxTimeoutError(
+                    `Request timed out after ${this.timeout / 1000} seconds.`,
+                    this.#errorDetails({ url: request.url, timeout: this.timeout })
+                );
+                this.#triggerHooks('ajaxRequestFailedOnTimeout', timeoutError);
+                throw timeoutError;
+            }
+            if (signal.aborted) throw error;
+            const networkError = new ajaxNetworkError(error.message || undefined, this.#errorDetails({ url: request.url, cause: error }));
+            this.#triggerHooks('ajaxRequestFailedOnError', networkError);
+            throw networkError;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        let format = settings.format;
+        if (format === 'auto') {
+            if (contentType.includes('text/event-stream')) format = 'sse';
+            else if (NDJSON_TYPES.some(type => contentType.includes(type))) format = 'ndjson';
+            else format = 'text';
+        }
+
+        if (!response.ok) {
+            signal.removeEventListener('abort', onAbort);
+            const body = await response.text().then(parseJsonOrText, () => null);
+            const error = new ajaxHttpError(`HTTP ${response.status}: ${response.statusText}`, this.#errorDetails({
+                url: request.url,
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers,
+                body
+            }));
+            error.permanent = true;
+            this.#triggerHooks('ajaxRequestFailedOnError', error);
+            throw error;
+        }
+
+        if (response.status === 204 || !response.body) {
+            signal.removeEventListener('abort', onAbort);
+            return { format, reader: null, controller };
+        }
+
+        return { format, reader: response.body.getReader(), controller, detach: () => signal.removeEventListener('abort', onAbort) };
+    }
+
+    /**
+     * Reads a streaming connection and yields parsed chunks. Each read must
+     * complete within the idle timeout: `idleTimeout` if set, otherwise the request
+     * timeout, except for SSE which has none unless asked for.
+     *
+     * @private
+     * @param {Object} connection - Result of #openStream
+     * @param {Object} settings - Stream settings
+     * @param {AbortSignal} signal - Cancels the stream
+     * @yields {Object} Parsed chunk
+     * @throws {Error} On idle timeout, read errors or invalid NDJSON
+     */
+    async *#readStream({ format, reader, controller, detach }, settings, signal) {
+        const decoder = new TextDecoder();
+        const sse = { data: '', event: '', id: undefined, retry: undefined };
+        const idleTimeout = settings.idleTimeout ?? (format === 'sse' ? 0 : this.timeout);
+        let buffer = '';
+        let timedOut = false;
+
+        // Each read races the idle timer and the caller's signal
+        const readChunk = () => new Promise((resolve, reject) => {
+            let timer = null;
+            const onAbort = () => fail(signal.reason);
+            const cleanup = () => {
+                clearTimeout(timer);
+                signal.removeEventListener('abort', onAbort);
+            };
+            const fail = (error) => {
+                cleanup();
+                reject(error);
+            };
+
+            if (idleTimeout > 0) {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                    fail(new Error('Stream idle timeout'));
+                }, idleTimeout);
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+
+            reader.read().then(result => {
+                cleanup();
+                resolve(result);
+            }, fail);
+        });
+
+        try {
+            for (;;) {
+                let result;
+                try {
+                    result = await readChunk();
+                } catch (error) {
+                    if (timedOut) {
+                        const timeoutError = new ajaxTimeoutError(
+                            `Stream idle for more than ${idleTimeout / 1000} seconds.`,
+                            this.#errorDetails({ timeout: idleTimeout })
+                        );
+                        this.#triggerHooks('ajaxRequestFailedOnTimeout', timeoutError);
+                        throw timeoutError;
+                    }
+                    if (signal.aborted) throw error;
+                    const networkError = new ajaxNetworkError(error?.message || undefined, this.#errorDetails({ cause: error }));
+                    this.#triggerHooks('ajaxRequestFailedOnError', networkError);
+                    throw networkError;
+                }
+
+                const { done, value } = result;
+                buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+                if (format === 'text') {
+                    if (buffer) yield { format, data: buffer };
+                    buffer = '';
+                } else {
+                    // Keep a trailing \r: it may be the first half of \r\n
+                    const cut = buffer.endsWith('\r') && !done ? buffer.length - 1 : buffer.length;
+                    const lines = buffer.slice(0, cut).split(/\r\n|\r|\n/);
+                    buffer = lines.pop() + buffer.slice(cut);
+
+                    // At the end, an NDJSON line without trailing newline still counts
+                    if (done && format === 'ndjson' && buffer.trim()) {
+                        lines.push(buffer);
+                        buffer = '';
+                    }
+
+                    for (const line of lines) {
+                        const chunk = format === 'sse' ? this.#parseSseLine(line, sse) : this.#parseNdjsonLine(line);
+                        if (chunk) yield chunk;
+                    }
+                }
+
+                if (done) return;
+            }
+        } finally {
+            detach?.();
+            reader.cancel().catch(() => {});
+        }
+    }
+
+    /**
+     * Parses one NDJSON line.
+     *
+     * @private
+     * @param {string} line - Line without its line break
+     * @returns {Object|null} `{ format, data }`, or null for blank lines
+     * @throws {Error} If the line is not valid JSON (marked `permanent`)
+     */
+    #parseNdjsonLine(line) {
+        if (!line.trim()) return null;
+
+        try {
+            return { format: 'ndjson', data: JSON.parse(line) };
+        } catch {
+            const error = new ajaxParseError('Server streamed an invalid JSON line.', this.#errorDetails({ text: line }));
+            error.permanent = true;
+            this.#triggerHooks('ajaxRequestFailedOnError', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Feeds one line to the Server-Sent Events parser and returns the event it
+     * completes, following the WHATWG event stream format.
+     *
+     * @private
+     * @param {string} line - Line without its line break
+     * @param {Object} state - Parser state: { data, event, id, retry }
+     * @returns {Object|null} `{ format, event, data, id, retry }` on a blank line ending an event, else null
+     */
+    #parseSseLine(line, state) {
+        // A blank line dispatches the event
+        if (line === '') {
+            const hasData = state.data !== '';
+            const chunk = hasData ? {
+                format: 'sse',
+                event: state.event || 'message',
+                data: parseJsonOrText(state.data.slice(0, -1)),
+                id: state.id,
+                retry: state.retry
+            } : null;
+
+            state.data = '';
+            state.event = '';
+            state.retry = undefined;
+            return chunk;
+        }
+
+        // Comment (often used as a keep-alive)
+        if (line.startsWith(':')) return null;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        switch (field) {
+            case 'data':
+                state.data += `${value}\n`;
+                break;
+            case 'event':
+                state.event = value;
+                break;
+            case 'id':
+                if (!value.includes('\0')) state.id = value;
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) state.retry = parseInt(value, 10);
+                break;
+        }
+        return null;
+    }
+
+    // ========================================================================
+    // TRANSPORT IMPLEMENTATIONS
+    // ========================================================================
+
+    /**
+     * Executes request using Fetch API.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise<Object>} Standardized response object
+     */
+    async #executeFetchRequest(signal) {
+        // One controller serves both the timeout and the caller's signal
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const options = {
+                method: this.#method,
+                headers: this.#headers,
+                signal: controller.signal,
+            };
+
+            // Add body for methods that carry one (query methods were encoded into the URL)
+            if (!QUERY_METHODS.includes(this.#method)) {
+                options.body = this.isFormData() 
+                    ? this.#data 
+                    : JSON.stringify(this.#data);
+            }
+
+            // Fetch cannot observe the upload itself: report its start and its end
+            const tracksUpload = options.body !== undefined && this.#tracksProgress() && !this.#suppressUploadProgress;
+            const uploadSize = tracksUpload ? this.#estimateBodySize(options.body) : 0;
+            if (tracksUpload) this.#emitProgress('upload', 0, uploadSize);
+
+            const response = await ajaxMock.fetch(this.#url, options);
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', onAbort);
+            if (tracksUpload) this.#emitProgress('upload', uploadSize, uploadSize);
+            this.#lastResponse = { status: response.status, headers: response.headers };
+            const isSuccess = isSuccessStatus(response.status);
+
+            // Parse response based on content type
+            const contentType = response.headers.get('content-type');
+            let responseData;
+            let body = null; // Body as received: parsed JSON or text
+
+            if (this.#hasNoResponseBody(response.status)) {
+                // HEAD, 204 and 304 responses have nothing to parse
+                responseData = {
+                    success: isSuccess,
+                    data: null,
+                    textData: '',
+                    message: isSuccess ? 'Request completed' : `HTTP error ${response.status}`
+                };
+            } else if (isJsonContentType(contentType)) {
+                const textData = await this.#readResponseText(response);
+                try {
+                    responseData = JSON.parse(textData);
+                    body = responseData;
+                } catch (parseError) {
+                    // JSON parsing failed - treat as error
+                    this.#lastFailure = { kind: 'parse', status: response.status, retryAfter: response.headers.get('retry-after') };
+                    const error = new ajaxParseError(undefined, this.#errorDetails({
+                        status: response.status,
+                        headers: response.headers,
+                        text: textData,
+                        cause: parseError
+                    }));
+                    this.#triggerHooks('ajaxRequestFailedOnError', error);
+                    return {
+                        success: false,
+                        data: null,
+                        textData,
+                        message: 'Failed to parse server response.',
+                        error: error
+                    };
+                }
+            } else {
+                // Non-JSON response (HTML, text, etc.)
+                const textData = await this.#readResponseText(response);
+                body = textData;
+                responseData = {
+                    success: isSuccess,
+                    data: null,
+                    textData,
+                    message: isSuccess ? 'Request completed' : `HTTP error ${response.status}`
+                };
+            }
+
+            // Handle HTTP errors
+            if (!isSuccess) {
+                this.#lastFailure = { kind: 'http', status: response.status, retryAfter: response.headers.get('retry-after') };
+                const error = new ajaxHttpError(responseData?.message || `HTTP ${response.status}: ${response.statusText}`, this.#errorDetails({
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers: response.headers,
+                    body
+                }));
+                this.#triggerHooks('ajaxRequestFailedOnError', error);
+                
+                const realData = responseData?.data || null;
+                return {
+                    success: false,
+                    data: responseData?.data || null,
+                    textData: JSON.stringify(realData),
+                    message: responseData?.message || `Server returned error ${response.status}`,
+                    error: error
+                };
+            }
+
+            // Success!
+            this.#triggerHooks('ajaxRequestSucceeded', responseData);
+            
+            // Ensure response has expected structure
+            if (typeof responseData !== 'object' || responseData === null) {
+                return {
+                    success: true,
+                    data: responseData,
+                    textData: typeof responseData === 'string' ? responseData : JSON.stringify(responseData),
+                    message: 'Request completed successfully'
+                };
+            }
+
+            // Return parsed response (already has success, data, message)
+            return {
+                success: responseData.success !== false, // Default to true if not specified
+                data: responseData.data,
+                textData: JSON.stringify(responseData.data),
+                message: responseData.message || 'Request completed successfully',
+                ...responseData // Include any additional fields
+            };
+
+        } catch (error) {
+            clearTimeout(timeoutId);
+            signal.removeEventListener('abort', onAbort);
+
+            // Cancelled by the caller; reported once by the request pipeline
+            if (signal.aborted) {
+                this.#lastFailure = { kind: 'aborted', status: 0, retryAfter: null };
+                const abortedError = new ajaxAbortedError(undefined, this.#errorDetails({ reason: signal.reason, cause: error }));
+                return { success: false, data: null, textData: null, message: 'Request was aborted.', error: abortedError };
+            }
+
+            // Handle timeout specifically
+            if (error.name === 'AbortError') {
+                this.#lastFailure = { kind: 'timeout', status: 0, retryAfter: null };
+                const timeoutError = new ajaxTimeoutError(
+                    `Request timed out after ${this.timeout / 1000} seconds.`,
+                    this.#errorDetails({ timeout: this.timeout })
+                );
+                this.#triggerHooks('ajaxRequestFailedOnTimeout', timeoutError);
+                return {
+                    success: false,
+                    data: null,
+                    textData: null,
+                    message: 'Request timed out. Please try again.',
+                    error: timeoutError
+                };
+            }
+
+            // Handle network errors
+            this.#lastFailure = { kind: 'network', status: 0, retryAfter: null };
+            const networkError = new ajaxNetworkError(error.message || undefined, this.#errorDetails({ cause: error }));
+            this.#triggerHooks('ajaxRequestFailedOnError', networkError);
+            return {
+                success: false,
+                data: null,
+                textData: null,
+                message: error.message || 'Network error occurred. Please check your connection.',
+                error: networkError
+            };
+        }
+    }
+
+    /**
+     * Executes request using XMLHttpRequest.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise<Object>} Standardized response object
+     */
+    async #executeXHRRequest(signal) {
+        return new Promise((resolve) => {
+            const xhr = new XMLHttpRequest();
+            this.#requestInstance = xhr;
+
+            const onAbort = () => xhr.abort();
+            signal.addEventListener('abort', onAbort, { once: true });
+            xhr.addEventListener('loadend', () => signal.removeEventListener('abort', onAbort));
+
+            xhr.open(this.#method, this.#url, this.#isRequestAsync);
+
+            // Set headers
+            for (const key in this.#headers) {
+                xhr.setRequestHeader(key, this.#headers[key]);
+            }
+
+            xhr.timeout = this.timeout;
+
+            // Progress events (upload listeners are only added when needed: they force a CORS preflight)
+            if (this.#tracksProgress()) {
+                const toProgress = (direction) => (event) => {
+                    this.#emitProgress(direction, event.loaded, event.lengthComputable ? event.total : 0);
+                };
+                xhr.onprogress = toProgress('download');
+                if (!QUERY_METHODS.includes(this.#method) && !this.#suppressUploadProgress) {
+                    xhr.upload.onprogress = toProgress('upload');
+                }
+            }
+
+            // Handle response
+            xhr.onreadystatechange = () => {
+                if (xhr.readyState !== XMLHttpRequest.DONE) return;
+
+                if (xhr.status !== 0) {
+                    this.#lastResponse = { status: xhr.status, headers: parseResponseHeaders(xhr.getAllResponseHeaders()) };
+                }
+                const isSuccess = isSuccessStatus(xhr.status);
+
+                const contentType = xhr.getResponseHeader('content-type');
+                let responseData;
+                let body = null; // Body as received: parsed JSON or text
+
+                // Parse response based on content type
+                if (this.#hasNoResponseBody(xhr.status)) {
+                    // HEAD, 204 and 304 responses have nothing to parse
+                    responseData = {
+                        success: isSuccess,
+                        data: null,
+                        textData: '',
+                        message: `HTTP ${xhr.status}`
+                    };
+                } else if (isJsonContentType(contentType)) {
+                    try {
+                        responseData = JSON.parse(xhr.responseText);
+                        body = responseData;
+                    } catch (parseError) {
+                        // JSON parsing failed
+                        this.#lastFailure = { kind: 'parse', status: xhr.status, retryAfter: xhr.getResponseHeader('retry-after') };
+                        const error = new ajaxParseError(undefined, this.#errorDetails({
+                            status: xhr.status,
+                            headers: this.#lastResponse.headers,
+                            text: xhr.responseText,
+                            cause: parseError
+                        }));
+                        this.#triggerHooks('ajaxRequestFailedOnError', error);
+                        resolve({
+                            success: false,
+                            data: null,
+                            textData: xhr.responseText,
+                            message: 'Failed to parse server response.',
+                            error: error
+                        });
+                        return;
+                    }
+                } else {
+                    // Non-JSON response
+                    body = xhr.responseText;
+                    responseData = {
+                        success: isSuccess,
+                        data: xhr.responseText,
+                        textData: xhr.responseText,
+                        message: `HTTP ${xhr.status}`
+                    };
+                }
+
+                // Handle success
+                if (isSuccess) {
+                    this.#triggerHooks('ajaxRequestSucceeded', responseData);
+                    
+                    // Ensure response has expected structure
+                    if (typeof responseData !== 'object' || responseData === null) {
+                        resolve({
+                            success: true,
+                            data: responseData,
+                            textData: typeof responseData === 'string' ? responseData : JSON.stringify(responseData),
+                            message: 'Request completed successfully'
+                        });
+                        return;
+                    }
+
+                    resolve({
+                        success: responseData.success !== false,
+                        data: responseData.data,
+                        textData: JSON.stringify(responseData.data),
+                        message: responseData.message || 'Request completed successfully',
+                        ...responseData
+                    });
+                    return;
+                }
+
+                // Handle HTTP errors (status 0 means the request never completed;
+                // onerror/ontimeout report those)
+                if (xhr.status === 0) return;
+                this.#lastFailure = { kind: 'http', status: xhr.status, retryAfter: xhr.getResponseHeader('retry-after') };
+                const error = new ajaxHttpError(responseData?.message || `HTTP ${xhr.status}: ${xhr.statusText}`, this.#errorDetails({
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers: this.#lastResponse.headers,
+                    body
+                }));
+                this.#triggerHooks('ajaxRequestFailedOnError', error);
+                resolve({
+                    success: false,
+                    data: responseData?.data || null,
+                    textData: JSON.stringify(responseData?.data || null),
+                    message: responseData?.message || `Server returned error ${xhr.status}`,
+                    error: error
+                });
+            };
+
+            // Handle network error
+            xhr.onerror = () => {
+                this.#lastFailure = { kind: 'network', status: 0, retryAfter: null };
+                const error = new ajaxNetworkError('Network error during XHR request.', this.#errorDetails());
+                this.#triggerHooks('ajaxRequestFailedOnError', error);
+                resolve({
+                    success: false,
+                    data: null,
+                    textData: null,
+                    message: 'Network error occurred. Please check your connection.',
+                    error: error
+                });
+            };
+
+            // Handle abort (abort() or getRequestInstance().abort()); reported once by the request pipeline
+            xhr.onabort = () => {
+                this.#lastFailure = { kind: 'aborted', status: 0, retryAfter: null };
+                const error = new ajaxAbortedError(undefined, this.#errorDetails({ reason: signal.reason }));
+                resolve({
+                    success: false,
+                    data: null,
+                    textData: null,
+                    message: 'Request was aborted.',
+                    error: error
+                });
+            };
+
+            // Handle timeout
+            xhr.ontimeout = () => {
+                this.#lastFailure = { kind: 'timeout', status: 0, retryAfter: null };
+                const error = new ajaxTimeoutError(
+                    `Request timed out after ${this.timeout / 1000} seconds.`,
+                    this.#errorDetails({ timeout: this.timeout })
+                );
+                this.#triggerHooks('ajaxRequestFailedOnTimeout', error);
+                resolve({
+                    success: false,
+                    data: null,
+                    textData: null,
+                    message: 'Request timed out. Please try again.',
+                    error: error
+                });
+            };
+
+            // Send request (query methods were encoded into the URL)
+            if (QUERY_METHODS.includes(this.#method)) {
+                xhr.send();
+            } else if (this.isFormData()) {
+                xhr.send(this.#data);
+            } else {
+                xhr.send(JSON.stringify(this.#data));
+            }
+        });
+    }
+
+    // ========================================================================
+    // VALIDATION & SECURITY
+    // ========================================================================
+
+    /**
+     * Validates all configuration before sending request.
+     * Also prepares URL for GET, HEAD and DELETE requests by appending query parameters.
+     *
+     * @private
+     * @throws {Error} If any configuration is invalid
+     */
+    #validateConfigs() {
+        // Validate URL
+        if (typeof this.#url !== 'string' || this.#url.trim() === '') {
+            throw new Error('Configuration error: URL must be a non-empty string.');
+        }
+
+        // Validate method
+        this.#method = normalizeMethod(this.#method);
+        if (!VALID_METHODS.includes(this.#method)) {
+            throw new Error(`Configuration error: Method must be one of ${VALID_METHODS.join(', ')}.`);
+        }
+
+        // Validate headers
+        if (typeof this.#headers !== 'object' || Array.isArray(this.#headers)) {
+            throw new Error('Configuration error: Headers must be a plain object.');
+        }
+
+        // Merge with default headers
+        this.#headers = { ...this.defaultHeaders(), ...this.#headers };
+
+        // Remove Content-Type for FormData (browser sets it automatically)
+        Object.keys(this.#headers).forEach(key => {
+            if (key.toLowerCase() === 'content-type' && this.isFormData()) {
+                delete this.#headers[key];
+            }
+        });
+
+        // Validate data
+        if (typeof this.#data !== 'object') {
+            throw new Error('Configuration error: Data must be an object or FormData.');
+        }
+
+        // Validate model
+        const validModels = ['fetch', 'xhr'];
+        if (!validModels.includes(this.#model)) {
+            throw new Error(`Configuration error: Model must be one of ${validModels.join(', ')}.`);
+        }
+
+        // For body-less methods, append data as query parameters
+        if (QUERY_METHODS.includes(this.#method) && !isDataEmpty(this.#data)) {
+            const existingParams = decodeURLQuery(this.#url);
+            let allParams = {};
+
+            // Extract params from FormData or object
+            if (this.isFormData()) {
+                for (const [key, value] of this.#data.entries()) {
+                    allParams[key] = value;
+                }
+            } else {
+                allParams = { ...this.#data };
+            }
+
+            // Merge with existing URL params
+            allParams = { ...existingParams, ...allParams };
+
+            // Rebuild URL with query string
+            this.#url = this.#url.split('?')[0] + buildUrlQuery(allParams);
+        }
+    }
+
+    /**
+     * Describes the request for the CSRF strategy.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels any request the strategy makes
+     * @returns {CsrfContext} Strategy context
+     */
+    #csrfContext(signal) {
+        return {
+            url: this.#url,
+            method: this.#method,
+            nonceUrl: this.#nonce_url,
+            data: this.#data,
+            signal
+        };
+    }
+
+    /**
+     * Asks the CSRF strategy what the request must carry and adds it: headers to
+     * the request headers, fields to the payload.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels any request the strategy makes
+     * @returns {Promise<boolean>} True if the request may be sent
+     */
+    async #applyCsrf(signal) {
+        let result;
+        try {
+            result = await this.getCsrfStrategy().apply(this.#csrfContext(signal));
+        } catch (error) {
+            if (!signal.aborted) console.error('CSRF strategy error:', error);
+            result = false;
+        }
+
+        if (!result) {
+            if (!signal.aborted) this.#triggerHooks('ajaxRequestFailedOnNonceValidation');
+            return false;
+        }
+
+        this.#headers = { ...this.#headers, ...(result.headers || {}) };
+        this.#csrfData = { ...(result.data || {}) };
+
+        Object.entries(this.#csrfData).forEach(([key, value]) => {
+            if (this.isFormData()) {
+                this.#data.set(key, String(value));
+            } else {
+                this.#data[key] = value;
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Checks whether the last response rejected the CSRF token.
+     *
+     * @private
+     * @returns {boolean} True for an HTTP status the strategy refreshes on
+     */
+    #isCsrfRejection() {
+        return this.#lastFailure?.kind === 'http' && this.getCsrfStrategy().shouldRefresh(this.#lastFailure.status);
+    }
+
+    /**
+     * Builds the response for a request the CSRF strategy refused to send.
+     *
+     * @private
+     * @returns {Object} Standardized error response
+     */
+    #csrfFailure() {
+        return this.#withHttpDetails({
+            success: false,
+            data: null,
+            message: 'Security validation failed. Your session may have expired.',
+            error: new ajaxNonceError(undefined, this.#errorDetails())
+        });
+    }
+
+    /**
+     * Adds the session's Authorization header, once any refresh in progress is
+     * over. Left out when authorization is off, the caller set the header, the
+     * URL is not an allowed origin or nobody is signed in.
+     *
+     * @private
+     * @returns {Promise<string|null>} Access token sent, or null if none was added
+     */
+    async #applySession() {
+        if (!this.#authorize) return null;
+
+        const header = ajaxSession.getConfig().header.toLowerCase();
+        if (Object.keys(this.#headers).some(name => name.toLowerCase() === header)) return null;
+
+        const authorization = await ajaxSession.authorize(this.#url);
+        if (!authorization) return null;
+
+        this.#headers = { ...this.#headers, ...authorization.headers };
+        return authorization.token;
+    }
+
+    /**
+     * Checks whether the last response rejected the access token.
+     *
+     * @private
+     * @returns {boolean} True for an HTTP status the session refreshes on
+     */
+    #isSessionRejection() {
+        return this.#lastFailure?.kind === 'http' && ajaxSession.shouldRefresh(this.#lastFailure.status);
+    }
+
+    // ========================================================================
+    // HELPER METHODS
+    // ========================================================================
+
+    /**
+     * Waits for internet connection to be restored.
+     *
+     * @private
+     * @param {AbortSignal} [signal] - Stops waiting when aborted
+     * @returns {Promise<void>} Resolves when online or timeout reached
+     * @throws {Error} If maximum wait time exceeded or the signal is aborted
+     */
+    async #waitForOnline(signal) {
+        let timeWaited = 0;
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                window.removeEventListener('online', onlineHandler);
+                signal?.removeEventListener('abort', abortHandler);
+            };
+
+            // Listen for online event
+            const onlineHandler = () => {
+                cleanup();
+                resolve();
+            };
+            window.addEventListener('online', onlineHandler);
+
+            // Stop waiting on abort
+            const abortHandler = () => {
+                cleanup();
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', abortHandler, { once: true });
+
+            // Poll for connection
+            const checkOnline = () => {
+                if (signal?.aborted) {
+                    return;
+                } else if (navigator.onLine) {
+                    cleanup();
+                    resolve();
+                } else if (timeWaited >= this.maxWaitTime) {
+                    cleanup();
+                    reject(new ajaxOfflineError('Maximum wait time for reconnection exceeded', this.#errorDetails()));
+                } else {
+                    timeWaited += this.pollInterval;
+                    setTimeout(checkOnline, this.pollInterval);
+                }
+            };
+
+            checkOnline();
+        });
+    }
+
+    /**
+     * Decides whether the last attempt failed in a way the retry policy retries.
+     *
+     * @private
+     * @param {number} attempt - Number of attempts made so far
+     * @returns {boolean} True if another attempt should be made
+     */
+    #shouldRetry(attempt) {
+        const policy = this.#retryPolicy;
+        const failure = this.#lastFailure;
+
+        if (!failure || attempt >= policy.maxAttempts) return false;
+        if (!policy.methods.includes(this.#method)) return false;
+
+        return policy.retryOnStatus.includes(failure.status)
+            || policy.retryOnErrors.includes(failure.kind);
+    }
+
+    /**
+     * Computes how long to wait before the next attempt.
+     * Uses the server's `Retry-After` header when allowed, otherwise exponential
+     * backoff with jitter. Either way the delay is capped at `maxDelay`.
+     *
+     * @private
+     * @param {number} attempt - Number of attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    #getRetryDelay(attempt) {
+        const { baseDelay, maxDelay, factor, jitter, respectRetryAfter } = this.#retryPolicy;
+        const retryAfter = this.#lastFailure?.retryAfter;
+
+        if (respectRetryAfter && retryAfter) {
+            // Either delta-seconds or an HTTP date
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds)
+                ? Date.parse(retryAfter) - Date.now()
+                : seconds * 1000;
+            if (!Number.isNaN(delay)) {
+                return Math.min(maxDelay, Math.max(0, delay));
+            }
+        }
+
+        const exponential = Math.min(maxDelay, baseDelay * Math.pow(factor, attempt - 1));
+        return Math.round(exponential * (1 - jitter * Math.random()));
+    }
+
+    /**
+     * Checks whether anyone listens to the progress of this instance.
+     *
+     * @private
+     * @returns {boolean} True if there are progress listeners or `ajaxRequestProgress` hooks
+     */
+    #tracksProgress() {
+        return this.#progressListeners.size > 0
+            || hooks.getListeners('ajaxRequestProgress').length > 0
+            || (!isDataEmpty(this.#hooksID) && hooks.getListeners(`ajaxRequestProgress_${this.#hooksID}`).length > 0);
+    }
+
+    /**
+     * Reports progress to the listeners and the `ajaxRequestProgress` hook.
+     *
+     * @private
+     * @param {string} direction - 'upload' or 'download'
+     * @param {number} loaded - Bytes transferred so far
+     * @param {number} total - Total bytes, or 0 if unknown
+     */
+    #emitProgress(direction, loaded, total) {
+        const progress = {
+            direction,
+            loaded,
+            total,
+            lengthComputable: total > 0,
+            percent: total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : null
+        };
+
+        this.#progressListeners.forEach(listener => {
+            try {
+                listener(progress);
+            } catch (error) {
+                console.error('Progress listener error:', error);
+            }
+        });
+        this.#triggerHooks('ajaxRequestProgress', progress);
+    }
+
+    /**
+     * Estimates the size of a fetch request body, for upload progress.
+     *
+     * @private
+     * @param {string|FormData} body - Request body
+     * @returns {number} Size in bytes (FormData: sum of its values, without multipart overhead)
+     */
+    #estimateBodySize(body) {
+        if (typeof body === 'string') return new Blob([body]).size;
+
+        let size = 0;
+        for (const [key, value] of body.entries()) {
+            size += key.length + (value instanceof Blob ? value.size : new Blob([String(value)]).size);
+        }
+        return size;
+    }
+
+    /**
+     * Reads a fetch response body as text, streaming it to report download
+     * progress when someone is listening.
+     *
+     * @private
+     * @param {Response} response - Fetch response
+     * @returns {Promise<string>} Body text
+     */
+    async #readResponseText(response) {
+        if (!response.body || !this.#tracksProgress()) {
+            return await response.text();
+        }
+
+        const total = parseInt(response.headers.get('content-length'), 10) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+
+        this.#emitProgress('download', 0, total);
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.length;
+            this.#emitProgress('download', loaded, total);
+        }
+
+        return await new Blob(chunks).text();
+    }
+
+    /**
+     * Uploads every file of the payload larger than the chunking threshold, in
+     * chunks, and replaces it in the payload with a reference to the upload:
+     * `{ uploadId, name, size, type, chunkCount }` (a JSON string in FormData).
+     *
+     * Files go up one after the other; the chunks of a file go up in parallel.
+     *
+     * @private
+     * @param {AbortSignal} signal - Cancels the upload
+     * @returns {Promise<Object|false|null>} A failure response, false when files were chunked,
+     *          or null when there was nothing to chunk
+     */
+    async #uploadLargeFiles(signal) {
+        const policy = this.#chunkPolicy;
+        const threshold = policy.threshold ?? policy.chunkSize;
+        const isFormData = this.isFormData();
+        const entries = isFormData ? Array.from(this.#data.entries()) : Object.entries(this.#data);
+
+        const large = entries.filter(([, value]) => value instanceof Blob && value.size > threshold);
+        if (!large.length) return null;
+
+        const total = large.reduce((sum, [, file]) => sum + file.size, 0);
+        let uploadedBefore = 0;
+        const references = new Map();
+
+        for (const [field, file] of large) {
+            const result = await this.#uploadFileInChunks(field, file, signal, (loaded) => {
+                this.#emitProgress('upload', uploadedBefore + loaded, total);
+            });
+            if (!result.success) return result;
+
+            references.set(file, result.reference);
+            uploadedBefore += file.size;
+        }
+
+        // Rebuild the payload so the caller's data is left untouched
+        if (isFormData) {
+            const data = new FormData();
+            entries.forEach(([key, value]) => {
+                if (references.has(value)) {
+                    data.append(key, JSON.stringify(references.get(value)));
+                } else {
+                    data.append(key, value);
+                }
+            });
+            this.#data = data;
+        } else {
+            this.#data = Object.fromEntries(entries.map(([key, value]) => [key, references.get(value) ?? value]));
+        }
+
+        return false;
+    }
+
+    /**
+     * Uploads one file in chunks. Confirmed chunks are remembered in IndexedDB
+     * (when resume is on) so a later attempt with the same file skips them.
+     *
+     * Each chunk is a multipart POST to the chunk URL with the fields `uploadId`,
+     * `fieldName`, `fileName`, `fileSize`, `fileType`, `chunkIndex`, `chunkCount`,
+     * `offset` and `chunk`, and a `Content-Range: bytes start-end/size` header.
+     *
+     * @private
+     * @param {string} field - Payload field holding the file
+     * @param {File|Blob} file - File to upload
+     * @param {AbortSignal} signal - Cancels the upload
+     * @param {Function} report - Receives the bytes of this file uploaded so far
+     * @returns {Promise<Object>} `{ success: true, reference }` or a failure response
+     *
+     * @fires hooks#doAction('ajaxRequestUploadProgress') – With { field, file, uploadId, loaded, total, percent, chunkIndex, chunkCount, resumed }.
+     */
+    async #uploadFileInChunks(field, file, signal, report) {
+        const policy = this.#chunkPolicy;
+        const chunkCount = Math.max(1, Math.ceil(file.size / policy.chunkSize));
+        const stateKey = [policy.url || this.#url, field, file.name, file.size, file.lastModified].join('|');
+
+        let state;
+        if (policy.resume) {
+            try {
+                state = await getLocalDatabaseData(stateKey, policy.dbName);
+            } catch (error) {
+                console.error('Upload state read error:', error);
+            }
+        }
 
-            xhr.open(this.#method, this.#url, this.#isRequestAsync);
+        const uploadId = state?.uploadId || createIdempotencyKey();
+        const confirmed = new Set(state?.confirmed || []);
+        const resumed = confirmed.size > 0;
+        const pending = [];
+        const chunkLoaded = new Map();
 
-            // Set headers
-            for (const key in this.#headers) {
-                xhr.setRequestHeader(key, this.#headers[key]);
+        for (let index = 0; index < chunkCount; index++) {
+            const size = Math.min(policy.chunkSize, file.size - index * policy.chunkSize);
+            if (confirmed.has(index)) {
+                chunkLoaded.set(index, size);
+            } else {
+                pending.push(index);
             }
+        }
 
-            xhr.timeout = this.timeout;
+        const notify = (chunkIndex) => {
+            let loaded = 0;
+            chunkLoaded.forEach(bytes => { loaded += bytes; });
+            report(loaded);
+            this.#triggerHooks('ajaxRequestUploadProgress', {
+                field,
+                file,
+                uploadId,
+                loaded,
+                total: file.size,
+                percent: file.size ? Math.round((loaded / file.size) * 100) : 100,
+                chunkIndex,
+                chunkCount,
+                resumed
+            });
+        };
+
+        let failure = null;
+        const worker = async () => {
+            while (pending.length && !failure && !signal.aborted) {
+                const index = pending.shift();
+                const start = index * policy.chunkSize;
+                const end = Math.min(start + policy.chunkSize, file.size);
+
+                const response = await this.#sendChunk({ field, file, uploadId, index, chunkCount, start, end }, signal, (loaded) => {
+                    chunkLoaded.set(index, Math.min(loaded, end - start));
+                    notify(index);
+                });
 
-            // Handle response
-            xhr.onreadystatechange = () => {
-                if (xhr.readyState !== XMLHttpRequest.DONE) return;
+                if (!response.success) {
+                    failure = failure || response;
+                    return;
+                }
 
-                const contentType = xhr.getResponseHeader('content-type');
-                let responseData;
+                chunkLoaded.set(index, end - start);
+                confirmed.add(index);
+                notify(index);
 
-                // Parse response based on content type
-                if (contentType?.includes('application/json')) {
+                if (policy.resume) {
                     try {
-                        responseData = JSON.parse(xhr.responseText);
-                    } catch (parseError) {
-                        // JSON parsing failed
-                        const error = new Error('Server returned invalid JSON response.');
-                        this.#triggerHooks('ajaxRequestFailedOnError', error);
-                        resolve({
-                            success: false,
-                            data: null,
-                            textData: xhr.responseText,
-                            message: 'Failed to parse server response.',
-                            error: error
-                        });
-                        return;
+                        await updateLocalDatabaseData(stateKey, { uploadId, confirmed: [...confirmed] }, policy.dbName);
+                    } catch (error) {
+                        console.error('Upload state write error:', error);
                     }
-                } else {
-                    // Non-JSON response
-                    responseData = {
-                        success: xhr.status >= 200 && xhr.status < 300,
-                        data: xhr.responseText,
-                        textData: xhr.responseText,
-                        message: `HTTP ${xhr.status}`
-                    };
                 }
+            }
+        };
 
-                // Handle success
-                if (xhr.status >= 200 && xhr.status < 300) {
-                    this.#triggerHooks('ajaxRequestSucceeded', responseData);
-                    
-                    // Ensure response has expected structure
-                    if (typeof responseData !== 'object' || responseData === null) {
-                        resolve({
-                            success: true,
-                            data: responseData,
-                            textData: typeof responseData === 'string' ? responseData : JSON.stringify(responseData),
-                            message: 'Request completed successfully'
-                        });
-                        return;
-                    }
+        if (resumed) notify(null);
+        await Promise.all(Array.from({ length: Math.min(policy.parallel, pending.length) }, worker));
 
-                    resolve({
-                        success: responseData.success !== false,
-                        data: responseData.data,
-                        textData: JSON.stringify(responseData.data),
-                        message: responseData.message || 'Request completed successfully',
-                        ...responseData
-                    });
-                    return;
-                }
+        if (failure || signal.aborted) {
+            return failure || { success: false, aborted: true, data: null, message: 'Request was aborted.' };
+        }
 
-                // Handle HTTP errors
-                const error = new Error(responseData?.message || `HTTP ${xhr.status}: ${xhr.statusText}`);
-                this.#triggerHooks('ajaxRequestFailedOnError', error);
-                resolve({
-                    success: false,
-                    data: responseData?.data || null,
-                    textData: JSON.stringify(responseData?.data || null),
-                    message: responseData?.message || `Server returned error ${xhr.status}`,
-                    error: error
-                });
-            };
+        if (policy.resume) {
+            deleteLocalDatabaseData(stateKey, policy.dbName).catch(error => console.error('Upload state delete error:', error));
+        }
 
-            // Handle network error
-            xhr.onerror = () => {
-                const error = new Error('Network error during XHR request.');
-                this.#triggerHooks('ajaxRequestFailedOnError', error);
-                resolve({
-                    success: false,
-                    data: null,
-                    textData: null,
-                    message: 'Network error occurred. Please check your connection.',
-                    error: error
-                });
-            };
+        return {
+            success: true,
+            reference: { uploadId, name: file.name ?? field, size: file.size, type: file.type, chunkCount }
+        };
+    }
 
-            // Handle timeout
-            xhr.ontimeout = () => {
-                const error = new Error(`Request timed out after ${this.timeout / 1000} seconds.`);
-                this.#triggerHooks('ajaxRequestFailedOnTimeout', error);
-                resolve({
-                    success: false,
-                    data: null,
-                    textData: null,
-                    message: 'Request timed out. Please try again.',
-                    error: error
-                });
-            };
+    /**
+     * Sends one chunk through a child request that shares this instance's
+     * headers, transport, timeout, retry policy and priority.
+     *
+     * @private
+     * @param {Object} chunk - { field, file, uploadId, index, chunkCount, start, end }
+     * @param {AbortSignal} signal - Cancels the chunk
+     * @param {Function} onProgress - Receives the bytes of this chunk sent so far
+     * @returns {Promise<Object>} Standardized response of the chunk request
+     */
+    async #sendChunk({ field, file, uploadId, index, chunkCount, start, end }, signal, onProgress) {
+        const body = new FormData();
+        body.append('uploadId', uploadId);
+        body.append('fieldName', field);
+        body.append('fileName', file.name ?? field);
+        body.append('fileSize', String(file.size));
+        body.append('fileType', file.type);
+        body.append('chunkIndex', String(index));
+        body.append('chunkCount', String(chunkCount));
+        body.append('offset', String(start));
+
+        // Carry the security fields of the main request (CSRF headers come with the headers)
+        ['SECURE', ...Object.keys(this.#csrfData)].forEach(key => {
+            const value = this.isFormData() ? this.#data.get(key) : this.#data[key];
+            if (value !== undefined && value !== null) body.append(key, String(value));
+        });
+        body.append('chunk', file.slice(start, end), file.name ?? field);
 
-            // Send request
-            if (this.#method === 'GET') {
-                xhr.send();
-            } else if (this.isFormData()) {
-                xhr.send(this.#data);
-            } else {
-                xhr.send(JSON.stringify(this.#data));
-            }
+        const request = new ajaxRequest(this.#chunkPolicy.url || this.#url, 'POST', {
+            ...this.#headers,
+            'Content-Range': `bytes ${start}-${end - 1}/${file.size}`
         });
+        request.setModel(this.#model);
+        request.setTimeout(this.timeout);
+        // Chunks are idempotent (same upload ID and index), so POST may be retried
+        const retry = this.getRetry();
+        request.setRetry({ ...retry, methods: [...new Set([...retry.methods, 'POST'])] });
+        request.setPriority(this.#priority);
+        request.setSignal(signal);
+        request.setData(body);
+        request.addProgressListener(({ direction, loaded }) => {
+            if (direction === 'upload') onProgress(loaded);
+        });
+
+        return await request.fetch();
     }
 
-    // ========================================================================
-    // VALIDATION & SECURITY
-    // ========================================================================
+    /**
+     * Checks whether this send() may end up in the offline outbox.
+     *
+     * @private
+     * @returns {boolean} True for mutations when the outbox is enabled
+     */
+    #usesOutbox() {
+        return this.#outboxPolicy.enabled && OUTBOX_METHODS.includes(this.#method);
+    }
 
     /**
-     * Validates all configuration before sending request.
-     * Also prepares URL for GET requests by appending query parameters.
+     * Captures the request as it was handed to send(), before nonce validation,
+     * filters and interceptors, so a replay goes through all of them again.
      *
      * @private
-     * @throws {Error} If any configuration is invalid
+     * @returns {Object} Outbox item fields (see OutboxItem)
      */
-    #validateConfigs() {
-        // Validate URL
-        if (typeof this.#url !== 'string' || this.#url.trim() === '') {
-            throw new Error('Configuration error: URL must be a non-empty string.');
-        }
+    #createOutboxDraft() {
+        const policy = this.#outboxPolicy;
+        const idempotencyKey = typeof policy.idempotencyKey === 'function'
+            ? policy.idempotencyKey(this)
+            : policy.idempotencyKey || createIdempotencyKey();
+        const isFormData = this.isFormData();
+
+        return {
+            idempotencyKey: String(idempotencyKey),
+            url: this.#url,
+            method: this.#method,
+            headers: { ...this.#headers, [policy.header]: String(idempotencyKey) },
+            data: isFormData ? Array.from(this.#data.entries()) : { ...this.#data },
+            isFormData,
+            model: this.#model,
+            timeout: this.timeout,
+            hooksID: this.#hooksID,
+            maxAttempts: policy.maxAttempts
+        };
+    }
 
-        // Validate method
-        const validMethods = ['GET', 'POST'];
-        if (!validMethods.includes(this.#method)) {
-            throw new Error(`Configuration error: Method must be one of ${validMethods.join(', ')}.`);
+    /**
+     * Stores a request in the outbox and builds the response for the caller.
+     *
+     * @private
+     * @param {Object} draft - Outbox item fields
+     * @returns {Promise<Object>} Response with `queued: true` and the outbox id
+     */
+    async #queueInOutbox(draft) {
+        try {
+            const item = await ajaxOutbox.enqueue(draft);
+            return this.#withHttpDetails({
+                success: false,
+                queued: true,
+                outboxId: item.id,
+                data: null,
+                message: 'You are offline. The request was saved and will be sent when the connection returns.'
+            });
+        } catch (error) {
+            console.error('Outbox write error:', error);
+            return this.#withHttpDetails({
+                success: false,
+                data: null,
+                message: 'The request could not be sent or saved for later.',
+                error: error
+            });
         }
+    }
 
-        // Validate headers
-        if (typeof this.#headers !== 'object' || Array.isArray(this.#headers)) {
-            throw new Error('Configuration error: Headers must be a plain object.');
+    /**
+     * Sends an outbox item through a fresh instance (used by the outbox on replay).
+     *
+     * @private
+     * @param {OutboxItem} item - Item to send
+     * @returns {Promise<{response: Object, failure: Object|null}>} Response and failure details
+     */
+    static async #replayOutboxItem(item) {
+        const request = new ajaxRequest(item.url, item.method, { ...item.headers });
+        request.setModel(item.model);
+        request.setTimeout(item.timeout);
+        if (!isDataEmpty(item.hooksID)) request.setHooksId(item.hooksID);
+
+        let data = item.data;
+        if (item.isFormData) {
+            data = new FormData();
+            item.data.forEach(([key, value]) => data.append(key, value));
         }
 
-        // Merge with default headers
-        this.#headers = { ...this.defaultHeaders(), ...this.#headers };
+        const response = await request.send(data);
+        return { response, failure: request.#lastFailure ? { ...request.#lastFailure } : null };
+    }
 
-        // Remove Content-Type for FormData (browser sets it automatically)
-        Object.keys(this.#headers).forEach(key => {
-            if (key.toLowerCase() === 'content-type' && this.isFormData()) {
-                delete this.#headers[key];
-            }
-        });
+    // Replay items queued before a reload, without waiting for a page to call setOutbox()
+    static {
+        ajaxOutbox.register(item => ajaxRequest.#replayOutboxItem(item));
+    }
 
-        // Validate data
-        if (typeof this.#data !== 'object') {
-            throw new Error('Configuration error: Data must be an object or FormData.');
-        }
+    // Cached responses belong to the user they were fetched for
+    static {
+        hooks.addAction('sessionCleared', () => ajaxCache.clear());
+        hooks.addAction('sessionReplaced', () => ajaxCache.clear());
+    }
 
-        // Validate model
-        const validModels = ['fetch', 'xhr'];
-        if (!validModels.includes(this.#model)) {
-            throw new Error(`Configuration error: Model must be one of ${validModels.join(', ')}.`);
-        }
+    /**
+     * Gets the response cache key for the current request, if caching applies.
+     * Requests the session authorizes are keyed on the signed-in user too, as
+     * the Authorization header is only added after the lookup.
+     *
+     * @private
+     * @returns {string|null} Cache key, or null if the request is not cacheable
+     */
+    #getCacheKey() {
+        const policy = this.#cachePolicy;
+        if (!policy.enabled || this.#method !== 'GET') return null;
 
-        // For GET requests, append data as query parameters
-        if (this.#method === 'GET' && !isDataEmpty(this.#data)) {
-            const existingParams = decodeURLQuery(this.#url);
-            let allParams = {};
+        if (typeof policy.key === 'function') return policy.key(this);
+        if (typeof policy.key === 'string') return policy.key;
+        const headers = { ...this.defaultHeaders(), ...this.#headers };
+        const key = responseCache.buildKey(this.#method, this.#getCallerUrl(), headers, policy.varyHeaders);
 
-            // Extract params from FormData or object
+        const identity = this.#authorize && ajaxSession.appliesTo(this.#url) ? ajaxSession.getSession()?.identity : null;
+        return identity ? `${key} | session=${identity}` : key;
+    }
+
+    /**
+     * Gets the URL of a query request as the caller made it: the data in the query
+     * string, without the SECURE flag and the CSRF fields, which change from one
+     * request to the next.
+     *
+     * @private
+     * @returns {string} Absolute URL
+     */
+    #getCallerUrl() {
+        const url = new URL(this.#url, window.location.href);
+
+        if (QUERY_METHODS.includes(this.#method) && !isDataEmpty(this.#data)) {
+            let params = {};
             if (this.isFormData()) {
                 for (const [key, value] of this.#data.entries()) {
-                    allParams[key] = value;
+                    params[key] = value;
                 }
             } else {
-                allParams = { ...this.#data };
+                params = { ...this.#data };
             }
-
-            // Merge with existing URL params
-            allParams = { ...existingParams, ...allParams };
-
-            // Rebuild URL with query string
-            this.#url = this.#url.split('?')[0] + '?' + encodeURLQuery(allParams);
+            url.search = buildUrlQuery({ ...decodeURLQuery(url.href), ...params });
         }
+
+        ['SECURE', ...Object.keys(this.#csrfData)].forEach(name => url.searchParams.delete(name));
+        return url.toString();
     }
 
     /**
-     * Validates nonce with server and updates global nonce.
-     *
-     * Flow:
-     * 1. Send current nonce to server
-     * 2. Server verifies and returns new nonce
-     * 3. Update global nonce with new value
-     * 4. Return validation result
+     * Looks up the cached response for a key. Fresh entries are served, and so
+     * are stale ones within `staleWhileRevalidate`, which are refreshed in the
+     * background.
      *
      * @private
-     * @returns {Promise<boolean>} True if validation succeeded
+     * @param {string} key - Cache key
+     * @returns {Promise<{entry: CacheEntry|undefined, response: Object|null}>} Stored entry, and the
+     *          finalized response if it can be served
      */
-    async #validateNonce() {
-        try {
-            lcs_ajax_object = lcs_ajax_object || {};
+    async #readCache(key) {
+        const entry = await this.#cacheOptions().get(key);
+        if (!entry || this.#bypassCacheRead) return { entry, response: null };
 
-            const currentNonce = lcs_ajax_object.nonce;
-            if (!currentNonce) {
-                console.error('Nonce validation error: No nonce found in lcs_ajax_object');
-                this.#triggerHooks('ajaxRequestFailedOnNonceValidation');
-                return false;
-            }
+        const fresh = ajaxCache.isFresh(entry);
+        if (!fresh && !ajaxCache.isServableStale(entry)) return { entry, response: null };
 
-            // Prepare nonce validation request
-            const payload = JSON.stringify({
-                NONCE: currentNonce,
-                SECURE: this.isFormData() 
-                    ? (this.#data.get('SECURE') || 'true') 
-                    : (this.#data.SECURE || true)
-            });
+        this.#triggerHooks('ajaxRequestCacheHit', { key, stale: !fresh });
+        if (!fresh) this.#revalidateInBackground();
+        try {
+            const response = await this.#finalizeResponse({ ...entry.response, cached: true }, this.#cachedResponseInfo(entry));
+            return { entry, response };
+        } finally {
+            this.#triggerHooks('ajaxRequestCompleted');
+        }
+    }
 
-            const headers = {
-                'Content-Type': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest',
-            };
+    /**
+     * Binds the shared cache to this instance's persistence settings.
+     *
+     * @private
+     * @returns {{get: Function, set: Function}} Cache accessors
+     */
+    #cacheOptions() {
+        const options = { persist: this.#cachePolicy.persist, dbName: this.#cachePolicy.dbName };
+        return {
+            get: (key) => ajaxCache.get(key, options),
+            set: (entry) => ajaxCache.set(entry, options)
+        };
+    }
+
+    /**
+     * Stores a successful response in the cache, or refreshes the stored entry
+     * when the server answered 304 Not Modified.
+     *
+     * @private
+     * @param {string} key - Cache key
+     * @param {CacheEntry|undefined} cachedEntry - Entry that was revalidated, if any
+     * @param {Object} response - Standardized response from the transport
+     * @returns {Promise<Object>} The response to hand back (the cached one on 304)
+     */
+    async #storeInCache(key, cachedEntry, response) {
+        const info = this.#lastResponse;
+        if (!info || !response.success) return response;
+
+        const policy = this.#cachePolicy;
+        const entry = {
+            key,
+            response,
+            status: info.status,
+            headers: Object.fromEntries(info.headers.entries()),
+            storedAt: Date.now(),
+            ttl: policy.ttl,
+            staleWhileRevalidate: policy.staleWhileRevalidate,
+            etag: info.headers.get('etag'),
+            lastModified: info.headers.get('last-modified')
+        };
+
+        if (info.status === 304 && cachedEntry) {
+            entry.response = cachedEntry.response;
+            entry.status = cachedEntry.status ?? 200;
+            entry.headers = { ...cachedEntry.headers, ...entry.headers };
+            entry.etag = entry.etag || cachedEntry.etag;
+            entry.lastModified = entry.lastModified || cachedEntry.lastModified;
+            this.#triggerHooks('ajaxRequestCacheRevalidated', { key });
+            await this.#cacheOptions().set(entry);
+
+            // Report the stored response, not the 304 that confirmed it
+            this.#lastResponse = this.#cachedResponseInfo(entry);
+            return { ...cachedEntry.response, cached: true };
+        }
 
-            // Remove query parameters from nonce URL
-            const nonceUrl = this.#nonce_url.split('?')[0];
+        if (info.status === 304) return response;
 
-            // Send validation request using fetch
-            const response = await fetch(nonceUrl, { 
-                method: 'POST', 
-                headers, 
-                body: payload 
-            });
+        await this.#cacheOptions().set(entry);
+        return response;
+    }
 
-            if (!response.ok) {
-                console.error(`Nonce validation error: HTTP ${response.status}: ${response.statusText}`);
-                this.#triggerHooks('ajaxRequestFailedOnNonceValidation');
-                return false;
-            }
+    /**
+     * Refreshes a stale cache entry without blocking the caller. A separate
+     * instance repeats the request (same URL, headers, model and timeout) and
+     * writes the new response to the cache.
+     *
+     * @private
+     */
+    #revalidateInBackground() {
+        const clone = new ajaxRequest(this.#getCallerUrl(), 'GET', { ...this.#headers });
+        clone.setModel(this.#model);
+        clone.setTimeout(this.timeout);
+        clone.setCache({ ...this.#cachePolicy });
+        clone.#bypassCacheRead = true;
+        clone.#data = {};
+
+        clone.fetch().catch(error => console.error('Cache revalidation error:', error));
+    }
 
-            const responseData = await response.json();
+    /**
+     * Checks whether a response cannot carry a body and must not be parsed.
+     *
+     * @private
+     * @param {number} status - HTTP status code
+     * @returns {boolean} True for HEAD requests and 204/205/304 responses
+     */
+    #hasNoResponseBody(status) {
+        return this.#method === 'HEAD' || [204, 205, 304].includes(status);
+    }
 
-            // Validate response structure
-            if (!responseData || typeof responseData !== 'object') {
-                this.#triggerHooks('ajaxRequestFailedOnNonceValidation');
-                console.error('Nonce validation error: Invalid response format', responseData);
-                return false;
-            }
+    /**
+     * Waits for a delay, rejecting early if the signal is aborted.
+     *
+     * @private
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} signal - Cancels the wait
+     * @returns {Promise<void>}
+     */
+    #sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
 
-            const newNonce = responseData.data;
+    /**
+     * Creates the abort controller for a new run, linked to the external signal.
+     *
+     * @private
+     * @returns {AbortController} Controller for the run
+     */
+    #startAbortable() {
+        const controller = new AbortController();
+        const external = this.#externalSignal;
+        let unlink = () => {};
 
-            // Ensure new nonce was provided
-            if (!newNonce || typeof newNonce !== 'string' || isDataEmpty(newNonce)) {
-                this.#triggerHooks('ajaxRequestFailedOnNonceValidation');
-                console.error('Nonce validation error: Server did not return a new nonce', responseData);
-                return false;
+        if (external) {
+            if (external.aborted) {
+                controller.abort(external.reason);
+            } else {
+                const onAbort = () => controller.abort(external.reason);
+                external.addEventListener('abort', onAbort, { once: true });
+                unlink = () => external.removeEventListener('abort', onAbort);
             }
+        }
 
-            // Update global nonce
-            lcs_ajax_object.nonce = newNonce;
-
-            // Return validation result
-            return true;
+        this.#abortControllers.set(controller, unlink);
+        return controller;
+    }
 
-        } catch (error) {
-            this.#triggerHooks('ajaxRequestFailedOnNonceValidation');
-            console.error('Nonce validation error:', error);
-            return false;
-        }
+    /**
+     * Releases the abort controller of a finished run.
+     *
+     * @private
+     * @param {AbortController} controller - Controller returned by #startAbortable
+     */
+    #endAbortable(controller) {
+        this.#abortControllers.get(controller)?.();
+        this.#abortControllers.delete(controller);
     }
 
-    // ========================================================================
-    // HELPER METHODS
-    // ========================================================================
+    /**
+     * Builds the standardized response for a cancelled run and fires `ajaxRequestAborted`.
+     *
+     * @private
+     * @param {AbortSignal} signal - The aborted signal
+     * @returns {Object} Standardized response with `aborted: true`
+     */
+    #abortedResponse(signal) {
+        const reason = signal.reason;
+        const error = new ajaxAbortedError(undefined, this.#errorDetails({
+            reason,
+            cause: reason instanceof Error ? reason : undefined
+        }));
+        this.#triggerHooks('ajaxRequestAborted', { reason });
+        return this.#withHttpDetails({
+            success: false,
+            aborted: true,
+            data: null,
+            textData: null,
+            message: 'Request was aborted.',
+            error: error
+        });
+    }
 
     /**
-     * Waits for internet connection to be restored.
+     * Collects the request details that go into every typed error.
      *
      * @private
-     * @returns {Promise<void>} Resolves when online or timeout reached
-     * @throws {Error} If maximum wait time exceeded
+     * @param {Object} [extra={}] - Error-specific details (status, body, timeout, ...)
+     * @returns {Object} Details for an ajaxError constructor
      */
-    async #waitForOnline() {
-        let timeWaited = 0;
+    #errorDetails(extra = {}) {
+        return { url: this.#url, method: this.#method, ...extra };
+    }
 
-        return new Promise((resolve, reject) => {
-            // Listen for online event
-            const onlineHandler = () => {
-                window.removeEventListener('online', onlineHandler);
-                resolve();
-            };
-            window.addEventListener('online', onlineHandler);
+    /**
+     * Adds the HTTP outcome to a response. It overrides any `status`, `headers` or
+     * `ok` field the server put in its JSON.
+     *
+     * @private
+     * @param {Object} response - Standardized response object
+     * @param {{status: number, headers: Headers}|null} [info] - HTTP outcome (defaults to the last response)
+     * @returns {Object} Response with `status` (0 without a response), `headers` and `ok` (2xx)
+     */
+    #withHttpDetails(response, info = this.#lastResponse) {
+        const status = info?.status ?? 0;
+        return {
+            ...response,
+            status,
+            headers: info?.headers ?? new Headers(),
+            ok: status >= 200 && status < 300
+        };
+    }
 
-            // Poll for connection
-            const checkOnline = () => {
-                if (navigator.onLine) {
-                    window.removeEventListener('online', onlineHandler);
-                    resolve();
-                } else if (timeWaited >= this.maxWaitTime) {
-                    window.removeEventListener('online', onlineHandler);
-                    reject(new Error('Maximum wait time for reconnection exceeded'));
-                } else {
-                    timeWaited += this.pollInterval;
-                    setTimeout(checkOnline, this.pollInterval);
-                }
-            };
+    /**
+     * Gets the HTTP outcome recorded with a cache entry.
+     *
+     * @private
+     * @param {CacheEntry} entry - Cache entry
+     * @returns {{status: number, headers: Headers}} Stored status (200 for older entries) and headers
+     */
+    #cachedResponseInfo(entry) {
+        return { status: entry.status ?? 200, headers: new Headers(entry.headers ?? {}) };
+    }
 
-            checkOnline();
-        });
+    /**
+     * Hands a response to the caller of send()/fetch(), or throws its error when
+     * rejection of HTTP errors is on (see setRejectOnHttpError).
+     *
+     * @private
+     * @param {Object} response - Final response
+     * @returns {Object} The response
+     * @throws {ajaxHttpError} The response's error, with the response attached as `error.response`
+     */
+    #settle(response) {
+        if (this.#rejectOnHttpError && response?.error instanceof ajaxHttpError) {
+            response.error.response = response;
+            throw response.error;
+        }
+        return response;
     }
 
     /**
@@ -799,6 +3211,22 @@ export class ajaxRequest {
         hooks.doAction(hookName, data);
     }
 
+    /**
+     * Passes a value through the instance-specific filter (if a hooks ID is set)
+     * and then the global filter. Filter callbacks receive `(value, ajaxRequest)`.
+     *
+     * @private
+     * @param {string} filterName - Name of the filter to apply
+     * @param {*} value - Value to filter
+     * @returns {Promise<*>} The filtered value
+     */
+    async #applyFilters(filterName, value) {
+        if (!isDataEmpty(this.#hooksID)) {
+            value = await hooks.applyFiltersAsync(`${filterName}_${this.#hooksID}`, value, this);
+        }
+        return await hooks.applyFiltersAsync(filterName, value, this);
+    }
+
     // ========================================================================
     // PUBLIC UTILITY METHODS
     // ========================================================================
@@ -931,13 +3359,16 @@ export class ajaxRequest {
     /**
      * Sets the HTTP method.
      *
-     * @param {string} method - HTTP method ('GET' or 'POST')
+     * Method names are case-insensitive. GET, HEAD and DELETE send their data as a
+     * query string; the other methods send it as a JSON or FormData body.
+     *
+     * @param {string} method - HTTP method ('GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD' or 'OPTIONS')
      * @throws {Error} If method is invalid
      */
     setMethod(method) {
-        const validMethods = ['GET', 'POST'];
-        if (!validMethods.includes(method)) {
-            throw new Error(`setMethod error: Method must be one of ${validMethods.join(', ')}.`);
+        method = normalizeMethod(method);
+        if (!VALID_METHODS.includes(method)) {
+            throw new Error(`setMethod error: Method must be one of ${VALID_METHODS.join(', ')}.`);
         }
         this.#method = method;
     }
@@ -1015,6 +3446,478 @@ export class ajaxRequest {
         this.#hooksID = hid;
     }
 
+    /**
+     * Sets whether the request runs alone: it waits until no other request is
+     * in flight, and no other request starts until it finishes. Use this for
+     * nonce-sensitive posts that relied on the old single-request lock.
+     *
+     * @param {boolean} [active=true] - True to run exclusively
+     */
+    setExclusive(active = true) {
+        this.#exclusive = !!active;
+    }
+
+    /**
+     * Sets whether send() and fetch() reject when the server answers with an
+     * error status (4xx or 5xx), instead of resolving with `success: false`.
+     * The rejection is the ajaxHttpError, carrying `status`, `headers`, the
+     * parsed `body` and the full `response`. Network errors, timeouts, aborts
+     * and the other failures still resolve.
+     *
+     * @param {boolean} [active=true] - True to reject on HTTP errors
+     *
+     * @example
+     * const user = new ajaxRequest('/api/users/42', 'GET');
+     * user.setRejectOnHttpError();
+     * try {
+     *     const { data } = await user.send();
+     * } catch (error) {
+     *     if (error.status === 404) showNotFound();
+     *     else throw error;
+     * }
+     */
+    setRejectOnHttpError(active = true) {
+        this.#rejectOnHttpError = !!active;
+    }
+
+    /**
+     * Configures automatic retries. Options are merged into the current policy.
+     *
+     * @param {Object} [options={}] - Retry policy
+     * @param {number} [options.maxAttempts=1] - Total attempts including the first (1 disables retries)
+     * @param {number[]} [options.retryOnStatus=[408, 425, 429, 500, 502, 503, 504]] - HTTP statuses to retry
+     * @param {string[]} [options.retryOnErrors=['network', 'timeout']] - Failure kinds to retry:
+     *   'network', 'timeout', 'http' (any non-2xx) or 'parse' (invalid JSON)
+     * @param {string[]} [options.methods=['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']] - Methods that may be
+     *   retried. POST and PATCH are left out by default because they are not idempotent.
+     * @param {number} [options.baseDelay=500] - Delay (ms) before the first retry
+     * @param {number} [options.maxDelay=30000] - Upper bound (ms) for any delay
+     * @param {number} [options.factor=2] - Multiplier applied to the delay after each attempt
+     * @param {number} [options.jitter=0.5] - Fraction (0–1) of the delay that is randomized
+     * @param {boolean} [options.respectRetryAfter=true] - Use the `Retry-After` header when present
+     * @throws {Error} If an option is invalid
+     *
+     * @fires hooks#doAction('ajaxRequestRetrying')         – Before each retry, with { attempt, maxAttempts, delay, reason, error }.
+     * @fires hooks#doAction('ajaxRequestRetriesExhausted') – When the last retry also failed, with { attempts, error }.
+     */
+    setRetry(options = {}) {
+        if (!isDataObject(options)) {
+            throw new Error('setRetry error: Options must be a plain object.');
+        }
+
+        const policy = { ...this.#retryPolicy, ...options };
+
+        if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+            throw new Error('setRetry error: maxAttempts must be a positive integer.');
+        }
+        ['baseDelay', 'maxDelay', 'factor'].forEach(key => {
+            if (typeof policy[key] !== 'number' || policy[key] < 0) {
+                throw new Error(`setRetry error: ${key} must be a non-negative number.`);
+            }
+        });
+        if (typeof policy.jitter !== 'number' || policy.jitter < 0 || policy.jitter > 1) {
+            throw new Error('setRetry error: jitter must be a number between 0 and 1.');
+        }
+        ['retryOnStatus', 'retryOnErrors', 'methods'].forEach(key => {
+            if (!Array.isArray(policy[key])) {
+                throw new Error(`setRetry error: ${key} must be an array.`);
+            }
+        });
+
+        policy.methods = policy.methods.map(normalizeMethod);
+        policy.respectRetryAfter = !!policy.respectRetryAfter;
+        this.#retryPolicy = policy;
+    }
+
+    /**
+     * Sets the scheduling priority. Only used when the shared scheduler is in
+     * 'priority' mode; lower numbers start earlier.
+     *
+     * @param {number} priority - Priority number
+     * @throws {Error} If priority is not a finite number
+     */
+    setPriority(priority) {
+        if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+            throw new Error('setPriority error: Priority must be a finite number.');
+        }
+        this.#priority = priority;
+    }
+
+    /**
+     * Enables, configures or disables the response cache for GET requests.
+     * Options are merged into the current settings; pass `false` to turn caching off.
+     *
+     * - Fresh entries (younger than `ttl`) are returned without a network call, and
+     *   before send() runs the CSRF exchange, so they are served offline too.
+     * - Stale entries within `staleWhileRevalidate` are returned at once and refreshed
+     *   in the background.
+     * - Older entries are revalidated with `If-None-Match` / `If-Modified-Since`; a
+     *   304 answer reuses the stored response.
+     *
+     * Entries are keyed on the URL and data the caller passed (the SECURE flag and
+     * CSRF fields left out), and on the signed-in user when ajaxSession authorizes the
+     * request; custom keys must tell users apart themselves. The whole cache is cleared
+     * when the session ends or another user signs in. Cached responses carry `cached: true`.
+     * Entries are managed through `ajaxCache` (see responseCache.js) for invalidation by key or prefix;
+     * `ajaxCache.configure({ maxEntries })` caps how many are kept in memory (200 by default).
+     *
+     * @param {Object|boolean} [options={}] - Cache settings, or false to disable
+     * @param {number} [options.ttl=60000] - Time (ms) a response stays fresh
+     * @param {number} [options.staleWhileRevalidate=0] - Extra time (ms) a stale response may be served
+     * @param {string[]} [options.varyHeaders=[]] - Request headers whose values are part of the cache key
+     * @param {boolean} [options.persist=false] - Also store responses in IndexedDB
+     * @param {string} [options.dbName='lcsAjaxCache'] - IndexedDB database for persisted responses
+     * @param {string|Function|null} [options.key=null] - Custom cache key, or a function `(ajaxRequest) => key`
+     * @throws {Error} If an option is invalid
+     *
+     * @fires hooks#doAction('ajaxRequestCacheHit')         – When a cached response is served, with { key, stale }.
+     * @fires hooks#doAction('ajaxRequestCacheRevalidated') – When the server confirms a cached response (304), with { key }.
+     */
+    setCache(options = {}) {
+        if (options === false) {
+            this.#cachePolicy = { ...this.#cachePolicy, enabled: false };
+            return;
+        }
+        if (options === true) options = {};
+        if (!isDataObject(options)) {
+            throw new Error('setCache error: Options must be a plain object or a boolean.');
+        }
+
+        const policy = { ...this.#cachePolicy, ...options, enabled: true };
+
+        ['ttl', 'staleWhileRevalidate'].forEach(key => {
+            if (typeof policy[key] !== 'number' || policy[key] < 0) {
+                throw new Error(`setCache error: ${key} must be a non-negative number.`);
+            }
+        });
+        if (!Array.isArray(policy.varyHeaders)) {
+            throw new Error('setCache error: varyHeaders must be an array.');
+        }
+        if (policy.key !== null && !['string', 'function'].includes(typeof policy.key)) {
+            throw new Error('setCache error: key must be a string, a function or null.');
+        }
+
+        policy.persist = !!policy.persist;
+        this.#cachePolicy = policy;
+    }
+
+    /**
+     * Sets the CSRF strategy used by instances that don't set their own.
+     *
+     * @param {csrfStrategy} strategy - Strategy (see csrfStrategies.js)
+     * @throws {Error} If strategy does not implement apply(), refresh() and shouldRefresh()
+     *
+     * @example
+     * ajaxRequest.setDefaultCsrfStrategy(new tokenEndpointStrategy({ url: '/api/csrf-token' }));
+     */
+    static setDefaultCsrfStrategy(strategy) {
+        if (!isCsrfStrategy(strategy)) {
+            throw new Error('setDefaultCsrfStrategy error: Strategy must implement apply(), refresh() and shouldRefresh().');
+        }
+        csrfDefault = strategy;
+    }
+
+    /**
+     * Sets the CSRF strategy of this instance. It applies to secure requests (send()
+     * without `SECURE: false`). Pass null to use the default strategy again.
+     *
+     * @param {csrfStrategy|null} strategy - Strategy (see csrfStrategies.js), or null
+     * @throws {Error} If strategy does not implement apply(), refresh() and shouldRefresh()
+     *
+     * @fires hooks#doAction('ajaxRequestFailedOnNonceValidation') – When the strategy refuses the request.
+     * @fires hooks#doAction('ajaxRequestCsrfRefreshed')           – When a rejected token was renewed, with { status }, before the retry.
+     */
+    setCsrfStrategy(strategy) {
+        if (strategy !== null && !isCsrfStrategy(strategy)) {
+            throw new Error('setCsrfStrategy error: Strategy must implement apply(), refresh() and shouldRefresh().');
+        }
+        this.#csrfStrategy = strategy;
+    }
+
+    /**
+     * Enables, configures or disables chunked uploads for this instance.
+     * Options are merged into the current settings; pass `false` to turn chunking off.
+     *
+     * When on, send() uploads every File/Blob of the payload larger than `threshold`
+     * in chunks before the request itself, which then carries a reference
+     * `{ uploadId, name, size, type, chunkCount }` in place of each file (a JSON
+     * string in FormData) so the server can assemble it.
+     *
+     * Chunk requests are multipart POSTs with the fields `uploadId`, `fieldName`,
+     * `fileName`, `fileSize`, `fileType`, `chunkIndex`, `chunkCount`, `offset` and
+     * `chunk`, plus a `Content-Range` header. They share this instance's headers,
+     * transport, timeout and retry policy. With `resume` on, confirmed chunks are
+     * remembered in IndexedDB: sending the same file again after a failure only
+     * uploads the missing chunks, under the same upload ID.
+     *
+     * @param {Object|boolean} [options={}] - Chunking settings, or false to disable
+     * @param {number} [options.chunkSize=5242880] - Chunk size in bytes (5 MB)
+     * @param {number} [options.parallel=3] - Chunks of a file uploaded at the same time
+     * @param {number|null} [options.threshold=null] - Files larger than this are chunked (defaults to chunkSize)
+     * @param {string|null} [options.url=null] - URL receiving the chunks (defaults to the request URL)
+     * @param {boolean} [options.resume=true] - Remember confirmed chunks to resume failed uploads
+     * @param {string} [options.dbName='lcsAjaxUploads'] - IndexedDB database for resume state
+     * @throws {Error} If an option is invalid
+     *
+     * @fires hooks#doAction('ajaxRequestUploadProgress') – Per file as its chunks go up, with
+     *        { field, file, uploadId, loaded, total, percent, chunkIndex, chunkCount, resumed }.
+     * @fires hooks#doAction('ajaxRequestProgress')       – For all files together, with direction 'upload'.
+     */
+    setChunkedUpload(options = {}) {
+        if (options === false) {
+            this.#chunkPolicy = { ...this.#chunkPolicy, enabled: false };
+            return;
+        }
+        if (options === true) options = {};
+        if (!isDataObject(options)) {
+            throw new Error('setChunkedUpload error: Options must be a plain object or a boolean.');
+        }
+
+        const policy = { ...this.#chunkPolicy, ...options, enabled: true };
+
+        if (!Number.isInteger(policy.chunkSize) || policy.chunkSize <= 0) {
+            throw new Error('setChunkedUpload error: chunkSize must be a positive integer.');
+        }
+        if (!Number.isInteger(policy.parallel) || policy.parallel <= 0) {
+            throw new Error('setChunkedUpload error: parallel must be a positive integer.');
+        }
+        if (policy.threshold !== null && (typeof policy.threshold !== 'number' || policy.threshold < 0)) {
+            throw new Error('setChunkedUpload error: threshold must be a non-negative number or null.');
+        }
+        if (policy.url !== null && (typeof policy.url !== 'string' || policy.url.trim() === '')) {
+            throw new Error('setChunkedUpload error: url must be a non-empty string or null.');
+        }
+
+        policy.resume = !!policy.resume;
+        this.#chunkPolicy = policy;
+    }
+
+    /**
+     * Adds a progress listener. It receives
+     * `{ direction, loaded, total, lengthComputable, percent }` where direction is
+     * 'upload' or 'download' and total is 0 (percent null) when the size is unknown.
+     *
+     * With the 'xhr' model progress comes from the browser's progress events. With
+     * 'fetch', downloads are streamed to report progress, while an upload in one
+     * body is only reported when it starts and ends; chunked uploads report
+     * progress per chunk on both transports.
+     *
+     * The same objects are passed to the `ajaxRequestProgress` hook.
+     *
+     * @param {Function} listener - Progress callback
+     * @returns {Function} Removes the listener
+     * @throws {Error} If listener is not a function
+     *
+     * @example
+     * const stop = upload.addProgressListener(({ direction, percent }) => {
+     *     if (direction === 'upload') bar.value = percent ?? 0;
+     * });
+     */
+    addProgressListener(listener) {
+        if (typeof listener !== 'function') {
+            throw new Error('addProgressListener error: Listener must be a function.');
+        }
+        this.#progressListeners.add(listener);
+        return () => this.#progressListeners.delete(listener);
+    }
+
+    /**
+     * Enables, configures or disables the offline outbox for this instance.
+     * Options are merged into the current settings; pass `false` to turn it off.
+     *
+     * With the outbox on, POST, PUT, PATCH and DELETE requests sent with send():
+     * - carry an idempotency header so the server can drop duplicates;
+     * - are stored in IndexedDB instead of failing when the browser is offline or the
+     *   connection drops (network error or timeout);
+     * - are replayed in order by `ajaxOutbox` once the browser is back online, even
+     *   after a page reload.
+     *
+     * The caller gets `{ success: false, queued: true, outboxId }` for a queued request.
+     * Replay outcomes are reported through the `ajaxOutbox*` hooks (see requestOutbox.js).
+     * The outbox replaces waitOffline() for these requests: they are queued at once.
+     *
+     * @param {Object|boolean} [options={}] - Outbox settings, or false to disable
+     * @param {string|Function|null} [options.idempotencyKey=null] - Fixed key, or `(ajaxRequest) => key`;
+     *        a random key per send() when null. A key derived from the payload also stops double submits
+     *        from being queued twice.
+     * @param {string} [options.header='Idempotency-Key'] - Header carrying the key
+     * @param {number} [options.maxAttempts=5] - Replay attempts before an item is dead-lettered
+     * @throws {Error} If an option is invalid
+     */
+    setOutbox(options = {}) {
+        if (options === false) {
+            this.#outboxPolicy = { ...this.#outboxPolicy, enabled: false };
+            return;
+        }
+        if (options === true) options = {};
+        if (!isDataObject(options)) {
+            throw new Error('setOutbox error: Options must be a plain object or a boolean.');
+        }
+
+        const policy = { ...this.#outboxPolicy, ...options, enabled: true };
+
+        if (policy.idempotencyKey !== null && !['string', 'function'].includes(typeof policy.idempotencyKey)) {
+            throw new Error('setOutbox error: idempotencyKey must be a string, a function or null.');
+        }
+        if (typeof policy.header !== 'string' || policy.header.trim() === '') {
+            throw new Error('setOutbox error: header must be a non-empty string.');
+        }
+        if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+            throw new Error('setOutbox error: maxAttempts must be a positive integer.');
+        }
+
+        this.#outboxPolicy = policy;
+        ajaxOutbox.start(item => ajaxRequest.#replayOutboxItem(item));
+    }
+
+    /**
+     * Sets whether identical GET requests in flight share one network call.
+     * Off by default. When on and several components request the same URL with
+     * the same headers at the same moment, only the first one reaches the network
+     * (CSRF exchange included) and the others get a copy of its response (the
+     * `data` inside is shared, not cloned). Requests on the 'xhr' model never
+     * share a call, so getRequestInstance() keeps working.
+     *
+     * @param {boolean} [active=true] - True to share identical GET calls, false to always make a call of its own
+     *
+     * @fires hooks#doAction('ajaxRequestDeduplicated') – When a request joins one in flight, with { key }.
+     */
+    setDeduplicate(active = true) {
+        this.#deduplicate = !!active;
+    }
+
+    /**
+     * Sets whether requests carry the access token of the signed-in session (see
+     * ajaxSession). On by default; only requests to the session's allowed origins
+     * (this site by default) get it, and a request with its own Authorization
+     * header keeps that one. Requests wait while the token is being refreshed,
+     * and a 401 refreshes it and sends the request once more.
+     *
+     * @param {boolean} [active=true] - False to never send the token, e.g. for sign-in requests
+     *
+     * @fires hooks#doAction('ajaxRequestSessionRefreshed') – Before the retry after a refresh, with { status }.
+     */
+    setAuthorization(active = true) {
+        this.#authorize = !!active;
+    }
+
+    /**
+     * Enables, configures or disables batching for this instance. Options are
+     * merged into the current settings; pass `false` to turn it off.
+     *
+     * With batching on, each request is collected by `ajaxBatcher` for a short
+     * window and sent to the batch endpoint together with the other requests of
+     * that window, as one POST. The endpoint's answer is split up again, so every
+     * caller gets its own standardized response, retries and hooks as usual.
+     *
+     * Each request goes into the batch with its method, URL, headers (including CSRF
+     * headers) and payload, so the server can check each one on its own. The batch
+     * POST itself only carries `headers` and is queued on the scheduler like any
+     * request; the batched requests are not. FormData requests are never batched.
+     *
+     * @param {Object|boolean} [options={}] - Batch settings, or false to disable
+     * @param {string} options.url - Batch endpoint (required when enabling)
+     * @param {number} [options.window=10] - Time (ms) to collect requests before sending
+     * @param {number} [options.maxSize=20] - Send early once this many requests are waiting
+     * @param {Object} [options.headers={}] - Headers of the batch request
+     * @param {Function|null} [options.encode=null] - `(requests) => payload`; defaults to `{ requests }`
+     * @param {Function|null} [options.decode=null] - `(response) => [{ id, status, headers, body }]`;
+     *        defaults to `response.data` or `responses` (see requestBatcher.js)
+     * @throws {Error} If an option is invalid
+     *
+     * @example
+     * // Widgets that each load their own data, sent as one request
+     * const widget = new ajaxRequest('/api/widgets/sales', 'GET');
+     * widget.setBatch({ url: '/api/batch', window: 20 });
+     * const { data } = await widget.send({ SECURE: false });
+     */
+    setBatch(options = {}) {
+        if (options === false) {
+            this.#batchPolicy = { ...this.#batchPolicy, enabled: false };
+            return;
+        }
+        if (options === true) options = {};
+        if (!isDataObject(options)) {
+            throw new Error('setBatch error: Options must be a plain object or a boolean.');
+        }
+
+        const policy = { ...this.#batchPolicy, ...options, enabled: true };
+
+        if (typeof policy.url !== 'string' || policy.url.trim() === '') {
+            throw new Error('setBatch error: url must be a non-empty string.');
+        }
+        if (typeof policy.window !== 'number' || !Number.isFinite(policy.window) || policy.window < 0) {
+            throw new Error('setBatch error: window must be a non-negative number.');
+        }
+        if (!Number.isInteger(policy.maxSize) || policy.maxSize < 1) {
+            throw new Error('setBatch error: maxSize must be a positive integer.');
+        }
+        if (!isDataEmpty(policy.headers) && !isDataObject(policy.headers)) {
+            throw new Error('setBatch error: headers must be a plain object.');
+        }
+        ['encode', 'decode'].forEach(name => {
+            if (policy[name] !== null && typeof policy[name] !== 'function') {
+                throw new Error(`setBatch error: ${name} must be a function or null.`);
+            }
+        });
+
+        this.#batchPolicy = { ...policy, headers: { ...(policy.headers || {}) } };
+        ajaxBatcher.setSender((url, payload, settings) => ajaxRequest.#sendBatch(url, payload, settings));
+    }
+
+    /**
+     * Adds an interceptor to every ajaxRequest instance.
+     *
+     * - `request(config, ajaxRequest)` runs before the request is validated and sent.
+     *   `config` is `{ url, method, headers, data }`; return it (modified or not).
+     *   Set `config.response` to a response object to skip the network.
+     * - `response(response, ajaxRequest)` runs on the standardized response;
+     *   return it (transformed or not).
+     *
+     * Either function may be async. Throwing from either one fails the request with
+     * the thrown error and fires `ajaxRequestFailedOnInterceptor`. Request interceptors
+     * run global first, then per-instance; response interceptors run in the reverse order.
+     *
+     * @param {{request?: Function, response?: Function}} interceptor - Interceptor functions
+     * @returns {Function} Removes the interceptor when called
+     * @throws {Error} If the interceptor has neither a request nor a response function
+     */
+    static addInterceptor(interceptor) {
+        return registerInterceptor(globalInterceptors, interceptor, 'addInterceptor');
+    }
+
+    /**
+     * Adds an interceptor to this instance only. See ajaxRequest.addInterceptor.
+     *
+     * @param {{request?: Function, response?: Function}} interceptor - Interceptor functions
+     * @returns {Function} Removes the interceptor when called
+     * @throws {Error} If the interceptor has neither a request nor a response function
+     */
+    addInterceptor(interceptor) {
+        return registerInterceptor(this.#interceptors, interceptor, 'addInterceptor');
+    }
+
+    /**
+     * Removes all interceptors added to this instance.
+     */
+    clearInterceptors() {
+        this.#interceptors = [];
+    }
+
+    /**
+     * Uses an external AbortSignal to cancel this instance's requests.
+     * Aborting it has the same effect as calling abort(). Pass null to detach.
+     *
+     * @param {AbortSignal|null} signal - External signal
+     * @throws {Error} If signal is not an AbortSignal or null
+     */
+    setSignal(signal) {
+        if (signal !== null && !(signal instanceof AbortSignal)) {
+            throw new Error('setSignal error: Signal must be an AbortSignal or null.');
+        }
+        this.#externalSignal = signal;
+    }
+
     /**
      * Sets whether to wait for reconnection when offline.
      *
@@ -1024,6 +3927,20 @@ export class ajaxRequest {
         this.#waitOffline = !!active;
     }
 
+    /**
+     * Cancels every request of this instance that is in progress, whether it is
+     * validating its nonce, waiting to be scheduled, in flight, backing off
+     * between retries or waiting for reconnection. Its scheduler slot is freed at
+     * once and the pending send()/fetch() resolves with `aborted: true`.
+     *
+     * @param {*} [reason] - Abort reason, passed to the `ajaxRequestAborted` hook
+     *
+     * @fires hooks#doAction('ajaxRequestAborted') – Once per cancelled request, with { reason }.
+     */
+    abort(reason) {
+        this.#abortControllers.forEach((unlink, controller) => controller.abort(reason));
+    }
+
     // ========================================================================
     // GETTERS
     // ========================================================================
@@ -1077,11 +3994,99 @@ export class ajaxRequest {
     }
 
     /**
-     * Checks if a request is currently in progress (global lock).
-     * @returns {boolean} True if request is running
+     * Checks if any request is currently in progress on the shared scheduler.
+     * @returns {boolean} True if a request is running
      */
     isRunning() {
-        return isRunningAjax;
+        return ajaxScheduler.getRunningCount() > 0;
+    }
+
+    /**
+     * Checks if the request is configured to run exclusively.
+     * @returns {boolean} True if exclusive
+     */
+    isExclusive() {
+        return this.#exclusive;
+    }
+
+    /**
+     * Checks if send() and fetch() reject on HTTP errors.
+     * @returns {boolean} True if rejecting
+     */
+    isRejectingOnHttpError() {
+        return this.#rejectOnHttpError;
+    }
+
+    /**
+     * Checks if identical GET requests in flight share one network call.
+     * @returns {boolean} True if deduplicating
+     */
+    isDeduplicating() {
+        return this.#deduplicate;
+    }
+
+    /**
+     * Checks if requests carry the session's access token.
+     * @returns {boolean} True if authorizing
+     */
+    isAuthorizing() {
+        return this.#authorize;
+    }
+
+    /**
+     * Gets the batching settings (copy).
+     * @returns {Object} Batch settings, with `enabled`
+     */
+    getBatch() {
+        return { ...this.#batchPolicy, headers: { ...this.#batchPolicy.headers } };
+    }
+
+    /**
+     * Gets the scheduling priority.
+     * @returns {number} Priority number
+     */
+    getPriority() {
+        return this.#priority;
+    }
+
+    /**
+     * Gets the CSRF strategy used by this instance.
+     * @returns {csrfStrategy} Instance strategy, or the default one
+     */
+    getCsrfStrategy() {
+        return this.#csrfStrategy ?? csrfDefault;
+    }
+
+    /**
+     * Gets the chunked upload settings (copy to prevent external mutation).
+     * @returns {Object} Current chunking settings
+     */
+    getChunkedUpload() {
+        return { ...this.#chunkPolicy };
+    }
+
+    /**
+     * Gets the offline outbox settings (copy to prevent external mutation).
+     * @returns {Object} Current outbox settings
+     */
+    getOutbox() {
+        return { ...this.#outboxPolicy };
+    }
+
+    /**
+     * Gets the response cache settings (copy to prevent external mutation).
+     * @returns {Object} Current cache settings
+     */
+    getCache() {
+        return { ...this.#cachePolicy };
+    }
+
+    /**
+     * Gets the retry policy (copy to prevent external mutation).
+     * @returns {Object} Current retry policy
+     */
+    getRetry() {
+        return { ...this.#retryPolicy };
     }
 
     /**
@@ -1120,7 +4125,8 @@ export class ajaxRequest {
      * Gets the XHR instance (only for 'xhr' model after request is sent).
      *
      * @returns {XMLHttpRequest} XHR instance
-     * @throws {Error} If model is not 'xhr' or request hasn't been sent
+     * @throws {Error} If model is not 'xhr', the request hasn't been sent, or it ran on
+     *         the Fetch transport because ajaxMock is enabled
      */
     getRequestInstance() {
         if (this.#model !== 'xhr') {
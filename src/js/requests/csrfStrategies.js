@@ -0,0 +1,496 @@
+import { getCookie } from '../dataStorage/Cookies.js';
+import { isDataEmpty } from '../workingTools/dataTypes.js';
+import { ajaxMock } from './mockServer.js';
+
+// ============================================================================
+// CSRF STRATEGIES
+// ============================================================================
+
+/**
+ * @typedef {Object} CsrfContext
+ * @property {string} url - Request URL
+ * @property {string} method - HTTP method
+ * @property {string} nonceUrl - Nonce endpoint configured on the request (see ajaxRequest.setNonceUrl)
+ * @property {Object|FormData} data - Request payload
+ * @property {AbortSignal} signal - Cancels any request the strategy makes
+ */
+
+/**
+ * @typedef {Object} CsrfResult
+ * @property {Object} [headers] - Headers to add to the request
+ * @property {Object} [data] - Payload fields to add to the request
+ */
+
+/**
+ * Base class of the CSRF strategies used by ajaxRequest for secure requests.
+ *
+ * A strategy decides how a request proves it is legitimate: apply() returns the
+ * headers and/or payload fields to add (or false if it cannot), and refresh()
+ * renews a cached token after the server rejected it with one of `refreshOn`.
+ * ajaxRequest then applies the strategy again and retries the request once.
+ *
+ * Extend it for a custom scheme:
+ *
+ * @example
+ * class bearerCsrfStrategy extends csrfStrategy {
+ *     async apply() {
+ *         return { headers: { 'X-CSRF': window.appConfig.csrf } };
+ *     }
+ * }
+ * ajaxRequest.setDefaultCsrfStrategy(new bearerCsrfStrategy());
+ */
+export class csrfStrategy {
+    /**
+     * HTTP statuses meaning the token was rejected (403 Forbidden, Laravel's 419).
+     * @type {number[]}
+     */
+    refreshOn;
+
+    /**
+     * @param {Object} [options={}] - Strategy options
+     * @param {number[]} [options.refreshOn=[403, 419]] - Statuses that trigger refresh() and one retry
+     */
+    constructor({ refreshOn = [403, 419] } = {}) {
+        if (!Array.isArray(refreshOn)) {
+            throw new Error('csrfStrategy error: refreshOn must be an array of HTTP statuses.');
+        }
+        this.refreshOn = refreshOn;
+    }
+
+    /**
+     * Builds what the request must carry.
+     *
+     * @param {CsrfContext} context - Request being sent
+     * @returns {Promise<CsrfResult|false>} Headers and fields to add, or false if the request must not be sent
+     */
+    async apply(context) {
+        return {};
+    }
+
+    /**
+     * Renews the token after the server rejected it.
+     *
+     * @param {CsrfContext} context - Request that was rejected
+     * @returns {Promise<boolean>} True if a new token is available and the request should be retried
+     */
+    async refresh(context) {
+        return false;
+    }
+
+    /**
+     * Checks whether a response status means the token was rejected.
+     *
+     * @param {number} status - HTTP status
+     * @returns {boolean} True if refresh() should be tried
+     */
+    shouldRefresh(status) {
+        return this.refreshOn.includes(status);
+    }
+}
+
+/**
+ * Nonce printed by the server in a `<meta name="lcs_ajax_object" content='{"nonce": "..."}'>` tag.
+ *
+ * - With `validateEachRequest` (the default, and the historical ajaxRequest behavior),
+ *   every secure request first posts `{ NONCE, SECURE }` to the nonce URL; the server
+ *   answers `{ data: newNonce }` and the request is sent with `NONCE_VERIFIED`.
+ * - Without it, the nonce travels with the request itself (payload `field` and/or
+ *   `header`), saving the round-trip. The nonce URL is only called to get a fresh
+ *   nonce when the server rejects the current one.
+ *
+ * @example
+ * // WordPress-style: send the nonce as X-WP-Nonce, no round-trip
+ * ajaxRequest.setDefaultCsrfStrategy(new metaNonceStrategy({ validateEachRequest: false, header: 'X-WP-Nonce' }));
+ */
+export class metaNonceStrategy extends csrfStrategy {
+    /** @type {string} Name of the meta tag holding the nonce */
+    #metaName;
+
+    /** @type {string|null|undefined} Current nonce (undefined until read from the meta tag) */
+    #nonce;
+
+    /** @type {boolean} Round-trip to the nonce URL before every request */
+    #validateEachRequest;
+
+    /** @type {string|null} Payload field carrying the nonce (without round-trip) */
+    #field;
+
+    /** @type {string|null} Header carrying the nonce (without round-trip) */
+    #header;
+
+    /**
+     * @param {Object} [options={}] - Strategy options
+     * @param {string} [options.metaName='lcs_ajax_object'] - Meta tag whose JSON content has a `nonce`
+     * @param {boolean} [options.validateEachRequest=true] - Validate the nonce with the server before every request
+     * @param {string|null} [options.field='NONCE'] - Payload field for the nonce when not validating each request
+     * @param {string|null} [options.header=null] - Header for the nonce when not validating each request
+     * @param {number[]} [options.refreshOn=[403, 419]] - Statuses that trigger a nonce refresh
+     */
+    constructor({ metaName = 'lcs_ajax_object', validateEachRequest = true, field = 'NONCE', header = null, refreshOn } = {}) {
+        super({ refreshOn });
+        if (!field && !header && !validateEachRequest) {
+            throw new Error('metaNonceStrategy error: A field or a header is required when validateEachRequest is false.');
+        }
+        this.#metaName = metaName;
+        this.#validateEachRequest = !!validateEachRequest;
+        this.#field = field;
+        this.#header = header;
+    }
+
+    /**
+     * Gets the current nonce, reading the meta tag the first time.
+     *
+     * @returns {string|null} Nonce, or null if none was provided
+     */
+    getNonce() {
+        if (this.#nonce === undefined) {
+            const meta = document.querySelector(`meta[name="${this.#metaName}"]`);
+            try {
+                this.#nonce = meta ? JSON.parse(meta.content).nonce || null : null;
+            } catch (error) {
+                console.error(`Nonce error: Invalid JSON in meta[name="${this.#metaName}"]`, error);
+                this.#nonce = null;
+            }
+        }
+        return this.#nonce;
+    }
+
+    /**
+     * Replaces the current nonce (e.g. one received from another API call).
+     *
+     * @param {string} nonce - New nonce
+     */
+    setNonce(nonce) {
+        this.#nonce = nonce;
+    }
+
+    /**
+     * @param {CsrfContext} context - Request being sent
+     * @returns {Promise<CsrfResult|false>} Nonce fields and headers
+     */
+    async apply(context) {
+        if (this.#validateEachRequest) {
+            return await this.#exchange(context) ? { data: { NONCE_VERIFIED: true } } : false;
+        }
+
+        const nonce = this.getNonce();
+        if (!nonce) {
+            console.error(`Nonce validation error: No nonce found in ${this.#metaName}`);
+            return false;
+        }
+
+        return {
+            headers: this.#header ? { [this.#header]: nonce } : {},
+            data: this.#field ? { [this.#field]: nonce } : {}
+        };
+    }
+
+    /**
+     * @param {CsrfContext} context - Request that was rejected
+     * @returns {Promise<boolean>} True if the server issued a new nonce
+     */
+    async refresh(context) {
+        // Each request is validated anyway: a rejection is not a stale nonce
+        if (this.#validateEachRequest) return false;
+        return await this.#exchange(context);
+    }
+
+    /**
+     * Sends the current nonce to the nonce URL and stores the new one it returns.
+     *
+     * @private
+     * @param {CsrfContext} context - Request being sent
+     * @returns {Promise<boolean>} True if the server accepted the nonce and issued a new one
+     */
+    async #exchange({ nonceUrl, data, signal }) {
+        try {
+            const currentNonce = this.getNonce();
+            if (!currentNonce) {
+                console.error(`Nonce validation error: No nonce found in ${this.#metaName}`);
+                return false;
+            }
+
+            const secure = data instanceof FormData ? (data.get('SECURE') || 'true') : (data?.SECURE || true);
+
+            // Remove query parameters from nonce URL
+            const response = await ajaxMock.fetch(nonceUrl.split('?')[0], {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Requested-With': 'XMLHttpRequest',
+                },
+                body: JSON.stringify({ NONCE: currentNonce, SECURE: secure }),
+                signal
+            });
+
+            if (!response.ok) {
+                console.error(`Nonce validation error: HTTP ${response.status}: ${response.statusText}`);
+                return false;
+            }
+
+            const responseData = await response.json();
+            if (!responseData || typeof responseData !== 'object') {
+                console.error('Nonce validation error: Invalid response format', responseData);
+                return false;
+            }
+
+            const newNonce = responseData.data;
+            if (!newNonce || typeof newNonce !== 'string' || isDataEmpty(newNonce)) {
+                console.error('Nonce validation error: Server did not return a new nonce', responseData);
+                return false;
+            }
+
+            this.#nonce = newNonce;
+            return true;
+        } catch (error) {
+            // Cancellation is not a validation failure
+            if (!signal?.aborted) console.error('Nonce validation error:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Double-submit cookie: the server sets a token cookie and the request copies it
+ * into a header. No round-trip per request. Defaults match Laravel and Angular
+ * (`XSRF-TOKEN` → `X-XSRF-TOKEN`); for Express csurf-style setups pass your names.
+ *
+ * When the cookie is missing or the server rejects the token, `refreshUrl` (if
+ * set) is requested so the server can set a new cookie, e.g. Sanctum's
+ * `/sanctum/csrf-cookie`.
+ *
+ * @example
+ * ajaxRequest.setDefaultCsrfStrategy(new cookieToHeaderStrategy({ refreshUrl: '/sanctum/csrf-cookie' }));
+ *
+ * @example
+ * // Express double-submit cookie
+ * api.setCsrfStrategy(new cookieToHeaderStrategy({ cookieName: '_csrf', header: 'X-CSRF-Token' }));
+ */
+export class cookieToHeaderStrategy extends csrfStrategy {
+    /** @type {string} Cookie holding the token */
+    #cookieName;
+
+    /** @type {string} Header receiving the token */
+    #header;
+
+    /** @type {string|null} URL that sets a new token cookie */
+    #refreshUrl;
+
+    /**
+     * @param {Object} [options={}] - Strategy options
+     * @param {string} [options.cookieName='XSRF-TOKEN'] - Cookie holding the token
+     * @param {string} [options.header='X-XSRF-TOKEN'] - Header receiving the token
+     * @param {string|null} [options.refreshUrl=null] - URL to GET for a new token cookie
+     * @param {number[]} [options.refreshOn=[403, 419]] - Statuses that trigger a refresh
+     */
+    constructor({ cookieName = 'XSRF-TOKEN', header = 'X-XSRF-TOKEN', refreshUrl = null, refreshOn } = {}) {
+        super({ refreshOn });
+        this.#cookieName = cookieName;
+        this.#header = header;
+        this.#refreshUrl = refreshUrl;
+    }
+
+    /**
+     * @param {CsrfContext} context - Request being sent
+     * @returns {Promise<CsrfResult|false>} The token header
+     */
+    async apply(context) {
+        let token = getCookie(this.#cookieName);
+        if (token === null && await this.refresh(context)) {
+            token = getCookie(this.#cookieName);
+        }
+        if (token === null) {
+            console.error(`CSRF error: Cookie "${this.#cookieName}" not found`);
+            return false;
+        }
+        return { headers: { [this.#header]: String(token) } };
+    }
+
+    /**
+     * @param {CsrfContext} context - Request that was rejected
+     * @returns {Promise<boolean>} True if the server set the cookie
+     */
+    async refresh({ signal }) {
+        if (!this.#refreshUrl) return false;
+
+        try {
+            const response = await ajaxMock.fetch(this.#refreshUrl, { credentials: 'same-origin', signal });
+            return response.ok && getCookie(this.#cookieName) !== null;
+        } catch (error) {
+            if (!signal?.aborted) console.error('CSRF refresh error:', error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Token fetched from an endpoint, cached and sent with every request. It is
+ * fetched again once `ttl` expires or when the server rejects it. Concurrent
+ * requests share one fetch.
+ *
+ * @example
+ * ajaxRequest.setDefaultCsrfStrategy(new tokenEndpointStrategy({
+ *     url: '/api/csrf-token',
+ *     header: 'X-CSRF-Token',
+ *     extract: (body) => body.csrfToken
+ * }));
+ */
+export class tokenEndpointStrategy extends csrfStrategy {
+    /** @type {string} Token endpoint */
+    #url;
+
+    /** @type {string} HTTP method for the token endpoint */
+    #method;
+
+    /** @type {string|null} Header receiving the token */
+    #header;
+
+    /** @type {string|null} Payload field receiving the token */
+    #field;
+
+    /** @type {Function} Reads the token from the endpoint's JSON body */
+    #extract;
+
+    /** @type {number} Lifetime (ms) of a fetched token; 0 keeps it until rejected */
+    #ttl;
+
+    /** @type {string|null} Cached token */
+    #token = null;
+
+    /** @type {number} When the cached token was fetched */
+    #fetchedAt = 0;
+
+    /** @type {Promise<string|null>|null} Token fetch in progress */
+    #pending = null;
+
+    /**
+     * @param {Object} options - Strategy options
+     * @param {string} options.url - Token endpoint
+     * @param {string} [options.method='GET'] - HTTP method for the token endpoint
+     * @param {string|null} [options.header='X-CSRF-Token'] - Header receiving the token
+     * @param {string|null} [options.field=null] - Payload field receiving the token
+     * @param {Function} [options.extract] - `(body) => token`; defaults to body.token, body.csrfToken or body.data
+     * @param {number} [options.ttl=0] - Token lifetime (ms); 0 keeps it until the server rejects it
+     * @param {number[]} [options.refreshOn=[403, 419]] - Statuses that trigger a refresh
+     * @throws {Error} If url is missing or neither header nor field is set
+     */
+    constructor({
+        url,
+        method = 'GET',
+        header = 'X-CSRF-Token',
+        field = null,
+        extract = (body) => body?.token ?? body?.csrfToken ?? body?.data,
+        ttl = 0,
+        refreshOn
+    } = {}) {
+        super({ refreshOn });
+        if (typeof url !== 'string' || url.trim() === '') {
+            throw new Error('tokenEndpointStrategy error: url must be a non-empty string.');
+        }
+        if (!header && !field) {
+            throw new Error('tokenEndpointStrategy error: A header or a field is required.');
+        }
+        this.#url = url;
+        this.#method = method.toUpperCase();
+        this.#header = header;
+        this.#field = field;
+        this.#extract = extract;
+        this.#ttl = ttl;
+    }
+
+    /**
+     * @param {CsrfContext} context - Request being sent
+     * @returns {Promise<CsrfResult|false>} The token header and/or field
+     */
+    async apply(context) {
+        const token = await this.getToken(context.signal);
+        if (!token) return false;
+
+        return {
+            headers: this.#header ? { [this.#header]: token } : {},
+            data: this.#field ? { [this.#field]: token } : {}
+        };
+    }
+
+    /**
+     * @param {CsrfContext} context - Request that was rejected
+     * @returns {Promise<boolean>} True if a new token was fetched
+     */
+    async refresh(context) {
+        this.clear();
+        return !!(await this.getToken(context.signal));
+    }
+
+    /**
+     * Gets the cached token, fetching it when missing or expired.
+     *
+     * @param {AbortSignal} [signal] - Cancels the fetch
+     * @returns {Promise<string|null>} Token, or null if it could not be fetched
+     */
+    async getToken(signal) {
+        const isFresh = this.#token && (this.#ttl === 0 || Date.now() - this.#fetchedAt < this.#ttl);
+        if (isFresh) return this.#token;
+
+        if (!this.#pending) {
+            this.#pending = this.#fetchToken(signal).finally(() => { this.#pending = null; });
+        }
+        return await this.#pending;
+    }
+
+    /**
+     * Drops the cached token.
+     */
+    clear() {
+        this.#token = null;
+        this.#fetchedAt = 0;
+    }
+
+    /**
+     * Fetches a token from the endpoint.
+     *
+     * @private
+     * @param {AbortSignal} [signal] - Cancels the fetch
+     * @returns {Promise<string|null>} Token, or null on failure
+     */
+    async #fetchToken(signal) {
+        try {
+            const response = await ajaxMock.fetch(this.#url, {
+                method: this.#method,
+                headers: { 'X-Requested-With': 'XMLHttpRequest' },
+                credentials: 'same-origin',
+                signal
+            });
+            if (!response.ok) {
+                console.error(`CSRF token error: HTTP ${response.status}: ${response.statusText}`);
+                return null;
+            }
+
+            const token = this.#extract(await response.json());
+            if (!token || typeof token !== 'string') {
+                console.error('CSRF token error: Endpoint did not return a token');
+                return null;
+            }
+
+            this.#token = token;
+            this.#fetchedAt = Date.now();
+            return token;
+        } catch (error) {
+            if (!signal?.aborted) console.error('CSRF token error:', error);
+            return null;
+        }
+    }
+}
+
+// ============================================================================
+// DEFAULT STRATEGY
+// ============================================================================
+
+/**
+ * Strategy used by ajaxRequest instances without their own: the meta-tag nonce,
+ * validated with the server before every request.
+ *
+ * @example
+ * import { defaultCsrfStrategy } from './csrfStrategies.js';
+ * defaultCsrfStrategy.setNonce(freshNonce);
+ */
+export const defaultCsrfStrategy = new metaNonceStrategy();
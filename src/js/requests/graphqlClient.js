@@ -0,0 +1,484 @@
+import { isDataObject } from '../workingTools/dataTypes.js';
+import { ajaxRequest } from './ajaxRequest.js';
+import { ajaxGraphqlError } from './ajaxErrors.js';
+
+// ============================================================================
+// GRAPHQL CLIENT
+// ============================================================================
+
+/**
+ * Default client settings (see graphqlClient constructor).
+ */
+const DEFAULT_GRAPHQL_OPTIONS = {
+    headers: {},
+    secure: true,
+    nonceUrl: null,
+    timeout: 10000,
+    model: 'fetch',
+    waitOffline: false,
+    retry: null,
+    hooksId: null,
+    persistedQueries: false,
+    getQueries: false,
+    rejectOnError: false,
+    setup: null
+};
+
+/**
+ * Error codes (or messages) with which servers ask for the full query of a
+ * persisted-query hash they don't know yet.
+ */
+const PERSISTED_QUERY_MISSES = ['PERSISTED_QUERY_NOT_FOUND', 'PersistedQueryNotFound'];
+
+/**
+ * SHA-256 hashes of query documents, computed once per document.
+ * @type {Map<string, Promise<string>>}
+ */
+const queryHashes = new Map();
+
+/**
+ * Hashes a query document for automatic persisted queries.
+ *
+ * @param {string} query - Query document
+ * @returns {Promise<string>} Hex SHA-256 hash
+ */
+const hashQuery = (query) => {
+    if (!queryHashes.has(query)) {
+        queryHashes.set(query, crypto.subtle.digest('SHA-256', new TextEncoder().encode(query)).then(digest =>
+            Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+        ));
+    }
+    return queryHashes.get(query);
+};
+
+/**
+ * Reads the operation type and name from a document.
+ *
+ * @param {string} query - Query document
+ * @returns {{type: string, name: string|null}} 'query', 'mutation' or 'subscription', and the name if any
+ */
+const readOperation = (query) => {
+    const match = query.match(/(?:^|[\s}])(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/);
+    return match
+        ? { type: match[1], name: match[2] || null }
+        : { type: 'query', name: null }; // Shorthand `{ ... }` is a query
+};
+
+/**
+ * Checks whether a value is a file to upload.
+ *
+ * @param {*} value - Value
+ * @returns {boolean} True for File and Blob objects
+ */
+const isUploadable = (value) => typeof Blob !== 'undefined' && value instanceof Blob;
+
+/**
+ * Checks whether a value is a plain object (not a Date, Map or other instance).
+ *
+ * @param {*} value - Value
+ * @returns {boolean} True for object literals
+ */
+const isPlainObject = (value) => {
+    if (!isDataObject(value)) return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Gets the files a `selectFiles` input collected.
+ *
+ * @param {string} name - Name of the selectFiles input
+ * @returns {File|File[]|null} The files (an array for `multiple` inputs), or null if none
+ */
+const getSelectedFiles = (name) => {
+    const selection = window.lcsFileSelection?.files?.[name];
+    const files = selection ? Object.values(selection).map(entry => entry.file).filter(Boolean) : [];
+    if (!files.length) return null;
+    return window.lcsFileSelection.configs?.[name]?.multiple === true ? files : files[0];
+};
+
+/**
+ * Talks to a GraphQL endpoint through ajaxRequest, so operations get the same
+ * CSRF protection, timeout, offline handling, retries, session token, mock
+ * server and hooks as any other request.
+ *
+ * Every operation resolves with the standardized ajaxRequest response, where
+ * `data` is the GraphQL result and `errors` the GraphQL errors. When the server
+ * reports errors, `success` is false and `error` is an ajaxGraphqlError (partial
+ * data stays in `data`). Transport failures keep their usual typed error.
+ *
+ * Files are sent following the GraphQL multipart request spec: File or Blob
+ * values anywhere in the variables, or files collected by `selectFiles`
+ * (see the `files` option).
+ *
+ * With `persistedQueries`, operations send the SHA-256 hash of the document
+ * instead of the document (automatic persisted queries); the document is only
+ * sent when the server does not know the hash yet. With `getQueries`, queries use
+ * GET so they can be cached by the browser and CDNs.
+ *
+ * @example
+ * const api = new graphqlClient('/graphql', { persistedQueries: true });
+ *
+ * const { data, errors } = await api.query(`
+ *     query User($id: ID!) { user(id: $id) { id name } }
+ * `, { id: 7 });
+ *
+ * @example
+ * // Upload the files picked with selectFiles(..., { name: 'photos', multiple: true })
+ * await api.mutate(`
+ *     mutation AddPhotos($albumId: ID!, $photos: [Upload!]!) { addPhotos(albumId: $albumId, photos: $photos) { id } }
+ * `, { albumId: 3 }, { files: { photos: 'photos' } });
+ */
+export class graphqlClient {
+    // ========================================================================
+    // PRIVATE PROPERTIES
+    // ========================================================================
+
+    /** @type {string} GraphQL endpoint */
+    #url;
+
+    /** @type {Object} Client settings */
+    #options;
+
+    // ========================================================================
+    // CONSTRUCTOR
+    // ========================================================================
+
+    /**
+     * Creates a client for one endpoint.
+     *
+     * @param {string} url - GraphQL endpoint
+     * @param {Object} [options={}] - Client settings
+     * @param {Object} [options.headers={}] - Headers of every operation
+     * @param {boolean} [options.secure=true] - Apply the CSRF strategy (false sends `SECURE: false`)
+     * @param {string|null} [options.nonceUrl=null] - Nonce URL for the CSRF strategy (see ajaxRequest.setNonceUrl)
+     * @param {number} [options.timeout=10000] - Request timeout (ms)
+     * @param {string} [options.model='fetch'] - Transport: 'fetch' or 'xhr' ('xhr' reports upload progress)
+     * @param {boolean} [options.waitOffline=false] - Wait for reconnection instead of failing offline
+     * @param {Object|null} [options.retry=null] - Retry policy (see ajaxRequest.setRetry)
+     * @param {string|null} [options.hooksId=null] - Hooks ID for instance-specific ajaxRequest hooks
+     * @param {boolean} [options.persistedQueries=false] - Send query hashes (automatic persisted queries)
+     * @param {boolean} [options.getQueries=false] - Send queries with GET (mutations and uploads always use POST)
+     * @param {boolean} [options.rejectOnError=false] - Reject with the ajaxGraphqlError instead of resolving
+     * @param {Function|null} [options.setup=null] - `(ajaxRequest, operation) => void`, to configure each
+     *        request further (progress listeners, priority, interceptors, ...)
+     * @throws {Error} If the URL is empty or an option is invalid
+     */
+    constructor(url, options = {}) {
+        if (typeof url !== 'string' || url.trim() === '') {
+            throw new Error('Constructor error: URL must be a non-empty string.');
+        }
+        if (!isDataObject(options)) {
+            throw new Error('Constructor error: Options must be a plain object.');
+        }
+        if (options.setup !== undefined && options.setup !== null && typeof options.setup !== 'function') {
+            throw new Error('Constructor error: setup must be a function or null.');
+        }
+
+        this.#url = url;
+        this.#options = { ...DEFAULT_GRAPHQL_OPTIONS, ...options, headers: { ...(options.headers || {}) } };
+    }
+
+    // ========================================================================
+    // OPERATIONS
+    // ========================================================================
+
+    /**
+     * Runs a query.
+     *
+     * @param {string} query - Query document
+     * @param {Object} [variables={}] - Variables
+     * @param {Object} [options={}] - Operation options (see request)
+     * @returns {Promise<Object>} Standardized response with `data` and `errors`
+     * @throws {ajaxGraphqlError} Only with `rejectOnError`
+     */
+    query(query, variables = {}, options = {}) {
+        return this.request({ ...options, query, variables });
+    }
+
+    /**
+     * Runs a mutation. Mutations are always sent with POST.
+     *
+     * @param {string} mutation - Mutation document
+     * @param {Object} [variables={}] - Variables (may contain File or Blob values)
+     * @param {Object} [options={}] - Operation options (see request)
+     * @returns {Promise<Object>} Standardized response with `data` and `errors`
+     * @throws {ajaxGraphqlError} Only with `rejectOnError`
+     */
+    mutate(mutation, variables = {}, options = {}) {
+        return this.request({ ...options, query: mutation, variables });
+    }
+
+    /**
+     * Runs an operation.
+     *
+     * @param {Object} operation - Operation
+     * @param {string} operation.query - Query or mutation document
+     * @param {Object} [operation.variables={}] - Variables
+     * @param {string|null} [operation.operationName] - Operation to run; defaults to the document's first
+     *        operation name (required by the server when the document has several)
+     * @param {Object<string, string|File|File[]>} [operation.files] - Files to upload by variable path
+     *        (e.g. 'input.avatar'): the name of a selectFiles input, or the files themselves
+     * @param {Object} [operation.headers={}] - Headers of this operation
+     * @param {Object} [operation.extensions] - Extensions sent with the operation
+     * @param {AbortSignal} [operation.signal] - Cancels the operation
+     * @returns {Promise<Object>} Standardized response with `data` and `errors`
+     * @throws {Error} If the document is empty
+     * @throws {ajaxGraphqlError} Only with `rejectOnError`
+     */
+    async request({ query, variables = {}, operationName, files, headers = {}, extensions, signal } = {}) {
+        if (typeof query !== 'string' || query.trim() === '') {
+            throw new Error('request error: query must be a non-empty string.');
+        }
+
+        const operation = readOperation(query);
+        const name = operationName === undefined ? operation.name : operationName;
+        const upload = this.#extractFiles(variables, files);
+
+        const context = {
+            query,
+            variables: upload ? upload.variables : { ...(variables || {}) },
+            operationName: name,
+            extensions: extensions ? { ...extensions } : undefined,
+            type: operation.type,
+            method: 'POST',
+            headers,
+            signal
+        };
+        context.method = upload ? 'POST' : this.#methodFor(context);
+
+        let response;
+        if (upload) {
+            response = await this.#send(context, this.#multipartBody(context, upload));
+        } else if (this.#options.persistedQueries) {
+            const sha256Hash = await hashQuery(query);
+            const persisted = { ...context, extensions: { ...(context.extensions || {}), persistedQuery: { version: 1, sha256Hash } } };
+
+            response = await this.#send(persisted, this.#jsonBody(persisted, false));
+            if (this.#isPersistedQueryMiss(response)) {
+                response = await this.#send(persisted, this.#jsonBody(persisted, true));
+            }
+        } else {
+            response = await this.#send(context, this.#jsonBody(context, true));
+        }
+
+        return this.#settle(response, context);
+    }
+
+    // ========================================================================
+    // PRIVATE HELPERS
+    // ========================================================================
+
+    /**
+     * Picks the HTTP method of an operation.
+     *
+     * @private
+     * @param {Object} context - Operation
+     * @returns {string} 'GET' for queries with `getQueries`, 'POST' otherwise
+     */
+    #methodFor(context) {
+        return this.#options.getQueries && context.type === 'query' ? 'GET' : 'POST';
+    }
+
+    /**
+     * Builds the payload of a JSON (or GET) operation.
+     *
+     * @private
+     * @param {Object} context - Operation
+     * @param {boolean} withQuery - Include the document
+     * @returns {Object} Payload; GET payloads carry variables and extensions as JSON strings
+     */
+    #jsonBody(context, withQuery) {
+        const isGet = context.method === 'GET';
+        const payload = {};
+
+        if (withQuery) payload.query = context.query;
+        if (context.operationName) payload.operationName = context.operationName;
+        if (Object.keys(context.variables).length) {
+            payload.variables = isGet ? JSON.stringify(context.variables) : context.variables;
+        }
+        if (context.extensions) {
+            payload.extensions = isGet ? JSON.stringify(context.extensions) : context.extensions;
+        }
+        return payload;
+    }
+
+    /**
+     * Builds the multipart payload of an upload (GraphQL multipart request spec):
+     * `operations`, then `map`, then one field per file.
+     *
+     * @private
+     * @param {Object} context - Operation, with file variables set to null
+     * @param {{files: Array<Blob>, paths: Array<string[]>}} upload - Files and the variable paths of each
+     * @returns {FormData} Payload
+     */
+    #multipartBody(context, upload) {
+        const body = new FormData();
+        const operations = { query: context.query, variables: context.variables };
+        if (context.operationName) operations.operationName = context.operationName;
+        if (context.extensions) operations.extensions = context.extensions;
+
+        const map = {};
+        upload.paths.forEach((paths, index) => { map[index] = paths.map(path => `variables.${path}`); });
+
+        body.append('operations', JSON.stringify(operations));
+        body.append('map', JSON.stringify(map));
+        upload.files.forEach((file, index) => body.append(String(index), file, file.name || 'blob'));
+        return body;
+    }
+
+    /**
+     * Collects the files of an operation: File and Blob values in the variables
+     * and the `files` option. Each file is replaced by null in a copy of the variables.
+     *
+     * @private
+     * @param {Object} variables - Variables
+     * @param {Object<string, string|File|File[]>} [files] - Files by variable path
+     * @returns {{variables: Object, files: Array<Blob>, paths: Array<string[]>}|null} Upload, or null without files
+     * @throws {Error} If a selectFiles input has no files
+     */
+    #extractFiles(variables, files) {
+        const found = new Map(); // File → variable paths (one file may appear several times)
+        const add = (file, path) => {
+            if (!found.has(file)) found.set(file, []);
+            found.get(file).push(path);
+        };
+
+        const walk = (value, path) => {
+            if (isUploadable(value)) {
+                add(value, path);
+                return null;
+            }
+            if (typeof FileList !== 'undefined' && value instanceof FileList) {
+                value = Array.from(value);
+            }
+            if (Array.isArray(value)) {
+                return value.map((item, index) => walk(item, path ? `${path}.${index}` : String(index)));
+            }
+            if (isPlainObject(value)) {
+                const copy = {};
+                Object.entries(value).forEach(([key, item]) => { copy[key] = walk(item, path ? `${path}.${key}` : key); });
+                return copy;
+            }
+            return value;
+        };
+
+        const copy = walk(variables || {}, '');
+
+        Object.entries(files || {}).forEach(([path, source]) => {
+            const value = typeof source === 'string' ? getSelectedFiles(source) : source;
+            if (value === null || value === undefined) {
+                throw new Error(`request error: No files selected for "${source}".`);
+            }
+
+            // Set the path to null (or a list of nulls), creating objects on the way
+            const keys = path.split('.');
+            let target = copy;
+            keys.slice(0, -1).forEach(key => {
+                if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+                target = target[key];
+            });
+            target[keys[keys.length - 1]] = walk(value, path);
+        });
+
+        if (!found.size) return null;
+        return { variables: copy, files: [...found.keys()], paths: [...found.values()] };
+    }
+
+    /**
+     * Sends one HTTP request for an operation.
+     *
+     * @private
+     * @param {Object} context - Operation
+     * @param {Object|FormData} payload - Payload
+     * @returns {Promise<Object>} Standardized ajaxRequest response
+     */
+    async #send(context, payload) {
+        const options = this.#options;
+        const headers = { Accept: 'application/graphql-response+json, application/json', ...options.headers, ...context.headers };
+        const ajax = new ajaxRequest(this.#url, context.method, headers);
+
+        ajax.setTimeout(options.timeout);
+        ajax.setModel(options.model);
+        ajax.waitOffline(options.waitOffline);
+        if (options.nonceUrl) ajax.setNonceUrl(options.nonceUrl);
+        if (options.retry) ajax.setRetry(options.retry);
+        if (options.hooksId) ajax.setHooksId(options.hooksId);
+        if (context.signal) ajax.setSignal(context.signal);
+
+        if (!options.secure) {
+            if (payload instanceof FormData) payload.append('SECURE', 'false');
+            else payload.SECURE = false;
+        }
+
+        if (options.setup) options.setup(ajax, { query: context.query, variables: context.variables, operationName: context.operationName });
+
+        return await ajax.send(payload);
+    }
+
+    /**
+     * Checks whether the server asked for the full document of a hash.
+     *
+     * @private
+     * @param {Object} response - Standardized ajaxRequest response
+     * @returns {boolean} True on a persisted query miss
+     */
+    #isPersistedQueryMiss(response) {
+        return this.#readErrors(response).some(error =>
+            PERSISTED_QUERY_MISSES.includes(error?.extensions?.code) || PERSISTED_QUERY_MISSES.includes(error?.message)
+        );
+    }
+
+    /**
+     * Reads the GraphQL errors of a response, from a successful answer or from
+     * the body of an HTTP error (servers answer 4xx when validation fails).
+     *
+     * @private
+     * @param {Object} response - Standardized ajaxRequest response
+     * @returns {Object[]} GraphQL errors
+     */
+    #readErrors(response) {
+        const body = response.error?.body ?? response;
+        return Array.isArray(body?.errors) ? body.errors : [];
+    }
+
+    /**
+     * Turns the ajaxRequest response into the GraphQL result.
+     *
+     * @private
+     * @param {Object} response - Standardized ajaxRequest response
+     * @param {Object} context - Operation
+     * @returns {Object} Standardized response with `data` and `errors`
+     * @throws {ajaxGraphqlError} With `rejectOnError`, when the server reported errors
+     */
+    #settle(response, context) {
+        const errors = this.#readErrors(response);
+        const body = response.error?.body;
+        const data = isDataObject(body) && 'data' in body ? body.data : (response.data ?? null);
+
+        if (!errors.length) {
+            return { ...response, data, errors };
+        }
+
+        const error = new ajaxGraphqlError(errors[0]?.message || 'GraphQL request failed.', {
+            url: this.#url,
+            method: context.method,
+            status: response.status ?? 0,
+            headers: response.headers ?? null,
+            errors,
+            data,
+            cause: response.error
+        });
+
+        if (this.#options.rejectOnError) throw error;
+
+        return {
+            ...response,
+            success: false,
+            data,
+            errors,
+            message: errors.map(item => item?.message).filter(Boolean).join('; ') || error.message,
+            error
+        };
+    }
+}
@@ -0,0 +1,682 @@
+import { responseCache } from './responseCache.js';
+
+// ============================================================================
+// MOCK SERVER
+// ============================================================================
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {string} method - HTTP method
+ * @property {string} url - Absolute URL, with its query string
+ * @property {string} path - URL path
+ * @property {Object<string, string>} query - Query parameters
+ * @property {Object<string, string>} params - Values of the route's `:name` segments (or RegExp named groups)
+ * @property {Object<string, string>} headers - Request headers, lower-cased names
+ * @property {*} body - Request body: parsed JSON when possible, the string or FormData otherwise
+ * @property {AbortSignal|null} signal - Signal of the request
+ */
+
+/**
+ * @typedef {Object} MockFixture
+ * @property {number} [status=200] - HTTP status
+ * @property {string} [statusText=''] - Status text
+ * @property {Object<string, string>} [headers={}] - Response headers
+ * @property {*} [body=null] - Body; anything but a string or Blob is sent as JSON
+ * @property {number} [delay] - Extra latency (ms) for this response
+ * @property {boolean} [networkError=false] - Fail like a dropped connection instead of answering
+ */
+
+/**
+ * @typedef {Object} RecordedFixture
+ * @property {string} method - HTTP method
+ * @property {string} url - Absolute URL, with its query string
+ * @property {number} status - HTTP status
+ * @property {Object<string, string>} headers - Response headers
+ * @property {*} body - Parsed JSON body, or the text
+ */
+
+/**
+ * Statuses whose responses cannot have a body.
+ */
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Builds the error fetch() rejects with when its signal is aborted.
+ *
+ * @returns {DOMException} AbortError
+ */
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+/**
+ * Builds the error fetch() rejects with when the connection fails.
+ *
+ * @returns {TypeError} Network error
+ */
+const networkError = () => new TypeError('Failed to fetch');
+
+/**
+ * Parses a request body as JSON, falling back to the body itself.
+ *
+ * @param {*} body - Body passed to fetch()
+ * @returns {*} Parsed body
+ */
+const parseBody = (body) => {
+    if (typeof body !== 'string') return body ?? null;
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+};
+
+/**
+ * Compiles a route pattern into a matcher.
+ *
+ * - Strings match the URL path (or, when they start with `http://` or `https://`,
+ *   the origin and path). `:name` matches one path segment, `*` anything.
+ * - RegExps are tested against the full URL; named groups become params.
+ *
+ * @param {string|RegExp} pattern - Route pattern
+ * @returns {Function} `(url: URL) => params|null`
+ */
+const compilePattern = (pattern) => {
+    if (pattern instanceof RegExp) {
+        return (url) => {
+            const match = pattern.exec(url.href.split('#')[0]);
+            return match ? { ...(match.groups || {}) } : null;
+        };
+    }
+
+    const names = [];
+    const source = pattern.split('?')[0].replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/:(\w+)/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+    const regex = new RegExp(`^${source}/?$`);
+    const isAbsolute = /^https?:\/\//i.test(pattern);
+
+    return (url) => {
+        const match = regex.exec(isAbsolute ? url.origin + url.pathname : url.pathname);
+        if (!match) return null;
+        const params = {};
+        names.forEach((name, index) => { params[name] = decodeURIComponent(match[index + 1]); });
+        return params;
+    };
+};
+
+/**
+ * In-page mock backend for ajaxRequest. Every request ajaxRequest and the CSRF
+ * strategies make goes through `ajaxMock.fetch()`, which reaches the network
+ * as usual until the mock is enabled. Once enabled, requests are answered from a
+ * route table and loaded fixtures, so code using ajaxRequest (and every
+ * `ajaxRequest*` hook) can be exercised without a backend.
+ *
+ * - Routes: method + URL pattern → handler `(MockRequest) => MockFixture|Response`
+ *   or a fixed MockFixture. Later routes win over earlier ones.
+ * - Latency: a fixed delay or a `[min, max]` range, per mock or per route.
+ * - Errors: any status, `networkError: true`, or a random network error rate.
+ *   Timeouts happen on their own when the latency exceeds the request timeout.
+ * - Offline: setOffline() makes `navigator.onLine` false, fires `offline`/`online`
+ *   and fails requests like a dropped connection.
+ * - Record/replay: record() sends requests to the real server and keeps their
+ *   responses; downloadRecording() saves them as JSON, loadFixtures() replays them.
+ *
+ * While the mock is enabled (or recording), the 'xhr' model runs on the Fetch
+ * transport, so there is no XHR instance and getRequestInstance() throws.
+ *
+ * Unmatched requests get a 404, unless `passthrough` is on.
+ *
+ * @example
+ * ajaxMock.enable({ latency: [50, 200] });
+ * ajaxMock.route('GET', '/api/users/:id', ({ params }) => ({
+ *     body: { success: true, data: { id: params.id, name: 'Ada' } }
+ * }));
+ * ajaxMock.route('POST', '/api/users', { status: 422, body: { success: false, message: 'Invalid email' } });
+ * ajaxMock.route('GET', '/api/flaky', { networkError: true });
+ *
+ * const result = await new ajaxRequest('/api/users/7', 'GET').send({ SECURE: false });
+ * console.log(result.data.name, ajaxMock.getHistory().length);
+ *
+ * @example
+ * // Record a session against the real backend, then replay it offline
+ * ajaxMock.record();
+ * await runScenario();
+ * ajaxMock.downloadRecording('checkout.fixtures.json');
+ *
+ * ajaxMock.enable();
+ * await ajaxMock.loadFixturesFromUrl('/fixtures/checkout.fixtures.json');
+ * await runScenario();
+ */
+export class mockServer {
+    // ========================================================================
+    // PRIVATE PROPERTIES
+    // ========================================================================
+
+    /** @type {boolean} Whether requests are answered by the mock */
+    #enabled = false;
+
+    /** @type {Array<{method: string, match: Function, handler: Function|Object, delay: number|number[]|null}>} Routes */
+    #routes = [];
+
+    /** @type {Map<string, Array<RecordedFixture>>} Loaded fixtures by request key */
+    #fixtures = new Map();
+
+    /** @type {Map<string, number>} Fixtures already replayed, by request key */
+    #replayed = new Map();
+
+    /** @type {number|number[]} Latency (ms) or [min, max] range */
+    #latency = 0;
+
+    /** @type {number} Share (0–1) of requests that fail with a network error */
+    #errorRate = 0;
+
+    /** @type {boolean} Send unmatched requests to the real network */
+    #passthrough = false;
+
+    /** @type {boolean} Whether the browser is simulated offline */
+    #offline = false;
+
+    /** @type {PropertyDescriptor|undefined} Own `navigator.onLine` property replaced while offline */
+    #onLineDescriptor;
+
+    /** @type {Array<RecordedFixture>|null} Responses recorded so far, or null when not recording */
+    #recording = null;
+
+    /** @type {Array<MockRequest>} Requests the mock received */
+    #history = [];
+
+    // ========================================================================
+    // LIFECYCLE
+    // ========================================================================
+
+    /**
+     * Starts answering requests from the mock.
+     *
+     * @param {Object} [options={}] - Mock settings
+     * @param {number|number[]} [options.latency] - Delay (ms) or [min, max] range for every response
+     * @param {number} [options.errorRate] - Share (0–1) of requests that fail with a network error
+     * @param {boolean} [options.passthrough] - Send unmatched requests to the real network
+     * @throws {Error} If an option is invalid
+     */
+    enable({ latency, errorRate, passthrough } = {}) {
+        if (latency !== undefined) this.setLatency(latency);
+        if (errorRate !== undefined) this.setErrorRate(errorRate);
+        if (passthrough !== undefined) this.#passthrough = !!passthrough;
+        this.#recording = null;
+        this.#enabled = true;
+    }
+
+    /**
+     * Stops answering requests from the mock and brings the browser back online.
+     * Routes and fixtures are kept for the next enable().
+     */
+    disable() {
+        this.#enabled = false;
+        this.setOffline(false);
+    }
+
+    /**
+     * Checks whether the mock answers requests.
+     *
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return this.#enabled;
+    }
+
+    /**
+     * Checks whether requests go through the mock (enabled or recording).
+     *
+     * @returns {boolean} True if enabled or recording
+     */
+    isActive() {
+        return this.#enabled || this.#recording !== null;
+    }
+
+    /**
+     * Removes routes, fixtures, history and any recording, and restores the defaults.
+     */
+    reset() {
+        this.disable();
+        this.#routes = [];
+        this.clearFixtures();
+        this.#history = [];
+        this.#recording = null;
+        this.#latency = 0;
+        this.#errorRate = 0;
+        this.#passthrough = false;
+    }
+
+    // ========================================================================
+    // ROUTES & SIMULATION
+    // ========================================================================
+
+    /**
+     * Adds a route.
+     *
+     * @param {string} method - HTTP method, or '*' for any
+     * @param {string|RegExp} pattern - Path such as '/api/users/:id' or '/files/*', an absolute
+     *        URL, or a RegExp tested against the full URL (named groups become params)
+     * @param {Function|MockFixture} handler - `(MockRequest) => MockFixture|Response` (may be async;
+     *        throwing fails the request like a network error), or a fixed fixture
+     * @param {Object} [options={}] - Route options
+     * @param {number|number[]} [options.delay] - Latency of this route, instead of the mock's
+     * @returns {Function} Removes the route when called
+     * @throws {Error} If an argument is invalid
+     */
+    route(method, pattern, handler, { delay = null } = {}) {
+        if (typeof method !== 'string' || method.trim() === '') {
+            throw new Error('route error: Method must be a non-empty string.');
+        }
+        if (!(pattern instanceof RegExp) && (typeof pattern !== 'string' || pattern.trim() === '')) {
+            throw new Error('route error: Pattern must be a non-empty string or a RegExp.');
+        }
+        if (typeof handler !== 'function' && (handler === null || typeof handler !== 'object')) {
+            throw new Error('route error: Handler must be a function or a fixture object.');
+        }
+        if (delay !== null) this.#validateLatency(delay, 'route');
+
+        const entry = { method: method.toUpperCase(), match: compilePattern(pattern), handler, delay };
+        this.#routes.push(entry);
+        return () => {
+            const index = this.#routes.indexOf(entry);
+            if (index !== -1) this.#routes.splice(index, 1);
+        };
+    }
+
+    /**
+     * Removes every route.
+     */
+    clearRoutes() {
+        this.#routes = [];
+    }
+
+    /**
+     * Sets the latency of every response.
+     *
+     * @param {number|number[]} latency - Delay (ms), or [min, max] for a random delay
+     * @throws {Error} If latency is invalid
+     */
+    setLatency(latency) {
+        this.#validateLatency(latency, 'setLatency');
+        this.#latency = latency;
+    }
+
+    /**
+     * Sets the share of requests that fail with a network error.
+     *
+     * @param {number} rate - 0 (never) to 1 (always)
+     * @throws {Error} If rate is outside 0–1
+     */
+    setErrorRate(rate) {
+        if (typeof rate !== 'number' || rate < 0 || rate > 1) {
+            throw new Error('setErrorRate error: Rate must be a number between 0 and 1.');
+        }
+        this.#errorRate = rate;
+    }
+
+    /**
+     * Simulates the browser going offline or coming back. `navigator.onLine`
+     * follows, the matching `offline`/`online` event fires and requests fail
+     * like a dropped connection while offline.
+     *
+     * @param {boolean} [offline=true] - True to go offline, false to come back
+     */
+    setOffline(offline = true) {
+        offline = !!offline;
+        if (offline === this.#offline) return;
+        this.#offline = offline;
+
+        if (offline) {
+            this.#onLineDescriptor = Object.getOwnPropertyDescriptor(navigator, 'onLine');
+            Object.defineProperty(navigator, 'onLine', { configurable: true, get: () => false });
+        } else if (this.#onLineDescriptor) {
+            Object.defineProperty(navigator, 'onLine', this.#onLineDescriptor);
+        } else {
+            // Uncover the browser's own getter
+            delete navigator.onLine;
+        }
+        window.dispatchEvent(new Event(offline ? 'offline' : 'online'));
+    }
+
+    /**
+     * Checks whether the browser is simulated offline.
+     *
+     * @returns {boolean} True if offline
+     */
+    isOffline() {
+        return this.#offline;
+    }
+
+    // ========================================================================
+    // HISTORY
+    // ========================================================================
+
+    /**
+     * Gets the requests the mock received, oldest first.
+     *
+     * @param {string} [method] - Only requests with this method
+     * @returns {MockRequest[]} Requests
+     */
+    getHistory(method) {
+        const history = [...this.#history];
+        return method ? history.filter(request => request.method === method.toUpperCase()) : history;
+    }
+
+    /**
+     * Forgets the requests received so far.
+     */
+    clearHistory() {
+        this.#history = [];
+    }
+
+    // ========================================================================
+    // RECORD & REPLAY
+    // ========================================================================
+
+    /**
+     * Starts recording: requests go to the real network and their responses are
+     * kept as fixtures. Disables the mock while recording.
+     */
+    record() {
+        this.#enabled = false;
+        this.#recording = [];
+    }
+
+    /**
+     * Stops recording.
+     *
+     * @returns {RecordedFixture[]} The recorded fixtures
+     */
+    stopRecording() {
+        const fixtures = this.getRecording();
+        this.#recording = null;
+        return fixtures;
+    }
+
+    /**
+     * Gets the fixtures recorded so far.
+     *
+     * @returns {RecordedFixture[]} Recorded fixtures
+     */
+    getRecording() {
+        return [...(this.#recording || [])];
+    }
+
+    /**
+     * Saves the recorded fixtures as a JSON file through the browser's download.
+     *
+     * @param {string} [filename='ajax-fixtures.json'] - File name
+     */
+    downloadRecording(filename = 'ajax-fixtures.json') {
+        const blob = new Blob([JSON.stringify(this.getRecording(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Loads fixtures to replay. A request matches a fixture with the same method
+     * and URL (query parameters in any order). When the same request was recorded
+     * several times, the responses are replayed in order and the last one repeats.
+     * Routes take precedence over fixtures.
+     *
+     * @param {RecordedFixture[]|string} fixtures - Fixtures, or their JSON
+     * @throws {Error} If fixtures is not an array (or its JSON)
+     */
+    loadFixtures(fixtures) {
+        if (typeof fixtures === 'string') fixtures = JSON.parse(fixtures);
+        if (!Array.isArray(fixtures)) {
+            throw new Error('loadFixtures error: Fixtures must be an array or its JSON.');
+        }
+
+        fixtures.forEach(fixture => {
+            const key = responseCache.buildKey(fixture.method || 'GET', fixture.url);
+            if (!this.#fixtures.has(key)) this.#fixtures.set(key, []);
+            this.#fixtures.get(key).push(fixture);
+        });
+    }
+
+    /**
+     * Loads fixtures from a JSON file (fetched from the real network).
+     *
+     * @param {string} url - URL of the fixtures file
+     * @returns {Promise<void>}
+     * @throws {Error} If the file cannot be loaded
+     */
+    async loadFixturesFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`loadFixturesFromUrl error: HTTP ${response.status} for ${url}.`);
+        }
+        this.loadFixtures(await response.json());
+    }
+
+    /**
+     * Removes every loaded fixture.
+     */
+    clearFixtures() {
+        this.#fixtures.clear();
+        this.#replayed.clear();
+    }
+
+    // ========================================================================
+    // FETCH
+    // ========================================================================
+
+    /**
+     * Drop-in replacement for `fetch()` used by ajaxRequest. Reaches the network
+     * unless the mock is enabled; records the response while recording.
+     *
+     * @param {string|Request} input - URL or Request
+     * @param {Object} [init={}] - fetch() options
+     * @returns {Promise<Response>} Mocked, replayed or real response
+     * @throws {TypeError} On a simulated network error or offline state
+     * @throws {DOMException} AbortError when the signal is aborted
+     */
+    async fetch(input, init = {}) {
+        if (this.#offline) throw networkError();
+        if (this.#recording) return await this.#recordFetch(input, init);
+        if (!this.#enabled) return await fetch(input, init);
+
+        const signal = init.signal || null;
+        const method = (init.method || input?.method || 'GET').toUpperCase();
+        const url = new URL(typeof input === 'string' ? input : input.url, window.location.href);
+        const request = {
+            method,
+            url: url.href,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams),
+            params: {},
+            headers: Object.fromEntries(new Headers(init.headers || {}).entries()),
+            body: parseBody(init.body),
+            signal
+        };
+        this.#history.push(request);
+
+        const route = this.#findRoute(method, url);
+        await this.#wait(route?.delay ?? this.#latency, signal);
+
+        if (this.#offline || Math.random() < this.#errorRate) throw networkError();
+
+        let result;
+        if (route) {
+            request.params = route.params;
+            try {
+                result = typeof route.handler === 'function' ? await route.handler(request) : route.handler;
+            } catch (error) {
+                console.error('Mock route error:', error);
+                throw networkError();
+            }
+            result = result ?? {};
+        } else {
+            result = this.#nextFixture(method, url);
+            if (!result) {
+                if (this.#passthrough) return await fetch(input, init);
+                result = {
+                    status: 404,
+                    body: { success: false, data: null, message: `No mock route for ${method} ${url.pathname}` }
+                };
+            }
+        }
+
+        if (result instanceof Response) return result;
+        if (result.delay) await this.#wait(result.delay, signal);
+        if (result.networkError) throw networkError();
+        return this.#toResponse(result);
+    }
+
+    /**
+     * Finds the route answering a request; later routes win.
+     *
+     * @private
+     * @param {string} method - HTTP method
+     * @param {URL} url - Request URL
+     * @returns {{handler: Function|Object, delay: number|number[]|null, params: Object}|null} Matching route
+     */
+    #findRoute(method, url) {
+        for (let index = this.#routes.length - 1; index >= 0; index--) {
+            const route = this.#routes[index];
+            if (route.method !== '*' && route.method !== method) continue;
+            const params = route.match(url);
+            if (params) return { handler: route.handler, delay: route.delay, params };
+        }
+        return null;
+    }
+
+    /**
+     * Takes the next loaded fixture for a request.
+     *
+     * @private
+     * @param {string} method - HTTP method
+     * @param {URL} url - Request URL
+     * @returns {RecordedFixture|undefined} Fixture, or undefined if none matches
+     */
+    #nextFixture(method, url) {
+        const key = responseCache.buildKey(method, url.href);
+        const list = this.#fixtures.get(key);
+        if (!list?.length) return undefined;
+
+        const index = Math.min(this.#replayed.get(key) ?? 0, list.length - 1);
+        this.#replayed.set(key, index + 1);
+        return list[index];
+    }
+
+    /**
+     * Sends a request to the real network and records its response without
+     * delaying the caller (streams are recorded once they end).
+     *
+     * @private
+     * @param {string|Request} input - URL or Request
+     * @param {Object} init - fetch() options
+     * @returns {Promise<Response>} The real response
+     */
+    async #recordFetch(input, init) {
+        const response = await fetch(input, init);
+        const recording = this.#recording;
+        const method = (init.method || input?.method || 'GET').toUpperCase();
+        const url = new URL(typeof input === 'string' ? input : input.url, window.location.href).href;
+        const headers = Object.fromEntries(response.headers.entries());
+
+        response.clone().text().then(text => {
+            const isJson = (headers['content-type'] || '').includes('json');
+            recording.push({ method, url, status: response.status, headers, body: isJson ? parseBody(text) : text });
+        }).catch(error => console.error('Mock recording error:', error));
+
+        return response;
+    }
+
+    /**
+     * Builds a Response from a fixture.
+     *
+     * @private
+     * @param {MockFixture} fixture - Fixture
+     * @returns {Response} Response
+     */
+    #toResponse({ status = 200, statusText = '', headers = {}, body = null }) {
+        const responseHeaders = new Headers(headers);
+        let payload = body;
+
+        if (NULL_BODY_STATUSES.includes(status)) {
+            payload = null;
+        } else if (payload !== null && typeof payload !== 'string' && !(payload instanceof Blob)) {
+            payload = JSON.stringify(payload);
+            if (!responseHeaders.has('content-type')) responseHeaders.set('content-type', 'application/json');
+        } else if (typeof payload === 'string' && !responseHeaders.has('content-type')) {
+            responseHeaders.set('content-type', 'text/plain');
+        }
+
+        return new Response(payload, { status, statusText, headers: responseHeaders });
+    }
+
+    /**
+     * Waits for a latency, failing like fetch() if the signal is aborted.
+     *
+     * @private
+     * @param {number|number[]} latency - Delay (ms) or [min, max] range
+     * @param {AbortSignal|null} signal - Request signal
+     * @returns {Promise<void>}
+     */
+    #wait(latency, signal) {
+        const ms = Array.isArray(latency)
+            ? latency[0] + Math.random() * (latency[1] - latency[0])
+            : latency;
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(abortError());
+                return;
+            }
+            if (!ms) {
+                resolve();
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(abortError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Validates a latency value.
+     *
+     * @private
+     * @param {*} latency - Value to check
+     * @param {string} caller - Method name used in error messages
+     * @throws {Error} If it is neither a non-negative number nor a [min, max] pair
+     */
+    #validateLatency(latency, caller) {
+        const isDelay = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+        const isValid = isDelay(latency)
+            || (Array.isArray(latency) && latency.length === 2 && latency.every(isDelay) && latency[0] <= latency[1]);
+        if (!isValid) {
+            throw new Error(`${caller} error: Latency must be a non-negative number or a [min, max] pair.`);
+        }
+    }
+}
+
+// ============================================================================
+// SINGLETON EXPORT
+// ============================================================================
+
+/**
+ * Shared mock server that ajaxRequest sends its requests through.
+ *
+ * @example
+ * import { ajaxMock } from './mockServer.js';
+ * ajaxMock.enable();
+ */
+export const ajaxMock = new mockServer();
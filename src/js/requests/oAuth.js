@@ -1,157 +1,912 @@
 import { alert } from "../alertsAndLogs/alerts.js";
-import { executeFunction, isFunctionExists } from "../workingTools/functionOps.js";
+import { hooks } from "../hooks.js";
 import { buildUrlQuery } from "../workingTools/urlOps.js";
+import { getSessionStorage, setSessionStorage } from "../dataStorage/SessionStorage.js";
+import { getLocalStorage, setLocalStorage } from "../dataStorage/localStorage.js";
+import { ajaxMock } from "./mockServer.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
 
 /**
- * Delegated OAuth click handler.
+ * Default provider settings (see registerOAuthProvider).
  */
-document.addEventListener('click', (event) => {
-  const trigger = event.target?.closest?.('#lcs_oauth_hardpoint');
-  if (!trigger) return;
+const DEFAULT_PROVIDER_CONFIG = {
+  clientId: null,
+  authorizeUrl: null,
+  tokenUrl: null,
+  redirectUri: null,
+  scope: '',
+  uxMode: 'popup',
+  usePkce: true,
+  useNonce: null,
+  params: {},
+  storage: 'session',
+  popupWidth: 680,
+  popupHeight: 700,
+  timeout: 300000
+};
 
-  const uxMode = trigger.dataset.ux_mode || 'popup';
+/**
+ * Name prefix of popup windows. The name survives the navigation to the provider
+ * and back, which lets the callback page know it runs in our popup.
+ */
+const POPUP_NAME = 'lcs_oauth_popup';
 
-  if (uxMode === 'redirect') {
-    alert.send("[LCS_OAUTH] oAuth 'redirect' mode is currently unstable.", 'error');
-    return;
-  }
+/**
+ * Counter giving every popup its own name, so concurrent flows don't share one.
+ */
+let popupCount = 0;
+
+/**
+ * Message type the callback page posts to the window that opened the popup.
+ */
+const CALLBACK_MESSAGE = 'LCS_OAUTH_CALLBACK';
+
+/**
+ * Provider name of the lcs.ng broker, which runs the OAuth exchange itself and
+ * returns an auth token.
+ */
+const BROKER_PROVIDER = 'lcs';
+
+/**
+ * Address of the lcs.ng broker and the origin its messages come from.
+ */
+const BROKER_URL = 'https://lcs.ng/oauth';
+const BROKER_ORIGIN = 'https://lcs.ng';
+
+/**
+ * Elements that start a flow when clicked.
+ */
+const TRIGGER_SELECTOR = '.lcsOAuth, #lcs_oauth_hardpoint';
+
+/**
+ * Registered providers by name.
+ * @type {Map<string, Object>}
+ */
+const providers = new Map();
+
+/**
+ * Tokens by provider name (always kept in memory, optionally in web storage too).
+ * @type {Map<string, Object>}
+ */
+const tokenStore = new Map();
+
+/**
+ * Refreshes in progress by provider name, so concurrent calls share one.
+ * @type {Map<string, Promise<Object>>}
+ */
+const pendingRefreshes = new Map();
+
+/**
+ * Storage key of a flow waiting for its redirect.
+ *
+ * @param {string} state - State of the flow
+ * @returns {string} Storage key
+ */
+const pendingKey = (state) => `lcsOAuth_pending_${state}`;
+
+/**
+ * Storage key of a provider's tokens.
+ *
+ * @param {string} name - Provider name
+ * @returns {string} Storage key
+ */
+const tokensKey = (name) => `lcsOAuth_tokens_${name}`;
+
+// ============================================================================
+// ERRORS
+// ============================================================================
 
-  if (!['popup', 'redirect'].includes(uxMode)) {
-    alert.send(`[LCS_OAUTH] Invalid ux_mode "${uxMode}". Must be "popup" or "redirect".`, 'error');
-    return;
+/**
+ * Error of an OAuth flow. `code` is the provider's error code (e.g.
+ * 'access_denied', 'invalid_grant') or one of: 'invalid_config', 'popup_blocked',
+ * 'popup_closed', 'timeout', 'state_mismatch', 'nonce_mismatch', 'invalid_response',
+ * 'network_error', 'token_exchange_failed', 'no_refresh_token', 'broker_error'.
+ */
+export class oauthError extends Error {
+  /**
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @param {string|null} [provider=null] - Provider name
+   */
+  constructor(code, message, provider = null) {
+    super(message);
+    this.name = 'oauthError';
+    this.code = code;
+    this.provider = provider;
   }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Encodes bytes as base64url without padding.
+ *
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url string
+ */
+function base64Url(bytes) {
+  const binary = String.fromCharCode(...new Uint8Array(bytes));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-  if (uxMode === 'popup' && (!trigger.dataset.callback || !isFunctionExists(trigger.dataset.callback))) {
-    alert.send(`[LCS_OAUTH] A valid global callback function name is required for popup mode: ${trigger.dataset.callback}.`, 'error');
-    return;
+/**
+ * Generates a cryptographically random base64url string.
+ *
+ * @param {number} [byteLength=32] - Random bytes
+ * @returns {string} Random string (43 characters for 32 bytes)
+ */
+function randomString(byteLength = 32) {
+  return base64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * Derives the PKCE S256 code challenge of a code verifier.
+ *
+ * @param {string} verifier - Code verifier
+ * @returns {Promise<string>} base64url SHA-256 of the verifier
+ */
+async function createCodeChallenge(verifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64Url(digest);
+}
+
+/**
+ * Reads the claims of a JWT without checking its signature (the nonce check
+ * only needs the payload; the server must still verify ID tokens it relies on).
+ *
+ * @param {string} token - JWT
+ * @returns {Object|null} Claims, or null if the token cannot be read
+ */
+function readJwtClaims(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const json = decodeURIComponent(Array.from(atob(payload), char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+    return JSON.parse(json);
+  } catch {
+    return null;
   }
+}
 
-  let popup = null;
+/**
+ * Reads the OAuth parameters of a callback URL, from its query string or,
+ * for providers answering in the fragment, from its hash.
+ *
+ * @param {string} url - Callback URL
+ * @returns {Object<string, string>} Parameters (code, state, error, error_description, ...)
+ */
+function readCallbackParams(url) {
+  const parsed = new URL(url, window.location.href);
+  const params = Object.fromEntries(parsed.searchParams);
+  if (!params.state && parsed.hash.length > 1) {
+    Object.assign(params, Object.fromEntries(new URLSearchParams(parsed.hash.slice(1))));
+  }
+  return params;
+}
 
-  // 🔥 Open immediately in the trusted gesture
-  if (uxMode === 'popup') {
+/**
+ * Opens the centered popup window. Must run inside the user's click: browsers
+ * block popups opened later.
+ *
+ * @param {Object} config - Provider settings
+ * @returns {Window|null} Popup, or null if it was blocked
+ */
+function openPopup(config) {
+  const width = config.popupWidth;
+  const height = config.popupHeight;
+
+  // Multi-monitor safe offsets
+  const screenX = typeof window.screenX !== 'undefined'
+    ? window.screenX
+    : (window.screenLeft ?? 0);
+
+  const screenY = typeof window.screenY !== 'undefined'
+    ? window.screenY
+    : (window.screenTop ?? 0);
+
+  // Use OUTER dimensions (not inner)
+  const outerWidth = window.outerWidth
+    || document.documentElement.clientWidth
+    || screen.width;
+
+  const outerHeight = window.outerHeight
+    || document.documentElement.clientHeight
+    || screen.height;
+
+  // Proper centering + clamp + integer
+  const left = Math.max(0, Math.round(screenX + (outerWidth - width) / 2));
+  const top  = Math.max(0, Math.round(screenY + (outerHeight - height) / 2));
+
+  return window.open(
+    'about:blank',
+    `${POPUP_NAME}_${++popupCount}`,
+    `width=${width},height=${height},top=${top},left=${left},resizable=yes,scrollbars=yes`
+  );
+}
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
 
-    const width = 680;
-    const height = 700;
+/**
+ * Registers (or replaces) an OAuth provider.
+ *
+ * @param {string} name - Provider name, e.g. 'google'
+ * @param {Object} config - Provider settings
+ * @param {string} config.clientId - Public client ID
+ * @param {string} config.authorizeUrl - Authorization endpoint
+ * @param {string} config.tokenUrl - Token endpoint (must allow CORS for public clients)
+ * @param {string} [config.redirectUri] - Registered redirect URI (defaults to the current page, without query)
+ * @param {string} [config.scope=''] - Space-separated scopes
+ * @param {string} [config.uxMode='popup'] - 'popup' or 'redirect'
+ * @param {boolean} [config.usePkce=true] - Send a PKCE S256 challenge
+ * @param {boolean|null} [config.useNonce=null] - Send and verify a nonce (defaults to true when scope includes 'openid')
+ * @param {Object} [config.params={}] - Extra authorization parameters, e.g. { prompt: 'consent' }
+ * @param {string} [config.storage='session'] - Where tokens are kept besides memory: 'memory' (safest,
+ *        lost on reload), 'session' (this tab) or 'local' (all tabs). Web storage is readable by any
+ *        script on the page, so keep XSS in mind before choosing 'local'.
+ * @param {number} [config.timeout=300000] - Time (ms) the user has to finish in the popup
+ * @throws {oauthError} If the name is empty or the config is not an object
+ *
+ * @example
+ * registerOAuthProvider('github', {
+ *   clientId: 'Iv1.abc123',
+ *   authorizeUrl: 'https://github.com/login/oauth/authorize',
+ *   tokenUrl: '/oauth/github/token',
+ *   scope: 'read:user'
+ * });
+ */
+export function registerOAuthProvider(name, config) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new oauthError('invalid_config', 'registerOAuthProvider error: Provider name must be a non-empty string.');
+  }
+  if (!config || typeof config !== 'object') {
+    throw new oauthError('invalid_config', 'registerOAuthProvider error: Config must be an object.', name);
+  }
+  providers.set(name, { ...config, params: { ...(config.params || {}) } });
+}
 
-    // Multi-monitor safe offsets
-    const screenX = typeof window.screenX !== 'undefined'
-      ? window.screenX
-      : (window.screenLeft ?? 0);
+/**
+ * Gets a registered provider's settings.
+ *
+ * @param {string} name - Provider name
+ * @returns {Object|null} Copy of the settings, or null if not registered
+ */
+export function getOAuthProvider(name) {
+  const config = providers.get(name);
+  return config ? { ...config, params: { ...config.params } } : null;
+}
 
-    const screenY = typeof window.screenY !== 'undefined'
-      ? window.screenY
-      : (window.screenTop ?? 0);
+/**
+ * Resolves the complete settings of a flow.
+ *
+ * @param {string|Object} provider - Registered provider name, or inline settings (with an optional `name`)
+ * @param {Object} overrides - Settings overriding the provider's
+ * @returns {Object} Settings, with `name`
+ * @throws {oauthError} If the provider is unknown or a setting is missing or invalid
+ */
+function resolveProviderConfig(provider, overrides) {
+  let name = 'default';
+  let registered = {};
+
+  if (typeof provider === 'string') {
+    name = provider;
+    registered = providers.get(provider) || {};
+  } else if (provider && typeof provider === 'object') {
+    name = provider.name || name;
+    registered = provider;
+  }
 
-    // Use OUTER dimensions (not inner)
-    const outerWidth = window.outerWidth
-      || document.documentElement.clientWidth
-      || screen.width;
+  const config = {
+    ...DEFAULT_PROVIDER_CONFIG,
+    ...registered,
+    ...overrides,
+    params: { ...(registered.params || {}), ...(overrides.params || {}) },
+    name
+  };
+  config.redirectUri = config.redirectUri || window.location.origin + window.location.pathname;
+  config.useNonce = config.useNonce ?? /(^|\s)openid(\s|$)/.test(config.scope);
+
+  const missing = ['clientId', 'authorizeUrl', 'tokenUrl'].filter(key => !config[key]);
+  if (missing.length) {
+    throw new oauthError('invalid_config', `[LCS_OAUTH] Missing ${missing.join(', ')} for provider "${name}".`, name);
+  }
+  if (!['popup', 'redirect'].includes(config.uxMode)) {
+    throw new oauthError('invalid_config', `[LCS_OAUTH] Invalid ux_mode "${config.uxMode}". Must be "popup" or "redirect".`, name);
+  }
+  if (!['memory', 'session', 'local'].includes(config.storage)) {
+    throw new oauthError('invalid_config', `[LCS_OAUTH] Invalid storage "${config.storage}". Must be "memory", "session" or "local".`, name);
+  }
+  return config;
+}
 
-    const outerHeight = window.outerHeight
-      || document.documentElement.clientHeight
-      || screen.height;
+// ============================================================================
+// TOKENS
+// ============================================================================
 
-    // Proper centering + clamp + integer
-    const left = Math.max(0, Math.round(screenX + (outerWidth - width) / 2));
-    const top  = Math.max(0, Math.round(screenY + (outerHeight - height) / 2));
+/**
+ * Calls the token endpoint.
+ *
+ * @param {{name: string, clientId: string, tokenUrl: string}} config - Provider settings
+ * @param {Object} params - Grant parameters
+ * @returns {Promise<Object>} Token response (access_token, refresh_token, expires_in, id_token, ...)
+ * @throws {oauthError} If the request fails or returns no access token
+ */
+async function requestTokens(config, params) {
+  const body = new URLSearchParams({ client_id: config.clientId, ...params });
+
+  let response;
+  try {
+    response = await ajaxMock.fetch(config.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+      },
+      body: body.toString()
+    });
+  } catch (error) {
+    throw new oauthError('network_error', error.message || 'Could not reach the token endpoint.', config.name);
+  }
 
-    popup = window.open(
-      'about:blank',
-      '_blank',
-      `width=${width},height=${height},top=${top},left=${left},resizable=yes,scrollbars=yes`
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data?.access_token) {
+    throw new oauthError(
+      data?.error || 'token_exchange_failed',
+      data?.error_description || `Token request failed with HTTP ${response.status}.`,
+      config.name
     );
+  }
+  return data;
+}
+
+/**
+ * Stores a token response for a provider.
+ *
+ * @param {Object} config - Provider settings
+ * @param {Object} data - Token endpoint response
+ * @param {Object|null} [previous=null] - Tokens being refreshed (keeps their refresh/ID token if none is returned)
+ * @returns {Object} Stored tokens
+ */
+function storeTokens(config, data, previous = null) {
+  const tokens = {
+    provider: config.name,
+    accessToken: data.access_token,
+    tokenType: data.token_type || 'Bearer',
+    refreshToken: data.refresh_token ?? previous?.refreshToken ?? null,
+    idToken: data.id_token ?? previous?.idToken ?? null,
+    scope: data.scope ?? previous?.scope ?? config.scope ?? null,
+    expiresAt: data.expires_in ? Date.now() + Number(data.expires_in) * 1000 : null,
+    // Enough to refresh after a reload, even if the provider is not registered yet
+    clientId: config.clientId,
+    tokenUrl: config.tokenUrl,
+    storage: config.storage
+  };
+
+  tokenStore.set(config.name, tokens);
+  if (config.storage === 'session') setSessionStorage(tokensKey(config.name), tokens);
+  if (config.storage === 'local') setLocalStorage(tokensKey(config.name), tokens);
+  return { ...tokens };
+}
+
+/**
+ * Gets the stored tokens of a provider.
+ *
+ * @param {string} [name='default'] - Provider name
+ * @returns {Object|null} `{ provider, accessToken, tokenType, refreshToken, idToken, scope, expiresAt }`,
+ *          or null if there are none
+ */
+export function getOAuthTokens(name = 'default') {
+  let tokens = tokenStore.get(name);
+  if (!tokens) {
+    tokens = getSessionStorage(tokensKey(name)) || getLocalStorage(tokensKey(name));
+    if (tokens?.accessToken) tokenStore.set(name, tokens);
+  }
+  return tokens?.accessToken ? { ...tokens } : null;
+}
+
+/**
+ * Gets a valid access token, refreshing it first when it expires within
+ * `minValidity` and a refresh token is available.
+ *
+ * @param {string} [name='default'] - Provider name
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.minValidity=60000] - Time (ms) the token must still be valid
+ * @returns {Promise<string|null>} Access token, or null if there are no tokens
+ * @throws {oauthError} If the refresh fails
+ */
+export async function getOAuthAccessToken(name = 'default', { minValidity = 60000 } = {}) {
+  const tokens = getOAuthTokens(name);
+  if (!tokens) return null;
+
+  const isExpiring = tokens.expiresAt !== null && tokens.expiresAt - Date.now() < minValidity;
+  if (isExpiring && tokens.refreshToken) {
+    return (await refreshOAuthToken(name)).accessToken;
+  }
+  return tokens.accessToken;
+}
+
+/**
+ * Exchanges the refresh token for new tokens. Concurrent calls for the same
+ * provider share one request.
+ *
+ * @param {string} [name='default'] - Provider name
+ * @returns {Promise<Object>} New tokens (see getOAuthTokens)
+ * @throws {oauthError} If there is no refresh token or the provider rejects it
+ */
+export function refreshOAuthToken(name = 'default') {
+  if (!pendingRefreshes.has(name)) {
+    const refresh = (async () => {
+      const tokens = getOAuthTokens(name);
+      if (!tokens?.refreshToken) {
+        throw new oauthError('no_refresh_token', `[LCS_OAUTH] No refresh token stored for "${name}".`, name);
+      }
+
+      const config = {
+        scope: tokens.scope,
+        clientId: tokens.clientId,
+        tokenUrl: tokens.tokenUrl,
+        storage: tokens.storage,
+        ...(providers.get(name) || {}),
+        name
+      };
+      const data = await requestTokens(config, { grant_type: 'refresh_token', refresh_token: tokens.refreshToken });
+      return storeTokens(config, data, tokens);
+    })();
+
+    pendingRefreshes.set(name, refresh.finally(() => pendingRefreshes.delete(name)));
+  }
+  return pendingRefreshes.get(name);
+}
+
+/**
+ * Removes the stored tokens of a provider (e.g. on logout).
+ *
+ * @param {string} [name='default'] - Provider name
+ */
+export function clearOAuthTokens(name = 'default') {
+  tokenStore.delete(name);
+  setSessionStorage(tokensKey(name), null);
+  setLocalStorage(tokensKey(name), null);
+}
 
+// ============================================================================
+// FLOW
+// ============================================================================
+
+/**
+ * Launches an OAuth flow: the Authorization Code flow with PKCE for registered
+ * or inline providers, or the lcs.ng broker for the 'lcs' provider.
+ *
+ * Popup mode opens the provider in a popup and resolves with the tokens once the
+ * popup returns to the redirect URI. Call it straight from the click handler,
+ * before any await, or pass a popup you opened there: browsers block popups
+ * opened later. Redirect mode leaves the page; the flow ends on the redirect
+ * URI with completeOAuthRedirect().
+ *
+ * The redirect URI should be a page of this site. If it loads this library, it
+ * hands the result to the opener at once; otherwise the opener picks it up from the
+ * popup's address.
+ *
+ * The `state` of the callback must match the one sent, and with `useNonce` the ID
+ * token's `nonce` claim must match too; the flow fails otherwise.
+ *
+ * @fires hooks#doAction('oauthCompleted') – with { provider, tokens, trigger }
+ * @fires hooks#doAction('oauthFailed') – with { provider, error, trigger }
+ *
+ * @param {string|Object} provider - Registered provider name, 'lcs', or inline settings (see registerOAuthProvider)
+ * @param {Object} [options={}] - Settings overriding the provider's; for 'lcs': clientId and context
+ * @param {Window|null} [options.popup=null] - Popup opened beforehand
+ * @param {HTMLElement|null} [options.trigger=null] - Element that started the flow, passed to the hooks
+ * @returns {Promise<Object>} Tokens (see getOAuthTokens), or `{ provider: 'lcs', authToken }` for the
+ *          broker; never settles in redirect mode
+ * @throws {oauthError} If the settings are invalid, the popup is blocked or closed, the user
+ *         denies access, the state or nonce does not match, or the token exchange fails
+ *
+ * @example
+ * button.addEventListener('click', async () => {
+ *   try {
+ *     const tokens = await launchOAuth('github');
+ *     console.log(tokens.accessToken);
+ *   } catch (error) {
+ *     if (error.code !== 'popup_closed') alert.send(error.message, 'error');
+ *   }
+ * });
+ */
+export function launchOAuth(provider, options = {}) {
+  const { popup: openedPopup = null, trigger = null, ...overrides } = options;
+  const name = typeof provider === 'string' ? provider : (provider?.name || 'default');
+
+  let flow;
+  try {
+    flow = name === BROKER_PROVIDER && typeof provider === 'string'
+      ? runBroker(overrides, openedPopup)
+      : runFlow(resolveProviderConfig(provider, overrides), openedPopup);
+  } catch (error) {
+    openedPopup?.close();
+    flow = Promise.reject(error);
+  }
+  return notifyOutcome(flow, name, trigger);
+}
+
+/**
+ * Opens a flow in a popup from code, whatever the provider's ux mode; the
+ * promise-based counterpart of a `.lcsOAuth` trigger. Call it from a user
+ * gesture (click, key press) so the popup is not blocked.
+ *
+ * @param {string|Object} provider - Registered provider name, 'lcs', or inline settings
+ * @param {Object} [options={}] - Settings overriding the provider's (see launchOAuth)
+ * @returns {Promise<Object>} Tokens, or `{ provider: 'lcs', authToken }` for the broker
+ * @throws {oauthError} See launchOAuth
+ *
+ * @example
+ * menu.on('select', async (item) => {
+ *   const tokens = await openOAuthPopup(item.provider, { scope: 'openid profile' });
+ * });
+ */
+export function openOAuthPopup(provider, options = {}) {
+  return launchOAuth(provider, { ...options, uxMode: 'popup' });
+}
+
+/**
+ * Fires oauthCompleted or oauthFailed once a flow settles.
+ *
+ * @param {Promise<Object>} flow - The flow
+ * @param {string} provider - Provider name
+ * @param {HTMLElement|null} [trigger=null] - Element that started the flow
+ * @returns {Promise<Object>} The flow's result
+ */
+function notifyOutcome(flow, provider, trigger = null) {
+  return flow.then(
+    tokens => {
+      hooks.doAction('oauthCompleted', { provider, tokens, trigger });
+      return tokens;
+    },
+    error => {
+      hooks.doAction('oauthFailed', { provider, error, trigger });
+      throw error;
+    }
+  );
+}
+
+/**
+ * Runs the Authorization Code flow with PKCE.
+ *
+ * @param {Object} config - Provider settings
+ * @param {Window|null} openedPopup - Popup opened beforehand
+ * @returns {Promise<Object>} Tokens; never settles in redirect mode
+ * @throws {oauthError} See launchOAuth
+ */
+async function runFlow(config, openedPopup) {
+  // Open the popup before anything asynchronous, while the click still counts
+  let popup = null;
+  if (config.uxMode === 'popup') {
+    popup = openedPopup || openPopup(config);
     if (!popup) {
-      alert.send('[LCS_OAUTH] Popup blocked! Please allow popups for this site.', 'error');
-      return;
+      throw new oauthError('popup_blocked', '[LCS_OAUTH] Popup blocked! Please allow popups for this site.', config.name);
     }
+  }
 
-    const allowedOrigin = 'https://lcs.ng';
+  const state = randomString();
+  const verifier = config.usePkce ? randomString(48) : null;
+  const nonce = config.useNonce ? randomString() : null;
+  const flow = { config, state, verifier, nonce };
+
+  const query = {
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scope || undefined,
+    state,
+    nonce: nonce || undefined,
+    ...config.params
+  };
+  if (verifier) {
+    query.code_challenge = await createCodeChallenge(verifier);
+    query.code_challenge_method = 'S256';
+  }
 
-    const messageHandler = (event) => {
-      // 1️⃣ Security: Check origin
-      if (event.origin !== allowedOrigin) return;
+  const separator = config.authorizeUrl.includes('?') ? '&' : '?';
+  const authorizeUrl = config.authorizeUrl + separator + buildUrlQuery(query, { prefix: false });
 
-      // 2️⃣ Security: Ensure message is from OUR popup
-      if (event.source !== popup) return;
+  if (config.uxMode === 'redirect') {
+    setSessionStorage(pendingKey(state), flow);
+    window.location.assign(authorizeUrl);
+    return new Promise(() => {}); // The page is leaving
+  }
 
-      const data = event.data;
+  popup.location.href = authorizeUrl;
+  popup.focus?.();
 
-      if (!data || data.type !== 'LCS_OAUTH_RESULT') return;
+  const params = readCallbackParams(await waitForPopup(popup, config));
+  if (params.state !== state) {
+    throw new oauthError('state_mismatch', '[LCS_OAUTH] The response does not belong to this sign-in (state mismatch).', config.name);
+  }
+  return await completeFlow(flow, params);
+}
 
+/**
+ * Waits until the popup comes back to the redirect URI.
+ *
+ * @param {Window} popup - Popup window
+ * @param {Object} config - Provider settings
+ * @returns {Promise<string>} Callback URL
+ * @throws {oauthError} If the popup is closed first or the time runs out
+ */
+function waitForPopup(popup, config) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearInterval(poller);
+      clearTimeout(timer);
       window.removeEventListener('message', messageHandler);
-      clearInterval(closedChecker); // stop polling, popup flow is done
-
-      if (data.status === 'success') {
-        const cbName = trigger.dataset.callback;
-        if (cbName && isFunctionExists(cbName)) {
-          executeFunction(cbName, 0, 1, 0, data.payload.auth_token);
-        }
-      } else {
-        alert.send('[LCS_OAUTH] ' + (data?.payload?.message || 'OAuth failed.'), 'error');
-      }
+      if (!popup.closed) popup.close();
     };
 
+    // Callback page running this library: it posts its address
+    const messageHandler = (event) => {
+      if (event.origin !== window.location.origin || event.source !== popup) return;
+      if (event.data?.type !== CALLBACK_MESSAGE) return;
+      cleanup();
+      resolve(event.data.url);
+    };
     window.addEventListener('message', messageHandler);
 
-    // Cleanup if user manually closes the popup without completing auth
-    const closedChecker = setInterval(() => {
+    // Any other callback page: read its address once it is same-origin again
+    const poller = setInterval(() => {
       if (popup.closed) {
-        clearInterval(closedChecker);
-        window.removeEventListener('message', messageHandler);
+        cleanup();
+        reject(new oauthError('popup_closed', '[LCS_OAUTH] The sign-in window was closed.', config.name));
+        return;
       }
-    }, 500);
+      try {
+        const href = popup.location.href;
+        if (href.startsWith(config.redirectUri) && /[?#&]state=/.test(href)) {
+          cleanup();
+          resolve(href);
+        }
+      } catch {
+        // Still on the provider's origin
+      }
+    }, 250);
+
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new oauthError('timeout', '[LCS_OAUTH] Sign-in took too long.', config.name));
+    }, config.timeout);
+  });
+}
 
+/**
+ * Finishes a flow from its callback parameters: checks for a provider error,
+ * exchanges the code, verifies the nonce and stores the tokens.
+ *
+ * @param {Object} flow - { config, state, verifier, nonce }
+ * @param {Object<string, string>} params - Callback parameters
+ * @returns {Promise<Object>} Tokens
+ * @throws {oauthError} On a provider error, a missing code, a failed exchange or a nonce mismatch
+ */
+async function completeFlow({ config, verifier, nonce }, params) {
+  if (params.error) {
+    throw new oauthError(params.error, params.error_description || '[LCS_OAUTH] Authorization was denied.', config.name);
+  }
+  if (!params.code) {
+    throw new oauthError('invalid_response', '[LCS_OAUTH] The provider returned no authorization code.', config.name);
   }
 
-  launchOAuth({
-    clientId: trigger.dataset.client_id,
-    context: trigger.dataset.context,
-    uxMode,
-    popup
-  });
-});
+  const grant = {
+    grant_type: 'authorization_code',
+    code: params.code,
+    redirect_uri: config.redirectUri
+  };
+  if (verifier) grant.code_verifier = verifier;
+
+  const data = await requestTokens(config, grant);
+
+  if (nonce && data.id_token && readJwtClaims(data.id_token)?.nonce !== nonce) {
+    throw new oauthError('nonce_mismatch', '[LCS_OAUTH] The ID token does not belong to this sign-in (nonce mismatch).', config.name);
+  }
+  return storeTokens(config, data);
+}
 
 /**
- * Launch OAuth flow.
+ * Memoized result of completeOAuthRedirect().
+ * @type {Promise<Object|null>|null}
+ */
+let redirectCompletion = null;
+
+/**
+ * Finishes a redirect-mode flow on the redirect URI. Runs automatically when
+ * this module loads; call it to get the result. The code and state are removed
+ * from the address bar.
  *
- * @param {Object} configs
- * @param {string} configs.clientId
- * @param {string} [configs.context]
- * @param {string} [configs.uxMode="popup"]
- * @param {Window|null} [configs.popup] - Pre-opened popup instance
+ * @returns {Promise<Object|null>} Tokens, or null if this page is not returning from a flow
+ * @throws {oauthError} If the flow failed (see launchOAuth)
  *
  * @example
- * launchOAuth({ clientId: 'abc123', popup });
+ * const tokens = await completeOAuthRedirect();
+ * if (tokens) showDashboard();
  */
-function launchOAuth(configs = {}) {
-  const ORIGIN = 'https://lcs.ng/oauth';
+export function completeOAuthRedirect() {
+  if (!redirectCompletion) {
+    redirectCompletion = (async () => {
+      const params = readCallbackParams(window.location.href);
+      if (!params.state) return null;
+
+      const flow = getSessionStorage(pendingKey(params.state));
+      if (!flow?.config) return null; // Not a flow started here
+
+      setSessionStorage(pendingKey(params.state), null);
 
-  if (!configs.clientId) {
-    alert.send('[LCS_OAUTH] OAuth clientId is required.', 'error');
-    if (configs.popup) configs.popup.close();
-    return;
+      const url = new URL(window.location.href);
+      ['code', 'state', 'error', 'error_description', 'error_uri', 'scope', 'session_state', 'iss']
+        .forEach(key => url.searchParams.delete(key));
+      const hash = /(^|[#&])state=/.test(url.hash) ? '' : url.hash;
+      window.history.replaceState(window.history.state, '', url.pathname + url.search + hash);
+
+      return await notifyOutcome(completeFlow(flow, params), flow.config.name);
+    })();
   }
+  return redirectCompletion;
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
 
-  const query = buildUrlQuery({
-    client_id: configs.clientId,
-    context: configs.context,
-    ux_mode: configs.uxMode || 'popup'
+/**
+ * On the callback page inside our popup, hand the result to the opener.
+ */
+if (String(window.name).startsWith(POPUP_NAME) && window.opener && /[?#&]state=/.test(window.location.href)) {
+  try {
+    window.opener.postMessage({ type: CALLBACK_MESSAGE, url: window.location.href }, window.location.origin);
+  } catch {
+    // The opener polls the popup's address instead
+  }
+} else {
+  completeOAuthRedirect().catch(error => {
+    alert.send(error.message, 'error');
   });
+}
+
+/**
+ * Triggers with a flow in progress, so repeated clicks don't open more popups.
+ * @type {WeakSet<HTMLElement>}
+ */
+const activeTriggers = new WeakSet();
+
+/**
+ * Reads the flow settings of a trigger.
+ *
+ * `data-provider` names a registered provider (or 'lcs'); the other settings come
+ * from `data-client_id`, `data-authorize_url`, `data-token_url`, `data-redirect_uri`,
+ * `data-scope`, `data-ux_mode`, `data-storage` and, for the broker, `data-context`.
+ * Without a provider, triggers with a `data-authorize_url` describe an inline
+ * provider and the others use the lcs.ng broker.
+ *
+ * @param {HTMLElement} trigger - Trigger element
+ * @returns {{provider: string|Object, options: Object}} Provider and settings for launchOAuth
+ */
+function readTriggerSettings(trigger) {
+  const data = trigger.dataset;
+  const attributes = {
+    clientId: data.client_id,
+    authorizeUrl: data.authorize_url,
+    tokenUrl: data.token_url,
+    redirectUri: data.redirect_uri,
+    scope: data.scope,
+    uxMode: data.ux_mode,
+    storage: data.storage,
+    context: data.context
+  };
+
+  const options = {};
+  Object.entries(attributes).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') options[key] = value;
+  });
+
+  const provider = data.provider || (data.authorize_url ? { name: 'default' } : BROKER_PROVIDER);
+  return { provider, options };
+}
 
-  const finalUrl = ORIGIN + query;
+/**
+ * Delegated OAuth click handler for `.lcsOAuth` elements (and the legacy
+ * `#lcs_oauth_hardpoint`). Results go to the oauthCompleted and oauthFailed
+ * hooks, with the clicked element as `trigger`.
+ *
+ * @example
+ * <button type="button" class="lcsOAuth" data-provider="google">Google</button>
+ * <button type="button" class="lcsOAuth" data-provider="github">GitHub</button>
+ *
+ * hooks.addAction('oauthCompleted', ({ provider, tokens }) => signIn(provider, tokens));
+ */
+document.addEventListener('click', (event) => {
+  const trigger = event.target?.closest?.(TRIGGER_SELECTOR);
+  if (!trigger) return;
 
-  if ((configs.uxMode || 'popup') === 'popup') {
+  event.preventDefault();
+  if (activeTriggers.has(trigger)) return;
 
-    const popup = configs.popup;
+  const { provider, options } = readTriggerSettings(trigger);
 
-    if (!popup) return;
+  activeTriggers.add(trigger);
+  launchOAuth(provider, { ...options, trigger })
+    .catch(error => {
+      if (error.code !== 'popup_closed') alert.send(error.message, 'error');
+    })
+    .finally(() => activeTriggers.delete(trigger));
+});
 
-    popup.location.href = finalUrl;
-    popup.focus();
-    return;
+// ============================================================================
+// LCS.NG BROKER
+// ============================================================================
+
+/**
+ * Runs the lcs.ng broker flow: the broker performs the OAuth exchange and
+ * posts an auth token back to this window.
+ *
+ * @param {Object} settings - Broker settings
+ * @param {string} settings.clientId - lcs.ng client ID
+ * @param {string} [settings.context] - Context passed to the broker, e.g. 'signin'
+ * @param {string} [settings.uxMode='popup'] - Only 'popup' is supported
+ * @param {Window|null} openedPopup - Popup opened beforehand
+ * @returns {Promise<{provider: string, authToken: string}>} Auth token
+ * @throws {oauthError} If the settings are invalid or the popup is blocked (synchronously),
+ *         or the broker reports a failure or the popup is closed (asynchronously)
+ */
+function runBroker({ clientId, context, uxMode = 'popup' }, openedPopup) {
+  if (uxMode !== 'popup') {
+    throw new oauthError('invalid_config', "[LCS_OAUTH] The lcs.ng broker only supports 'popup' mode.", BROKER_PROVIDER);
+  }
+  if (!clientId) {
+    throw new oauthError('invalid_config', '[LCS_OAUTH] OAuth clientId is required.', BROKER_PROVIDER);
   }
 
-  window.location.href = finalUrl;
-}
\ No newline at end of file
+  // 🔥 Open immediately in the trusted gesture
+  const popup = openedPopup || openPopup(DEFAULT_PROVIDER_CONFIG);
+  if (!popup) {
+    throw new oauthError('popup_blocked', '[LCS_OAUTH] Popup blocked! Please allow popups for this site.', BROKER_PROVIDER);
+  }
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      window.removeEventListener('message', messageHandler);
+      clearInterval(closedChecker);
+    };
+
+    const messageHandler = (event) => {
+      // 1️⃣ Security: Check origin
+      if (event.origin !== BROKER_ORIGIN) return;
+
+      // 2️⃣ Security: Ensure message is from OUR popup
+      if (event.source !== popup) return;
+
+      const data = event.data;
+      if (!data || data.type !== 'LCS_OAUTH_RESULT') return;
+
+      cleanup();
+
+      if (data.status === 'success') {
+        resolve({ provider: BROKER_PROVIDER, authToken: data.payload.auth_token });
+      } else {
+        reject(new oauthError('broker_error', '[LCS_OAUTH] ' + (data?.payload?.message || 'OAuth failed.'), BROKER_PROVIDER));
+      }
+    };
+
+    window.addEventListener('message', messageHandler);
+
+    // The user closed the popup without completing auth
+    const closedChecker = setInterval(() => {
+      if (popup.closed) {
+        cleanup();
+        reject(new oauthError('popup_closed', '[LCS_OAUTH] The sign-in window was closed.', BROKER_PROVIDER));
+      }
+    }, 500);
+
+    popup.location.href = BROKER_URL + buildUrlQuery({ client_id: clientId, context, ux_mode: uxMode });
+    popup.focus();
+  });
+}
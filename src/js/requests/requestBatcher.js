@@ -0,0 +1,245 @@
+import { hooks } from '../hooks.js';
+
+// ============================================================================
+// REQUEST BATCHER
+// ============================================================================
+
+/**
+ * @typedef {Object} BatchRequest
+ * @property {string} id - Identifier matching the request to its result
+ * @property {string} method - HTTP method
+ * @property {string} url - Request URL (GET, HEAD and DELETE carry their data in the query string)
+ * @property {Object} headers - Request headers, including any CSRF headers
+ * @property {*} [body] - Payload of methods that carry one
+ */
+
+/**
+ * @typedef {Object} BatchResult
+ * @property {string} id - Identifier of the request this answers
+ * @property {number} status - HTTP status the request would have received
+ * @property {Object} [headers] - Response headers
+ * @property {*} [body] - Response body, e.g. `{ success, data, message }`
+ */
+
+/**
+ * Default payload of a batch request: `{ requests: [...] }`.
+ *
+ * @param {BatchRequest[]} requests - Requests collected in the window
+ * @returns {Object} Payload
+ */
+const encodeBatch = (requests) => ({ requests });
+
+/**
+ * Default reader of a batch response. Accepts `{ responses: [...] }` as well as
+ * the usual envelope with the results as data: `{ success, data: [...] }` or
+ * `{ success, data: { responses: [...] } }`.
+ *
+ * @param {Object} response - Standardized ajaxRequest response of the batch request
+ * @returns {BatchResult[]|undefined} Results
+ */
+const decodeBatch = (response) => {
+    if (Array.isArray(response.data)) return response.data;
+    return response.data?.responses ?? response.responses;
+};
+
+/**
+ * Collects requests made within a short window and sends them to a batch
+ * endpoint as one request, then hands each caller its own result.
+ *
+ * Requests are grouped by batch URL. The first request of a window sets the
+ * window length, size limit, headers and encoding for the whole batch. A batch is
+ * sent when its window ends or it reaches `maxSize`, whichever comes first.
+ *
+ * The batch endpoint receives `{ requests: [{ id, method, url, headers, body }] }`
+ * and answers with `{ responses: [{ id, status, headers, body }] }` (or the results
+ * as `data`), in any order. Both sides can be changed with `encode` and `decode`.
+ *
+ * Hooks:
+ * - `ajaxBatchSending`   – before a batch goes out, with { url, requests }
+ * - `ajaxBatchCompleted` – after it came back (or failed), with { url, requests, response }
+ *
+ * Requests are batched through ajaxRequest (see ajaxRequest.setBatch), which also
+ * supplies the function that sends the batch.
+ *
+ * @example
+ * // Send everything waiting now, e.g. before the page is hidden
+ * await ajaxBatcher.flush();
+ */
+export class requestBatcher {
+    // ========================================================================
+    // PRIVATE PROPERTIES
+    // ========================================================================
+
+    /** @type {Map<string, {entries: Array<Object>, options: Object, timer: number|null}>} Open batches by URL */
+    #queues = new Map();
+
+    /** @type {Function|null} Sends one batch: `(url, payload, options) => Promise<{response, failure}>` */
+    #sender = null;
+
+    /** @type {number} Counter for request ids */
+    #sequence = 0;
+
+    // ========================================================================
+    // SETUP
+    // ========================================================================
+
+    /**
+     * Registers the function that sends batches.
+     *
+     * @param {Function} sender - `(url, payload, options) => Promise<{response: Object, failure: Object|null}>`
+     * @throws {TypeError} If sender is not a function
+     */
+    setSender(sender) {
+        if (typeof sender !== 'function') {
+            throw new TypeError('setSender error: Sender must be a function.');
+        }
+        this.#sender = sender;
+    }
+
+    // ========================================================================
+    // QUEUE
+    // ========================================================================
+
+    /**
+     * Adds a request to the open batch of its batch URL, opening one if needed.
+     *
+     * Resolves once the batch is answered with `{ result, response, failure }`:
+     * `result` is the BatchResult for this request (null if the batch failed or
+     * left it out), `response` and `failure` describe the batch request itself.
+     *
+     * @param {Object} request - Request fields (see BatchRequest); the id is set here
+     * @param {Object} options - Batch settings
+     * @param {string} options.url - Batch endpoint
+     * @param {number} options.window - Time (ms) to collect requests
+     * @param {number} options.maxSize - Requests per batch
+     * @param {Function|null} [options.encode] - `(requests) => payload`
+     * @param {Function|null} [options.decode] - `(response) => BatchResult[]`
+     * @param {AbortSignal} [signal] - Removes the request from the batch (or ignores its result)
+     * @returns {Promise<{result: BatchResult|null, response: Object, failure: Object|null}>}
+     * @throws {*} The abort reason if the signal is aborted
+     */
+    add(request, options, signal) {
+        if (!this.#sender) {
+            return Promise.reject(new Error('add error: No batch sender registered.'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const url = options.url;
+            let queue = this.#queues.get(url);
+            if (!queue) {
+                queue = { entries: [], options, timer: null };
+                queue.timer = setTimeout(() => this.flush(url), options.window);
+                this.#queues.set(url, queue);
+            }
+
+            const entry = { request: { ...request, id: String(++this.#sequence) }, resolve, signal };
+
+            if (signal) {
+                entry.onAbort = () => {
+                    // Still waiting: leave the batch; already sent: just stop waiting
+                    const index = queue.entries.indexOf(entry);
+                    if (index !== -1) {
+                        queue.entries.splice(index, 1);
+                        if (!queue.entries.length && this.#queues.get(url) === queue) {
+                            clearTimeout(queue.timer);
+                            this.#queues.delete(url);
+                        }
+                    }
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+
+            queue.entries.push(entry);
+            if (queue.entries.length >= queue.options.maxSize) this.flush(url);
+        });
+    }
+
+    /**
+     * Sends open batches at once instead of waiting for their window to end.
+     *
+     * @param {string} [url] - Only send the batch of this URL
+     * @returns {Promise<void>} Resolves when the batches were answered
+     */
+    async flush(url) {
+        const urls = url === undefined ? [...this.#queues.keys()] : [url];
+
+        await Promise.all(urls.map(key => {
+            const queue = this.#queues.get(key);
+            if (!queue) return null;
+
+            clearTimeout(queue.timer);
+            this.#queues.delete(key);
+            return this.#send(key, queue);
+        }));
+    }
+
+    /**
+     * Counts requests waiting in open batches.
+     *
+     * @param {string} [url] - Only count the batch of this URL
+     * @returns {number} Waiting requests
+     */
+    getPendingCount(url) {
+        if (url !== undefined) return this.#queues.get(url)?.entries.length ?? 0;
+        let count = 0;
+        this.#queues.forEach(queue => { count += queue.entries.length; });
+        return count;
+    }
+
+    /**
+     * Sends one batch and hands the results out.
+     *
+     * @private
+     * @param {string} url - Batch endpoint
+     * @param {{entries: Array<Object>, options: Object}} queue - The batch
+     * @returns {Promise<void>}
+     */
+    async #send(url, { entries, options }) {
+        if (!entries.length) return;
+
+        const requests = entries.map(entry => entry.request);
+        hooks.doAction('ajaxBatchSending', { url, requests });
+
+        let outcome;
+        try {
+            outcome = await this.#sender(url, (options.encode || encodeBatch)(requests), options);
+        } catch (error) {
+            outcome = { response: { success: false, data: null, message: error.message, error }, failure: null };
+        }
+
+        const { response, failure } = outcome;
+        const results = new Map();
+
+        if (response.success) {
+            try {
+                const decoded = (options.decode || decodeBatch)(response);
+                (Array.isArray(decoded) ? decoded : []).forEach(result => {
+                    if (result && result.id !== undefined) results.set(String(result.id), result);
+                });
+            } catch (error) {
+                console.error('Batch decode error:', error);
+            }
+        }
+
+        entries.forEach(entry => {
+            entry.signal?.removeEventListener('abort', entry.onAbort);
+            entry.resolve({ result: results.get(entry.request.id) ?? null, response, failure });
+        });
+
+        hooks.doAction('ajaxBatchCompleted', { url, requests, response });
+    }
+}
+
+// ============================================================================
+// SINGLETON EXPORT
+// ============================================================================
+
+/**
+ * Shared batcher used by ajaxRequest instances that enable batching.
+ *
+ * @example
+ * import { ajaxBatcher } from './requestBatcher.js';
+ * console.log(ajaxBatcher.getPendingCount());
+ */
+export const ajaxBatcher = new requestBatcher();
@@ -0,0 +1,423 @@
+import { hooks } from '../hooks.js';
+import {
+    getLocalDatabaseData,
+    updateLocalDatabaseData,
+    deleteLocalDatabaseData,
+    getLocalDatabaseKeys,
+    clearLocalDatabase
+} from '../dataStorage/localDatabase.js';
+
+// ============================================================================
+// REQUEST OUTBOX
+// ============================================================================
+
+/**
+ * Client errors (4xx) that may still succeed on a later replay. Any other 4xx
+ * dead-letters the item at once.
+ */
+const RETRYABLE_CLIENT_STATUSES = [408, 425, 429];
+
+/**
+ * @typedef {Object} OutboxItem
+ * @property {string} id - Outbox identifier (also the IndexedDB key)
+ * @property {string} idempotencyKey - Key sent with every attempt so the server can drop duplicates
+ * @property {string} url - Request URL
+ * @property {string} method - HTTP method
+ * @property {Object} headers - Request headers, including the idempotency header
+ * @property {Object|Array<[string, *]>} data - Payload; FormData is stored as its entries
+ * @property {boolean} isFormData - Whether `data` must be rebuilt as FormData
+ * @property {string} model - Transport model: 'fetch' or 'xhr'
+ * @property {number} timeout - Request timeout (ms)
+ * @property {string} hooksID - Hooks ID of the original request, if any
+ * @property {string} state - 'queued', 'replaying' or 'dead' ('succeeded' in the hook of a delivered item)
+ * @property {number} attempts - Replay attempts made so far
+ * @property {number} maxAttempts - Attempts allowed before the item is dead-lettered
+ * @property {number} createdAt - When the item was queued (ms since epoch)
+ * @property {string|null} lastError - Message of the last failed attempt
+ */
+
+/**
+ * Durable queue of mutations (POST, PUT, PATCH, DELETE) that could not be sent,
+ * stored in IndexedDB and replayed in order once the browser is back online.
+ *
+ * Items move through these states, each firing a hook with the item (and the
+ * ajaxRequest response where there is one). When the item has a hooks ID, an
+ * instance-specific hook (`hook_hooksID`) fires as well.
+ *
+ * - queued        – `ajaxOutboxQueued`       (stored, waiting for connectivity)
+ * - replaying     – `ajaxOutboxReplaying`    (being sent)
+ * - succeeded     – `ajaxOutboxSucceeded`    (server accepted it; removed from the outbox)
+ * - dead-lettered – `ajaxOutboxDeadLettered` (rejected or out of attempts; kept for inspection)
+ *
+ * Replay stops at the first item that cannot be delivered yet, so later items never
+ * overtake earlier ones. It resumes on the next `online` event or after `retryDelay`.
+ *
+ * Requests are queued through ajaxRequest (see ajaxRequest.setOutbox), which also
+ * registers the function that sends items as soon as it loads, so items left by
+ * an earlier page are replayed after a reload. The database is only opened once
+ * the outbox is used or already exists.
+ *
+ * @example
+ * hooks.addAction('ajaxOutboxDeadLettered', (item, response) => {
+ *     lcsAlert.send(`Could not sync: ${item.lastError}`, 'error');
+ * });
+ *
+ * // Inspect and act on failed items
+ * const dead = await ajaxOutbox.getDeadLetters();
+ * await ajaxOutbox.retry(dead[0].id);
+ * await ajaxOutbox.discard(dead[1].id);
+ */
+export class requestOutbox {
+    // ========================================================================
+    // PRIVATE PROPERTIES
+    // ========================================================================
+
+    /** @type {string} IndexedDB database holding the items */
+    #dbName;
+
+    /** @type {Function|null} Sends one item: `(item) => Promise<{response, failure}>` */
+    #sender = null;
+
+    /** @type {boolean} Whether the online listener is installed */
+    #started = false;
+
+    /** @type {Promise<void>|null} Replay passes in progress */
+    #replaying = null;
+
+    /** @type {boolean} replay() was called during a pass, which may have missed new items */
+    #replayAgain = false;
+
+    /** @type {number|null} Timer of the next scheduled replay pass */
+    #retryTimer = null;
+
+    /** @type {number} Counter keeping ids unique within the same millisecond */
+    #sequence = 0;
+
+    // ========================================================================
+    // PUBLIC PROPERTIES
+    // ========================================================================
+
+    /**
+     * Delay (ms) before replaying again after an item could not be delivered.
+     * @type {number}
+     * @default 30000
+     */
+    retryDelay = 30000;
+
+    // ========================================================================
+    // CONSTRUCTOR
+    // ========================================================================
+
+    /**
+     * Creates a new outbox.
+     *
+     * @param {Object} [options={}] - Outbox options
+     * @param {string} [options.dbName='lcsAjaxOutbox'] - IndexedDB database for queued items
+     */
+    constructor({ dbName = 'lcsAjaxOutbox' } = {}) {
+        this.#dbName = dbName;
+    }
+
+    // ========================================================================
+    // LIFECYCLE
+    // ========================================================================
+
+    /**
+     * Registers the function that sends items without opening the outbox. Replay
+     * only starts (see start()) if the outbox database already exists, i.e. an
+     * earlier page queued something, where the browser can tell without creating
+     * it (`indexedDB.databases()`); otherwise on the first start() or enqueue().
+     *
+     * @param {Function} sender - `(item) => Promise<{response: Object, failure: {kind: string, status: number}|null}>`
+     * @returns {Promise<void>}
+     * @throws {TypeError} If sender is not a function
+     */
+    async register(sender) {
+        if (typeof sender !== 'function') {
+            throw new TypeError('register error: Sender must be a function.');
+        }
+        this.#sender = sender;
+        if (this.#started || typeof indexedDB === 'undefined' || typeof indexedDB.databases !== 'function') return;
+
+        let databases;
+        try {
+            databases = await indexedDB.databases();
+        } catch {
+            return;
+        }
+        if (!this.#started && databases.some(({ name }) => name === this.#dbName)) {
+            this.start(this.#sender);
+        }
+    }
+
+    /**
+     * Registers the function that sends items and starts replaying: now if the
+     * browser is online, and on every later `online` event.
+     *
+     * @param {Function} sender - `(item) => Promise<{response: Object, failure: {kind: string, status: number}|null}>`
+     * @throws {TypeError} If sender is not a function
+     */
+    start(sender) {
+        if (typeof sender !== 'function') {
+            throw new TypeError('start error: Sender must be a function.');
+        }
+        this.#sender = sender;
+
+        if (!this.#started) {
+            this.#started = true;
+            window.addEventListener('online', () => this.replay());
+        }
+
+        if (navigator.onLine) this.replay();
+    }
+
+    /**
+     * Sends queued items in order until the outbox is empty or an item cannot be
+     * delivered yet. A call made while a pass is running (e.g. by enqueue()) runs
+     * another pass once it ends, so items added meanwhile are sent too; the call
+     * waits for both.
+     *
+     * @returns {Promise<void>}
+     */
+    replay() {
+        if (this.#replaying) {
+            this.#replayAgain = true;
+            return this.#replaying;
+        }
+
+        this.#replaying = (async () => {
+            let completed;
+            do {
+                this.#replayAgain = false;
+                completed = await this.#replayPass();
+            } while (completed && this.#replayAgain);
+        })().finally(() => { this.#replaying = null; });
+        return this.#replaying;
+    }
+
+    /**
+     * Runs one replay pass.
+     *
+     * @private
+     * @returns {Promise<boolean>} True if every item read was handled; false if the pass
+     *          stopped early (offline, unreadable outbox, or an item to retry later)
+     */
+    async #replayPass() {
+        if (!this.#sender || !navigator.onLine) return false;
+
+        clearTimeout(this.#retryTimer);
+        this.#retryTimer = null;
+
+        let items;
+        try {
+            items = (await this.getItems()).filter(item => item.state !== 'dead');
+        } catch (error) {
+            console.error('Outbox read error:', error);
+            return false;
+        }
+
+        for (const item of items) {
+            if (!navigator.onLine) return false;
+
+            item.state = 'replaying';
+            await this.#save(item);
+            this.#triggerHooks('ajaxOutboxReplaying', item);
+
+            let result;
+            try {
+                result = await this.#sender(item);
+            } catch (error) {
+                result = { response: { success: false, message: error.message, error }, failure: null };
+            }
+
+            const { response, failure } = result;
+
+            if (response.success) {
+                await this.#remove(item.id);
+                item.state = 'succeeded';
+                this.#triggerHooks('ajaxOutboxSucceeded', item, response);
+                continue;
+            }
+
+            item.lastError = response.message || 'Request failed';
+
+            // Lost the connection again: nothing was consumed, wait for it to return
+            if (!navigator.onLine) {
+                item.state = 'queued';
+                await this.#save(item);
+                return false;
+            }
+
+            item.attempts++;
+
+            const isPermanent = failure?.kind === 'http'
+                && failure.status >= 400 && failure.status < 500
+                && !RETRYABLE_CLIENT_STATUSES.includes(failure.status);
+
+            if (isPermanent || item.attempts >= item.maxAttempts) {
+                item.state = 'dead';
+                await this.#save(item);
+                this.#triggerHooks('ajaxOutboxDeadLettered', item, response);
+                continue;
+            }
+
+            // Keep the order: later items wait until this one goes through
+            item.state = 'queued';
+            await this.#save(item);
+            this.#retryTimer = setTimeout(() => this.replay(), this.retryDelay);
+            return false;
+        }
+        return true;
+    }
+
+    // ========================================================================
+    // QUEUE
+    // ========================================================================
+
+    /**
+     * Adds an item to the outbox. If an item with the same idempotency key is
+     * already waiting, that item is returned instead of adding a duplicate.
+     *
+     * @param {Object} request - Item fields (see OutboxItem); id, state, attempts and createdAt are set here
+     * @returns {Promise<OutboxItem>} The queued item
+     */
+    async enqueue(request) {
+        const existing = (await this.getItems())
+            .find(item => item.idempotencyKey === request.idempotencyKey && item.state !== 'dead');
+        if (existing) return existing;
+
+        const now = Date.now();
+        const item = {
+            maxAttempts: 5,
+            hooksID: '',
+            ...request,
+            id: `${String(now).padStart(15, '0')}-${String(++this.#sequence).padStart(6, '0')}`,
+            state: 'queued',
+            attempts: 0,
+            createdAt: now,
+            lastError: null
+        };
+
+        await this.#save(item);
+        this.#triggerHooks('ajaxOutboxQueued', item);
+
+        if (this.#sender) this.start(this.#sender);
+        return item;
+    }
+
+    /**
+     * Gets every item, oldest first.
+     *
+     * @returns {Promise<OutboxItem[]>} Queued, replaying and dead-lettered items
+     */
+    async getItems() {
+        const keys = await getLocalDatabaseKeys(this.#dbName);
+        const items = [];
+        for (const key of keys) {
+            const item = await getLocalDatabaseData(key, this.#dbName);
+            if (item) items.push(item);
+        }
+        return items.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+    }
+
+    /**
+     * Gets the items that were dead-lettered.
+     *
+     * @returns {Promise<OutboxItem[]>} Dead-lettered items, oldest first
+     */
+    async getDeadLetters() {
+        return (await this.getItems()).filter(item => item.state === 'dead');
+    }
+
+    /**
+     * Puts a dead-lettered item back in the queue with its attempts reset, then replays.
+     *
+     * @param {string} id - Item id
+     * @returns {Promise<boolean>} False if no dead-lettered item has this id
+     */
+    async retry(id) {
+        const item = await getLocalDatabaseData(id, this.#dbName);
+        if (!item || item.state !== 'dead') return false;
+
+        item.state = 'queued';
+        item.attempts = 0;
+        await this.#save(item);
+        this.#triggerHooks('ajaxOutboxQueued', item);
+
+        this.replay();
+        return true;
+    }
+
+    /**
+     * Removes an item without sending it.
+     *
+     * @param {string} id - Item id
+     * @returns {Promise<void>}
+     */
+    async discard(id) {
+        await this.#remove(id);
+    }
+
+    /**
+     * Removes every item.
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await clearLocalDatabase(this.#dbName);
+    }
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * Writes an item to IndexedDB.
+     *
+     * @private
+     * @param {OutboxItem} item - Item to store
+     * @returns {Promise<void>}
+     */
+    async #save(item) {
+        await updateLocalDatabaseData(item.id, item, this.#dbName);
+    }
+
+    /**
+     * Deletes an item from IndexedDB.
+     *
+     * @private
+     * @param {string} id - Item id
+     * @returns {Promise<void>}
+     */
+    async #remove(id) {
+        await deleteLocalDatabaseData(id, this.#dbName);
+    }
+
+    /**
+     * Triggers a global hook and, if the item has a hooks ID, its instance-specific variant.
+     *
+     * @private
+     * @param {string} hook - Hook name
+     * @param {OutboxItem} item - Item the hook is about
+     * @param {...*} args - Extra arguments
+     */
+    #triggerHooks(hook, item, ...args) {
+        hooks.doAction(hook, item, ...args);
+        if (item.hooksID) {
+            hooks.doAction(`${hook}_${item.hooksID}`, item, ...args);
+        }
+    }
+}
+
+// ============================================================================
+// SINGLETON EXPORT
+// ============================================================================
+
+/**
+ * Shared outbox used by ajaxRequest instances that enable it.
+ *
+ * @example
+ * import { ajaxOutbox } from './requestOutbox.js';
+ * const pending = await ajaxOutbox.getItems();
+ */
+export const ajaxOutbox = new requestOutbox();
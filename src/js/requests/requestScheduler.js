@@ -0,0 +1,291 @@
+// ============================================================================
+// REQUEST SCHEDULER
+// ============================================================================
+
+/**
+ * Schedules asynchronous tasks (usually network requests) with a concurrency
+ * limit, FIFO or priority ordering, and an exclusive mode for tasks that must
+ * run alone.
+ *
+ * Rules:
+ * - Up to `concurrency` non-exclusive tasks run at the same time.
+ * - An exclusive task waits until every running task has finished, then runs
+ *   alone; nothing else starts until it completes.
+ * - In 'fifo' mode tasks start in the order they were scheduled.
+ * - In 'priority' mode the task with the lowest priority number starts first
+ *   (ties keep scheduling order), matching hook priorities.
+ *
+ * @example
+ * const scheduler = new requestScheduler({ concurrency: 4, mode: 'priority' });
+ * const user = scheduler.schedule(() => fetch('/api/user'), { priority: 1 });
+ * const stats = scheduler.schedule(() => fetch('/api/stats'));
+ * await Promise.all([user, stats]);
+ *
+ * @example
+ * // Nonce-sensitive post that must not overlap with anything else
+ * await scheduler.schedule(() => submitPayment(), { exclusive: true });
+ *
+ * @example
+ * // Drop a queued task before it starts
+ * const controller = new AbortController();
+ * scheduler.schedule(() => fetch('/api/slow'), { signal: controller.signal }).catch(() => {});
+ * controller.abort();
+ */
+export class requestScheduler {
+    // ========================================================================
+    // PRIVATE PROPERTIES
+    // ========================================================================
+
+    /** @type {Array<{task: Function, priority: number, exclusive: boolean, order: number, resolve: Function, reject: Function, cleanup: Function}>} Waiting tasks */
+    #queue = [];
+
+    /** @type {number} Number of tasks currently running */
+    #running = 0;
+
+    /** @type {boolean} Whether the running task is exclusive */
+    #exclusiveRunning = false;
+
+    /** @type {number} Incrementing counter used to keep scheduling order */
+    #order = 0;
+
+    /** @type {number} Maximum number of non-exclusive tasks running at once */
+    #concurrency = 6;
+
+    /** @type {string} Queue ordering: 'fifo' or 'priority' */
+    #mode = 'fifo';
+
+    // ========================================================================
+    // CONSTRUCTOR
+    // ========================================================================
+
+    /**
+     * Creates a new scheduler.
+     *
+     * @param {Object} [options={}] - Scheduler options
+     * @param {number} [options.concurrency=6] - Maximum tasks running at once
+     * @param {string} [options.mode='fifo'] - Queue ordering: 'fifo' or 'priority'
+     * @throws {Error} If an option is invalid
+     */
+    constructor({ concurrency = 6, mode = 'fifo' } = {}) {
+        this.setConcurrency(concurrency);
+        this.setMode(mode);
+    }
+
+    // ========================================================================
+    // SCHEDULING
+    // ========================================================================
+
+    /**
+     * Queues a task and resolves (or rejects) with its result once it has run.
+     *
+     * @param {Function} task - Function returning a value or a promise
+     * @param {Object} [options={}] - Task options
+     * @param {number} [options.priority=10] - Lower numbers start earlier in 'priority' mode
+     * @param {boolean} [options.exclusive=false] - Run alone, with no other task in flight
+     * @param {AbortSignal} [options.signal] - Removes the task from the queue if aborted before it starts
+     * @returns {Promise<*>} Result of the task; rejects with the abort reason if dropped
+     * @throws {TypeError} If task is not a function
+     */
+    schedule(task, { priority = 10, exclusive = false, signal } = {}) {
+        if (typeof task !== 'function') {
+            throw new TypeError('schedule error: Task must be a function.');
+        }
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const item = {
+                task,
+                priority,
+                exclusive: !!exclusive,
+                order: ++this.#order,
+                resolve,
+                reject,
+                cleanup: () => {}
+            };
+
+            if (signal) {
+                const onAbort = () => {
+                    const index = this.#queue.indexOf(item);
+                    if (index === -1) return; // Already started; the task handles its own abort
+                    this.#queue.splice(index, 1);
+                    reject(signal.reason);
+                    this.#drain();
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                item.cleanup = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this.#queue.push(item);
+            this.#drain();
+        });
+    }
+
+    /**
+     * Checks whether a task scheduled now would start immediately.
+     *
+     * @param {boolean} [exclusive=false] - Whether the task would be exclusive
+     * @returns {boolean} True if it would not have to wait
+     */
+    canStart(exclusive = false) {
+        if (this.#queue.length > 0 || this.#exclusiveRunning) return false;
+        return exclusive ? this.#running === 0 : this.#running < this.#concurrency;
+    }
+
+    /**
+     * Starts as many queued tasks as the current state allows.
+     *
+     * @private
+     */
+    #drain() {
+        while (this.#queue.length > 0 && !this.#exclusiveRunning) {
+            const index = this.#nextIndex();
+            const next = this.#queue[index];
+
+            // The head of the queue blocks everything behind it until it can run,
+            // so exclusive tasks are not starved by a steady stream of others.
+            if (next.exclusive ? this.#running > 0 : this.#running >= this.#concurrency) {
+                return;
+            }
+
+            this.#queue.splice(index, 1);
+            this.#run(next);
+        }
+    }
+
+    /**
+     * Finds the queue index of the next task to start.
+     *
+     * @private
+     * @returns {number} Queue index
+     */
+    #nextIndex() {
+        if (this.#mode === 'fifo') return 0;
+
+        let best = 0;
+        for (let i = 1; i < this.#queue.length; i++) {
+            const candidate = this.#queue[i];
+            const current = this.#queue[best];
+            if (candidate.priority < current.priority
+                || (candidate.priority === current.priority && candidate.order < current.order)) {
+                best = i;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Runs a task and frees its slot when it settles.
+     *
+     * @private
+     * @param {Object} item - Queued task
+     */
+    async #run(item) {
+        item.cleanup();
+        this.#running++;
+        if (item.exclusive) this.#exclusiveRunning = true;
+
+        try {
+            item.resolve(await item.task());
+        } catch (error) {
+            item.reject(error);
+        } finally {
+            this.#running--;
+            if (item.exclusive) this.#exclusiveRunning = false;
+            this.#drain();
+        }
+    }
+
+    // ========================================================================
+    // SETTERS
+    // ========================================================================
+
+    /**
+     * Sets the maximum number of tasks running at once.
+     *
+     * @param {number} concurrency - A positive integer
+     * @throws {Error} If concurrency is not a positive integer
+     */
+    setConcurrency(concurrency) {
+        if (!Number.isInteger(concurrency) || concurrency <= 0) {
+            throw new Error('setConcurrency error: Concurrency must be a positive integer.');
+        }
+        this.#concurrency = concurrency;
+        this.#drain();
+    }
+
+    /**
+     * Sets how waiting tasks are ordered.
+     *
+     * @param {string} mode - 'fifo' or 'priority'
+     * @throws {Error} If mode is invalid
+     */
+    setMode(mode) {
+        const validModes = ['fifo', 'priority'];
+        if (!validModes.includes(mode)) {
+            throw new Error(`setMode error: Mode must be one of ${validModes.join(', ')}.`);
+        }
+        this.#mode = mode;
+    }
+
+    // ========================================================================
+    // GETTERS
+    // ========================================================================
+
+    /**
+     * Gets the maximum number of tasks running at once.
+     * @returns {number} Concurrency limit
+     */
+    getConcurrency() {
+        return this.#concurrency;
+    }
+
+    /**
+     * Gets the queue ordering mode.
+     * @returns {string} 'fifo' or 'priority'
+     */
+    getMode() {
+        return this.#mode;
+    }
+
+    /**
+     * Gets the number of tasks currently running.
+     * @returns {number} Running tasks
+     */
+    getRunningCount() {
+        return this.#running;
+    }
+
+    /**
+     * Gets the number of tasks waiting to start.
+     * @returns {number} Queued tasks
+     */
+    getPendingCount() {
+        return this.#queue.length;
+    }
+
+    /**
+     * Checks if any task is running or waiting.
+     * @returns {boolean} True if busy
+     */
+    isBusy() {
+        return this.#running > 0 || this.#queue.length > 0;
+    }
+}
+
+// ============================================================================
+// SINGLETON EXPORT
+// ============================================================================
+
+/**
+ * Shared scheduler used by every `ajaxRequest` instance.
+ *
+ * @example
+ * import { ajaxScheduler } from './requestScheduler.js';
+ * ajaxScheduler.setConcurrency(4);
+ * ajaxScheduler.setMode('priority');
+ */
+export const ajaxScheduler = new requestScheduler();
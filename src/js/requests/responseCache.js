@@ -0,0 +1,329 @@
+import {
+    getLocalDatabaseData,
+    updateLocalDatabaseData,
+    deleteLocalDatabaseData,
+    getLocalDatabaseKeys,
+    clearLocalDatabase
+} from '../dataStorage/localDatabase.js';
+
+// ============================================================================
+// RESPONSE CACHE
+// ============================================================================
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key - Cache key
+ * @property {Object} response - Standardized ajaxRequest response that was stored
+ * @property {number} [status] - HTTP status of the stored response
+ * @property {Object<string, string>} [headers] - Headers of the stored response
+ * @property {number} storedAt - When the entry was stored or last revalidated (ms since epoch)
+ * @property {number} ttl - Time (ms) the entry is fresh
+ * @property {number} staleWhileRevalidate - Extra time (ms) a stale entry may be served while it is refreshed
+ * @property {string|null} etag - `ETag` header of the stored response
+ * @property {string|null} lastModified - `Last-Modified` header of the stored response
+ */
+
+/**
+ * Two-level cache for ajaxRequest responses: an in-memory map, optionally
+ * backed by IndexedDB (through the localDatabase helpers) so entries survive
+ * page reloads.
+ *
+ * Entries are looked up in memory first, then in IndexedDB when persistence
+ * is requested; entries read from IndexedDB are kept in memory afterwards.
+ *
+ * The memory holds at most `maxEntries` entries: each write drops the expired
+ * ones (past their TTL and stale-while-revalidate window), then the least
+ * recently used ones over the limit. Persisted copies stay in IndexedDB.
+ *
+ * @example
+ * import { ajaxCache } from './responseCache.js';
+ *
+ * ajaxCache.configure({ maxEntries: 100 });
+ *
+ * // Drop one entry, or everything under an endpoint
+ * await ajaxCache.invalidate(key);
+ * await ajaxCache.invalidatePrefix('GET https://api.example.com/products');
+ */
+export class responseCache {
+    // ========================================================================
+    // PRIVATE PROPERTIES
+    // ========================================================================
+
+    /** @type {Map<string, CacheEntry>} In-memory entries */
+    #memory = new Map();
+
+    /** @type {Set<string>} IndexedDB databases that have received entries */
+    #databases = new Set();
+
+    /** @type {number} Most entries kept in memory */
+    #maxEntries = 200;
+
+    // ========================================================================
+    // SETUP
+    // ========================================================================
+
+    /**
+     * Changes the cache settings. Entries over a lower limit are dropped at once,
+     * least recently used first.
+     *
+     * @param {Object} [options={}] - Settings
+     * @param {number} [options.maxEntries=200] - Most entries kept in memory (Infinity for no limit)
+     * @throws {Error} If a setting is invalid
+     */
+    configure({ maxEntries = this.#maxEntries } = {}) {
+        if (!(maxEntries === Infinity || (Number.isInteger(maxEntries) && maxEntries > 0))) {
+            throw new Error('configure error: maxEntries must be a positive integer or Infinity.');
+        }
+        this.#maxEntries = maxEntries;
+        this.#evict();
+    }
+
+    /**
+     * Gets the cache settings.
+     *
+     * @returns {{maxEntries: number}} Settings
+     */
+    getConfig() {
+        return { maxEntries: this.#maxEntries };
+    }
+
+    // ========================================================================
+    // KEYS
+    // ========================================================================
+
+    /**
+     * Builds a cache key from the method, the URL (with query parameters sorted
+     * and the fragment removed) and the values of the vary-headers.
+     *
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL, including its query string
+     * @param {Object} [headers={}] - Request headers
+     * @param {string[]} [varyHeaders=[]] - Header names whose values distinguish entries
+     * @returns {string} Cache key, e.g. `GET https://example.com/api?a=1&b=2`
+     */
+    static buildKey(method, url, headers = {}, varyHeaders = []) {
+        const parsed = new URL(url, window.location.href);
+        parsed.hash = '';
+        parsed.searchParams.sort();
+
+        let key = `${method.toUpperCase()} ${parsed.toString()}`;
+
+        if (varyHeaders.length) {
+            const lookup = {};
+            Object.keys(headers).forEach(name => { lookup[name.toLowerCase()] = headers[name]; });
+            const vary = varyHeaders
+                .map(name => `${name.toLowerCase()}=${lookup[name.toLowerCase()] ?? ''}`)
+                .join('&');
+            key += ` | ${vary}`;
+        }
+
+        return key;
+    }
+
+    // ========================================================================
+    // READ & WRITE
+    // ========================================================================
+
+    /**
+     * Gets an entry by key.
+     *
+     * @param {string} key - Cache key
+     * @param {Object} [options={}] - Lookup options
+     * @param {boolean} [options.persist=false] - Also look in IndexedDB on a memory miss
+     * @param {string} [options.dbName='lcsAjaxCache'] - IndexedDB database name
+     * @returns {Promise<CacheEntry|undefined>} The entry, or undefined if not cached
+     */
+    async get(key, { persist = false, dbName = 'lcsAjaxCache' } = {}) {
+        if (this.#memory.has(key)) {
+            const entry = this.#memory.get(key);
+            this.#remember(entry);
+            return entry;
+        }
+        if (!persist) return undefined;
+
+        try {
+            const entry = await getLocalDatabaseData(key, dbName);
+            if (entry) {
+                this.#databases.add(dbName);
+                this.#remember(entry);
+                this.#evict();
+            }
+            return entry;
+        } catch (error) {
+            console.error('Response cache read error:', error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Stores an entry, replacing any existing one with the same key.
+     *
+     * @param {CacheEntry} entry - Entry to store
+     * @param {Object} [options={}] - Storage options
+     * @param {boolean} [options.persist=false] - Also write the entry to IndexedDB
+     * @param {string} [options.dbName='lcsAjaxCache'] - IndexedDB database name
+     * @returns {Promise<void>}
+     */
+    async set(entry, { persist = false, dbName = 'lcsAjaxCache' } = {}) {
+        this.#evict(true);
+        this.#remember(entry);
+        this.#evict();
+        if (!persist) return;
+
+        try {
+            await updateLocalDatabaseData(entry.key, entry, dbName);
+            this.#databases.add(dbName);
+        } catch (error) {
+            console.error('Response cache write error:', error);
+        }
+    }
+
+    /**
+     * Makes an entry the most recently used one in memory.
+     *
+     * @private
+     * @param {CacheEntry} entry - Entry
+     */
+    #remember(entry) {
+        this.#memory.delete(entry.key);
+        this.#memory.set(entry.key, entry);
+    }
+
+    /**
+     * Drops entries from memory beyond `maxEntries`, least recently used first
+     * (Map order), after the expired ones when asked to.
+     *
+     * @private
+     * @param {boolean} [expired=false] - Also drop entries that can no longer be served
+     */
+    #evict(expired = false) {
+        if (expired) {
+            for (const [key, entry] of this.#memory) {
+                if (!this.isServableStale(entry)) this.#memory.delete(key);
+            }
+        }
+        for (const key of this.#memory.keys()) {
+            if (this.#memory.size <= this.#maxEntries) break;
+            this.#memory.delete(key);
+        }
+    }
+
+    /**
+     * Checks whether an entry is still fresh.
+     *
+     * @param {CacheEntry} entry - Entry to check
+     * @returns {boolean} True if younger than its TTL
+     */
+    isFresh(entry) {
+        return Date.now() - entry.storedAt < entry.ttl;
+    }
+
+    /**
+     * Checks whether a stale entry may still be served while it is refreshed.
+     *
+     * @param {CacheEntry} entry - Entry to check
+     * @returns {boolean} True if within its stale-while-revalidate window
+     */
+    isServableStale(entry) {
+        return Date.now() - entry.storedAt < entry.ttl + entry.staleWhileRevalidate;
+    }
+
+    // ========================================================================
+    // INVALIDATION
+    // ========================================================================
+
+    /**
+     * Removes an entry from memory and from every IndexedDB database used by the cache.
+     *
+     * @param {string} key - Cache key
+     * @param {string} [dbName] - Only touch this IndexedDB database
+     * @returns {Promise<void>}
+     */
+    async invalidate(key, dbName) {
+        this.#memory.delete(key);
+        for (const name of this.#targetDatabases(dbName)) {
+            try {
+                await deleteLocalDatabaseData(key, name);
+            } catch (error) {
+                console.error('Response cache delete error:', error);
+            }
+        }
+    }
+
+    /**
+     * Removes every entry whose key starts with a prefix, e.g. all cached
+     * responses of an endpoint: `GET https://api.example.com/products`.
+     *
+     * @param {string} prefix - Key prefix
+     * @param {string} [dbName] - Only touch this IndexedDB database
+     * @returns {Promise<number>} Number of entries removed from memory and IndexedDB
+     */
+    async invalidatePrefix(prefix, dbName) {
+        let removed = 0;
+
+        for (const key of [...this.#memory.keys()]) {
+            if (key.startsWith(prefix)) {
+                this.#memory.delete(key);
+                removed++;
+            }
+        }
+
+        for (const name of this.#targetDatabases(dbName)) {
+            try {
+                const keys = await getLocalDatabaseKeys(name);
+                for (const key of keys) {
+                    if (typeof key === 'string' && key.startsWith(prefix)) {
+                        await deleteLocalDatabaseData(key, name);
+                        removed++;
+                    }
+                }
+            } catch (error) {
+                console.error('Response cache delete error:', error);
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Removes every entry from memory and from the IndexedDB databases used by the cache.
+     *
+     * @param {string} [dbName] - Only clear this IndexedDB database
+     * @returns {Promise<void>}
+     */
+    async clear(dbName) {
+        this.#memory.clear();
+        for (const name of this.#targetDatabases(dbName)) {
+            try {
+                await clearLocalDatabase(name);
+            } catch (error) {
+                console.error('Response cache clear error:', error);
+            }
+        }
+    }
+
+    /**
+     * Lists the IndexedDB databases an invalidation should touch.
+     *
+     * @private
+     * @param {string} [dbName] - Explicit database name
+     * @returns {string[]} Database names
+     */
+    #targetDatabases(dbName) {
+        if (dbName) return [dbName];
+        return [...new Set(['lcsAjaxCache', ...this.#databases])];
+    }
+}
+
+// ============================================================================
+// SINGLETON EXPORT
+// ============================================================================
+
+/**
+ * Shared cache used by ajaxRequest instances that enable caching.
+ *
+ * @example
+ * import { ajaxCache } from './responseCache.js';
+ * await ajaxCache.clear();
+ */
+export const ajaxCache = new responseCache();
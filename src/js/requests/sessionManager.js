@@ -0,0 +1,673 @@
+import { hooks } from '../hooks.js';
+import { getLocalStorage, setLocalStorage } from '../dataStorage/localStorage.js';
+import { getCookie, setCookie } from '../dataStorage/Cookies.js';
+import { ajaxMock } from './mockServer.js';
+
+// ============================================================================
+// SESSION MANAGER
+// ============================================================================
+
+/**
+ * Default session settings (see sessionManager.configure).
+ */
+const DEFAULT_SESSION_POLICY = {
+    storage: 'local',
+    key: 'lcsSession',
+    cookieExpires: 86400,
+    header: 'Authorization',
+    scheme: 'Bearer',
+    origins: null,
+    refreshUrl: null,
+    refresh: null,
+    refreshTimeout: 10000,
+    refreshMargin: 60000,
+    refreshStatuses: [401],
+    syncTabs: true
+};
+
+/**
+ * @typedef {Object} Session
+ * @property {string} accessToken - Token sent in the Authorization header
+ * @property {string|null} refreshToken - Token exchanged for a new access token
+ * @property {string} tokenType - Token type, e.g. 'Bearer'
+ * @property {number|null} expiresAt - When the access token expires (ms since epoch), if known
+ * @property {string} identity - Hash identifying the signed-in user; kept across refreshes
+ */
+
+/**
+ * Hashes a string (53-bit, non-cryptographic), so a token can identify the
+ * user without being copied anywhere.
+ *
+ * @param {string} value - Value to hash
+ * @returns {string} Hash in base 36
+ */
+const hashString = (value) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < value.length; i++) {
+        const code = value.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+/**
+ * Identifies the user of new tokens: the `iss` and `sub` claims when the access
+ * token is a JWT, otherwise the refresh token (or the access token).
+ *
+ * @param {string} accessToken - Access token
+ * @param {string|null} refreshToken - Refresh token
+ * @returns {string} Hashed identity
+ */
+const toIdentity = (accessToken, refreshToken) => {
+    try {
+        const payload = accessToken.split('.')[1];
+        const claims = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+        if (claims?.sub !== undefined) return hashString(`${claims.iss ?? ''} ${claims.sub}`);
+    } catch {
+        // Opaque token
+    }
+    return hashString(refreshToken ?? accessToken);
+};
+
+/**
+ * Reads a token response into a Session. Accepts camelCase (`accessToken`,
+ * `expiresAt`, `expiresIn`) as well as OAuth-style snake_case (`access_token`,
+ * `expires_in`) fields.
+ *
+ * @param {Object} tokens - Tokens
+ * @param {Session|null} [previous=null] - Session being refreshed (keeps its refresh token if none is given)
+ * @returns {Session|null} Session, or null without an access token
+ */
+const toSession = (tokens, previous = null) => {
+    const accessToken = tokens?.accessToken ?? tokens?.access_token;
+    if (!accessToken) return null;
+
+    const expiresIn = tokens.expiresIn ?? tokens.expires_in;
+    let expiresAt = tokens.expiresAt ?? null;
+    if (expiresAt === null && expiresIn !== undefined && expiresIn !== null) {
+        expiresAt = Date.now() + Number(expiresIn) * 1000;
+    }
+
+    const refreshToken = tokens.refreshToken ?? tokens.refresh_token ?? previous?.refreshToken ?? null;
+
+    return {
+        accessToken,
+        refreshToken,
+        tokenType: tokens.tokenType ?? tokens.token_type ?? previous?.tokenType ?? 'Bearer',
+        expiresAt,
+        identity: tokens.identity ?? previous?.identity ?? toIdentity(accessToken, refreshToken)
+    };
+};
+
+/**
+ * Keeps the signed-in user's access and refresh tokens and hands them to
+ * ajaxRequest, which sends the access token in the Authorization header of
+ * every request to an allowed origin (see ajaxRequest.setAuthorization).
+ *
+ * Refreshing:
+ * - proactively, `refreshMargin` before the access token expires;
+ * - before a request, when the token is about to expire;
+ * - after a request is rejected with one of `refreshStatuses` (401 by default);
+ *   the request is then sent once more with the new token.
+ *
+ * Only one refresh runs at a time, across tabs too; requests wait for it and
+ * then go out with the new token. When it fails, the session is cleared and
+ * `sessionExpired` fires.
+ *
+ * Tabs share the session: signing in, refreshing or signing out in one tab
+ * updates the others.
+ *
+ * Hooks:
+ * - `sessionUpdated`   – new tokens (sign-in, refresh, another tab), with the Session
+ * - `sessionReplaced`  – before `sessionUpdated`, when the new tokens belong to another user, with the Session
+ * - `sessionRefreshed` – after a successful refresh, with the Session
+ * - `sessionExpired`   – the refresh failed; the user must sign in again, with { reason, error }
+ * - `sessionCleared`   – the session was removed, with { reason }
+ *
+ * Tokens in localStorage or a (non-HttpOnly) cookie are readable by any script
+ * on the page; use 'memory' storage when the refresh token lives in an HttpOnly
+ * cookie set by the server.
+ *
+ * @example
+ * ajaxSession.configure({ refreshUrl: '/api/auth/refresh' });
+ *
+ * const login = await new ajaxRequest('/api/auth/login', 'POST').send(credentials);
+ * if (login.success) ajaxSession.setSession(login.data); // { access_token, refresh_token, expires_in }
+ *
+ * hooks.addAction('sessionExpired', () => { window.location.href = '/login'; });
+ */
+export class sessionManager {
+    // ========================================================================
+    // PRIVATE PROPERTIES
+    // ========================================================================
+
+    /** @type {Object} Session settings (see configure) */
+    #config = { ...DEFAULT_SESSION_POLICY };
+
+    /** @type {Session|null} Current session */
+    #session = null;
+
+    /** @type {boolean} Whether the session was read from storage */
+    #loaded = false;
+
+    /** @type {Promise<boolean>|null} Refresh in progress */
+    #refreshing = null;
+
+    /** @type {number|null} Timer of the proactive refresh */
+    #timer = null;
+
+    /** @type {BroadcastChannel|null} Channel to the other tabs */
+    #channel = null;
+
+    /** @type {Function|null} `storage` event listener (when BroadcastChannel is unavailable) */
+    #storageListener = null;
+
+    // ========================================================================
+    // SETUP
+    // ========================================================================
+
+    /**
+     * Changes the session settings. The session is read again from the (new)
+     * storage.
+     *
+     * @param {Object} [options={}] - Settings
+     * @param {string} [options.storage='local'] - 'local' (localStorage), 'cookie' or 'memory' (this tab only, lost on reload)
+     * @param {string} [options.key='lcsSession'] - Storage key / cookie name, and name of the tab channel
+     * @param {number} [options.cookieExpires=86400] - Cookie lifetime (seconds); 0 for a browser-session cookie
+     * @param {string} [options.header='Authorization'] - Header carrying the access token
+     * @param {string} [options.scheme='Bearer'] - Prefix of the header value ('' for the bare token)
+     * @param {string[]|null} [options.origins=null] - Origins that receive the token (null: this site's origin only)
+     * @param {string|null} [options.refreshUrl=null] - Endpoint receiving a POST `{ refresh_token }` (and cookies), answering
+     *        with new tokens, bare or as `data` of the usual `{ success, data }` envelope
+     * @param {Function|null} [options.refresh=null] - Custom refresh: `(session) => Promise<tokens>`; takes precedence over refreshUrl
+     * @param {number} [options.refreshTimeout=10000] - Time (ms) the refreshUrl has to answer
+     * @param {number} [options.refreshMargin=60000] - Refresh this long (ms) before the access token expires
+     * @param {number[]} [options.refreshStatuses=[401]] - HTTP statuses that trigger a refresh and one more attempt
+     * @param {boolean} [options.syncTabs=true] - Share the session with the other tabs
+     * @throws {Error} If a setting is invalid
+     */
+    configure(options = {}) {
+        const config = { ...this.#config, ...options };
+
+        if (!['local', 'cookie', 'memory'].includes(config.storage)) {
+            throw new Error(`configure error: Invalid storage "${config.storage}". Must be "local", "cookie" or "memory".`);
+        }
+        if (typeof config.key !== 'string' || config.key === '') {
+            throw new Error('configure error: key must be a non-empty string.');
+        }
+        if (typeof config.header !== 'string' || config.header === '') {
+            throw new Error('configure error: header must be a non-empty string.');
+        }
+        if (config.origins !== null && !Array.isArray(config.origins)) {
+            throw new Error('configure error: origins must be an array of origins or null.');
+        }
+        if (config.refresh !== null && typeof config.refresh !== 'function') {
+            throw new Error('configure error: refresh must be a function or null.');
+        }
+        if (!Array.isArray(config.refreshStatuses)) {
+            throw new Error('configure error: refreshStatuses must be an array of HTTP statuses.');
+        }
+        ['cookieExpires', 'refreshTimeout', 'refreshMargin'].forEach(name => {
+            if (typeof config[name] !== 'number' || config[name] < 0) {
+                throw new Error(`configure error: ${name} must be a non-negative number.`);
+            }
+        });
+
+        this.#stopSync();
+        this.#config = { ...config, origins: config.origins ? [...config.origins] : null, refreshStatuses: [...config.refreshStatuses] };
+        this.#loaded = false;
+        this.#load();
+    }
+
+    /**
+     * Gets the session settings.
+     *
+     * @returns {Object} Copy of the settings
+     */
+    getConfig() {
+        return { ...this.#config, origins: this.#config.origins ? [...this.#config.origins] : null, refreshStatuses: [...this.#config.refreshStatuses] };
+    }
+
+    // ========================================================================
+    // SESSION
+    // ========================================================================
+
+    /**
+     * Starts (or replaces) the session, e.g. after signing in.
+     *
+     * @param {Object} tokens - `{ accessToken, refreshToken?, expiresAt? | expiresIn?, tokenType? }`
+     *        or `{ access_token, refresh_token?, expires_in?, token_type? }`
+     * @returns {Session} The session
+     * @throws {Error} If there is no access token
+     *
+     * @fires hooks#doAction('sessionReplaced') – with the Session, if another user was signed in
+     * @fires hooks#doAction('sessionUpdated') – with the Session
+     */
+    setSession(tokens) {
+        const session = toSession(tokens);
+        if (!session) {
+            throw new Error('setSession error: tokens must include an access token.');
+        }
+        this.#load();
+        this.#update(session);
+        return { ...session };
+    }
+
+    /**
+     * Gets the current session.
+     *
+     * @returns {Session|null} Copy of the session, or null when signed out
+     */
+    getSession() {
+        this.#load();
+        return this.#session ? { ...this.#session } : null;
+    }
+
+    /**
+     * Checks whether there is a session.
+     *
+     * @returns {boolean} True when signed in
+     */
+    isAuthenticated() {
+        return this.getSession() !== null;
+    }
+
+    /**
+     * Checks whether a refresh is in progress.
+     *
+     * @returns {boolean} True while refreshing
+     */
+    isRefreshing() {
+        return this.#refreshing !== null;
+    }
+
+    /**
+     * Ends the session in this and the other tabs (e.g. on logout).
+     *
+     * @param {string} [reason='logout'] - Reason passed to the hooks
+     *
+     * @fires hooks#doAction('sessionCleared') – with { reason }
+     */
+    clearSession(reason = 'logout') {
+        this.#load();
+        this.#clear(reason);
+        this.#broadcast({ type: 'clear', reason });
+    }
+
+    // ========================================================================
+    // TOKENS
+    // ========================================================================
+
+    /**
+     * Gets a usable access token: waits for a refresh in progress and refreshes
+     * first when the token expires within `refreshMargin`.
+     *
+     * @returns {Promise<string|null>} Access token, or null when signed out (or the refresh failed)
+     */
+    async getAccessToken() {
+        this.#load();
+        if (this.#refreshing) await this.#refreshing;
+
+        if (this.#session && this.#isExpiring(this.#session)) {
+            await this.refresh(this.#session.accessToken);
+        }
+        return this.#session?.accessToken ?? null;
+    }
+
+    /**
+     * Checks whether requests to a URL receive the access token.
+     *
+     * @param {string} url - Request URL
+     * @returns {boolean} True for allowed origins
+     */
+    appliesTo(url) {
+        try {
+            const origin = new URL(url, window.location.href).origin;
+            return (this.#config.origins || [window.location.origin]).includes(origin);
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Gets the headers authorizing a request, once any refresh is over.
+     *
+     * @param {string} url - Request URL
+     * @returns {Promise<{headers: Object, token: string}|null>} Headers and the token they carry,
+     *          or null when signed out or the URL is not allowed
+     */
+    async authorize(url) {
+        if (!this.appliesTo(url)) return null;
+
+        const token = await this.getAccessToken();
+        if (!token) return null;
+
+        const scheme = this.#config.scheme;
+        return {
+            headers: { [this.#config.header]: scheme ? `${scheme} ${token}` : token },
+            token
+        };
+    }
+
+    /**
+     * Checks whether an HTTP status means the access token was rejected.
+     *
+     * @param {number} status - HTTP status
+     * @returns {boolean} True for a status in `refreshStatuses`
+     */
+    shouldRefresh(status) {
+        return this.#config.refreshStatuses.includes(status);
+    }
+
+    /**
+     * Exchanges the refresh token for new tokens. Concurrent calls share one
+     * refresh, and tabs take turns: a tab that finds the session already
+     * refreshed by another one uses the new tokens.
+     *
+     * @param {string} [staleToken] - Access token found invalid; nothing is refreshed if the
+     *        session already moved on to another token
+     * @returns {Promise<boolean>} True if a valid session is available afterwards
+     *
+     * @fires hooks#doAction('sessionRefreshed') – with the Session
+     * @fires hooks#doAction('sessionExpired')   – when the refresh fails, with { reason, error }
+     */
+    refresh(staleToken = this.getSession()?.accessToken) {
+        this.#load();
+
+        if (!this.#refreshing) {
+            if (!this.#session) return Promise.resolve(false);
+            if (staleToken !== this.#session.accessToken) return Promise.resolve(true);
+
+            const run = () => this.#runRefresh(staleToken);
+            const locked = this.#config.syncTabs && this.#config.storage !== 'memory' && navigator.locks
+                ? navigator.locks.request(`${this.#config.key}_refresh`, run)
+                : run();
+
+            this.#refreshing = locked.finally(() => { this.#refreshing = null; });
+        }
+        return this.#refreshing;
+    }
+
+    /**
+     * Performs one refresh.
+     *
+     * @private
+     * @param {string} staleToken - Access token being replaced
+     * @returns {Promise<boolean>} True on success
+     */
+    async #runRefresh(staleToken) {
+        // Another tab may have refreshed while this one waited for the lock
+        const stored = this.#read();
+        if (stored && stored.accessToken !== staleToken && !this.#isExpiring(stored)) {
+            this.#adopt(stored);
+            return true;
+        }
+
+        const previous = this.#session;
+        if (!previous) return false;
+
+        try {
+            const session = toSession(await this.#requestTokens(previous), previous);
+            if (!session) throw new Error('The refresh returned no access token.');
+
+            this.#update(session);
+            hooks.doAction('sessionRefreshed', { ...session });
+            return true;
+        } catch (error) {
+            this.#clear('expired');
+            this.#broadcast({ type: 'clear', reason: 'expired' });
+            hooks.doAction('sessionExpired', { reason: 'refresh_failed', error });
+            return false;
+        }
+    }
+
+    /**
+     * Asks the custom refresh function or the refresh endpoint for new tokens.
+     *
+     * @private
+     * @param {Session} session - Session being refreshed
+     * @returns {Promise<Object>} Tokens
+     * @throws {Error} If no refresh is configured or it fails
+     */
+    async #requestTokens(session) {
+        if (this.#config.refresh) {
+            return await this.#config.refresh({ ...session });
+        }
+        if (!this.#config.refreshUrl) {
+            throw new Error('No refresh or refreshUrl configured.');
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.#config.refreshTimeout);
+        try {
+            const response = await ajaxMock.fetch(this.#config.refreshUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(session.refreshToken ? { refresh_token: session.refreshToken } : {}),
+                credentials: 'include',
+                signal: controller.signal
+            });
+            const body = await response.json().catch(() => null);
+            if (!response.ok || !body || body.success === false) {
+                throw new Error(body?.message || `Refresh failed with HTTP ${response.status}.`);
+            }
+            return body.data && typeof body.data === 'object' ? body.data : body;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // ========================================================================
+    // STATE & STORAGE
+    // ========================================================================
+
+    /**
+     * Reads the session from storage the first time it is needed and starts
+     * listening to the other tabs.
+     *
+     * @private
+     */
+    #load() {
+        if (this.#loaded) return;
+        this.#loaded = true;
+        this.#session = this.#config.storage === 'memory' ? this.#session : this.#read();
+        this.#schedule();
+        this.#startSync();
+    }
+
+    /**
+     * Reads the stored session.
+     *
+     * @private
+     * @returns {Session|null} Stored session
+     */
+    #read() {
+        let stored = null;
+        try {
+            if (this.#config.storage === 'local') stored = getLocalStorage(this.#config.key);
+            if (this.#config.storage === 'cookie') stored = getCookie(this.#config.key);
+        } catch {
+            stored = null; // Storage unavailable (e.g. blocked in private mode)
+        }
+        return stored && typeof stored === 'object' ? toSession(stored) : null;
+    }
+
+    /**
+     * Writes the session to storage (null removes it).
+     *
+     * @private
+     * @param {Session|null} session - Session
+     */
+    #write(session) {
+        try {
+            if (this.#config.storage === 'local') setLocalStorage(this.#config.key, session);
+            if (this.#config.storage === 'cookie') setCookie(this.#config.key, session, this.#config.cookieExpires);
+        } catch (error) {
+            console.error('Session storage error:', error);
+        }
+    }
+
+    /**
+     * Makes a session current, stores it and tells the other tabs.
+     *
+     * @private
+     * @param {Session} session - New session
+     */
+    #update(session) {
+        this.#write(session);
+        this.#adopt(session);
+        this.#broadcast({ type: 'update', session });
+    }
+
+    /**
+     * Makes a session current without storing or broadcasting it.
+     *
+     * @private
+     * @param {Session} session - Session
+     */
+    #adopt(session) {
+        const replaced = this.#session !== null && this.#session.identity !== session.identity;
+        this.#session = { ...session };
+        if (replaced) hooks.doAction('sessionReplaced', { ...session });
+        this.#schedule();
+        hooks.doAction('sessionUpdated', { ...session });
+    }
+
+    /**
+     * Removes the session from this tab and the storage.
+     *
+     * @private
+     * @param {string} reason - Reason passed to the hook
+     */
+    #clear(reason) {
+        const hadSession = this.#session !== null;
+        this.#session = null;
+        clearTimeout(this.#timer);
+        this.#timer = null;
+        this.#write(null);
+        if (hadSession) hooks.doAction('sessionCleared', { reason });
+    }
+
+    /**
+     * Checks whether a session's access token expires within `refreshMargin`.
+     *
+     * @private
+     * @param {Session} session - Session
+     * @returns {boolean} True if it should be refreshed before use
+     */
+    #isExpiring(session) {
+        return session.expiresAt !== null && session.expiresAt - Date.now() <= this.#config.refreshMargin;
+    }
+
+    /**
+     * Plans the proactive refresh of the current session.
+     *
+     * @private
+     */
+    #schedule() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+
+        const session = this.#session;
+        if (!session || session.expiresAt === null || (!session.refreshToken && !this.#config.refresh && !this.#config.refreshUrl)) {
+            return;
+        }
+
+        // setTimeout overflows past ~24.8 days
+        const delay = Math.min(Math.max(0, session.expiresAt - this.#config.refreshMargin - Date.now()), 2147483647);
+        this.#timer = setTimeout(() => {
+            this.#timer = null;
+            if (this.#session === session) this.refresh(session.accessToken);
+        }, delay);
+    }
+
+    // ========================================================================
+    // TAB SYNC
+    // ========================================================================
+
+    /**
+     * Listens to session changes made in the other tabs.
+     *
+     * @private
+     */
+    #startSync() {
+        if (!this.#config.syncTabs) return;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.#channel = new BroadcastChannel(this.#config.key);
+            this.#channel.onmessage = (event) => this.#receive(event.data);
+        } else if (this.#config.storage === 'local') {
+            this.#storageListener = (event) => {
+                if (event.key !== this.#config.key) return;
+                const stored = this.#read();
+                this.#receive(stored ? { type: 'update', session: stored } : { type: 'clear', reason: 'logout' });
+            };
+            window.addEventListener('storage', this.#storageListener);
+        }
+    }
+
+    /**
+     * Stops listening to the other tabs.
+     *
+     * @private
+     */
+    #stopSync() {
+        this.#channel?.close();
+        this.#channel = null;
+        if (this.#storageListener) {
+            window.removeEventListener('storage', this.#storageListener);
+            this.#storageListener = null;
+        }
+        clearTimeout(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Tells the other tabs about a change.
+     *
+     * @private
+     * @param {Object} message - `{ type: 'update', session }` or `{ type: 'clear', reason }`
+     */
+    #broadcast(message) {
+        this.#channel?.postMessage(message);
+    }
+
+    /**
+     * Applies a change made in another tab.
+     *
+     * @private
+     * @param {Object} message - `{ type: 'update', session }` or `{ type: 'clear', reason }`
+     */
+    #receive(message) {
+        if (message?.type === 'update') {
+            const session = toSession(message.session);
+            if (session && session.accessToken !== this.#session?.accessToken) this.#adopt(session);
+        } else if (message?.type === 'clear' && this.#session) {
+            // Storage is shared, so only this tab's copy needs removing
+            this.#session = null;
+            clearTimeout(this.#timer);
+            this.#timer = null;
+            hooks.doAction('sessionCleared', { reason: message.reason });
+            if (message.reason === 'expired') {
+                hooks.doAction('sessionExpired', { reason: 'refresh_failed', error: null });
+            }
+        }
+    }
+}
+
+// ============================================================================
+// SINGLETON EXPORT
+// ============================================================================
+
+/**
+ * Shared session used by every ajaxRequest instance.
+ *
+ * @example
+ * import { ajaxSession } from './sessionManager.js';
+ * if (!ajaxSession.isAuthenticated()) showLogin();
+ */
+export const ajaxSession = new sessionManager();